@@ -2,9 +2,16 @@ export type ApiConfig = {
   port: number;
   corsAllowedOrigins: string[];
   corsAllowAnyLocalhost: boolean;
+  corsAllowedParentDomains: string[]; // https://<one label>.<domain> is allowed (category hosts)
   feedDefaultLimit: number;
   feedMaxLimit: number;
   searchMaxScan: number;
+  reportHideThreshold: number;   // Open reports that hide a post until a moderator reviews it
+  moderatorToken: string | null; // Bearer token for the moderation endpoints; unset disables them
+  proxySecret: string | null;    // Sent by the api-proxy worker; only then is its CF-Connecting-IP trusted
+  contentBlocklist: string[];     // Words and phrases the content policy acts on
+  contentBlocklistAction: "mask" | "hide";
+  nsfwScoreThreshold: number;     // postMedia moderation.nsfwScore at or above this blurs the media
 };
 
 function parseIntEnv(name: string, fallback: number): number {
@@ -14,6 +21,13 @@ function parseIntEnv(name: string, fallback: number): number {
   return Number.isFinite(n) ? n : fallback;
 }
 
+function parseFloatEnv(name: string, fallback: number): number {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  const n = Number.parseFloat(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
 export function getConfig(): ApiConfig {
   const corsAllowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || "https://www.2chanc3s.com")
     .split(",")
@@ -24,9 +38,22 @@ export function getConfig(): ApiConfig {
     port: parseIntEnv("PORT", 8080),
     corsAllowedOrigins,
     corsAllowAnyLocalhost: (process.env.CORS_ALLOW_LOCALHOST || "true").toLowerCase() === "true",
+    corsAllowedParentDomains: (process.env.CORS_ALLOWED_PARENT_DOMAINS || "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean),
     feedDefaultLimit: parseIntEnv("FEED_DEFAULT_LIMIT", 50),
     feedMaxLimit: parseIntEnv("FEED_MAX_LIMIT", 100),
-    searchMaxScan: parseIntEnv("SEARCH_MAX_SCAN", 500)
+    searchMaxScan: parseIntEnv("SEARCH_MAX_SCAN", 500),
+    reportHideThreshold: parseIntEnv("REPORT_HIDE_THRESHOLD", 5),
+    moderatorToken: process.env.MODERATOR_TOKEN || null,
+    proxySecret: process.env.PROXY_SECRET || null,
+    contentBlocklist: (process.env.CONTENT_BLOCKLIST || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+    contentBlocklistAction: (process.env.CONTENT_BLOCKLIST_ACTION || "mask").toLowerCase() === "hide" ? "hide" : "mask",
+    nsfwScoreThreshold: parseFloatEnv("NSFW_SCORE_THRESHOLD", 0.8)
   };
 }
 
@@ -6,6 +6,11 @@ import { getConfig } from "./config.js";
 import { buildFeedRouter } from "./routes/feed.js";
 import { buildSearchRouter } from "./routes/search.js";
 import { buildGeocodeRouter } from "./routes/geocode.js";
+import { buildSuggestRouter } from "./routes/suggest.js";
+import { buildUsersRouter } from "./routes/users.js";
+import { buildTrendsRouter } from "./routes/trends.js";
+import { buildPostsRouter } from "./routes/posts.js";
+import { buildReportsRouter } from "./routes/reports.js";
 
 const config = getConfig();
 
@@ -35,6 +40,10 @@ app.use(
       }
 
       if (config.corsAllowedOrigins.includes(origin)) return cb(null, true);
+
+      // {category}.loxation.com community hosts
+      const match = /^https:\/\/[a-z0-9-]+\.(.+)$/.exec(origin.toLowerCase());
+      if (match && config.corsAllowedParentDomains.includes(match[1])) return cb(null, true);
       return cb(new Error("CORS blocked"));
     },
     methods: ["GET", "POST", "OPTIONS"],
@@ -61,6 +70,11 @@ app.get("/", (_req, res) => res.status(200).send("2chanc3s api"));
 app.use("/api", buildFeedRouter());
 app.use("/api", buildSearchRouter());
 app.use("/api", buildGeocodeRouter());
+app.use("/api", buildSuggestRouter());
+app.use("/api", buildUsersRouter());
+app.use("/api", buildTrendsRouter());
+app.use("/api", buildPostsRouter());
+app.use("/api", buildReportsRouter());
 
 // Error handler
 app.use((err: unknown, _req: express.Request, res: express.Response, _next: express.NextFunction) => {
@@ -1,221 +1,147 @@
 import { Router } from "express";
+import { FieldPath } from "firebase-admin/firestore";
 import { getDb } from "../firestore.js";
-import type { PostDoc, PublicPost, MediaInfo } from "../types.js";
-import { asyncHandler } from "../util/http.js";
-import { clampInt, parseH3List } from "../util/h3.js";
+import type { PostDoc, PublicPost, TimeRange } from "../types.js";
+import { asyncHandler, clientIp } from "../util/http.js";
+import { resolveMediaUrls, toPublicPost } from "../util/posts.js";
+import { clampInt, getH3Field, getH3Key, parseH3List, uncompactH3List } from "../util/h3.js";
+import { applyTimeRange, parseTimeRange } from "../util/time.js";
+import { decodeFeedCursor, encodeFeedCursor, feedFingerprint, type ChunkPosition } from "../util/cursor.js";
+import { HASHTAG_RE } from "../util/query.js";
 
 const POSTS_COLLECTION = "posts";
-const MEDIA_COLLECTION = "postMedia";
 
-/**
- * Media document structure from loxation-server postMedia collection
- * Matches the structure created by POST /v1/posts/media/finalize
- */
-type MediaDoc = {
-  mediaId: string;
-  type: 'image' | 'video' | 'live';
-  publicUrl: string;
-  // Image fields
-  variants?: {
-    thumbnail?: string;
-    medium?: string;
-    large?: string;
-    public?: string;
-  };
-  // Video fields
-  thumbnail?: string;    // video thumbnail URL
-  iframe?: string;       // embeddable player URL
-  status?: string;       // video/live processing status: 'pending' | 'ready' | 'error' | 'created' | 'live' | 'ended'
-  duration?: number;     // video duration in seconds
-  // Live stream fields
-  title?: string;        // live stream title
-};
+// Cells queried per feed request after expanding a compacted set (10 per Firestore "in" query)
+const FEED_MAX_CELLS = 200;
 
-/**
- * Resolve media URLs for a batch of mediaIds
- * Returns map of mediaId -> MediaInfo
- */
-async function resolveMediaUrls(mediaIds: string[]): Promise<Map<string, MediaInfo>> {
-  const result = new Map<string, MediaInfo>();
-  if (mediaIds.length === 0) return result;
+// Live stream limits: each chunk of 10 cells is one snapshot listener
+const STREAM_MAX_CELLS = 50;
+const STREAM_LISTEN_LIMIT = 20;
+const STREAM_HEARTBEAT_MS = 25_000;
+// Cloud Run ends long requests; close first and let EventSource reconnect with Last-Event-ID
+const STREAM_MAX_DURATION_MS = 4 * 60_000;
+const STREAM_RETRY_MS = 5_000;
+// Open streams per client IP (on this instance); each can hold 5 snapshot listeners
+const STREAM_MAX_PER_CLIENT = 3;
 
-  const db = getDb();
-  const uniqueIds = [...new Set(mediaIds.filter(Boolean))];
-  
-  if (uniqueIds.length === 0) return result;
-  
-  console.log(`[resolveMediaUrls] Resolving ${uniqueIds.length} mediaIds:`, uniqueIds);
-  
-  try {
-    // Batch get all media docs
-    const mediaRefs = uniqueIds.map(id => db.collection(MEDIA_COLLECTION).doc(id));
-    const snapshots = await db.getAll(...mediaRefs);
-    
-    console.log(`[resolveMediaUrls] Got ${snapshots.length} snapshots`);
-    
-    for (let i = 0; i < snapshots.length; i++) {
-      const snap = snapshots[i];
-      const requestedId = uniqueIds[i];
-      
-      if (!snap.exists) {
-        console.log(`[resolveMediaUrls] Media doc not found: ${requestedId}`);
-        continue;
-      }
-      
-      const data = snap.data() as MediaDoc;
-      console.log(`[resolveMediaUrls] Found media doc:`, {
-        id: snap.id,
-        mediaId: data.mediaId,
-        type: data.type,
-        hasVariants: !!data.variants,
-        publicUrl: data.publicUrl?.substring(0, 50) + '...'
-      });
-      
-      // Use snap.id as the key since that's what we queried with
-      const docId = snap.id;
-      
-      if (data.type === 'image') {
-        result.set(docId, {
-          type: 'image',
-          thumbnail: data.variants?.thumbnail,
-          medium: data.variants?.medium,
-          large: data.variants?.large,
-          public: data.publicUrl || data.variants?.public,
-        });
-      } else if (data.type === 'video') {
-        // For videos, publicUrl contains the HLS manifest URL
-        result.set(docId, {
-          type: 'video',
-          thumbnail: data.thumbnail,
-          stream: data.publicUrl,  // HLS manifest URL
-          duration: data.duration,
-        });
-      } else if (data.type === 'live') {
-        // For live streams, use publicUrl which is updated by iOS client via /broadcast-started
-        // After broadcast starts, publicUrl contains the correct Video Output UID URL
-        result.set(docId, {
-          type: 'live',
-          stream: data.publicUrl,  // HLS manifest URL (updated when broadcast starts)
-          status: data.status as 'created' | 'live' | 'ended',
-          title: data.title,
-        });
-      } else {
-        console.log(`[resolveMediaUrls] Unknown media type: ${data.type}`);
-      }
-    }
-    
-    console.log(`[resolveMediaUrls] Resolved ${result.size} media items`);
-  } catch (err) {
-    console.error('[resolveMediaUrls] Error resolving media URLs:', err);
-  }
-  
-  return result;
-}
-
-function toPublicPost(doc: PostDoc, mediaInfo?: MediaInfo): PublicPost | null {
-  const username = typeof doc.username === "string" ? doc.username.trim() : null;
-  const hasIdentityLink = doc.replyLinkHandle && doc.replyLinkEntropy;
-
-  // Must have either username OR identity link to be replyable
-  if (!username && !hasIdentityLink) return null;
-  if (typeof doc.messageId !== "string" || doc.messageId.trim() === "") return null;
-  if (typeof doc.time !== "string" || doc.time.trim() === "") return null;
-  if (typeof doc.content !== "string") return null;
-
-  return {
-    username: username || null,
-    messageId: doc.messageId,
-    time: doc.time,
-    content: doc.content,
-    contentType: doc.contentType || 'text/plain',
-    media: mediaInfo,
-    geolocatorH3: doc.geolocator?.h3_res7,
-    accuracyM: doc.geolocator?.accuracyM,
-    // Include identity link fields for anonymous posts
-    replyLinkHandle: doc.replyLinkHandle || null,
-    replyLinkEntropy: doc.replyLinkEntropy || null,
-    displayName: doc.displayName || null
-  };
-}
+/** A post read from one H3 chunk, with its document ID for cursor positions */
+type FeedHit = {
+  id: string;
+  chunk: number;
+  doc: PostDoc;
+};
 
 /**
  * Query Firestore for posts matching H3 cells at a specific resolution
  * @param h3Chunk Array of H3 cell IDs (max 10 for Firestore "in" query)
  * @param overfetch Number of posts to fetch per chunk
  * @param h3Field The Firestore field to query (e.g., "geolocator.h3_res6")
+ * @param timeRange Optional bounds on post time
+ * @param hashtag Optional hashtag the posts must carry (entities.hashtags)
+ * @param after Optional [time, docId] to resume after (from a feed cursor)
+ * @returns Matching docs newest first, or null if the query failed
  */
-async function queryByH3Chunk(h3Chunk: string[], overfetch: number, h3Field: string): Promise<PostDoc[]> {
+async function queryByH3Chunk(
+  h3Chunk: string[],
+  overfetch: number,
+  h3Field: string,
+  timeRange: TimeRange | null,
+  hashtag: string | null,
+  after: [string, string] | null
+): Promise<{ id: string; doc: PostDoc }[] | null> {
   const db = getDb();
   try {
-    const snap = await db
-      .collection(POSTS_COLLECTION)
-      .where(h3Field, "in", h3Chunk)
+    // Document ID breaks ties between posts with the same time, so pages never skip or repeat
+    let query = applyTimeRange(
+      withHashtag(db.collection(POSTS_COLLECTION).where(h3Field, "in", h3Chunk), hashtag),
+      timeRange
+    )
       .orderBy("time", "desc")
-      .limit(overfetch)
-      .get();
+      .orderBy(FieldPath.documentId(), "desc");
+    if (after) query = query.startAfter(after[0], after[1]);
 
-    const out: PostDoc[] = [];
-    for (const docSnap of snap.docs) {
-      const data = docSnap.data() as PostDoc;
-      out.push(data);
-    }
-    return out;
+    const snap = await query.limit(overfetch).get();
+    return snap.docs.map((docSnap) => ({ id: docSnap.id, doc: docSnap.data() as PostDoc }));
   } catch (err) {
     console.error(`Firestore query error on ${h3Field}:`, err);
-    return [];
+    return null;
   }
 }
 
 /**
- * Run queries in batches to avoid overwhelming Firestore
+ * Limit a posts query to one hashtag, when given
+ */
+function withHashtag(query: FirebaseFirestore.Query, hashtag: string | null): FirebaseFirestore.Query {
+  return hashtag ? query.where("entities.hashtags", "array-contains", hashtag) : query;
+}
+
+/**
+ * Run queries in batches to avoid overwhelming Firestore.
+ * Exhausted chunks (position false) are skipped; results are indexed by chunk.
  */
 async function queryInBatches(
   chunks: string[][],
+  positions: ChunkPosition[],
   overfetch: number,
   h3Field: string,
+  timeRange: TimeRange | null,
+  hashtag: string | null,
   concurrency: number = 5
-): Promise<PostDoc[]> {
-  const results: PostDoc[] = [];
+): Promise<(FeedHit[] | null)[]> {
+  const results: (FeedHit[] | null)[] = chunks.map(() => []);
+  const pending = chunks.map((_, i) => i).filter((i) => positions[i] !== false);
   
-  for (let i = 0; i < chunks.length; i += concurrency) {
-    const batch = chunks.slice(i, i + concurrency);
+  for (let i = 0; i < pending.length; i += concurrency) {
+    const batch = pending.slice(i, i + concurrency);
     const batchResults = await Promise.all(
-      batch.map((c) => queryByH3Chunk(c, overfetch, h3Field))
+      batch.map((c) => queryByH3Chunk(chunks[c], overfetch, h3Field, timeRange, hashtag, positions[c] || null))
     );
-    for (const arr of batchResults) {
-      results.push(...arr);
-    }
+    batch.forEach((c, j) => {
+      const hits = batchResults[j];
+      results[c] = hits ? hits.map((h) => ({ ...h, chunk: c })) : null;
+    });
   }
   
   return results;
 }
 
 /**
- * Get the Firestore field name for a given H3 resolution
- * Server stores: h3_res6 (~36km²), h3_res7 (~5km²), h3_res8 (~0.74km²), h3_res9 (~0.11km²)
+ * The post's own cell at a feed resolution, so clients can bucket posts by the cells they asked for
  */
-function getH3Field(resolution: number): string {
-  switch (resolution) {
-    case 6: return "geolocator.h3_res6";
-    case 8: return "geolocator.h3_res8";
-    case 9: return "geolocator.h3_res9";
-    default: return "geolocator.h3_res7";
-  }
+function getFeedCell(doc: PostDoc, resolution: number): string | undefined {
+  return doc.geolocator?.[getH3Key(resolution)];
+}
+
+/**
+ * The optional hashtag filter: null when absent, undefined when invalid
+ */
+function parseHashtag(raw: unknown): string | null | undefined {
+  if (raw === undefined || raw === "") return null;
+  const hashtag = typeof raw === "string" ? raw.replace(/^#/, "").toLowerCase() : "";
+  return HASHTAG_RE.test(hashtag) ? hashtag : undefined;
 }
 
 export function buildFeedRouter(): Router {
   const router = Router();
+  // Client IP (clientIp: never a header the caller alone can set) -> open /feed/stream responses
+  const openStreams = new Map<string, number>();
 
   /**
    * GET /api/feed
    * Query:
-   * - h3: comma-separated H3 cells for multi-resolution queries
-   * - resolution: 6 or 7 (default 7) - determines which geolocator field to query
+   * - h3: comma-separated H3 cells for multi-resolution queries; may be a compacted set
+   *   (cells at `resolution` or coarser), expanded server-side to at most 200 cells
+   * - resolution: 6..9 (default 7) - determines which geolocator field to query
    * - h3r7: (deprecated) comma-separated H3 resolution 7 cells
    * - h3r8: (deprecated) comma-separated H3 resolution 8 cells - mapped to h3_res7
    * - limit: 1..100
+   * - since, until: optional ISO timestamps bounding post time (since inclusive, until exclusive)
+   * - hashtag: optional; only posts carrying it (entities.hashtags), e.g. a category host's feed
+   * - cursor: opaque nextCursor from the previous page (same h3/resolution/since/until/hashtag required)
    *
-   * Returns full content with media URLs; UI may choose to show a snippet.
+   * Returns { posts, nextCursor } with full content and media URLs; UI may choose to show a snippet.
+   * nextCursor is null once every chunk is exhausted. With h3, each post carries feedCell:
+   * its cell at the requested resolution.
    */
   router.get(
     "/feed",
@@ -228,6 +154,16 @@ export function buildFeedRouter(): Router {
       // Supports res 6 (metro), 7 (district), 8 (neighborhood), 9 (block)
       const resolution = clampInt(req.query.resolution, 7, 6, 9);
       const h3Cells = parseH3List(req.query.h3, 200);
+      const timeRange = parseTimeRange(req.query.since, req.query.until);
+      const hashtag = parseHashtag(req.query.hashtag);
+      if (hashtag === undefined) {
+        return res.status(400).json({
+          error: {
+            code: "invalid_request",
+            message: "hashtag must be letters, digits or _ (up to 50)"
+          }
+        });
+      }
       
       // Deprecated h3r7/h3r8 params - old cached web app versions may still use these.
       // When both are sent, it results in 12KB+ URLs and 60+ Firestore queries.
@@ -240,8 +176,18 @@ export function buildFeedRouter(): Router {
       let h3Field: string;
       
       if (h3Cells.length > 0) {
-        // New multi-resolution approach with explicit resolution selector
-        all = h3Cells;
+        // New multi-resolution approach with explicit resolution selector.
+        // Drawn areas arrive compacted; expand them to the queried resolution.
+        const expanded = uncompactH3List(h3Cells, resolution, FEED_MAX_CELLS);
+        if (!expanded) {
+          return res.status(400).json({
+            error: {
+              code: "too_many_cells",
+              message: `h3 expands to more than ${FEED_MAX_CELLS} cells at resolution ${resolution}`
+            }
+          });
+        }
+        all = expanded;
         h3Field = getH3Field(resolution);
       } else if (h3r7.length > 0) {
         // Deprecated: use h3r7 (~5km² cells) with new indexed field
@@ -276,24 +222,63 @@ export function buildFeedRouter(): Router {
         chunks.push(all.slice(i, i + 10));
       }
 
+      // The cursor holds a read position per chunk; it only applies to the query it came from
+      const fingerprint = feedFingerprint([
+        h3Field,
+        all.join(","),
+        timeRange?.since ?? "",
+        timeRange?.until ?? "",
+        hashtag ?? ""
+      ]);
+      let positions: ChunkPosition[] = chunks.map(() => null);
+      if (req.query.cursor !== undefined) {
+        const decoded = decodeFeedCursor(req.query.cursor, fingerprint, chunks.length);
+        if (!decoded) {
+          return res.status(400).json({
+            error: {
+              code: "invalid_cursor",
+              message: "cursor is malformed or does not match this query"
+            }
+          });
+        }
+        positions = decoded;
+      }
+
       // Use batched queries with limited concurrency to avoid overwhelming Firestore
-      const postDocs = await queryInBatches(chunks, overfetch, h3Field, 5);
-      
-      // Deduplicate results by messageId
-      const deduped: PostDoc[] = [];
+      const chunkHits = await queryInBatches(chunks, positions, overfetch, h3Field, timeRange, hashtag, 5);
+
+      // Sort by time descending, then document ID (matches the Firestore ordering)
+      const hits = chunkHits.flatMap((h) => h ?? []);
+      hits.sort((a, b) =>
+        a.doc.time < b.doc.time ? 1 : a.doc.time > b.doc.time ? -1 : a.id < b.id ? 1 : a.id > b.id ? -1 : 0
+      );
+
+      // Deduplicate by messageId and take only what we need, tracking how far each chunk was consumed
+      const limitedDocs: PostDoc[] = [];
       const seen = new Set<string>();
-      for (const doc of postDocs) {
-        const key = `${doc.username}:${doc.messageId}:${doc.time}`;
+      const lastTaken: (FeedHit | undefined)[] = chunks.map(() => undefined);
+      const takenCount = chunks.map(() => 0);
+      for (const hit of hits) {
+        if (limitedDocs.length >= limit) break;
+        lastTaken[hit.chunk] = hit;
+        takenCount[hit.chunk]++;
+        const key = `${hit.doc.username}:${hit.doc.messageId}:${hit.doc.time}`;
         if (seen.has(key)) continue;
         seen.add(key);
-        deduped.push(doc);
+        limitedDocs.push(hit.doc);
       }
 
-      // Sort by time descending
-      deduped.sort((a, b) => (a.time < b.time ? 1 : a.time > b.time ? -1 : 0));
-      
-      // Take only what we need
-      const limitedDocs = deduped.slice(0, limit);
+      const nextPositions: ChunkPosition[] = positions.map((pos, i) => {
+        const fetched = chunkHits[i];
+        // Exhausted chunks stay exhausted; failed queries are retried from the same spot
+        if (pos === false || fetched === null) return pos;
+        if (fetched.length < overfetch && takenCount[i] === fetched.length) return false;
+        const last = lastTaken[i];
+        return last ? [last.doc.time, last.id] : pos;
+      });
+      const nextCursor = nextPositions.every((pos) => pos === false)
+        ? null
+        : encodeFeedCursor(fingerprint, nextPositions);
       
       // Log posts with media for debugging
       const postsWithMedia = limitedDocs.filter(doc => doc.mediaId);
@@ -320,15 +305,154 @@ export function buildFeedRouter(): Router {
           console.log(`[feed] WARNING: mediaId ${doc.mediaId} not found in mediaMap`);
         }
         const pub = toPublicPost(doc, mediaInfo);
-        if (pub) posts.push(pub);
+        if (!pub) continue;
+        if (h3Cells.length > 0) pub.feedCell = getFeedCell(doc, resolution);
+        posts.push(pub);
       }
 
       res.setHeader("Cache-Control", "public, max-age=10");
       return res.status(200).json({
-        posts
+        posts,
+        nextCursor
       });
     })
   );
 
+  /**
+   * GET /api/feed/stream
+   * Query:
+   * - h3: comma-separated H3 cells, possibly compacted; the first 50 cells are watched
+   * - resolution: 6..9 (default 7) - determines which geolocator field to watch
+   * - since: optional ISO timestamp; only posts newer than this are sent (default: now)
+   * - hashtag: optional; only posts carrying it, as in /feed
+   *
+   * Server-Sent Events. Each new post in the cells is sent as `event: post` with a
+   * PublicPost as data and its time as the event id, so a reconnecting EventSource
+   * resumes via Last-Event-ID. A comment line is sent periodically as a heartbeat.
+   * A client (by IP) can hold STREAM_MAX_PER_CLIENT streams; more get 429 rate_limited.
+   */
+  router.get("/feed/stream", (req, res) => {
+    const client = clientIp(req);
+    const open = openStreams.get(client) || 0;
+    if (open >= STREAM_MAX_PER_CLIENT) {
+      return res.status(429).json({
+        error: {
+          code: "rate_limited",
+          message: `at most ${STREAM_MAX_PER_CLIENT} live streams per client`
+        }
+      });
+    }
+
+    const resolution = clampInt(req.query.resolution, 7, 6, 9);
+    // Expand compacted areas first, then watch the first STREAM_MAX_CELLS cells
+    const expanded = uncompactH3List(parseH3List(req.query.h3, FEED_MAX_CELLS), resolution, FEED_MAX_CELLS);
+    if (!expanded) {
+      return res.status(400).json({
+        error: {
+          code: "too_many_cells",
+          message: `h3 expands to more than ${FEED_MAX_CELLS} cells at resolution ${resolution}`
+        }
+      });
+    }
+    const h3Cells = expanded.slice(0, STREAM_MAX_CELLS);
+    if (h3Cells.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: "invalid_request",
+          message: "h3 is required"
+        }
+      });
+    }
+    const h3Field = getH3Field(resolution);
+    const hashtag = parseHashtag(req.query.hashtag);
+    if (hashtag === undefined) {
+      return res.status(400).json({
+        error: {
+          code: "invalid_request",
+          message: "hashtag must be letters, digits or _ (up to 50)"
+        }
+      });
+    }
+
+    // Resume from whichever is later: the requested bound or the last event the client saw
+    const bounds = [
+      parseTimeRange(req.query.since, undefined)?.since,
+      parseTimeRange(req.header("Last-Event-ID"), undefined)?.since
+    ].filter((t): t is string => !!t);
+    const since = bounds.sort().pop() ?? new Date().toISOString();
+
+    openStreams.set(client, open + 1);
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    // Ask intermediaries not to buffer the stream
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    const sent = new Set<string>();
+    let closed = false;
+
+    async function sendPosts(docs: PostDoc[]) {
+      const fresh = docs
+        .filter((doc) => typeof doc.time === "string" && doc.time > since)
+        .filter((doc) => !sent.has(`${doc.username}:${doc.messageId}:${doc.time}`))
+        .sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+      if (fresh.length === 0) return;
+      for (const doc of fresh) sent.add(`${doc.username}:${doc.messageId}:${doc.time}`);
+
+      const mediaMap = await resolveMediaUrls(fresh.filter((d) => d.mediaId).map((d) => d.mediaId as string));
+      if (closed) return;
+
+      // Oldest first, so the client can prepend each one in turn
+      for (const doc of fresh) {
+        const pub = toPublicPost(doc, doc.mediaId ? mediaMap.get(doc.mediaId) : undefined);
+        if (!pub) continue;
+        pub.feedCell = getFeedCell(doc, resolution);
+        res.write(`id: ${doc.time}\nevent: post\ndata: ${JSON.stringify(pub)}\n\n`);
+      }
+    }
+
+    const db = getDb();
+    const unsubscribers: (() => void)[] = [];
+    for (let i = 0; i < h3Cells.length; i += 10) {
+      const chunk = h3Cells.slice(i, i + 10);
+      const unsubscribe = withHashtag(db.collection(POSTS_COLLECTION).where(h3Field, "in", chunk), hashtag)
+        .where("time", ">", since)
+        .orderBy("time", "desc")
+        .limit(STREAM_LISTEN_LIMIT)
+        .onSnapshot(
+          (snap) => {
+            const added = snap.docChanges().filter((c) => c.type === "added").map((c) => c.doc.data() as PostDoc);
+            sendPosts(added).catch((err) => console.error("[feed/stream] send error:", err));
+          },
+          (err) => {
+            console.error(`[feed/stream] listener error on ${h3Field}:`, err);
+            // End the response; EventSource reconnects after the retry delay
+            close();
+          }
+        );
+      unsubscribers.push(unsubscribe);
+    }
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+    const maxDuration = setTimeout(() => close(), STREAM_MAX_DURATION_MS);
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(maxDuration);
+      for (const unsubscribe of unsubscribers) unsubscribe();
+      const remaining = (openStreams.get(client) || 1) - 1;
+      if (remaining > 0) openStreams.set(client, remaining);
+      else openStreams.delete(client);
+      res.end();
+    }
+
+    req.on("close", close);
+  });
+
   return router;
 }
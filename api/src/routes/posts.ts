@@ -0,0 +1,129 @@
+import { Router } from "express";
+import { getDb } from "../firestore.js";
+import type { PostDoc } from "../types.js";
+import { asyncHandler } from "../util/http.js";
+import { isHiddenByModeration } from "../util/moderation.js";
+import { HANDLE_RE, MESSAGE_ID_RE, resolveMediaUrls, toPublicPost } from "../util/posts.js";
+import { clampInt } from "../util/h3.js";
+import { USERNAME_RE } from "../util/query.js";
+
+const POSTS_COLLECTION = "posts";
+
+// Most posts GET /api/posts lists; the worker's sitemap takes SITEMAP_POSTS (1000)
+const POST_REFS_MAX = 1000;
+// How long the newest POST_REFS_MAX refs are reused before Firestore is read again
+const POST_REFS_TTL_MS = 10 * 60_000;
+
+/**
+ * Permalink reference for the sitemap
+ */
+type PostRef = {
+  username: string | null;
+  replyLinkHandle: string | null;
+  messageId: string;
+  time: string;
+};
+
+/**
+ * Newest posts with a permalink, newest first, up to POST_REFS_MAX
+ */
+async function loadPostRefs(): Promise<PostRef[]> {
+  const snap = await getDb()
+    .collection(POSTS_COLLECTION)
+    .orderBy("time", "desc")
+    .limit(POST_REFS_MAX)
+    .select("username", "replyLinkHandle", "replyLinkEntropy", "messageId", "time", "moderation")
+    .get();
+
+  const posts: PostRef[] = [];
+  for (const d of snap.docs) {
+    const doc = d.data() as PostDoc;
+    const username = typeof doc.username === "string" ? doc.username.trim() : "";
+    const handle = doc.replyLinkHandle && doc.replyLinkEntropy ? doc.replyLinkHandle : null;
+    if (!username && !handle) continue;
+    if (isHiddenByModeration(doc)) continue;
+    if (typeof doc.messageId !== "string" || !MESSAGE_ID_RE.test(doc.messageId)) continue;
+    if (typeof doc.time !== "string" || doc.time.trim() === "") continue;
+    posts.push({
+      username: username || null,
+      replyLinkHandle: username ? null : handle,
+      messageId: doc.messageId,
+      time: doc.time
+    });
+  }
+  return posts;
+}
+
+export function buildPostsRouter() {
+  const router = Router();
+  // Shared by every GET /api/posts until it expires, so repeated calls cost one read of POST_REFS_MAX docs
+  let postRefs: { posts: Promise<PostRef[]>; expiresAt: number } | null = null;
+
+  /**
+   * GET /api/posts?limit=1000
+   *
+   * Newest posts that have a permalink (a username, or an identity link),
+   * as { posts: [{ username, replyLinkHandle, messageId, time }] }; limit is
+   * at most POST_REFS_MAX and the list is cached for POST_REFS_TTL_MS. The
+   * web worker builds sitemap.xml from it.
+   */
+  router.get(
+    "/posts",
+    asyncHandler(async (req, res) => {
+      const limit = clampInt(req.query.limit, POST_REFS_MAX, 1, POST_REFS_MAX);
+      if (!postRefs || postRefs.expiresAt <= Date.now()) {
+        const posts = loadPostRefs();
+        postRefs = { posts, expiresAt: Date.now() + POST_REFS_TTL_MS };
+        // A failed read isn't kept for the next request
+        posts.catch(() => {
+          if (postRefs?.posts === posts) postRefs = null;
+        });
+      }
+      const posts = (await postRefs.posts).slice(0, limit);
+
+      res.setHeader("Cache-Control", "public, max-age=600");
+      return res.status(200).json({ posts });
+    })
+  );
+
+  /**
+   * GET /api/posts/:author/:messageId
+   *
+   * One post for its permalink page. `author` is the username, or `~` followed
+   * by the replyLinkHandle for anonymous posts (the same form as the web's
+   * /p/<author>/<messageId> paths).
+   * Returns: { post: PublicPost }, or 404 not_found
+   */
+  router.get(
+    "/posts/:author/:messageId",
+    asyncHandler(async (req, res) => {
+      const author = String(req.params.author || "");
+      const messageId = String(req.params.messageId || "");
+      const handle = author.startsWith("~") ? author.slice(1) : null;
+      const username = handle === null ? author.toLowerCase() : null;
+
+      if (!MESSAGE_ID_RE.test(messageId) || (handle !== null ? !HANDLE_RE.test(handle) : !USERNAME_RE.test(username as string))) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "expected /posts/<username>/<messageId> or /posts/~<handle>/<messageId>" }
+        });
+      }
+
+      const byAuthor = handle !== null
+        ? getDb().collection(POSTS_COLLECTION).where("replyLinkHandle", "==", handle)
+        : getDb().collection(POSTS_COLLECTION).where("username", "==", username);
+      const snap = await byAuthor.where("messageId", "==", messageId).limit(1).get();
+
+      const doc = snap.empty ? null : (snap.docs[0].data() as PostDoc);
+      const mediaInfo = doc?.mediaId ? (await resolveMediaUrls([doc.mediaId])).get(doc.mediaId) : undefined;
+      const post = doc ? toPublicPost(doc, mediaInfo) : null;
+      if (!post) {
+        return res.status(404).json({ error: { code: "not_found", message: "post not found" } });
+      }
+
+      res.setHeader("Cache-Control", "public, max-age=60");
+      return res.status(200).json({ post });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,259 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { Router, type Request, type RequestHandler } from "express";
+import rateLimit from "express-rate-limit";
+import { FieldValue } from "firebase-admin/firestore";
+import { getConfig } from "../config.js";
+import { getDb } from "../firestore.js";
+import type { PostDoc, ReportReason, ReportRequest, ReportedPost } from "../types.js";
+import { asyncHandler, clientIp } from "../util/http.js";
+import { isHiddenByModeration } from "../util/moderation.js";
+import { HANDLE_RE, MESSAGE_ID_RE, resolveMediaUrls, toReviewPost } from "../util/posts.js";
+import { clampInt } from "../util/h3.js";
+import { USERNAME_RE } from "../util/query.js";
+
+const POSTS_COLLECTION = "posts";
+const REPORTS_COLLECTION = "reports";
+
+const REPORT_REASONS: ReportReason[] = ["spam", "harassment", "personal_info", "sexual", "violence", "other"];
+const MAX_DETAILS_LENGTH = 500;
+// Open reports read to build the moderation queue
+const QUEUE_MAX_REPORTS = 500;
+
+/**
+ * Stored in the reports collection, one per post and reporter
+ */
+type ReportDoc = {
+  postId: string;
+  author: string;
+  messageId: string;
+  reason: ReportReason;
+  details: string;
+  reporter: string;          // Hash of the reporter's IP (clientIp) and the post; only used to dedupe
+  createdAt: string;
+  status: "open" | "approved" | "removed";
+  resolvedAt?: string;
+};
+
+/**
+ * Find a post by its permalink author (username or ~handle) and messageId
+ */
+async function findPost(author: string, messageId: string): Promise<FirebaseFirestore.QueryDocumentSnapshot | null> {
+  const handle = author.startsWith("~") ? author.slice(1) : null;
+  const byAuthor = handle !== null
+    ? getDb().collection(POSTS_COLLECTION).where("replyLinkHandle", "==", handle)
+    : getDb().collection(POSTS_COLLECTION).where("username", "==", author.toLowerCase());
+  const snap = await byAuthor.where("messageId", "==", messageId).limit(1).get();
+  return snap.empty ? null : snap.docs[0];
+}
+
+/**
+ * Identifies one client's report of one post without storing its IP
+ */
+export function reporterHash(req: Request, postId: string): string {
+  return createHash("sha256").update(`${clientIp(req)}\n${postId}`).digest("hex").slice(0, 32);
+}
+
+/**
+ * Moderator endpoints need `Authorization: Bearer <MODERATOR_TOKEN>`; without the env var they are off.
+ */
+function requireModerator(): RequestHandler {
+  const { moderatorToken } = getConfig();
+  const expected = moderatorToken ? Buffer.from(moderatorToken) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({ error: { code: "moderation_disabled", message: "MODERATOR_TOKEN is not configured" } });
+    }
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const given = match ? Buffer.from(match[1]) : null;
+    if (!given || given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: { code: "unauthorized", message: "moderator token required" } });
+    }
+    return next();
+  };
+}
+
+export function buildReportsRouter() {
+  const router = Router();
+  const moderator = requireModerator();
+
+  // On top of the /api limit: reports can hide posts, so keep one client from filing many
+  const reportLimit = rateLimit({
+    windowMs: 10 * 60_000,
+    limit: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => clientIp(req),
+    message: { error: { code: "rate_limited", message: "too many reports, try again later" } }
+  });
+
+  /**
+   * POST /api/reports
+   * Body: ReportRequest
+   *
+   * Files a report against a post. One report per post counts per client
+   * (by IP); repeats are accepted but not counted again. Once a post has
+   * REPORT_HIDE_THRESHOLD reports it is left out of every public response
+   * until a moderator approves it.
+   * Returns: 201 { reported: true }, or 200 { reported: false } for a repeat
+   */
+  router.post(
+    "/reports",
+    reportLimit,
+    asyncHandler(async (req, res) => {
+      const body = (req.body || {}) as Partial<ReportRequest>;
+      const author = typeof body.author === "string" ? body.author.trim() : "";
+      const messageId = typeof body.messageId === "string" ? body.messageId.trim() : "";
+      const validAuthor = author.startsWith("~")
+        ? HANDLE_RE.test(author.slice(1))
+        : USERNAME_RE.test(author.toLowerCase());
+
+      if (!validAuthor || !MESSAGE_ID_RE.test(messageId)) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "author (username or ~handle) and messageId are required" }
+        });
+      }
+      if (!REPORT_REASONS.includes(body.reason as ReportReason)) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: `reason must be one of: ${REPORT_REASONS.join(", ")}` }
+        });
+      }
+      if (body.details !== undefined && typeof body.details !== "string") {
+        return res.status(400).json({ error: { code: "invalid_request", message: "details must be a string" } });
+      }
+
+      const postSnap = await findPost(author, messageId);
+      if (!postSnap) {
+        return res.status(404).json({ error: { code: "not_found", message: "post not found" } });
+      }
+
+      const reporter = reporterHash(req, postSnap.id);
+      const db = getDb();
+      const reportRef = db.collection(REPORTS_COLLECTION).doc(`${postSnap.id}_${reporter}`);
+      const now = new Date().toISOString();
+
+      const created = await db.runTransaction(async (tx) => {
+        const existing = await tx.get(reportRef);
+        if (existing.exists) return false;
+        const report: ReportDoc = {
+          postId: postSnap.id,
+          author,
+          messageId,
+          reason: body.reason as ReportReason,
+          details: (body.details || "").trim().slice(0, MAX_DETAILS_LENGTH),
+          reporter,
+          createdAt: now,
+          status: "open"
+        };
+        tx.create(reportRef, report);
+        tx.update(postSnap.ref, {
+          "moderation.reportCount": FieldValue.increment(1),
+          "moderation.lastReportedAt": now
+        });
+        return true;
+      });
+
+      return res.status(created ? 201 : 200).json({ reported: created });
+    })
+  );
+
+  /**
+   * GET /api/reports?limit=50 (moderator)
+   *
+   * Posts with open reports, most recently reported first.
+   * Returns: { posts: ReportedPost[] }
+   */
+  router.get(
+    "/reports",
+    moderator,
+    asyncHandler(async (req, res) => {
+      const limit = clampInt(req.query.limit, 50, 1, 100);
+      const snap = await getDb()
+        .collection(REPORTS_COLLECTION)
+        .where("status", "==", "open")
+        .orderBy("createdAt", "desc")
+        .limit(QUEUE_MAX_REPORTS)
+        .get();
+
+      // Group reports by post, keeping the newest-first order of first appearance
+      const groups = new Map<string, ReportDoc[]>();
+      for (const d of snap.docs) {
+        const report = d.data() as ReportDoc;
+        const group = groups.get(report.postId);
+        if (group) group.push(report);
+        else if (groups.size < limit) groups.set(report.postId, [report]);
+      }
+
+      const postIds = [...groups.keys()];
+      const postSnaps = postIds.length > 0
+        ? await getDb().getAll(...postIds.map((id) => getDb().collection(POSTS_COLLECTION).doc(id)))
+        : [];
+      const docs = new Map(postSnaps.filter((s) => s.exists).map((s) => [s.id, s.data() as PostDoc]));
+      const mediaMap = await resolveMediaUrls(
+        [...docs.values()].map((doc) => doc.mediaId).filter((id): id is string => !!id)
+      );
+
+      const posts: ReportedPost[] = postIds.map((postId) => {
+        const reports = groups.get(postId) as ReportDoc[];
+        const doc = docs.get(postId);
+        const reasons: Record<string, number> = {};
+        for (const report of reports) reasons[report.reason] = (reasons[report.reason] || 0) + 1;
+        return {
+          postId,
+          post: doc ? toReviewPost(doc, doc.mediaId ? mediaMap.get(doc.mediaId) : undefined) : null,
+          reportCount: doc?.moderation?.reportCount || reports.length,
+          reasons,
+          details: reports.map((report) => report.details).filter(Boolean),
+          lastReportedAt: reports[0].createdAt,
+          hidden: doc ? isHiddenByModeration(doc) : true
+        };
+      });
+
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ posts });
+    })
+  );
+
+  /**
+   * POST /api/reports/:postId/resolve (moderator)
+   * Body: { action: "approve" | "remove" }
+   *
+   * approve keeps the post visible whatever its report count; remove hides it
+   * for good. Closes the post's open reports either way.
+   * Returns: { postId, status, resolved } (resolved = reports closed)
+   */
+  router.post(
+    "/reports/:postId/resolve",
+    moderator,
+    asyncHandler(async (req, res) => {
+      const postId = String(req.params.postId || "");
+      const action = (req.body || {}).action;
+      if (action !== "approve" && action !== "remove") {
+        return res.status(400).json({ error: { code: "invalid_request", message: "action must be approve or remove" } });
+      }
+
+      const db = getDb();
+      const postRef = db.collection(POSTS_COLLECTION).doc(postId);
+      if (!(await postRef.get()).exists) {
+        return res.status(404).json({ error: { code: "not_found", message: "post not found" } });
+      }
+
+      const status = action === "approve" ? "approved" : "removed";
+      const now = new Date().toISOString();
+      const open = await db
+        .collection(REPORTS_COLLECTION)
+        .where("postId", "==", postId)
+        .where("status", "==", "open")
+        .get();
+
+      const batch = db.batch();
+      batch.update(postRef, { "moderation.status": status, "moderation.reviewedAt": now });
+      for (const d of open.docs) batch.update(d.ref, { status, resolvedAt: now });
+      await batch.commit();
+
+      return res.status(200).json({ postId, status, resolved: open.size });
+    })
+  );
+
+  return router;
+}
@@ -2,123 +2,16 @@ import { Router } from "express";
 import { getDb } from "../firestore.js";
 import type { PostDoc, PublicPost, MediaInfo, SearchRequest } from "../types.js";
 import { asyncHandler } from "../util/http.js";
-import { clampInt, parseH3List } from "../util/h3.js";
+import { isHiddenByModeration } from "../util/moderation.js";
+import { resolveMediaUrls, toPublicPost, withShownContent } from "../util/posts.js";
+import { clampInt, getH3Field, getH3Key, parseH3List, uncompactH3List } from "../util/h3.js";
+import { combineQuery, matchesQuery, planQuery, sanitizeQuery, usesField } from "../util/query.js";
+import { applyTimeRange, parseTimeRange } from "../util/time.js";
 
 const POSTS_COLLECTION = "posts";
-const MEDIA_COLLECTION = "postMedia";
-
-/**
- * Media document structure from loxation-server postMedia collection
- */
-type MediaDoc = {
-  mediaId: string;
-  type: 'image' | 'video' | 'live';
-  publicUrl: string;
-  variants?: {
-    thumbnail?: string;
-    medium?: string;
-    large?: string;
-    public?: string;
-  };
-  thumbnail?: string;
-  iframe?: string;
-  status?: string;
-  duration?: number;
-  title?: string;  // Live stream title
-};
-
-/**
- * Resolve media URLs for a batch of mediaIds
- */
-async function resolveMediaUrls(mediaIds: string[]): Promise<Map<string, MediaInfo>> {
-  const result = new Map<string, MediaInfo>();
-  if (mediaIds.length === 0) return result;
-
-  const db = getDb();
-  const uniqueIds = [...new Set(mediaIds.filter(Boolean))];
-  
-  if (uniqueIds.length === 0) return result;
-  
-  try {
-    const mediaRefs = uniqueIds.map(id => db.collection(MEDIA_COLLECTION).doc(id));
-    const snapshots = await db.getAll(...mediaRefs);
-    
-    for (let i = 0; i < snapshots.length; i++) {
-      const snap = snapshots[i];
-      if (!snap.exists) continue;
-      
-      const data = snap.data() as MediaDoc;
-      const docId = snap.id;
-      
-      if (data.type === 'image') {
-        result.set(docId, {
-          type: 'image',
-          thumbnail: data.variants?.thumbnail,
-          medium: data.variants?.medium,
-          large: data.variants?.large,
-          public: data.publicUrl || data.variants?.public,
-        });
-      } else if (data.type === 'video') {
-        result.set(docId, {
-          type: 'video',
-          thumbnail: data.thumbnail,
-          stream: data.publicUrl,
-          duration: data.duration,
-        });
-      } else if (data.type === 'live') {
-        // For live streams, use publicUrl which is updated by iOS client via /broadcast-started
-        // After broadcast starts, publicUrl contains the correct Video Output UID URL
-        result.set(docId, {
-          type: 'live',
-          stream: data.publicUrl,  // HLS manifest URL (updated when broadcast starts)
-          status: data.status as 'created' | 'live' | 'ended',
-          title: data.title,
-        });
-      }
-    }
-  } catch (err) {
-    console.error('[search resolveMediaUrls] Error resolving media URLs:', err);
-  }
-  
-  return result;
-}
-
-function toPublicPost(doc: PostDoc, mediaInfo?: MediaInfo): PublicPost | null {
-  const username = typeof doc.username === "string" ? doc.username.trim() : null;
-  const hasIdentityLink = doc.replyLinkHandle && doc.replyLinkEntropy;
-
-  // Must have either username OR identity link to be replyable
-  if (!username && !hasIdentityLink) return null;
-  if (typeof doc.messageId !== "string" || doc.messageId.trim() === "") return null;
-  if (typeof doc.time !== "string" || doc.time.trim() === "") return null;
-  if (typeof doc.content !== "string") return null;
-
-  return {
-    username: username || null,
-    messageId: doc.messageId,
-    time: doc.time,
-    content: doc.content,
-    contentType: doc.contentType || 'text/plain',
-    media: mediaInfo,
-    geolocatorH3: doc.geolocator?.h3_res7,
-    accuracyM: doc.geolocator?.accuracyM,
-    // Include identity link fields for anonymous posts
-    replyLinkHandle: doc.replyLinkHandle || null,
-    replyLinkEntropy: doc.replyLinkEntropy || null,
-    displayName: doc.displayName || null
-  };
-}
 
-/**
- * Get the Firestore field name for a given H3 resolution
- * Server stores only: h3_res6 (~36km²), h3_res7 (~5km²)
- * Note: The redundant "h3" field was removed from loxation-server
- */
-function getH3Field(resolution: number): string {
-  if (resolution === 6) return "geolocator.h3_res6";
-  // Default to h3_res7 for resolution 7 or any other value
-  return "geolocator.h3_res7";
-}
+// Cells searched after expanding a compacted location (same cap as the feed)
+const SEARCH_MAX_CELLS = 200;
 
 export function buildSearchRouter(): Router {
   const router = Router();
@@ -267,7 +160,9 @@ export function buildSearchRouter(): Router {
       const matchedDocs: PostDoc[] = [];
       const seen = new Set<string>();
       for (const docSnap of candidates.docs) {
-        const data = docSnap.data() as PostDoc;
+        // Match what the response would show: redacted content, no posts the policy hides
+        const data = withShownContent(docSnap.data() as PostDoc);
+        if (!data) continue;
         
         // Basic validation - must have username
         const username = typeof data.username === "string" ? data.username.trim() : "";
@@ -275,6 +170,8 @@ export function buildSearchRouter(): Router {
         if (typeof data.messageId !== "string" || data.messageId.trim() === "") continue;
         if (typeof data.time !== "string" || data.time.trim() === "") continue;
         if (typeof data.content !== "string") continue;
+        // Hidden posts would be dropped later; skip them before they count toward the limit
+        if (isHiddenByModeration(data)) continue;
 
         // For regular search (not @username), apply substring filter
         if (!isUsernameSearch) {
@@ -313,7 +210,11 @@ export function buildSearchRouter(): Router {
    * POST /api/search
    *
    * Structured search with parsed query entities.
-   * Body: SearchRequest { hashtags?, mentions?, text?, location?, limit?, maxScan? }
+   * Body: SearchRequest { hashtags?, mentions?, text?, phrases?, user?, name?, mediaTypes?,
+   *                       hasLocation?, query?, timeRange?, location?, limit?, maxScan? }
+   *
+   * `query` is a boolean tree (and / or / not over hashtag, mention, phrase, field
+   * and text terms) for exclusions and disjunctions, e.g. `(#coffee OR #tea) -@bot`.
    */
   router.post(
     "/search",
@@ -323,41 +224,142 @@ export function buildSearchRouter(): Router {
       const hashtags = Array.isArray(body.hashtags) ? body.hashtags.filter(h => typeof h === 'string' && h.length > 0) : [];
       const mentions = Array.isArray(body.mentions) ? body.mentions.filter(m => typeof m === 'string' && m.length > 0) : [];
       const text = typeof body.text === 'string' ? body.text.trim().toLowerCase() : null;
-      const location = body.location?.h3Cells?.length ? body.location : null;
+      const timeRange = parseTimeRange(body.timeRange?.since, body.timeRange?.until);
 
       const limit = clampInt(body.limit, 50, 1, 100);
       const maxScan = clampInt(body.maxScan, 500, 50, 2000);
 
+      // Location cells may be a compacted set (e.g. a drawn polygon); expand to the searched resolution
+      let searchLocation: { name?: string; h3Cells: string[]; resolution: number } | null = null;
+      if (Array.isArray(body.location?.h3Cells) && body.location.h3Cells.length > 0) {
+        const resolution = clampInt(String(body.location.resolution), 7, 6, 9);
+        const cells = parseH3List(
+          body.location.h3Cells.filter((c) => typeof c === "string").join(","),
+          SEARCH_MAX_CELLS
+        );
+        const h3Cells = uncompactH3List(cells, resolution, SEARCH_MAX_CELLS);
+        if (!h3Cells) {
+          return res.status(400).json({
+            error: {
+              code: "too_many_cells",
+              message: `location expands to more than ${SEARCH_MAX_CELLS} cells at resolution ${resolution}`
+            }
+          });
+        }
+        if (h3Cells.length > 0) {
+          searchLocation = { name: body.location.name, h3Cells, resolution };
+        }
+      }
+      const location = searchLocation;
+
+      // Boolean query (OR / exclusions / groups) from the client's query AST.
+      // Terms that can't be used are reported rather than dropped, which would search for something else.
+      const problems: string[] = [];
+      const booleanQuery = body.query !== undefined && body.query !== null ? sanitizeQuery(body.query, problems) : null;
+
+      // Flat filter fields are implicitly ANDed with the boolean query
+      const phrases = Array.isArray(body.phrases) ? body.phrases : [];
+      const mediaTypes = Array.isArray(body.mediaTypes) ? body.mediaTypes : [];
+      const query = combineQuery("and", [
+        ...hashtags.map(h => sanitizeQuery({ type: 'hashtag', value: h }, problems)),
+        ...mentions.map(m => sanitizeQuery({ type: 'mention', value: m }, problems)),
+        text ? sanitizeQuery({ type: 'text', value: text }, problems) : null,
+        ...phrases.map(p => sanitizeQuery({ type: 'phrase', value: p }, problems)),
+        body.user ? sanitizeQuery({ type: 'field', field: 'user', value: body.user }, problems) : null,
+        body.name ? sanitizeQuery({ type: 'field', field: 'name', value: body.name }, problems) : null,
+        combineQuery("or", mediaTypes.map(t => sanitizeQuery({ type: 'field', field: 'media', value: t }, problems))),
+        body.hasLocation === true ? sanitizeQuery({ type: 'field', field: 'has', value: 'location' }, problems) : null,
+        booleanQuery
+      ]);
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: { code: "invalid_query", message: problems.join("; ") }
+        });
+      }
+
       // Must have at least one filter
-      if (hashtags.length === 0 && mentions.length === 0 && !text && !location) {
+      if (!query && !location && !timeRange) {
         return res.status(400).json({
-          error: { code: "invalid_request", message: "At least one search filter required (hashtags, mentions, text, or location)" }
+          error: { code: "invalid_request", message: "At least one search filter required (hashtags, mentions, text, query, timeRange, or location)" }
         });
       }
 
       const db = getDb();
-      const hasHashtag = hashtags.length > 0;
-      const hasMention = mentions.length > 0;
+      const plan = planQuery(query);
+
+      // Every candidate query below is bounded by the requested time range
+      const postsInRange = applyTimeRange(db.collection(POSTS_COLLECTION), timeRange);
+
+      // Indexed hashtag filter: a required hashtag, else a required "#a OR #b" group
+      const hashtagFilter: { op: FirebaseFirestore.WhereFilterOp; value: string | string[] } | null =
+        plan.hashtags.length > 0
+          ? { op: 'array-contains', value: plan.hashtags[0] }
+          : plan.anyHashtags.length > 0
+            ? { op: 'array-contains-any', value: plan.anyHashtags }
+            : null;
+
+      const hasMention = plan.mentions.length > 0;
       const hasLocation = location !== null;
-      const hasText = text !== null && text.length >= 2;
 
       let candidates: PostDoc[] = [];
       const inMemoryFilters: ((doc: PostDoc) => boolean)[] = [];
 
       // Determine query strategy based on available filters
-      // Priority: hashtag (most selective) > mention > location > text scan
+      // Priority: user: (username ==) > hashtag > mention > location > text scan
+      // The full boolean query is always re-checked in memory afterwards.
 
-      if (hasHashtag && hasLocation) {
-        // Use composite query: hashtags array-contains + h3 == (per cell)
+      if (plan.user) {
+        // Author search - username equality, optionally within H3 cells
+        if (hasLocation) {
+          // Use composite index: username + h3 + time (10 cells per 'in' query)
+          const h3Field = getH3Field(location.resolution);
+          const chunks: string[][] = [];
+          for (let i = 0; i < location.h3Cells.length; i += 10) {
+            chunks.push(location.h3Cells.slice(i, i + 10));
+          }
+
+          const concurrency = 5;
+          for (let i = 0; i < chunks.length; i += concurrency) {
+            const batch = chunks.slice(i, i + concurrency);
+            try {
+              const snaps = await Promise.all(
+                batch.map(chunk =>
+                  postsInRange
+                    .where('username', '==', plan.user)
+                    .where(h3Field, 'in', chunk)
+                    .orderBy('time', 'desc')
+                    .limit(Math.ceil(maxScan / chunks.length))
+                    .get()
+                )
+              );
+              for (const snap of snaps) {
+                for (const doc of snap.docs) {
+                  candidates.push(doc.data() as PostDoc);
+                }
+              }
+            } catch (err) {
+              console.error(`[search POST] username+h3 query error:`, err);
+            }
+          }
+        } else {
+          const snap = await postsInRange
+            .where('username', '==', plan.user)
+            .orderBy('time', 'desc')
+            .limit(maxScan)
+            .get();
+          candidates = snap.docs.map(d => d.data() as PostDoc);
+        }
+
+      } else if (hashtagFilter && hasLocation) {
+        // Use composite query: hashtags array-contains(-any) + h3 == (per cell)
         const h3Field = getH3Field(location.resolution);
-        const h3FieldKey = location.resolution === 6 ? 'h3_res6' : 'h3_res7';
-        const primaryHashtag = hashtags[0].toLowerCase();
         const perCellLimit = Math.ceil(maxScan / Math.min(location.h3Cells.length, 50));
 
         // Query each H3 cell separately (array-contains + == is allowed, but array-contains + in is NOT)
         const cellPromises = location.h3Cells.slice(0, 50).map(cell =>
-          db.collection(POSTS_COLLECTION)
-            .where('entities.hashtags', 'array-contains', primaryHashtag)
+          postsInRange
+            .where('entities.hashtags', hashtagFilter.op, hashtagFilter.value)
             .where(h3Field, '==', cell)
             .orderBy('time', 'desc')
             .limit(perCellLimit)
@@ -375,50 +377,19 @@ export function buildSearchRouter(): Router {
           }
         }
 
-        // Filter additional hashtags in memory
-        if (hashtags.length > 1) {
-          const extraHashtags = hashtags.slice(1).map(h => h.toLowerCase());
-          inMemoryFilters.push(doc =>
-            extraHashtags.every(h => doc.entities?.hashtags?.includes(h))
-          );
-        }
-
-        // Filter mentions in memory
-        if (hasMention) {
-          inMemoryFilters.push(doc =>
-            mentions.every(m => doc.entities?.mentions?.includes(m))
-          );
-        }
-
-      } else if (hasHashtag) {
-        // Query by first hashtag
-        const primaryHashtag = hashtags[0].toLowerCase();
-        const snap = await db.collection(POSTS_COLLECTION)
-          .where('entities.hashtags', 'array-contains', primaryHashtag)
+      } else if (hashtagFilter) {
+        // Query by first required hashtag (or any of a hashtag OR-group)
+        const snap = await postsInRange
+          .where('entities.hashtags', hashtagFilter.op, hashtagFilter.value)
           .orderBy('time', 'desc')
           .limit(maxScan)
           .get();
         candidates = snap.docs.map(d => d.data() as PostDoc);
 
-        // Filter additional hashtags in memory
-        if (hashtags.length > 1) {
-          const extraHashtags = hashtags.slice(1).map(h => h.toLowerCase());
-          inMemoryFilters.push(doc =>
-            extraHashtags.every(h => doc.entities?.hashtags?.includes(h))
-          );
-        }
-
-        // Filter mentions in memory
-        if (hasMention) {
-          inMemoryFilters.push(doc =>
-            mentions.every(m => doc.entities?.mentions?.includes(m))
-          );
-        }
-
         // Filter location in memory
         if (hasLocation) {
           const h3Set = new Set(location.h3Cells);
-          const h3FieldKey = location.resolution === 6 ? 'h3_res6' : 'h3_res7';
+          const h3FieldKey = getH3Key(location.resolution);
           inMemoryFilters.push(doc => {
             const docH3 = doc.geolocator?.[h3FieldKey];
             return docH3 ? h3Set.has(docH3) : false;
@@ -426,27 +397,19 @@ export function buildSearchRouter(): Router {
         }
 
       } else if (hasMention) {
-        // Query by first mention (case-sensitive)
-        const primaryMention = mentions[0];
-        const snap = await db.collection(POSTS_COLLECTION)
+        // Query by first required mention (case-sensitive)
+        const primaryMention = plan.mentions[0];
+        const snap = await postsInRange
           .where('entities.mentions', 'array-contains', primaryMention)
           .orderBy('time', 'desc')
           .limit(maxScan)
           .get();
         candidates = snap.docs.map(d => d.data() as PostDoc);
 
-        // Filter additional mentions in memory
-        if (mentions.length > 1) {
-          const extraMentions = mentions.slice(1);
-          inMemoryFilters.push(doc =>
-            extraMentions.every(m => doc.entities?.mentions?.includes(m))
-          );
-        }
-
         // Filter location in memory
         if (hasLocation) {
           const h3Set = new Set(location.h3Cells);
-          const h3FieldKey = location.resolution === 6 ? 'h3_res6' : 'h3_res7';
+          const h3FieldKey = getH3Key(location.resolution);
           inMemoryFilters.push(doc => {
             const docH3 = doc.geolocator?.[h3FieldKey];
             return docH3 ? h3Set.has(docH3) : false;
@@ -468,7 +431,7 @@ export function buildSearchRouter(): Router {
           try {
             const snaps = await Promise.all(
               batch.map(chunk =>
-                db.collection(POSTS_COLLECTION)
+                postsInRange
                   .where(h3Field, 'in', chunk)
                   .orderBy('time', 'desc')
                   .limit(Math.ceil(maxScan / chunks.length))
@@ -487,20 +450,26 @@ export function buildSearchRouter(): Router {
         candidates = docs;
 
       } else {
-        // Text-only search - scan recent posts
-        const snap = await db.collection(POSTS_COLLECTION)
+        // Text-only (or exclusion-only) search - scan recent posts
+        const snap = await postsInRange
           .orderBy('time', 'desc')
           .limit(maxScan)
           .get();
         candidates = snap.docs.map(d => d.data() as PostDoc);
       }
 
-      // Always apply text filter if present
-      if (hasText) {
-        inMemoryFilters.push(doc => {
-          const hay = `${doc.username || ''} ${doc.content}`.toLowerCase();
-          return hay.includes(text);
-        });
+      // Filter on what the response would show: redacted content, no posts the policy hides
+      candidates = candidates.map(withShownContent).filter((doc): doc is PostDoc => doc !== null);
+
+      // media:* terms need each candidate's media type, which lives on the postMedia doc
+      const needsMedia = usesField(query, 'media');
+      const candidateMedia = needsMedia
+        ? await resolveMediaUrls(candidates.filter(doc => doc.mediaId).map(doc => doc.mediaId as string))
+        : new Map<string, MediaInfo>();
+
+      // Always apply the full query: remaining terms, phrases, fields, OR groups and exclusions
+      if (query) {
+        inMemoryFilters.push(doc => matchesQuery(query, doc, candidateMedia));
       }
 
       // Apply in-memory filters
@@ -521,6 +490,8 @@ export function buildSearchRouter(): Router {
         if (typeof doc.messageId !== 'string' || !doc.messageId.trim()) continue;
         if (typeof doc.time !== 'string' || !doc.time.trim()) continue;
         if (typeof doc.content !== 'string') continue;
+        // Hidden posts would be dropped later; skip them before they count toward the limit
+        if (isHiddenByModeration(doc)) continue;
 
         const key = `${username || doc.replyLinkHandle}:${doc.messageId}:${doc.time}`;
         if (seen.has(key)) continue;
@@ -529,11 +500,11 @@ export function buildSearchRouter(): Router {
         if (matchedDocs.length >= limit) break;
       }
 
-      // Resolve media URLs
+      // Resolve media URLs (already done for every candidate when filtering by media type)
       const mediaIds = matchedDocs
         .filter(doc => doc.mediaId)
         .map(doc => doc.mediaId as string);
-      const mediaMap = await resolveMediaUrls(mediaIds);
+      const mediaMap = needsMedia ? candidateMedia : await resolveMediaUrls(mediaIds);
 
       // Convert to PublicPost
       const matches: PublicPost[] = [];
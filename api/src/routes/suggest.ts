@@ -0,0 +1,112 @@
+import { Router } from "express";
+import { getDb } from "../firestore.js";
+import type { PostDoc } from "../types.js";
+import { asyncHandler } from "../util/http.js";
+import { clampInt, getH3Field, parseH3List } from "../util/h3.js";
+
+const POSTS_COLLECTION = "posts";
+
+// Recent posts scanned per request; suggestions favour what people post about now
+const SUGGEST_SCAN = 300;
+
+/**
+ * Fetch only the entities of recent posts, optionally within H3 cells.
+ */
+async function scanRecentEntities(h3Cells: string[], h3Field: string): Promise<PostDoc["entities"][]> {
+  const db = getDb();
+
+  if (h3Cells.length === 0) {
+    const snap = await db
+      .collection(POSTS_COLLECTION)
+      .orderBy("time", "desc")
+      .limit(SUGGEST_SCAN)
+      .select("entities")
+      .get();
+    return snap.docs.map((d) => (d.data() as PostDoc).entities);
+  }
+
+  const chunks: string[][] = [];
+  for (let i = 0; i < h3Cells.length; i += 10) chunks.push(h3Cells.slice(i, i + 10));
+
+  const out: PostDoc["entities"][] = [];
+  const snaps = await Promise.all(
+    chunks.map((chunk) =>
+      db
+        .collection(POSTS_COLLECTION)
+        .where(h3Field, "in", chunk)
+        .orderBy("time", "desc")
+        .limit(Math.ceil(SUGGEST_SCAN / chunks.length))
+        .select("entities")
+        .get()
+        .catch((err) => {
+          console.error(`[suggest] Firestore query error on ${h3Field}:`, err);
+          return { docs: [] };
+        })
+    )
+  );
+  for (const snap of snaps) {
+    for (const d of snap.docs) out.push((d.data() as PostDoc).entities);
+  }
+  return out;
+}
+
+export function buildSuggestRouter(): Router {
+  const router = Router();
+
+  /**
+   * GET /api/suggest?type=hashtag|mention&prefix=cof
+   * Optional:
+   * - h3: comma-separated H3 cells (max 50) to rank by local usage
+   * - resolution: 6..9 (default 7)
+   * - limit: 1..20 (default 8)
+   *
+   * Autocomplete for the search box. Counts entities.hashtags / entities.mentions
+   * starting with the prefix (case-insensitive) over a bounded scan of recent posts.
+   * Returns: { suggestions: [{ value, count }] } ordered by count.
+   */
+  router.get(
+    "/suggest",
+    asyncHandler(async (req, res) => {
+      const type = req.query.type;
+      if (type !== "hashtag" && type !== "mention") {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "type must be hashtag or mention" }
+        });
+      }
+
+      const prefix = typeof req.query.prefix === "string" ? req.query.prefix.trim() : "";
+      if (!/^[a-zA-Z0-9_]{0,50}$/.test(prefix)) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "prefix must be up to 50 letters, digits or underscores" }
+        });
+      }
+
+      const limit = clampInt(req.query.limit, 8, 1, 20);
+      const resolution = clampInt(req.query.resolution, 7, 6, 9);
+      const h3Cells = parseH3List(req.query.h3, 50);
+
+      const entities = await scanRecentEntities(h3Cells, getH3Field(resolution));
+
+      const needle = prefix.toLowerCase();
+      const counts = new Map<string, number>();
+      for (const e of entities) {
+        const values = type === "hashtag" ? e?.hashtags : e?.mentions;
+        if (!Array.isArray(values)) continue;
+        for (const v of values) {
+          if (typeof v !== "string" || !v.toLowerCase().startsWith(needle)) continue;
+          counts.set(v, (counts.get(v) || 0) + 1);
+        }
+      }
+
+      const suggestions = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([value, count]) => ({ value, count }));
+
+      res.setHeader("Cache-Control", "public, max-age=60");
+      return res.status(200).json({ suggestions });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,155 @@
+import { Router } from "express";
+import { getDb } from "../firestore.js";
+import type { PostDoc, TimeRange } from "../types.js";
+import { asyncHandler } from "../util/http.js";
+import { clampInt, getH3Field, parseH3List, uncompactH3List } from "../util/h3.js";
+import { isHiddenByModeration } from "../util/moderation.js";
+import { applyTimeRange } from "../util/time.js";
+
+const POSTS_COLLECTION = "posts";
+
+// Posts scanned per window (the current one and the one before are read separately)
+const TRENDS_SCAN = 1000;
+// Same cap as the feed, so any feed location (drawn areas included) has trends
+const TRENDS_MAX_CELLS = 200;
+
+type Trend = {
+  value: string;     // Lowercase hashtag
+  count: number;     // Posts using it in the current window
+  previous: number;  // Posts using it in the window before
+};
+
+type ScannedPost = Pick<PostDoc, "time" | "entities" | "moderation">;
+
+/**
+ * Fetch time, entities and moderation of the newest TRENDS_SCAN posts in a
+ * time range, optionally within H3 cells.
+ */
+async function scanWindow(
+  range: TimeRange,
+  h3Cells: string[],
+  h3Field: string
+): Promise<ScannedPost[]> {
+  const db = getDb();
+  const posts = applyTimeRange(db.collection(POSTS_COLLECTION), range);
+
+  if (h3Cells.length === 0) {
+    const snap = await posts
+      .orderBy("time", "desc")
+      .limit(TRENDS_SCAN)
+      .select("time", "entities", "moderation")
+      .get();
+    return snap.docs.map((d) => d.data() as PostDoc);
+  }
+
+  const chunks: string[][] = [];
+  for (let i = 0; i < h3Cells.length; i += 10) chunks.push(h3Cells.slice(i, i + 10));
+
+  const out: ScannedPost[] = [];
+  const concurrency = 5;
+  for (let i = 0; i < chunks.length; i += concurrency) {
+    const batch = chunks.slice(i, i + concurrency);
+    const snaps = await Promise.all(
+      batch.map((chunk) =>
+        posts
+          .where(h3Field, "in", chunk)
+          .orderBy("time", "desc")
+          .limit(Math.ceil(TRENDS_SCAN / chunks.length))
+          .select("time", "entities", "moderation")
+          .get()
+          .catch((err) => {
+            console.error(`[trends] Firestore query error on ${h3Field}:`, err);
+            return { docs: [] };
+          })
+      )
+    );
+    for (const snap of snaps) {
+      for (const d of snap.docs) out.push(d.data() as PostDoc);
+    }
+  }
+  return out;
+}
+
+export function buildTrendsRouter(): Router {
+  const router = Router();
+
+  /**
+   * GET /api/trends
+   * Optional:
+   * - h3: comma-separated H3 cells (may be compacted, like /api/feed); omit for site-wide trends
+   * - resolution: 6..9 (default 7)
+   * - hours: window length, 1..168 (default 24)
+   * - limit: 1..50 (default 10)
+   *
+   * Hashtags counted over posts in the last `hours`, ending now, next to their
+   * count in the window before it so clients can show what is rising. Posts
+   * with the same tag twice count once, and posts hidden by moderation not at
+   * all. Reads the newest TRENDS_SCAN posts of each window, so busy areas are
+   * counted over a sample.
+   * Returns: { trends: [{ value, count, previous }], since, until, hours, scanned }
+   */
+  router.get(
+    "/trends",
+    asyncHandler(async (req, res) => {
+      const resolution = clampInt(req.query.resolution, 7, 6, 9);
+      const hours = clampInt(req.query.hours, 24, 1, 168);
+      const limit = clampInt(req.query.limit, 10, 1, 50);
+
+      const h3Cells = uncompactH3List(parseH3List(req.query.h3, TRENDS_MAX_CELLS), resolution, TRENDS_MAX_CELLS);
+      if (!h3Cells) {
+        return res.status(400).json({
+          error: {
+            code: "too_many_cells",
+            message: `h3 expands to more than ${TRENDS_MAX_CELLS} cells at resolution ${resolution}`
+          }
+        });
+      }
+
+      // The window slides with the clock; minute precision keeps the edge cache useful
+      const windowMs = hours * 3_600_000;
+      const untilMs = Math.floor(Date.now() / 60_000) * 60_000;
+      const until = new Date(untilMs).toISOString();
+      const since = new Date(untilMs - windowMs).toISOString();
+      const previousSince = new Date(untilMs - 2 * windowMs).toISOString();
+
+      // Each window gets its own sample, so a busy current window can't crowd out the previous one
+      const h3Field = getH3Field(resolution);
+      const [currentDocs, previousDocs] = await Promise.all([
+        scanWindow({ since, until }, h3Cells, h3Field),
+        scanWindow({ since: previousSince, until: since }, h3Cells, h3Field)
+      ]);
+
+      const counts = new Map<string, Trend>();
+      const countWindow = (docs: ScannedPost[], current: boolean) => {
+        for (const doc of docs) {
+          if (isHiddenByModeration(doc as PostDoc)) continue;
+          const tags = Array.isArray(doc.entities?.hashtags) ? doc.entities.hashtags : [];
+          for (const tag of new Set(tags)) {
+            if (typeof tag !== "string" || tag === "") continue;
+            const trend = counts.get(tag) || { value: tag, count: 0, previous: 0 };
+            if (current) trend.count++;
+            else trend.previous++;
+            counts.set(tag, trend);
+          }
+        }
+      };
+      countWindow(currentDocs, true);
+      countWindow(previousDocs, false);
+
+      // Busiest first; among equals, the ones growing fastest
+      const trends = [...counts.values()]
+        .filter((t) => t.count > 0)
+        .sort((a, b) =>
+          b.count - a.count ||
+          (b.count - b.previous) - (a.count - a.previous) ||
+          a.value.localeCompare(b.value)
+        )
+        .slice(0, limit);
+
+      res.setHeader("Cache-Control", "public, max-age=60");
+      return res.status(200).json({ trends, since, until, hours, scanned: currentDocs.length + previousDocs.length });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,221 @@
+import { Router } from "express";
+import { FieldPath } from "firebase-admin/firestore";
+import { getDb } from "../firestore.js";
+import type { PostDoc, UserPostsRequest, UserSummary } from "../types.js";
+import { asyncHandler } from "../util/http.js";
+import { toPublicPosts } from "../util/posts.js";
+import { clampInt } from "../util/h3.js";
+import { applyTimeRange, parseTimeRange } from "../util/time.js";
+import { decodeFeedCursor, encodeFeedCursor, feedFingerprint, type ChunkPosition } from "../util/cursor.js";
+import { USERNAME_RE } from "../util/query.js";
+
+const POSTS_COLLECTION = "posts";
+
+// Authors per request (the favorites page sends its whole list)
+const MAX_USERNAMES = 100;
+
+// Own posts read for the profile's hashtag and area counts
+const SUMMARY_SCAN = 200;
+const SUMMARY_TOP = 10;
+
+function topCounts(values: Iterable<string>, max: number): { value: string; count: number }[] {
+  const counts = new Map<string, number>();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, max)
+    .map(([value, count]) => ({ value, count }));
+}
+
+export function buildUsersRouter() {
+  const router = Router();
+
+  /**
+   * GET /api/users/:username
+   * Optional:
+   * - limit: posts and mentions returned, 1..50 (default 20)
+   *
+   * Profile summary: the user's recent posts, posts mentioning them, and their
+   * most used hashtags and res7 areas over their last SUMMARY_SCAN posts.
+   * Mentions are stored case-sensitively, so both the given spelling and the
+   * lowercase username are matched (array-contains-any, same index as the
+   * `entities.mentions` array-contains query in POST /api/search).
+   * Returns: UserSummary
+   */
+  router.get(
+    "/users/:username",
+    asyncHandler(async (req, res) => {
+      const raw = String(req.params.username || "").replace(/^@/, "").trim();
+      const username = raw.toLowerCase();
+      if (!USERNAME_RE.test(username)) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "username must be 1-64 letters, digits, '_', '.' or '-'" }
+        });
+      }
+
+      const limit = clampInt(req.query.limit, 20, 1, 50);
+      const db = getDb();
+      const posts = db.collection(POSTS_COLLECTION);
+
+      const [ownSnap, mentionSnap] = await Promise.all([
+        posts
+          .where("username", "==", username)
+          .orderBy("time", "desc")
+          .limit(SUMMARY_SCAN)
+          .get(),
+        posts
+          .where("entities.mentions", "array-contains-any", [...new Set([raw, username])])
+          .orderBy("time", "desc")
+          .limit(limit)
+          .get()
+      ]);
+
+      const ownDocs = ownSnap.docs.map((d) => d.data() as PostDoc);
+      const mentionDocs = mentionSnap.docs
+        .map((d) => d.data() as PostDoc)
+        // Their own posts mentioning themselves are already in `posts`
+        .filter((doc) => doc.username?.trim().toLowerCase() !== username);
+
+      const hashtags = topCounts(
+        ownDocs.flatMap((doc) => (Array.isArray(doc.entities?.hashtags) ? doc.entities.hashtags : [])),
+        SUMMARY_TOP
+      );
+      const areas = topCounts(
+        ownDocs.map((doc) => doc.geolocator?.h3_res7).filter((cell): cell is string => !!cell),
+        SUMMARY_TOP * 2
+      ).map(({ value, count }) => ({ cell: value, count }));
+
+      const summary: UserSummary = {
+        username,
+        posts: await toPublicPosts(ownDocs.slice(0, limit)),
+        mentions: await toPublicPosts(mentionDocs),
+        hashtags,
+        areas,
+        scanned: ownDocs.length
+      };
+
+      res.setHeader("Cache-Control", "public, max-age=30");
+      return res.status(200).json(summary);
+    })
+  );
+
+  /**
+   * POST /api/users/posts
+   *
+   * Posts by several authors merged into one timeline, newest first.
+   * Body: UserPostsRequest { usernames, limit?, since?, until?, cursor? }
+   *
+   * Uses the same `username` + `time` index as `@username` search, with
+   * `username in [...]` (10 per query) instead of one request per author.
+   * Page back by passing nextCursor as `cursor` with the same usernames and
+   * time range; it is null once every author's posts have been read.
+   * Returns: { posts, nextCursor }
+   */
+  router.post(
+    "/users/posts",
+    asyncHandler(async (req, res) => {
+      const body = (req.body ?? {}) as UserPostsRequest;
+
+      if (!Array.isArray(body.usernames)) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "usernames must be an array" }
+        });
+      }
+      // Sorted, so the chunks (and the cursor's positions) don't depend on the order sent
+      const usernames = [
+        ...new Set(
+          body.usernames
+            .filter((u): u is string => typeof u === "string")
+            .map((u) => u.replace(/^@/, "").trim().toLowerCase())
+            .filter((u) => USERNAME_RE.test(u))
+        )
+      ].sort();
+      if (usernames.length === 0) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "usernames has no valid usernames" }
+        });
+      }
+      if (usernames.length > MAX_USERNAMES) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: `at most ${MAX_USERNAMES} usernames per request` }
+        });
+      }
+
+      const limit = clampInt(String(body.limit), 50, 1, 100);
+      const timeRange = parseTimeRange(body.since, body.until);
+
+      const chunks: string[][] = [];
+      for (let i = 0; i < usernames.length; i += 10) chunks.push(usernames.slice(i, i + 10));
+
+      // The cursor holds a read position per chunk, as in GET /api/feed
+      const fingerprint = feedFingerprint([
+        "users",
+        usernames.join(","),
+        timeRange?.since ?? "",
+        timeRange?.until ?? ""
+      ]);
+      let positions: ChunkPosition[] = chunks.map(() => null);
+      if (body.cursor !== undefined) {
+        const decoded = decodeFeedCursor(body.cursor, fingerprint, chunks.length);
+        if (!decoded) {
+          return res.status(400).json({
+            error: { code: "invalid_cursor", message: "cursor is malformed or does not match these usernames" }
+          });
+        }
+        positions = decoded;
+      }
+
+      // Every chunk may hold the newest `limit` posts, so each one reads up to `limit`.
+      // Document ID breaks ties between posts with the same time, so pages never skip or repeat.
+      const db = getDb();
+      const chunkHits: { id: string; doc: PostDoc }[][] = chunks.map(() => []);
+      const pending = chunks.map((_, i) => i).filter((i) => positions[i] !== false);
+      const concurrency = 5;
+      for (let i = 0; i < pending.length; i += concurrency) {
+        const batch = pending.slice(i, i + concurrency);
+        const snaps = await Promise.all(
+          batch.map((c) => {
+            let query = applyTimeRange(db.collection(POSTS_COLLECTION).where("username", "in", chunks[c]), timeRange)
+              .orderBy("time", "desc")
+              .orderBy(FieldPath.documentId(), "desc");
+            const after = positions[c];
+            if (after) query = query.startAfter(after[0], after[1]);
+            return query.limit(limit).get();
+          })
+        );
+        batch.forEach((c, j) => {
+          chunkHits[c] = snaps[j].docs.map((d) => ({ id: d.id, doc: d.data() as PostDoc }));
+        });
+      }
+
+      const hits = chunkHits.flatMap((list, chunk) => list.map((hit) => ({ ...hit, chunk })));
+      hits.sort((a, b) =>
+        a.doc.time < b.doc.time ? 1 : a.doc.time > b.doc.time ? -1 : a.id < b.id ? 1 : a.id > b.id ? -1 : 0
+      );
+
+      // Take the newest `limit`, tracking how far each chunk was consumed
+      const pageDocs = hits.slice(0, limit);
+      const lastTaken: ([string, string] | undefined)[] = chunks.map(() => undefined);
+      const takenCount = chunks.map(() => 0);
+      for (const hit of pageDocs) {
+        lastTaken[hit.chunk] = [hit.doc.time, hit.id];
+        takenCount[hit.chunk]++;
+      }
+      const nextPositions: ChunkPosition[] = positions.map((pos, i) => {
+        if (pos === false) return false;
+        if (chunkHits[i].length < limit && takenCount[i] === chunkHits[i].length) return false;
+        return lastTaken[i] ?? pos;
+      });
+      const nextCursor = nextPositions.every((pos) => pos === false)
+        ? null
+        : encodeFeedCursor(fingerprint, nextPositions);
+
+      const posts = await toPublicPosts(pageDocs.map((hit) => hit.doc));
+
+      res.setHeader("Cache-Control", "public, max-age=10");
+      return res.status(200).json({ posts, nextCursor });
+    })
+  );
+
+  return router;
+}
@@ -9,6 +9,8 @@ export type PostDoc = {
   geolocator?: {
     h3_res6?: string;   // ~36 km² metro-scale
     h3_res7?: string;   // ~5 km² district-scale
+    h3_res8?: string;   // ~0.7 km² neighborhood-scale
+    h3_res9?: string;   // ~0.1 km² block-scale
     accuracyM?: number;
   } | null;
   locationSource?: "device" | "userProvided";
@@ -23,22 +25,100 @@ export type PostDoc = {
     hashtags: string[];   // Lowercase tags
     urls: string[];
   };
+  // Reader reports (POST /api/reports) and the moderator's decision
+  moderation?: {
+    reportCount?: number;               // Distinct reporters
+    lastReportedAt?: string;
+    status?: "approved" | "removed";    // Unset until reviewed
+    reviewedAt?: string;
+  };
+};
+
+// Boolean query tree produced by the web client's search parser
+export type QueryNode =
+  | { type: "and" | "or"; children: QueryNode[] }
+  | { type: "not"; child: QueryNode }
+  | { type: "hashtag" | "mention" | "phrase" | "text"; value: string }
+  | { type: "field"; field: QueryField; value: string };
+
+// field:value search prefixes (media takes one media type per node)
+export type QueryField = "user" | "name" | "media" | "has";
+
+// Bounds on PostDoc.time (ISO timestamps): since inclusive, until exclusive
+export type TimeRange = {
+  since?: string;
+  until?: string;
 };
 
 // Search request body for POST /api/search
 export type SearchRequest = {
   hashtags?: string[];      // Lowercase hashtag values
   mentions?: string[];      // Case-sensitive mention values
-  text?: string;            // Plain text substring search
+  text?: string;            // Plain text: every word must appear
+  phrases?: string[];       // Exact phrases ("red jacket"), matched on word boundaries
+  user?: string;            // Author username (user:)
+  name?: string;            // Display name on anonymous posts (name:)
+  mediaTypes?: MediaInfo['type'][];  // Attached media of any of these types (media:)
+  hasLocation?: boolean;    // Only posts with a resolved location (has:location)
+  query?: QueryNode;        // Boolean query (OR / exclusions), ANDed with the fields above
+  timeRange?: TimeRange;    // since:/until:/within: from the search syntax
   location?: {
     name?: string;          // For logging/debugging
-    h3Cells: string[];      // H3 cell IDs to search within
-    resolution: number;     // H3 resolution (6 or 7)
+    h3Cells: string[];      // H3 cell IDs to search within; may be compacted (cells at resolution or coarser)
+    resolution: number;     // H3 resolution (6..9)
   };
   limit?: number;           // 1-100, default 50
   maxScan?: number;         // 50-2000, default 500
 };
 
+// Response of GET /api/users/:username (profile page)
+export type UserSummary = {
+  username: string;
+  posts: PublicPost[];                          // By the user, newest first
+  mentions: PublicPost[];                       // Mentioning @username, newest first
+  hashtags: { value: string; count: number }[]; // Most used in the scanned posts
+  areas: { cell: string; count: number }[];     // geolocator.h3_res7 cells they post in, busiest first
+  scanned: number;                              // Own posts the hashtags and areas are counted over
+};
+
+// Request body for POST /api/users/posts (merged timeline of several authors)
+export type UserPostsRequest = {
+  usernames: string[];      // Authors to merge, up to 100
+  limit?: number;           // 1-100, default 50
+  since?: string;           // ISO timestamp, inclusive
+  until?: string;           // ISO timestamp, exclusive
+  cursor?: string;          // nextCursor from the previous page
+};
+
+// Why a post was reported
+export type ReportReason = "spam" | "harassment" | "personal_info" | "sexual" | "violence" | "other";
+
+// Request body for POST /api/reports
+export type ReportRequest = {
+  author: string;           // Username, or "~" + replyLinkHandle for anonymous posts (as in /p/ permalinks)
+  messageId: string;
+  reason: ReportReason;
+  details?: string;         // Free text, up to 500 characters
+};
+
+// One post in the moderation queue (GET /api/reports)
+export type ReportedPost = {
+  postId: string;                          // posts document ID, for POST /api/reports/:postId/resolve
+  post: PublicPost | null;                 // null when the post no longer has public fields
+  reportCount: number;
+  reasons: Record<string, number>;         // Open reports by reason
+  details: string[];                       // Reporters' notes, newest first
+  lastReportedAt: string;
+  hidden: boolean;                         // Currently hidden from the feed and search
+};
+
+// Set on postMedia docs by the media scanning pipeline
+export type MediaModeration = {
+  nsfw?: boolean;           // Flagged as sensitive by a reviewer or classifier
+  nsfwScore?: number;       // Classifier confidence, 0-1
+  labels?: string[];        // Classifier labels, for logging
+};
+
 export type MediaInfo = {
   type: 'image' | 'video' | 'live';
   mediaId?: string;  // Included for live streams to call /streaming-url endpoint
@@ -52,6 +132,9 @@ export type MediaInfo = {
   iframe?: string;
   status?: 'created' | 'live' | 'ended';
   title?: string;
+  // Content policy
+  sensitive?: boolean;          // Shown blurred until the reader reveals it
+  moderation?: MediaModeration; // Copied from postMedia for the content policy, which removes it
 };
 
 export type PublicPost = {
@@ -62,6 +145,7 @@ export type PublicPost = {
   contentType?: string;
   media?: MediaInfo;
   geolocatorH3?: string;
+  feedCell?: string;         // Post's cell at the requested feed resolution (feed endpoints only)
   accuracyM?: number;
   // Identity link fields for anonymous posts
   replyLinkHandle?: string | null;
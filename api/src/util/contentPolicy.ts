@@ -0,0 +1,115 @@
+import { getConfig } from "../config.js";
+import type { PublicPost } from "../types.js";
+
+/**
+ * One step of the content policy. Returns the post to show (possibly
+ * rewritten), or null to leave it out of the response.
+ */
+export type ContentPolicy = {
+  name: string;
+  apply(post: PublicPost): PublicPost | null;
+};
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+// Phone numbers need real grouping, so dates, times, scores and digit lists don't match:
+// +country code, area code and two to four digit groups, or a North American
+// area code, exchange and line number
+const PHONE_RE = new RegExp(
+  String.raw`(?<![\w+])(?:` +
+  String.raw`\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,4}` +
+  String.raw`|(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}` +
+  String.raw`)(?!\w)`,
+  "g"
+);
+// Street addresses: house number, street name (optional direction, then one or
+// two capitalized words or an ordinal) and a street type. Abbreviated types
+// also end business and people's names ("2 Guys Pizza Dr"), so they need a
+// house number of two or more digits.
+const STREET_NAME = String.raw`(?:[NSEW]\.?\s+)?(?:\d{1,3}(?:st|nd|rd|th)|[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)`;
+const ADDRESS_RE = new RegExp(
+  String.raw`\b(?:` +
+  String.raw`[1-9]\d{0,5}\s+${STREET_NAME}\s+(?:[Ss]treet|[Aa]venue|[Rr]oad|[Bb]oulevard|[Ll]ane|[Dd]rive|[Cc]ourt|` +
+  String.raw`[Pp]lace|[Tt]errace|[Hh]ighway|[Pp]arkway)\b` +
+  String.raw`|[1-9]\d{1,5}\s+${STREET_NAME}\s+(?:St|Ave|Rd|Blvd|Ln|Dr|Ct|Pl|Hwy|Pkwy)\b\.?` +
+  String.raw`)(?:,?\s*(?:[Aa]pt|[Uu]nit|[Ss]uite|#)\.?\s*[\w-]+)?`,
+  "g"
+);
+
+/**
+ * Phone numbers, email addresses and street addresses in post text are
+ * replaced with placeholders, so posts can't be used to dox people.
+ */
+export const personalInfoPolicy: ContentPolicy = {
+  name: "personal_info",
+  apply(post) {
+    const content = post.content
+      .replace(EMAIL_RE, "[email removed]")
+      .replace(PHONE_RE, "[phone removed]")
+      .replace(ADDRESS_RE, "[address removed]");
+    return content === post.content ? post : { ...post, content };
+  }
+};
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Words and phrases from CONTENT_BLOCKLIST: masked in the text, or the whole
+ * post left out when CONTENT_BLOCKLIST_ACTION=hide.
+ */
+export function blocklistPolicy(terms: string[], action: "mask" | "hide"): ContentPolicy {
+  const pattern = terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "giu")
+    : null;
+
+  return {
+    name: "blocklist",
+    apply(post) {
+      if (!pattern) return post;
+      pattern.lastIndex = 0;
+      if (!pattern.test(post.content)) return post;
+      if (action === "hide") return null;
+      return { ...post, content: post.content.replace(pattern, (term) => "*".repeat(term.length)) };
+    }
+  };
+}
+
+/**
+ * Media whose postMedia `moderation` marks it NSFW (or scores it at or above
+ * NSFW_SCORE_THRESHOLD) is sent with `sensitive: true`; the raw moderation
+ * data never leaves the server.
+ */
+export function sensitiveMediaPolicy(scoreThreshold: number): ContentPolicy {
+  return {
+    name: "sensitive_media",
+    apply(post) {
+      if (!post.media) return post;
+      const { moderation, ...media } = post.media;
+      const sensitive = !!moderation && (moderation.nsfw === true || (moderation.nsfwScore ?? 0) >= scoreThreshold);
+      return { ...post, media: sensitive ? { ...media, sensitive: true } : media };
+    }
+  };
+}
+
+const config = getConfig();
+
+// Applied in order to every post a public route returns
+export const CONTENT_POLICIES: ContentPolicy[] = [
+  blocklistPolicy(config.contentBlocklist, config.contentBlocklistAction),
+  personalInfoPolicy,
+  sensitiveMediaPolicy(config.nsfwScoreThreshold)
+];
+
+/**
+ * Run a post through the content policies
+ * @returns the post as it should be shown, or null when a policy hides it
+ */
+export function applyContentPolicies(post: PublicPost, policies: ContentPolicy[] = CONTENT_POLICIES): PublicPost | null {
+  let current: PublicPost | null = post;
+  for (const policy of policies) {
+    if (!current) break;
+    current = policy.apply(current);
+  }
+  return current;
+}
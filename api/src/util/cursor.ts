@@ -0,0 +1,53 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Per-chunk read position in a paginated feed:
+ * - null: nothing read yet
+ * - [time, docId]: resume after this post
+ * - false: chunk exhausted
+ */
+export type ChunkPosition = null | false | [string, string];
+
+type FeedCursor = {
+  v: 1;
+  f: string;              // fingerprint of the query the cursor belongs to
+  p: ChunkPosition[];     // one entry per H3 chunk, in chunk order
+};
+
+/**
+ * Fingerprint the parts of a feed request a cursor depends on, so a cursor
+ * can't be replayed against a different cell list, resolution or time range.
+ */
+export function feedFingerprint(parts: string[]): string {
+  return createHash("sha256").update(parts.join("|")).digest("base64url").slice(0, 12);
+}
+
+export function encodeFeedCursor(fingerprint: string, positions: ChunkPosition[]): string {
+  const cursor: FeedCursor = { v: 1, f: fingerprint, p: positions };
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/**
+ * Decode an opaque cursor. Returns null if it is malformed or was issued for
+ * a different query (fingerprint or chunk count mismatch).
+ */
+export function decodeFeedCursor(raw: unknown, fingerprint: string, chunkCount: number): ChunkPosition[] | null {
+  if (typeof raw !== "string" || raw.length === 0 || raw.length > 8192) return null;
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  const cursor = parsed as Partial<FeedCursor>;
+  if (!cursor || cursor.v !== 1 || cursor.f !== fingerprint) return null;
+  if (!Array.isArray(cursor.p) || cursor.p.length !== chunkCount) return null;
+
+  const valid = cursor.p.every(
+    (pos) =>
+      pos === null ||
+      pos === false ||
+      (Array.isArray(pos) && pos.length === 2 && typeof pos[0] === "string" && typeof pos[1] === "string")
+  );
+  return valid ? cursor.p : null;
+}
@@ -1,4 +1,4 @@
-import { isValidCell } from "h3-js";
+import { cellToChildrenSize, getResolution, isValidCell, uncompactCells } from "h3-js";
 
 export function parseH3List(param: unknown, max: number): string[] {
   if (typeof param !== "string" || param.trim() === "") return [];
@@ -16,9 +16,48 @@ export function parseH3List(param: unknown, max: number): string[] {
   return out;
 }
 
+/**
+ * Key of a resolution's cell in a post's geolocator (6..9; anything else is 7)
+ * Server stores: h3_res6 (~36km²), h3_res7 (~5km²), h3_res8 (~0.74km²), h3_res9 (~0.11km²)
+ */
+export function getH3Key(resolution: number): "h3_res6" | "h3_res7" | "h3_res8" | "h3_res9" {
+  switch (resolution) {
+    case 6: return "h3_res6";
+    case 8: return "h3_res8";
+    case 9: return "h3_res9";
+    default: return "h3_res7";
+  }
+}
+
+/**
+ * The Firestore field holding a post's cell at a resolution, e.g. "geolocator.h3_res7"
+ */
+export function getH3Field(resolution: number): string {
+  return `geolocator.${getH3Key(resolution)}`;
+}
+
 export function clampInt(value: unknown, fallback: number, min: number, max: number): number {
   const n = typeof value === "string" ? Number.parseInt(value, 10) : NaN;
   if (!Number.isFinite(n)) return fallback;
   return Math.max(min, Math.min(max, n));
 }
 
+
+/**
+ * Expand a compacted cell set (cells at `resolution` or coarser, e.g. from
+ * h3 compactCells on a drawn polygon) to cells at `resolution`, deduplicated.
+ * Cells finer than `resolution` can't be matched against a geolocator field
+ * and are dropped. Returns null if the expanded set would exceed `max` cells.
+ */
+export function uncompactH3List(cells: string[], resolution: number, max: number): string[] | null {
+  const usable = cells.filter((c) => getResolution(c) <= resolution);
+
+  // Size the expansion before materializing it; one res6 cell is 2401 res9 cells
+  let total = 0;
+  for (const c of usable) {
+    total += cellToChildrenSize(c, resolution);
+    if (total > max) return null;
+  }
+
+  return [...new Set(uncompactCells(usable, resolution))];
+}
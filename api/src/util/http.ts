@@ -1,4 +1,9 @@
-import type { RequestHandler } from "express";
+import { timingSafeEqual } from "node:crypto";
+import type { Request, RequestHandler } from "express";
+import { getConfig } from "../config.js";
+
+// Set by the api-proxy worker to PROXY_SECRET
+export const PROXY_SECRET_HEADER = "X-Proxy-Secret";
 
 export function asyncHandler(fn: RequestHandler): RequestHandler {
   return (req, res, next) => {
@@ -6,3 +11,18 @@ export function asyncHandler(fn: RequestHandler): RequestHandler {
   };
 }
 
+/**
+ * The visitor's IP: CF-Connecting-IP when the request carries the api-proxy
+ * worker's PROXY_SECRET, else the connection's address (req.ip). Anyone can
+ * send CF-Connecting-IP to the Cloud Run origin, so it is not trusted alone.
+ */
+export function clientIp(req: Request): string {
+  const forwarded = req.get("CF-Connecting-IP")?.trim();
+  const { proxySecret } = getConfig();
+  if (forwarded && proxySecret) {
+    const expected = Buffer.from(proxySecret);
+    const given = Buffer.from(req.get(PROXY_SECRET_HEADER) || "");
+    if (given.length === expected.length && timingSafeEqual(given, expected)) return forwarded;
+  }
+  return req.ip || "";
+}
@@ -0,0 +1,16 @@
+import { getConfig } from "../config.js";
+import type { PostDoc } from "../types.js";
+
+const { reportHideThreshold } = getConfig();
+
+/**
+ * Whether reader reports keep a post out of public responses: removed by a
+ * moderator, or at the report threshold and not yet approved.
+ */
+export function isHiddenByModeration(doc: PostDoc): boolean {
+  const moderation = doc.moderation;
+  if (!moderation) return false;
+  if (moderation.status === "removed") return true;
+  if (moderation.status === "approved") return false;
+  return (moderation.reportCount || 0) >= reportHideThreshold;
+}
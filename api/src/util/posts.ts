@@ -0,0 +1,172 @@
+import { getDb } from "../firestore.js";
+import type { PostDoc, PublicPost, MediaInfo, MediaModeration } from "../types.js";
+import { isHiddenByModeration } from "./moderation.js";
+import { applyContentPolicies } from "./contentPolicy.js";
+
+const MEDIA_COLLECTION = "postMedia";
+
+// Post identifiers in permalinks and reports (usernames: USERNAME_RE in query.ts)
+// replyLinkHandle is a UUID
+export const HANDLE_RE = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+export const MESSAGE_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Media document structure from loxation-server postMedia collection
+ * Matches the structure created by POST /v1/posts/media/finalize
+ */
+type MediaDoc = {
+  mediaId: string;
+  type: 'image' | 'video' | 'live';
+  publicUrl: string;
+  // Image fields
+  variants?: {
+    thumbnail?: string;
+    medium?: string;
+    large?: string;
+    public?: string;
+  };
+  // Video fields
+  thumbnail?: string;    // video thumbnail URL
+  iframe?: string;       // embeddable player URL
+  status?: string;       // video/live processing status: 'pending' | 'ready' | 'error' | 'created' | 'live' | 'ended'
+  duration?: number;     // video duration in seconds
+  // Live stream fields
+  title?: string;        // live stream title
+  moderation?: MediaModeration;  // Set by media scanning; read by the content policy
+};
+
+/**
+ * Resolve media URLs for a batch of mediaIds
+ * Returns map of mediaId -> MediaInfo
+ */
+export async function resolveMediaUrls(mediaIds: string[]): Promise<Map<string, MediaInfo>> {
+  const result = new Map<string, MediaInfo>();
+  const uniqueIds = [...new Set(mediaIds.filter(Boolean))];
+  if (uniqueIds.length === 0) return result;
+
+  const db = getDb();
+  try {
+    // Batch get all media docs
+    const mediaRefs = uniqueIds.map(id => db.collection(MEDIA_COLLECTION).doc(id));
+    const snapshots = await db.getAll(...mediaRefs);
+
+    for (const snap of snapshots) {
+      if (!snap.exists) continue;
+
+      const data = snap.data() as MediaDoc;
+      // Use snap.id as the key since that's what we queried with
+      const docId = snap.id;
+
+      if (data.type === 'image') {
+        result.set(docId, {
+          type: 'image',
+          thumbnail: data.variants?.thumbnail,
+          medium: data.variants?.medium,
+          large: data.variants?.large,
+          public: data.publicUrl || data.variants?.public,
+        });
+      } else if (data.type === 'video') {
+        // For videos, publicUrl contains the HLS manifest URL
+        result.set(docId, {
+          type: 'video',
+          thumbnail: data.thumbnail,
+          stream: data.publicUrl,  // HLS manifest URL
+          duration: data.duration,
+        });
+      } else if (data.type === 'live') {
+        // For live streams, use publicUrl which is updated by iOS client via /broadcast-started
+        // After broadcast starts, publicUrl contains the correct Video Output UID URL
+        result.set(docId, {
+          type: 'live',
+          stream: data.publicUrl,  // HLS manifest URL (updated when broadcast starts)
+          status: data.status as 'created' | 'live' | 'ended',
+          title: data.title,
+        });
+      } else {
+        console.log(`[resolveMediaUrls] Unknown media type: ${data.type}`);
+      }
+
+      const info = result.get(docId);
+      if (info && data.moderation) info.moderation = data.moderation;
+    }
+  } catch (err) {
+    console.error('[resolveMediaUrls] Error resolving media URLs:', err);
+  }
+
+  return result;
+}
+
+/**
+ * Fields every post response carries, before visibility rules and the content policy
+ */
+function publicFields(doc: PostDoc, mediaInfo?: MediaInfo): PublicPost {
+  const username = typeof doc.username === "string" ? doc.username.trim() : null;
+  return {
+    username: username || null,
+    messageId: doc.messageId,
+    time: doc.time,
+    content: doc.content,
+    contentType: doc.contentType || 'text/plain',
+    media: mediaInfo,
+    geolocatorH3: doc.geolocator?.h3_res7,
+    accuracyM: doc.geolocator?.accuracyM,
+    // Include identity link fields for anonymous posts
+    replyLinkHandle: doc.replyLinkHandle || null,
+    replyLinkEntropy: doc.replyLinkEntropy || null,
+    displayName: doc.displayName || null
+  };
+}
+
+/**
+ * The post as public responses show it, or null if it can't be shown:
+ * not replyable, malformed, hidden by moderation, or hidden by the content policy.
+ */
+export function toPublicPost(doc: PostDoc, mediaInfo?: MediaInfo): PublicPost | null {
+  const username = typeof doc.username === "string" ? doc.username.trim() : null;
+  const hasIdentityLink = doc.replyLinkHandle && doc.replyLinkEntropy;
+
+  // Must have either username OR identity link to be replyable
+  if (!username && !hasIdentityLink) return null;
+  if (typeof doc.messageId !== "string" || doc.messageId.trim() === "") return null;
+  if (typeof doc.time !== "string" || doc.time.trim() === "") return null;
+  if (typeof doc.content !== "string") return null;
+  // Reported past the threshold, or removed by a moderator
+  if (isHiddenByModeration(doc)) return null;
+
+  return applyContentPolicies(publicFields(doc, mediaInfo));
+}
+
+/**
+ * The post with its content as the content policy shows it (redacted or
+ * masked), or null when the policy hides it. Search matches against this, so
+ * a query can't confirm text the response would not show.
+ */
+export function withShownContent(doc: PostDoc): PostDoc | null {
+  if (typeof doc.content !== "string") return doc;
+  const shown = applyContentPolicies(publicFields(doc));
+  if (!shown) return null;
+  return shown.content === doc.content ? doc : { ...doc, content: shown.content };
+}
+
+/**
+ * Resolve media and convert post docs, dropping ones that can't be shown
+ */
+export async function toPublicPosts(docs: PostDoc[]): Promise<PublicPost[]> {
+  const mediaMap = await resolveMediaUrls(docs.map((doc) => doc.mediaId).filter((id): id is string => !!id));
+
+  const posts: PublicPost[] = [];
+  for (const doc of docs) {
+    const pub = toPublicPost(doc, doc.mediaId ? mediaMap.get(doc.mediaId) : undefined);
+    if (pub) posts.push(pub);
+  }
+  return posts;
+}
+
+/**
+ * Public fields of a post for the moderator, including posts hidden by
+ * reports, unredacted and with the media's scan results
+ */
+export function toReviewPost(doc: PostDoc, mediaInfo?: MediaInfo): PublicPost | null {
+  if (typeof doc.messageId !== "string" || typeof doc.time !== "string" || typeof doc.content !== "string") return null;
+  return publicFields(doc, mediaInfo);
+}
@@ -0,0 +1,261 @@
+import type { MediaInfo, PostDoc, QueryField, QueryNode } from "../types.js";
+
+const MAX_QUERY_DEPTH = 8;
+const MAX_QUERY_NODES = 64;
+// Firestore caps array-contains-any at 30 values
+const MAX_ANY_HASHTAGS = 30;
+
+export const HASHTAG_RE = /^[a-z0-9_]{1,50}$/;
+const MENTION_RE = /^[a-zA-Z0-9_]{1,30}$/;
+// Lowercased usernames, wherever a request names an author
+export const USERNAME_RE = /^[a-z0-9_.-]{1,64}$/;
+const MEDIA_TYPES = ["image", "video", "live"];
+
+function normalizeText(value: string): string {
+  return value.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Case-insensitive phrase match that respects word boundaries,
+ * so "red jacket" does not match "bored jackets".
+ */
+function containsPhrase(hay: string, phrase: string): boolean {
+  const pattern = phrase.split(" ").map(escapeRegExp).join("\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${pattern}(?![\\p{L}\\p{N}_])`, "u").test(hay);
+}
+
+/**
+ * Normalize a field:value pair; null when the field or value is not supported.
+ */
+function normalizeField(field: unknown, value: unknown): { field: QueryField; value: string } | null {
+  if (typeof value !== "string") return null;
+  switch (field) {
+    case "user": {
+      const username = value.replace(/^@/, "").toLowerCase();
+      return USERNAME_RE.test(username) ? { field, value: username } : null;
+    }
+    case "name": {
+      const name = normalizeText(value);
+      return name && name.length <= 50 ? { field, value: name } : null;
+    }
+    case "media": {
+      const type = value.toLowerCase();
+      return MEDIA_TYPES.includes(type) ? { field, value: type } : null;
+    }
+    case "has":
+      return value.toLowerCase() === "location" ? { field, value: "location" } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * A term as the user would have typed it, for error messages
+ */
+function describeTerm(node: Record<string, unknown>): string {
+  const value = typeof node.value === "string" ? node.value : JSON.stringify(node.value ?? null);
+  switch (node.type) {
+    case "hashtag": return `#${value}`;
+    case "mention": return `@${value}`;
+    case "phrase": return `"${value}"`;
+    case "field": return `${String(node.field)}:${value}`;
+    default: return value;
+  }
+}
+
+/**
+ * Flatten same-type children, drop empty ones and collapse single-child groups.
+ * Children are null for optional parts the caller left out (invalid terms are
+ * reported by sanitizeQuery, not dropped here).
+ */
+export function combineQuery(type: "and" | "or", children: (QueryNode | null)[]): QueryNode | null {
+  const flat: QueryNode[] = [];
+  for (const child of children) {
+    if (!child) continue;
+    if (child.type === type) flat.push(...child.children);
+    else flat.push(child);
+  }
+  if (flat.length === 0) return null;
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+}
+
+/**
+ * Validate and normalize an untrusted query tree from a request body.
+ * Hashtags, text, phrases and field values are lowercased (mentions keep their case).
+ * Every term that can't be used (invalid value, text or phrase over 80
+ * characters, an empty or/and, a malformed node) is described in `problems`,
+ * so the caller can reject the request naming it instead of searching for less.
+ * Text and phrases under 2 characters are skipped without a problem.
+ * @returns the tree, or null when anything was added to `problems`
+ */
+export function sanitizeQuery(raw: unknown, problems: string[]): QueryNode | null {
+  let nodes = 0;
+  const before = problems.length;
+
+  function visit(value: unknown, depth: number): QueryNode | null {
+    if (depth > MAX_QUERY_DEPTH) {
+      problems.push(`query is nested more than ${MAX_QUERY_DEPTH} levels deep`);
+      return null;
+    }
+    if (++nodes > MAX_QUERY_NODES) {
+      if (nodes === MAX_QUERY_NODES + 1) problems.push(`query has more than ${MAX_QUERY_NODES} terms`);
+      return null;
+    }
+    if (!value || typeof value !== "object") {
+      problems.push("malformed query term");
+      return null;
+    }
+    const node = value as Record<string, unknown>;
+
+    switch (node.type) {
+      case "and":
+      case "or": {
+        // An operator with nothing on one side ("a OR") arrives as an empty group
+        if (!Array.isArray(node.children) || node.children.length === 0) {
+          problems.push(`${node.type.toUpperCase()} needs at least one term`);
+          return null;
+        }
+        return combineQuery(node.type, node.children.map((c) => visit(c, depth + 1)));
+      }
+      case "not": {
+        if (node.child === undefined || node.child === null) {
+          problems.push("- needs a term to exclude");
+          return null;
+        }
+        const child = visit(node.child, depth + 1);
+        return child ? { type: "not", child } : null;
+      }
+      case "hashtag": {
+        const tag = typeof node.value === "string" ? node.value.toLowerCase() : "";
+        if (HASHTAG_RE.test(tag)) return { type: "hashtag", value: tag };
+        problems.push(`invalid hashtag ${describeTerm(node)}`);
+        return null;
+      }
+      case "mention": {
+        if (typeof node.value === "string" && MENTION_RE.test(node.value)) return { type: "mention", value: node.value };
+        problems.push(`invalid mention ${describeTerm(node)}`);
+        return null;
+      }
+      case "text":
+      case "phrase": {
+        if (typeof node.value !== "string") {
+          problems.push(`${node.type} must be a string`);
+          return null;
+        }
+        const text = normalizeText(node.value);
+        // A stray letter while typing ("#coffee a") is skipped, as search always has
+        if (text.length < 2) return null;
+        if (text.length <= 80) return { type: node.type, value: text };
+        problems.push(`${node.type} ${JSON.stringify(node.value)} is longer than 80 characters`);
+        return null;
+      }
+      case "field": {
+        const field = normalizeField(node.field, node.value);
+        if (field) return { type: "field", ...field };
+        problems.push(`unsupported field term ${describeTerm(node)}`);
+        return null;
+      }
+      default:
+        problems.push(`unknown query term type ${JSON.stringify(node.type ?? null)}`);
+        return null;
+    }
+  }
+
+  const query = visit(raw, 0);
+  return problems.length > before ? null : query;
+}
+
+/**
+ * Evaluate a sanitized query tree against a post.
+ * `media` maps mediaId -> resolved media; media:* terms need it (see usesField).
+ */
+export function matchesQuery(node: QueryNode, doc: PostDoc, media?: Map<string, MediaInfo>): boolean {
+  switch (node.type) {
+    case "and":
+      return node.children.every((c) => matchesQuery(c, doc, media));
+    case "or":
+      return node.children.some((c) => matchesQuery(c, doc, media));
+    case "not":
+      return !matchesQuery(node.child, doc, media);
+    case "hashtag":
+      return doc.entities?.hashtags?.includes(node.value) ?? false;
+    case "mention":
+      return doc.entities?.mentions?.includes(node.value) ?? false;
+    case "text": {
+      // Unquoted words may appear anywhere, in any order
+      const hay = `${doc.username || ""} ${doc.content}`.toLowerCase();
+      return node.value.split(" ").every((word) => hay.includes(word));
+    }
+    case "phrase":
+      return containsPhrase(`${doc.username || ""} ${doc.content}`.toLowerCase(), node.value);
+    case "field":
+      switch (node.field) {
+        case "user":
+          return (doc.username || "").trim().toLowerCase() === node.value;
+        case "name":
+          return (doc.displayName || "").toLowerCase().includes(node.value);
+        case "media":
+          return !!doc.mediaId && media?.get(doc.mediaId)?.type === node.value;
+        case "has":
+          return !!(doc.geolocator?.h3_res7 || doc.geolocator?.h3_res6);
+      }
+  }
+}
+
+/**
+ * Whether any term in the tree uses the given field prefix.
+ */
+export function usesField(node: QueryNode | null, field: QueryField): boolean {
+  if (!node) return false;
+  switch (node.type) {
+    case "and":
+    case "or":
+      return node.children.some((c) => usesField(c, field));
+    case "not":
+      return usesField(node.child, field);
+    case "field":
+      return node.field === field;
+    default:
+      return false;
+  }
+}
+
+export type QueryPlan = {
+  hashtags: string[];     // Every match carries all of these
+  anyHashtags: string[];  // Every match carries at least one of these
+  mentions: string[];     // Every match mentions all of these
+  user: string | null;    // Every match is authored by this username
+};
+
+/**
+ * Extract the indexable terms a query requires, so the caller can pick a
+ * selective Firestore query. Everything else is left to matchesQuery.
+ */
+export function planQuery(node: QueryNode | null): QueryPlan {
+  const plan: QueryPlan = { hashtags: [], anyHashtags: [], mentions: [], user: null };
+  if (!node) return plan;
+
+  const conjuncts = node.type === "and" ? node.children : [node];
+  for (const c of conjuncts) {
+    if (c.type === "hashtag") {
+      plan.hashtags.push(c.value);
+    } else if (c.type === "mention") {
+      plan.mentions.push(c.value);
+    } else if (c.type === "field" && c.field === "user" && plan.user === null) {
+      plan.user = c.value;
+    } else if (
+      c.type === "or" &&
+      plan.anyHashtags.length === 0 &&
+      c.children.length <= MAX_ANY_HASHTAGS &&
+      c.children.every((o) => o.type === "hashtag")
+    ) {
+      plan.anyHashtags = c.children.map((o) => (o as { value: string }).value);
+    }
+  }
+  return plan;
+}
@@ -0,0 +1,30 @@
+import type { TimeRange } from "../types.js";
+
+function parseTimestamp(value: unknown): string | undefined {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : undefined;
+}
+
+/**
+ * Normalize optional since/until bounds to ISO strings; unparseable values are ignored.
+ * Returns null when there is no usable bound.
+ */
+export function parseTimeRange(since: unknown, until: unknown): TimeRange | null {
+  const range: TimeRange = {};
+  const s = parseTimestamp(since);
+  const u = parseTimestamp(until);
+  if (s) range.since = s;
+  if (u) range.until = u;
+  return s || u ? range : null;
+}
+
+/**
+ * Constrain a posts query to a time range. PostDoc.time is an ISO string, so
+ * string comparison orders correctly and reuses the existing `time` indexes.
+ */
+export function applyTimeRange(query: FirebaseFirestore.Query, range: TimeRange | null): FirebaseFirestore.Query {
+  if (range?.since) query = query.where("time", ">=", range.since);
+  if (range?.until) query = query.where("time", "<", range.until);
+  return query;
+}
@@ -0,0 +1,45 @@
+/**
+ * Client identity for report limits and dedupe and the live-stream cap: CF-Connecting-IP only counts
+ * when the api-proxy worker's secret comes with it.
+ * Run from api/: npm test
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type { Request } from "express";
+
+import { clientIp } from "../src/util/http.js";
+import { reporterHash } from "../src/routes/reports.js";
+
+process.env.PROXY_SECRET = "worker-secret";
+
+function request(ip: string, headers: Record<string, string> = {}): Request {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { ip, get: (name: string) => lower[name.toLowerCase()] } as unknown as Request;
+}
+
+test("a forged CF-Connecting-IP changes neither the rate-limit key nor the reporter hash", () => {
+  const direct = request("203.0.113.7");
+  for (const forged of ["198.51.100.1", "198.51.100.2"]) {
+    const req = request("203.0.113.7", { "CF-Connecting-IP": forged });
+    assert.equal(clientIp(req), "203.0.113.7");
+    assert.equal(reporterHash(req, "post1"), reporterHash(direct, "post1"));
+  }
+  const wrongSecret = request("203.0.113.7", { "CF-Connecting-IP": "198.51.100.1", "X-Proxy-Secret": "guess" });
+  assert.equal(clientIp(wrongSecret), "203.0.113.7");
+});
+
+test("the worker's CF-Connecting-IP is used when the secret matches", () => {
+  const viaWorker = (visitor: string) =>
+    request("162.158.0.1", { "CF-Connecting-IP": visitor, "X-Proxy-Secret": "worker-secret" });
+  assert.equal(clientIp(viaWorker("198.51.100.1")), "198.51.100.1");
+  assert.notEqual(reporterHash(viaWorker("198.51.100.1"), "post1"), reporterHash(viaWorker("198.51.100.2"), "post1"));
+});
+
+test("without PROXY_SECRET the header is never trusted", () => {
+  delete process.env.PROXY_SECRET;
+  try {
+    assert.equal(clientIp(request("203.0.113.7", { "CF-Connecting-IP": "198.51.100.1", "X-Proxy-Secret": "" })), "203.0.113.7");
+  } finally {
+    process.env.PROXY_SECRET = "worker-secret";
+  }
+});
@@ -0,0 +1,123 @@
+/**
+ * Content policy: what the personal info rules redact and what they leave alone.
+ * Run from api/: npm test
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  applyContentPolicies,
+  blocklistPolicy,
+  personalInfoPolicy,
+  sensitiveMediaPolicy
+} from "../src/util/contentPolicy.js";
+import type { PublicPost } from "../src/types.js";
+
+function post(content: string, extra: Partial<PublicPost> = {}): PublicPost {
+  return {
+    username: "alice",
+    messageId: "m1",
+    time: "2026-10-16T20:00:00.000Z",
+    content,
+    contentType: "text/plain",
+    replyLinkHandle: null,
+    replyLinkEntropy: null,
+    displayName: null,
+    ...extra
+  };
+}
+
+function redact(content: string): string {
+  return personalInfoPolicy.apply(post(content))!.content;
+}
+
+/** [text, expected after the policy] */
+type Case = [string, string];
+
+const EMAIL_CASES: Case[] = [
+  ["write me at jane.doe@example.com", "write me at [email removed]"],
+  ["JANE+posts@mail.example.co.uk!", "[email removed]!"],
+  ["thanks @alice", "thanks @alice"],
+  ["meet me @ the park", "meet me @ the park"],
+  ["user@localhost", "user@localhost"]
+];
+
+const PHONE_CASES: Case[] = [
+  ["call 513-555-0123", "call [phone removed]"],
+  ["call (513) 555-0123 now", "call [phone removed] now"],
+  ["513.555.0123", "[phone removed]"],
+  ["text 513 555 0123", "text [phone removed]"],
+  ["+1 513 555 0123", "[phone removed]"],
+  ["+1 (513) 555-0123", "[phone removed]"],
+  ["+44 20 7946 0958", "[phone removed]"],
+  ["+33 1 23 45 67 89", "[phone removed]"],
+  // Dates, times, scores and digit lists
+  ["2026-10-16 20:00", "2026-10-16 20:00"],
+  ["on 10/16/2026 at 8:00", "on 10/16/2026 at 8:00"],
+  ["(1 2 3 4 5 6 7)", "(1 2 3 4 5 6 7)"],
+  ["final 21 - 14 - 35 - 7", "final 21 - 14 - 35 - 7"],
+  ["won 102-98 in OT", "won 102-98 in OT"],
+  ["order 5135550123", "order 5135550123"],
+  ["$1,250,000", "$1,250,000"],
+  ["v1.2.3", "v1.2.3"]
+];
+
+const ADDRESS_CASES: Case[] = [
+  ["I live at 123 Main St", "I live at [address removed]"],
+  ["1600 Pennsylvania Avenue", "[address removed]"],
+  ["4500 W Elm Street, Apt 4B", "[address removed]"],
+  ["350 5th Ave.", "[address removed]"],
+  ["7 Elm Street", "[address removed]"],
+  ["12 Oak Ln #3 tonight", "[address removed] tonight"],
+  ["221 Baker St.", "[address removed]"],
+  // Business and people's names, counts
+  ["2 Guys Pizza Dr", "2 Guys Pizza Dr"],
+  ["1 Big Happy Family Dr", "1 Big Happy Family Dr"],
+  ["We won 21 Street Fights", "We won 21 Street Fights"],
+  ["Top 10 Best Pizza Places", "Top 10 Best Pizza Places"],
+  ["saw 3 Red Birds on the lawn", "saw 3 Red Birds on the lawn"],
+  ["Route 66", "Route 66"]
+];
+
+for (const [rule, cases] of [["email", EMAIL_CASES], ["phone", PHONE_CASES], ["address", ADDRESS_CASES]] as const) {
+  test(`personal info: ${rule}`, () => {
+    for (const [text, expected] of cases) {
+      assert.equal(redact(text), expected, text);
+    }
+  });
+}
+
+test("personal info leaves clean posts as they are", () => {
+  const clean = post("Game tonight, 21 - 14 at the half");
+  assert.equal(personalInfoPolicy.apply(clean), clean);
+});
+
+test("blocklist masks or hides whole terms only", () => {
+  const mask = blocklistPolicy(["darn", "heck no"], "mask");
+  assert.equal(mask.apply(post("Darn it, HECK NO"))!.content, "**** it, *******");
+  assert.equal(mask.apply(post("darnit"))!.content, "darnit");
+
+  const hide = blocklistPolicy(["darn"], "hide");
+  assert.equal(hide.apply(post("oh darn")), null);
+  assert.equal(hide.apply(post("oh dear"))!.content, "oh dear");
+
+  const none = blocklistPolicy([], "hide");
+  const any = post("darn");
+  assert.equal(none.apply(any), any);
+});
+
+test("sensitive media is flagged and the scan results dropped", () => {
+  const policy = sensitiveMediaPolicy(0.8);
+  const media = { type: "image" as const, public: "https://example.com/a.jpg" };
+
+  assert.deepEqual(policy.apply(post("x", { media: { ...media, moderation: { nsfwScore: 0.9 } } }))!.media, { ...media, sensitive: true });
+  assert.deepEqual(policy.apply(post("x", { media: { ...media, moderation: { nsfw: true } } }))!.media, { ...media, sensitive: true });
+  assert.deepEqual(policy.apply(post("x", { media: { ...media, moderation: { nsfwScore: 0.2 } } }))!.media, media);
+  assert.deepEqual(policy.apply(post("x", { media }))!.media, media);
+});
+
+test("policies run in order and stop at the first hide", () => {
+  const hide = blocklistPolicy(["darn"], "hide");
+  assert.equal(applyContentPolicies(post("darn, call 513-555-0123"), [hide, personalInfoPolicy]), null);
+  assert.equal(applyContentPolicies(post("call 513-555-0123"), [hide, personalInfoPolicy])!.content, "call [phone removed]");
+});
@@ -0,0 +1,122 @@
+/**
+ * Search query trees: sanitizing untrusted input and evaluating it against posts.
+ * Run from api/: npm test
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { combineQuery, matchesQuery, planQuery, sanitizeQuery } from "../src/util/query.js";
+import { withShownContent } from "../src/util/posts.js";
+import type { PostDoc, QueryNode } from "../src/types.js";
+
+function sanitize(raw: unknown): { query: QueryNode | null; problems: string[] } {
+  const problems: string[] = [];
+  return { query: sanitizeQuery(raw, problems), problems };
+}
+
+const hashtag = (value: string) => ({ type: "hashtag", value });
+const text = (value: string) => ({ type: "text", value });
+
+test("normalizes valid terms", () => {
+  assert.deepEqual(sanitize({ type: "or", children: [hashtag("Coffee"), { type: "mention", value: "Alice" }] }), {
+    query: { type: "or", children: [{ type: "hashtag", value: "coffee" }, { type: "mention", value: "Alice" }] },
+    problems: []
+  });
+  assert.deepEqual(sanitize({ type: "field", field: "user", value: "@Bob" }).query, { type: "field", field: "user", value: "bob" });
+  assert.deepEqual(sanitize({ type: "field", field: "user", value: "Jane.Doe-2" }).query, { type: "field", field: "user", value: "jane.doe-2" });
+  assert.deepEqual(sanitize(text("  Flat   White ")).query, { type: "text", value: "flat white" });
+});
+
+test("skips one-character text and phrases", () => {
+  assert.deepEqual(sanitize({ type: "and", children: [hashtag("coffee"), text("a")] }), {
+    query: { type: "hashtag", value: "coffee" },
+    problems: []
+  });
+  assert.deepEqual(sanitize({ type: "phrase", value: " b " }), { query: null, problems: [] });
+});
+
+test("flattens nested groups and collapses single children", () => {
+  const { query } = sanitize({
+    type: "and",
+    children: [{ type: "and", children: [hashtag("a"), hashtag("b")] }, { type: "or", children: [hashtag("c")] }]
+  });
+  assert.deepEqual(query, { type: "and", children: [hashtag("a"), hashtag("b"), hashtag("c")] });
+});
+
+test("names every term it can't use instead of dropping it", () => {
+  const cases: [unknown, string[]][] = [
+    [{ type: "or", children: [hashtag("coffee"), hashtag("caf!")] }, ["invalid hashtag #caf!"]],
+    [{ type: "and", children: [text("x".repeat(81)), { type: "mention", value: "bad name" }] }, [
+      `text "${"x".repeat(81)}" is longer than 80 characters`,
+      "invalid mention @bad name"
+    ]],
+    // Dangling operators: "a OR", "-"
+    [{ type: "or", children: [] }, ["OR needs at least one term"]],
+    [{ type: "and", children: [hashtag("a"), { type: "or", children: [] }] }, ["OR needs at least one term"]],
+    [{ type: "not" }, ["- needs a term to exclude"]],
+    [{ type: "field", field: "media", value: "gif" }, ["unsupported field term media:gif"]],
+    [{ type: "field", field: "color", value: "red" }, ["unsupported field term color:red"]],
+    [{ type: "phrase", value: "x".repeat(81) }, [`phrase "${"x".repeat(81)}" is longer than 80 characters`]],
+    [{ type: "text", value: 42 }, ["text must be a string"]],
+    [{ type: "regex", value: ".*" }, ['unknown query term type "regex"']],
+    ["#coffee", ["malformed query term"]],
+    [{ type: "or", children: [null] }, ["malformed query term"]]
+  ];
+  for (const [raw, problems] of cases) {
+    assert.deepEqual(sanitize(raw), { query: null, problems }, JSON.stringify(raw));
+  }
+});
+
+test("limits depth and size", () => {
+  let deep: unknown = hashtag("a");
+  for (let i = 0; i < 9; i++) deep = { type: "not", child: deep };
+  assert.deepEqual(sanitize(deep).problems, ["query is nested more than 8 levels deep"]);
+
+  const wide = { type: "or", children: Array.from({ length: 70 }, (_, i) => hashtag(`t${i}`)) };
+  assert.deepEqual(sanitize(wide).problems, ["query has more than 64 terms"]);
+});
+
+test("combineQuery skips absent parts", () => {
+  assert.equal(combineQuery("and", [null, null]), null);
+  assert.deepEqual(combineQuery("and", [null, hashtag("a") as QueryNode]), hashtag("a"));
+});
+
+test("matches posts and plans the indexed terms", () => {
+  const doc = {
+    username: "alice",
+    messageId: "m1",
+    time: "2026-10-16T20:00:00.000Z",
+    content: "Flat white at the corner #coffee",
+    entities: { hashtags: ["coffee"], mentions: [], urls: [] }
+  } as unknown as PostDoc;
+  const { query } = sanitize({
+    type: "and",
+    children: [
+      { type: "or", children: [hashtag("coffee"), hashtag("tea")] },
+      { type: "not", child: { type: "mention", value: "bot" } },
+      text("white flat")
+    ]
+  });
+  assert.ok(query);
+  assert.equal(matchesQuery(query, doc), true);
+  assert.equal(matchesQuery({ type: "phrase", value: "white flat" }, doc), false);
+  assert.deepEqual(planQuery(query), { hashtags: [], anyHashtags: ["coffee", "tea"], mentions: [], user: null });
+});
+
+test("matches the redacted content, not what the policy removed", () => {
+  const doc = {
+    username: "alice",
+    messageId: "m2",
+    time: "2026-10-16T20:00:00.000Z",
+    content: "Lost dog, call 513-555-0142 or dog@example.com"
+  } as unknown as PostDoc;
+  const shown = withShownContent(doc);
+  assert.ok(shown);
+  assert.equal(doc.content, "Lost dog, call 513-555-0142 or dog@example.com");
+  assert.equal(matchesQuery({ type: "text", value: "513-555-0142" }, shown), false);
+  assert.equal(matchesQuery({ type: "phrase", value: "dog@example.com" }, shown), false);
+  assert.equal(matchesQuery({ type: "text", value: "lost dog" }, shown), true);
+
+  const plain = { ...doc, content: "Lost dog near the park" };
+  assert.equal(withShownContent(plain), plain);
+});
@@ -0,0 +1,120 @@
+/**
+ * Hashtag communities on `{category}.loxation.com`.
+ *
+ * Pages are the community site (web/community) fetched from Pages, with the
+ * category injected as <meta name="loxation-category">; the site's app.js
+ * then scopes every feed and search query to that hashtag.
+ */
+
+const CATEGORY_DOMAIN = "loxation.com";
+
+// Other services under loxation.com; never categories, their requests pass straight through
+export const RESERVED_SUBDOMAINS = ["api", "public", "www", "messaging"];
+// The community site itself (all categories)
+const COMMUNITY_SUBDOMAIN = "community";
+
+// Hashtags are [a-z0-9_]{1,50} (see the API's entity extraction); DNS labels can't hold "_"
+const CATEGORY_RE = /^[a-z0-9]{1,50}$/;
+
+export type CategoryHost =
+  | { kind: "category"; category: string }
+  | { kind: "community" }
+  | { kind: "reserved" }
+  | { kind: "invalid" };
+
+/**
+ * Classify a `*.loxation.com` hostname; null for any other host
+ */
+export function categoryForHost(hostname: string): CategoryHost | null {
+  const host = hostname.toLowerCase();
+  if (!host.endsWith(`.${CATEGORY_DOMAIN}`)) return null;
+  const label = host.slice(0, -(CATEGORY_DOMAIN.length + 1));
+  if (label === COMMUNITY_SUBDOMAIN) return { kind: "community" };
+  if (RESERVED_SUBDOMAINS.includes(label)) return { kind: "reserved" };
+  if (!CATEGORY_RE.test(label)) return { kind: "invalid" };
+  return { kind: "category", category: label };
+}
+
+/**
+ * Page for a subdomain that can't be a hashtag (e.g. "coffee-shops")
+ */
+export function invalidCategoryResponse(): Response {
+  const body = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="robots" content="noindex" />
+    <title>No such community</title>
+    <link rel="stylesheet" href="https://community.${CATEGORY_DOMAIN}/style.css" />
+  </head>
+  <body>
+    <main class="wrap">
+      <section class="panel">
+        <h2>No such community</h2>
+        <p>Communities are hashtags: letters and digits only, like <code>coffee.${CATEGORY_DOMAIN}</code>.</p>
+        <p><a href="https://community.${CATEGORY_DOMAIN}/">Go to the community site</a></p>
+      </section>
+    </main>
+  </body>
+</html>
+`;
+  return new Response(body, {
+    status: 404,
+    headers: { "Content-Type": "text/html; charset=utf-8", "X-Robots-Tag": "noindex" }
+  });
+}
+
+/**
+ * Serve a community site page on a category host, with the category injected
+ * into the HTML. Redirects from Pages are pointed back at the category host.
+ */
+export async function serveCategoryPage(request: Request, pagesHost: string, category: string): Promise<Response> {
+  const url = new URL(request.url);
+  const upstream = new URL(url.pathname + url.search, `https://${pagesHost}`);
+  const headers = new Headers(request.headers);
+  headers.set("host", pagesHost);
+
+  const resp = await fetch(upstream.toString(), { method: request.method, headers, redirect: "manual" });
+
+  const location = resp.headers.get("Location");
+  if (location) {
+    const target = new URL(location, upstream);
+    if (target.hostname === pagesHost) target.hostname = url.hostname;
+    const redirected = new Response(resp.body, resp);
+    redirected.headers.set("Location", target.toString());
+    return redirected;
+  }
+
+  if (!(resp.headers.get("Content-Type") || "").startsWith("text/html")) return resp;
+
+  const tag = `#${category}`;
+  // Canonical and og:url point at the category host, not the shared community pages
+  const rehost = (value: string | null) => value && value.replace(`https://${pagesHost}`, url.origin);
+  return new HTMLRewriter()
+    .on("head", {
+      element(el) {
+        el.prepend(`<meta name="loxation-category" content="${category}" />`, { html: true });
+      }
+    })
+    .on("title", {
+      element(el) {
+        el.prepend(`${tag} · `);
+      }
+    })
+    .on('link[rel="canonical"]', {
+      element(el) {
+        el.setAttribute("href", rehost(el.getAttribute("href")) || url.origin);
+      }
+    })
+    .on('meta[property="og:url"], meta[name="twitter:url"]', {
+      element(el) {
+        el.setAttribute("content", rehost(el.getAttribute("content")) || url.origin);
+      }
+    })
+    .on("header.top .tag", {
+      element(el) {
+        el.setInnerContent(tag);
+      }
+    })
+    .transform(resp);
+}
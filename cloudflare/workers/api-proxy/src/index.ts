@@ -1,16 +1,120 @@
+import { categoryForHost, invalidCategoryResponse, serveCategoryPage } from "./category.js";
+import { SITEMAP_POSTS, renderNotFoundPage, renderPermalinkPage, renderSitemap, siteForHost } from "./permalink.js";
+
 export interface Env {
   CLOUD_RUN_ORIGIN: string;
+  // Pages host of the community site, served on {category}.loxation.com
+  COMMUNITY_PAGES_HOST: string;
+  // Secret shared with the API (its PROXY_SECRET); set with `wrangler secret put PROXY_SECRET`
+  PROXY_SECRET?: string;
+}
+
+// /p/<username>/<messageId> or /p/~<replyLinkHandle>/<messageId>
+const PERMALINK_RE = /^\/p\/([^/]+)\/([^/]+)\/?$/;
+
+/**
+ * GET a JSON document from the API on Cloud Run
+ */
+async function fetchApi(env: Env, path: string): Promise<Response> {
+  return fetch(`https://${env.CLOUD_RUN_ORIGIN}${path}`, {
+    headers: { Accept: "application/json" }
+  });
+}
+
+/**
+ * Server-rendered post page. The markup depends on the reply platform sniffed
+ * from the User-Agent, hence Vary.
+ */
+async function handlePermalink(request: Request, env: Env, author: string, messageId: string): Promise<Response> {
+  const site = siteForHost(new URL(request.url).hostname);
+  const resp = await fetchApi(env, `/api/posts/${author}/${messageId}`);
+
+  if (resp.status === 404 || resp.status === 400) {
+    return new Response(renderNotFoundPage(site), {
+      status: 404,
+      headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "public, max-age=60" }
+    });
+  }
+  if (!resp.ok) {
+    return new Response("upstream error", { status: 502 });
+  }
+
+  const { post } = await resp.json() as { post: Parameters<typeof renderPermalinkPage>[1] };
+  return new Response(renderPermalinkPage(site, post, request.headers.get("User-Agent") || ""), {
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "public, max-age=300",
+      "Vary": "User-Agent"
+    }
+  });
+}
+
+/**
+ * sitemap.xml with the newest posts' permalinks, cached at the edge for an hour
+ */
+async function handleSitemap(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+  const cache = caches.default;
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const site = siteForHost(new URL(request.url).hostname);
+  const resp = await fetchApi(env, `/api/posts?limit=${SITEMAP_POSTS}`);
+  // Still list the static pages when the API is unavailable
+  const { posts } = resp.ok
+    ? await resp.json() as { posts: Parameters<typeof renderSitemap>[1] }
+    : { posts: [] };
+
+  const sitemap = new Response(renderSitemap(site, posts), {
+    headers: {
+      "Content-Type": "application/xml",
+      "Cache-Control": resp.ok ? "public, max-age=3600" : "public, max-age=60"
+    }
+  });
+  ctx.waitUntil(cache.put(request, sitemap.clone()));
+  return sitemap;
 }
 
 /**
  * Cloudflare Worker: proxy `www.2chanc3s.com/api/*` → `https://<cloud-run-origin>/api/*`
  *
- * Keeps same path and query string.
+ * Keeps same path and query string. Also renders post permalink pages
+ * (`/p/*`) and `/sitemap.xml`, which need post data at request time, and
+ * serves hashtag communities on `{category}.loxation.com` (see category.ts).
  */
 export default {
-  async fetch(request: Request, env: Env): Promise<Response> {
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
     const url = new URL(request.url);
+    const host = categoryForHost(url.hostname);
+
+    // api., public., www. and messaging.loxation.com are other services the wildcard route also matches
+    if (host?.kind === "reserved") {
+      return fetch(request);
+    }
+    if (host?.kind === "invalid") {
+      return invalidCategoryResponse();
+    }
+
+    if (request.method === "GET" || request.method === "HEAD") {
+      const permalink = PERMALINK_RE.exec(url.pathname);
+      if (permalink) {
+        return handlePermalink(request, env, permalink[1], permalink[2]);
+      }
+      if (url.pathname === "/sitemap.xml") {
+        // A category host shows the community site's posts filtered to one hashtag; the community
+        // sitemap lists them under their canonical host, so category hosts have none
+        if (host?.kind === "category") return new Response("not found", { status: 404 });
+        return handleSitemap(request, env, ctx);
+      }
+    }
+
     if (!url.pathname.startsWith("/api/")) {
+      if (host?.kind === "category") {
+        return serveCategoryPage(request, env.COMMUNITY_PAGES_HOST, host.category);
+      }
+      // community.loxation.com pages (the wildcard route covers them too) come straight from Pages
+      if (host?.kind === "community") {
+        return fetch(request);
+      }
       return new Response("not found", { status: 404 });
     }
 
@@ -53,6 +157,14 @@ export default {
     const headers = new Headers(request.headers);
     // Avoid confusing the upstream with the Pages host.
     headers.set("host", env.CLOUD_RUN_ORIGIN);
+    // The API rate-limits and dedupes reports by client; behind the worker its
+    // own view of the client address is Cloudflare's, so pass the real one on.
+    // The API only believes it alongside the shared secret, which a caller
+    // reaching Cloud Run directly doesn't have.
+    headers.delete("X-Proxy-Secret");
+    const clientIp = request.headers.get("CF-Connecting-IP");
+    if (clientIp) headers.set("CF-Connecting-IP", clientIp);
+    if (env.PROXY_SECRET) headers.set("X-Proxy-Secret", env.PROXY_SECRET);
 
     const init: RequestInit = {
       method: request.method,
@@ -63,6 +175,18 @@ export default {
 
     const resp = await fetch(upstream.toString(), init);
 
+    // Server-Sent Events (/api/feed/stream): hand the body straight through so each
+    // event reaches the browser as it is written. Never cache or transform it.
+    if ((resp.headers.get("Content-Type") || "").startsWith("text/event-stream")) {
+      const streamHeaders = new Headers(resp.headers);
+      streamHeaders.set("Cache-Control", "no-cache, no-transform");
+      streamHeaders.delete("Content-Length");
+      return new Response(resp.body, {
+        status: resp.status,
+        headers: streamHeaders
+      });
+    }
+
     // Add a small cache TTL for GETs at the edge if desired.
     const outHeaders = new Headers(resp.headers);
     if (request.method === "GET") {
@@ -0,0 +1,234 @@
+/**
+ * Server-side rendered post permalink pages (/p/<author>/<messageId>) and sitemap.xml.
+ *
+ * Post markup and reply links come from the same web/shared/render.js the
+ * browser uses (it is DOM-free), so crawlers and link previews see what the
+ * feed shows. /permalink.js then re-renders the post client-side to wire up
+ * the QR modal, lightbox and video playback.
+ */
+import { SITE as PUBLIC_SITE } from "../../../../web/public/site.js";
+import { SITE as COMMUNITY_SITE } from "../../../../web/community/site.js";
+import { detectPlatform, escapeText, postPath, renderPostHtml } from "../../../../web/shared/render.js";
+
+type Site = typeof PUBLIC_SITE;
+
+// Mirrors PublicPost in api/src/types.ts
+type Post = {
+  username: string | null;
+  messageId: string;
+  time: string;
+  content: string;
+  media?: { type: string; thumbnail?: string; medium?: string; large?: string; public?: string; sensitive?: boolean };
+  geolocatorH3?: string;
+  replyLinkHandle: string | null;
+  replyLinkEntropy: string | null;
+  displayName: string | null;
+};
+
+type PostRef = Pick<Post, "username" | "messageId" | "time" | "replyLinkHandle"> & { replyLinkEntropy?: string | null };
+
+const SITES: Site[] = [PUBLIC_SITE, COMMUNITY_SITE];
+const DESCRIPTION_LENGTH = 160;
+const TITLE_LENGTH = 70;
+// Posts listed in sitemap.xml
+export const SITEMAP_POSTS = 1000;
+
+/**
+ * Site config for the request host (www.2chanc3s.com, community.loxation.com or a category host)
+ */
+export function siteForHost(hostname: string): Site {
+  const site = SITES.find((s) => new URL(s.origin).hostname === hostname);
+  if (site) return site;
+  // {category}.loxation.com hosts serve the community site
+  return hostname.endsWith(".loxation.com") ? COMMUNITY_SITE : PUBLIC_SITE;
+}
+
+function truncate(text: string, max: number): string {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+/**
+ * JSON for an inline <script>: "</script>" and friends can't end the element early
+ */
+function inlineJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, "\\u003c").replace(/>/g, "\\u003e").replace(/&/g, "\\u0026");
+}
+
+function pageShell(site: Site, head: string, main: string, scripts = ""): string {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1,viewport-fit=cover" />
+${head}
+    <link rel="icon" type="image/svg+xml" href="/favicon.svg" />
+    <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png" />
+    <link rel="manifest" href="/manifest.webmanifest" />
+    <meta name="theme-color" content="#007aff" />
+    <meta name="apple-itunes-app" content="app-id=${escapeText(site.iosAppId)}" />
+    <link rel="stylesheet" href="/style.css" />
+  </head>
+  <body>
+    <header class="top">
+      <div class="header-main">
+        <h1><a href="/">${escapeText(site.brand)}</a></h1>
+        <div class="tag">${escapeText(site.tagline)}</div>
+      </div>
+      <nav class="nav">
+        <a href="/about.html">About</a>
+        <a href="/favorites.html">Favorites</a>
+      </nav>
+    </header>
+
+    <main class="wrap">
+${main}
+    </main>
+${scripts}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Full HTML page for one post, with Open Graph / Twitter card tags and JSON-LD.
+ */
+export function renderPermalinkPage(site: Site, post: Post, userAgent: string): string {
+  const url = `${site.origin}${postPath(post)}`;
+  const author = post.username ? `@${post.username}` : post.displayName || "Anonymous";
+  const description = truncate(post.content, DESCRIPTION_LENGTH) || `A post by ${author}`;
+  const title = `${author}: ${truncate(post.content, TITLE_LENGTH)} — ${site.brand}`;
+  // Sensitive media stays out of link previews
+  const image = post.media && !post.media.sensitive ? post.media.thumbnail || post.media.medium || null : null;
+  const ogImage = image || `${site.origin}/og-image.png`;
+  const profileUrl = post.username ? `${site.origin}/u/${encodeURIComponent(post.username)}` : null;
+
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "SocialMediaPosting",
+    "@id": url,
+    url,
+    headline: truncate(post.content, 110) || `A post by ${author}`,
+    articleBody: post.content,
+    datePublished: post.time,
+    author: profileUrl
+      ? { "@type": "Person", name: author, url: profileUrl }
+      : { "@type": "Person", name: author },
+    ...(image ? { image } : {}),
+    publisher: { "@type": "Organization", name: site.brand, url: site.origin }
+  };
+
+  const head = `    <title>${escapeText(title)}</title>
+    <meta name="description" content="${escapeText(description)}" />
+    <meta name="robots" content="index, follow" />
+    <link rel="canonical" href="${escapeText(url)}" />
+
+    <meta property="og:type" content="article" />
+    <meta property="og:url" content="${escapeText(url)}" />
+    <meta property="og:title" content="${escapeText(`${author} on ${site.brand}`)}" />
+    <meta property="og:description" content="${escapeText(description)}" />
+    <meta property="og:image" content="${escapeText(ogImage)}" />
+    <meta property="og:site_name" content="${escapeText(site.brand)}" />
+    <meta property="article:published_time" content="${escapeText(post.time)}" />
+
+    <meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}" />
+    <meta name="twitter:title" content="${escapeText(`${author} on ${site.brand}`)}" />
+    <meta name="twitter:description" content="${escapeText(description)}" />
+    <meta name="twitter:image" content="${escapeText(ogImage)}" />
+
+    <script type="application/ld+json">${inlineJson(jsonLd)}</script>
+
+    <!-- Leaflet CSS for the post map -->
+    <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css"
+          integrity="sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY="
+          crossorigin="" />
+    <script type="importmap">
+      {
+        "imports": {
+          "h3-js": "https://esm.sh/h3-js@4.1.0",
+          "qrcode": "https://esm.sh/qrcode@1.5.3"
+        }
+      }
+    </script>`;
+
+  const platform = detectPlatform(userAgent);
+  const main = `      <section id="list" class="list">
+        <div class="post">${renderPostHtml(post, { site, platform })}</div>
+      </section>
+      <p class="small permalink-more">
+        ${profileUrl ? `<a href="/u/${escapeText(encodeURIComponent(post.username as string))}">More from ${escapeText(author)}</a> · ` : ""}<a href="/">Posts near you</a>
+      </p>`;
+
+  const scripts = `
+    <!-- QR Modal for desktop reply -->
+    <div id="qr-modal" class="qr-modal hidden">
+      <div class="qr-modal-content">
+        <button class="qr-modal-close" aria-label="Close">&times;</button>
+        <h3>Reply in Loxation</h3>
+        <p class="qr-modal-target"></p>
+        <img id="qr-modal-img" alt="QR code to reply" />
+        <p class="qr-modal-hint">Scan with your phone camera to reply in Loxation</p>
+      </div>
+    </div>
+
+    <!-- Lightbox for full-size media -->
+    <div id="lightbox" class="lightbox hidden">
+      <button class="lightbox-close" aria-label="Close">&times;</button>
+      <div class="lightbox-content">
+        <img id="lightbox-img" alt="Full size image" />
+        <video id="lightbox-video" controls playsinline></video>
+      </div>
+    </div>
+
+    <script type="application/json" id="post-data">${inlineJson(post)}</script>
+    <script src="https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js"></script>
+    <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"
+            integrity="sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo="
+            crossorigin=""></script>
+    <script type="module" src="/permalink.js"></script>`;
+
+  return pageShell(site, head, main, scripts);
+}
+
+/**
+ * Page for a permalink whose post doesn't exist (or was removed).
+ */
+export function renderNotFoundPage(site: Site): string {
+  const head = `    <title>Post not found — ${escapeText(site.brand)}</title>
+    <meta name="robots" content="noindex" />`;
+  const main = `      <section class="panel">
+        <h2>Post not found</h2>
+        <p>This post doesn't exist or has been removed.</p>
+        <p><a href="/">See posts near you</a></p>
+      </section>`;
+  return pageShell(site, head, main);
+}
+
+/**
+ * sitemap.xml: the site's static pages plus permalinks of recent posts.
+ */
+export function renderSitemap(site: Site, posts: PostRef[]): string {
+  const entry = (loc: string, lastmod?: string, changefreq = "never", priority = "0.5") => `  <url>
+    <loc>${escapeText(loc)}</loc>${lastmod ? `
+    <lastmod>${escapeText(lastmod.slice(0, 10))}</lastmod>` : ""}
+    <changefreq>${changefreq}</changefreq>
+    <priority>${priority}</priority>
+  </url>`;
+
+  const urls = [
+    entry(`${site.origin}/`, undefined, "hourly", "1.0"),
+    entry(`${site.origin}/about.html`, undefined, "monthly", "0.8"),
+    entry(`${site.origin}/favorites.html`, undefined, "monthly", "0.7")
+  ];
+  for (const post of posts.slice(0, SITEMAP_POSTS)) {
+    // Refs carry the handle only when the post has an identity link
+    const path = postPath({ ...post, replyLinkEntropy: post.replyLinkHandle ? "1" : null });
+    if (path) urls.push(entry(`${site.origin}${path}`, post.time));
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
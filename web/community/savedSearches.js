@@ -0,0 +1,249 @@
+/**
+ * Saved Searches
+ *
+ * Keeps search queries (plus the location they were made in) in localStorage,
+ * lists them in a panel, and re-runs them in the background to count matches
+ * the user hasn't seen yet. Searches with notifications turned on also raise a
+ * system notification (through the service worker) when new matches appear.
+ */
+import { escapeText } from './shared/render.js';
+import { registerServiceWorker } from './offline.js';
+
+const MAX_SAVED = 20;
+// Last-seen messageIds kept per search; older ones have long dropped out of the results
+const MAX_SEEN = 200;
+const CHECK_INTERVAL_MS = 5 * 60_000;
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id
+ * @property {string} query - raw search box text, re-parsed with parseSearchQuery on every run
+ * @property {Object|null} location - lastH3 snapshot the query ran in ({ cells, resolution, centerCell, compacted?, area? })
+ * @property {string} locationLabel
+ * @property {string[]} seen - messageIds already shown to the user
+ * @property {number} unread
+ * @property {boolean} notify
+ * @property {string} createdAt
+ * @property {string|null} checkedAt
+ */
+
+function locationKey(location) {
+  return location ? `${location.resolution}:${(location.compacted || location.cells).join(',')}` : '';
+}
+
+/**
+ * Attach saved searches to a panel.
+ *
+ * @param {HTMLElement} panelEl
+ * @param {Object} options
+ * @param {string} options.storageKey
+ * @param {(saved: SavedSearch) => Promise<Array>} options.fetchMatches - run a saved search, newest posts first
+ * @param {(saved: SavedSearch) => void} options.onOpen - the user picked a saved search
+ */
+export function initSavedSearches(panelEl, { storageKey, fetchMatches, onOpen }) {
+  const badgeEl = panelEl.querySelector('.saved-total');
+  const listEl = panelEl.querySelector('.saved-list');
+  let checking = false;
+
+  function load() {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      return stored ? JSON.parse(stored) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function store(searches) {
+    localStorage.setItem(storageKey, JSON.stringify(searches));
+  }
+
+  function update(id, change) {
+    const searches = load();
+    const saved = searches.find(s => s.id === id);
+    if (!saved) return null;
+    change(saved);
+    store(searches);
+    return saved;
+  }
+
+  function render() {
+    const searches = load();
+    panelEl.hidden = searches.length === 0;
+
+    const total = searches.reduce((sum, s) => sum + (s.unread || 0), 0);
+    badgeEl.hidden = total === 0;
+    badgeEl.textContent = String(total);
+
+    listEl.innerHTML = searches.map(s => `
+      <li class="saved-item" data-id="${escapeText(s.id)}">
+        <button class="saved-open" title="Run this search">
+          <span class="saved-query">${escapeText(s.query)}</span>
+          <span class="saved-where">${escapeText(s.locationLabel || 'anywhere')}</span>
+        </button>
+        ${s.unread ? `<span class="saved-badge" title="New matches">${s.unread}</span>` : ''}
+        <button class="saved-notify${s.notify ? ' on' : ''}" aria-pressed="${s.notify ? 'true' : 'false'}"
+                title="${s.notify ? 'Notifications on' : 'Notify me about new matches'}">🔔</button>
+        <button class="saved-remove" title="Remove saved search" aria-label="Remove">&times;</button>
+      </li>
+    `).join('');
+  }
+
+  function seenIds(posts) {
+    return (posts || []).map(p => p.messageId).slice(0, MAX_SEEN);
+  }
+
+  async function notify(saved, newPosts) {
+    if (!saved.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      const n = newPosts.length;
+      await reg.showNotification(`${n} new match${n === 1 ? '' : 'es'}: ${saved.query}`, {
+        body: newPosts[0]?.content?.slice(0, 120) || '',
+        tag: `saved-${saved.id}`,
+        data: { url: `/?saved=${encodeURIComponent(saved.id)}` }
+      });
+    } catch (e) {
+      console.warn('[savedSearches] notification failed:', e);
+    }
+  }
+
+  /**
+   * Re-run every saved search and count results not seen before.
+   * Runs one search at a time; each search is checked at most once per interval.
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - ignore the per-search interval
+   */
+  async function checkAll({ force = false } = {}) {
+    if (checking) return;
+    checking = true;
+    try {
+      for (const saved of load()) {
+        if (!force && saved.checkedAt && Date.now() - Date.parse(saved.checkedAt) < CHECK_INTERVAL_MS) continue;
+        let posts;
+        try {
+          posts = await fetchMatches(saved);
+        } catch (e) {
+          console.warn(`[savedSearches] check failed for "${saved.query}":`, e);
+          continue;
+        }
+        const seen = new Set(saved.seen);
+        const fresh = posts.filter(p => !seen.has(p.messageId));
+        const updated = update(saved.id, s => {
+          s.checkedAt = new Date().toISOString();
+          s.unread = fresh.length;
+        });
+        // Only notify about matches that arrived since the last check
+        if (updated && fresh.length > (saved.unread || 0)) {
+          await notify(updated, fresh.slice(0, fresh.length - (saved.unread || 0)));
+        }
+      }
+    } finally {
+      checking = false;
+      render();
+    }
+  }
+
+  listEl.addEventListener('click', async (e) => {
+    const item = e.target.closest('.saved-item');
+    if (!item) return;
+    const id = item.dataset.id;
+
+    if (e.target.closest('.saved-remove')) {
+      store(load().filter(s => s.id !== id));
+      render();
+      return;
+    }
+
+    if (e.target.closest('.saved-notify')) {
+      const saved = load().find(s => s.id === id);
+      if (!saved) return;
+      const enable = !saved.notify;
+      if (enable && !(await enableNotifications())) return;
+      update(id, s => { s.notify = enable; });
+      render();
+      return;
+    }
+
+    if (e.target.closest('.saved-open')) {
+      const saved = load().find(s => s.id === id);
+      if (saved) onOpen(saved);
+    }
+  });
+
+  // Background checks: on an interval, and whenever the tab comes back into view
+  setInterval(() => checkAll(), CHECK_INTERVAL_MS);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkAll();
+  });
+
+  render();
+
+  return {
+    /** @returns {SavedSearch|undefined} */
+    get(id) {
+      return load().find(s => s.id === id);
+    },
+
+    /**
+     * Save a query with its location context. The posts on screen count as seen.
+     * Saving the same query in the same place again just refreshes it.
+     * @returns {boolean} false when the limit is reached
+     */
+    save(query, location, locationLabel, posts) {
+      const searches = load();
+      const where = locationKey(location);
+      const existing = searches.find(s => s.query === query && locationKey(s.location) === where);
+      if (existing) {
+        existing.seen = seenIds(posts);
+        existing.unread = 0;
+      } else {
+        if (searches.length >= MAX_SAVED) return false;
+        searches.unshift({
+          id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+          query,
+          location,
+          locationLabel,
+          seen: seenIds(posts),
+          unread: 0,
+          notify: false,
+          createdAt: new Date().toISOString(),
+          checkedAt: new Date().toISOString()
+        });
+      }
+      store(searches);
+      render();
+      return true;
+    },
+
+    /** The user has now seen these results of a saved search */
+    markSeen(id, posts) {
+      update(id, s => {
+        s.seen = seenIds(posts);
+        s.unread = 0;
+        s.checkedAt = new Date().toISOString();
+      });
+      render();
+    },
+
+    checkAll
+  };
+}
+
+/**
+ * Ask for notification permission and make sure the service worker that shows them is registered.
+ * @returns {Promise<boolean>}
+ */
+async function enableNotifications() {
+  if (typeof Notification === 'undefined' || !('serviceWorker' in navigator)) {
+    alert('This browser cannot show notifications.');
+    return false;
+  }
+  const permission = Notification.permission === 'granted'
+    ? 'granted'
+    : await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+  await registerServiceWorker();
+  return true;
+}
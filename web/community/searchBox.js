@@ -0,0 +1,301 @@
+/**
+ * Search Box
+ *
+ * Enhances a plain search input with:
+ * - live syntax highlighting of the tokens returned by parseSearchQuery
+ *   (drawn in an overlay behind the transparent input text)
+ * - autocomplete for #hashtags and @mentions, merged from recently loaded
+ *   posts and the /api/suggest endpoint
+ */
+import { parseSearchQuery } from './searchParser.js';
+
+// Caps the local suggestion index so long sessions don't grow without bound
+const MAX_LOCAL_ENTRIES = 500;
+const MAX_SUGGESTIONS = 8;
+const REMOTE_DEBOUNCE_MS = 200;
+
+// Same shapes as the parser, so suggestions are always valid tokens
+const HASHTAG_RE = /#([a-zA-Z0-9_]{1,50})/g;
+const MENTION_RE = /@([a-zA-Z0-9_]{1,30})/g;
+
+// A #/@ prefix being typed right before the caret
+const PREFIX_RE = /(^|[\s(-])([#@])([a-zA-Z0-9_]*)$/;
+
+const localCounts = {
+  hashtag: new Map(),
+  mention: new Map()
+};
+
+function escapeHtml(s) {
+  return (s || '').replace(/[&<>"']/g, (c) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c]));
+}
+
+function bump(map, value) {
+  if (!map.has(value) && map.size >= MAX_LOCAL_ENTRIES) return;
+  map.set(value, (map.get(value) || 0) + 1);
+}
+
+/**
+ * Record hashtags and mentions from posts that were just loaded,
+ * so suggestions reflect what is on screen without a round trip.
+ * @param {Array<{content?: string}>} posts
+ */
+export function indexPostsForSuggestions(posts) {
+  for (const p of posts || []) {
+    const content = p.content || '';
+    for (const m of content.matchAll(HASHTAG_RE)) bump(localCounts.hashtag, m[1].toLowerCase());
+    for (const m of content.matchAll(MENTION_RE)) bump(localCounts.mention, m[1]);
+  }
+}
+
+function localSuggestions(type, prefix) {
+  const needle = prefix.toLowerCase();
+  const out = [];
+  for (const [value, count] of localCounts[type]) {
+    if (value.toLowerCase().startsWith(needle)) out.push({ value, count });
+  }
+  return out;
+}
+
+/**
+ * Merge suggestion lists by value (case-insensitive), summing counts.
+ */
+function mergeSuggestions(...lists) {
+  const merged = new Map();
+  for (const list of lists) {
+    for (const s of list) {
+      const key = s.value.toLowerCase();
+      const prev = merged.get(key);
+      if (prev) prev.count += s.count;
+      else merged.set(key, { value: s.value, count: s.count });
+    }
+  }
+  return [...merged.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Render the input value as highlighted HTML using parser token offsets.
+ * Gaps between tokens (whitespace, unparsed characters) are copied verbatim.
+ */
+function highlightHtml(value) {
+  const { tokens } = parseSearchQuery(value);
+  let html = '';
+  let pos = 0;
+  for (const tok of tokens) {
+    if (tok.start > pos) html += escapeHtml(value.slice(pos, tok.start));
+    const text = escapeHtml(value.slice(tok.start, tok.end));
+    html += tok.type === 'text' ? text : `<span class="tok tok-${tok.type}">${text}</span>`;
+    pos = tok.end;
+  }
+  if (pos < value.length) html += escapeHtml(value.slice(pos));
+  return html;
+}
+
+/**
+ * Attach highlighting and autocomplete to a search input.
+ *
+ * @param {HTMLInputElement} inputEl
+ * @param {Object} options
+ * @param {(type: 'hashtag'|'mention', prefix: string) => Promise<Array<{value: string, count: number}>>} [options.fetchSuggestions]
+ * @param {() => void} [options.onSubmit] - called on Enter when no suggestion is open
+ */
+export function initSearchBox(inputEl, options = {}) {
+  const { fetchSuggestions, onSubmit } = options;
+
+  const box = document.createElement('div');
+  box.className = 'search-box';
+  inputEl.parentNode.insertBefore(box, inputEl);
+
+  const highlightEl = document.createElement('div');
+  highlightEl.className = 'search-highlight';
+  highlightEl.setAttribute('aria-hidden', 'true');
+  box.appendChild(highlightEl);
+  box.appendChild(inputEl);
+
+  const listId = `${inputEl.id || 'search'}-suggest`;
+  const listEl = document.createElement('ul');
+  listEl.className = 'search-suggest';
+  listEl.id = listId;
+  listEl.setAttribute('role', 'listbox');
+  listEl.hidden = true;
+  box.appendChild(listEl);
+
+  inputEl.classList.add('search-input');
+  inputEl.setAttribute('autocomplete', 'off');
+  inputEl.setAttribute('role', 'combobox');
+  inputEl.setAttribute('aria-autocomplete', 'list');
+  inputEl.setAttribute('aria-controls', listId);
+  inputEl.setAttribute('aria-expanded', 'false');
+
+  let suggestions = [];
+  let activeIndex = -1;
+  let context = null;   // { type, marker, prefix, start, end } for the token at the caret
+  let remoteTimer = null;
+  let requestSeq = 0;
+
+  function syncHighlight() {
+    highlightEl.innerHTML = highlightHtml(inputEl.value);
+    highlightEl.scrollLeft = inputEl.scrollLeft;
+  }
+
+  function closeSuggestions() {
+    suggestions = [];
+    activeIndex = -1;
+    listEl.hidden = true;
+    listEl.innerHTML = '';
+    inputEl.setAttribute('aria-expanded', 'false');
+    inputEl.removeAttribute('aria-activedescendant');
+  }
+
+  function renderSuggestions() {
+    if (!context || suggestions.length === 0) {
+      closeSuggestions();
+      return;
+    }
+    listEl.innerHTML = suggestions.map((s, i) => `
+      <li id="${listId}-${i}" role="option" data-index="${i}"
+          class="${i === activeIndex ? 'active' : ''}" aria-selected="${i === activeIndex}">
+        <span class="tok tok-${context.type}">${escapeHtml(context.marker + s.value)}</span>
+        <span class="count">${s.count}</span>
+      </li>
+    `).join('');
+    listEl.hidden = false;
+    inputEl.setAttribute('aria-expanded', 'true');
+    if (activeIndex >= 0) inputEl.setAttribute('aria-activedescendant', `${listId}-${activeIndex}`);
+    else inputEl.removeAttribute('aria-activedescendant');
+  }
+
+  function currentContext() {
+    const caret = inputEl.selectionStart;
+    if (caret === null || caret !== inputEl.selectionEnd) return null;
+    const before = inputEl.value.slice(0, caret);
+    const match = before.match(PREFIX_RE);
+    if (!match) return null;
+    const marker = match[2];
+    const prefix = match[3];
+    // Extend over the rest of the word so accepting mid-word replaces all of it
+    const rest = inputEl.value.slice(caret).match(/^[a-zA-Z0-9_]*/)[0];
+    return {
+      type: marker === '#' ? 'hashtag' : 'mention',
+      marker,
+      prefix,
+      start: caret - prefix.length - 1,
+      end: caret + rest.length
+    };
+  }
+
+  function updateSuggestions() {
+    context = currentContext();
+    clearTimeout(remoteTimer);
+    if (!context) {
+      closeSuggestions();
+      return;
+    }
+
+    const { type, prefix } = context;
+    suggestions = mergeSuggestions(localSuggestions(type, prefix));
+    activeIndex = -1;
+    renderSuggestions();
+
+    if (!fetchSuggestions) return;
+    const seq = ++requestSeq;
+    remoteTimer = setTimeout(async () => {
+      try {
+        const remote = await fetchSuggestions(type, prefix);
+        // Ignore responses for a prefix the user has already moved past
+        if (seq !== requestSeq || !context || context.prefix !== prefix) return;
+        suggestions = mergeSuggestions(localSuggestions(type, prefix), remote || []);
+        activeIndex = Math.min(activeIndex, suggestions.length - 1);
+        renderSuggestions();
+      } catch (e) {
+        console.warn('[searchBox] suggest failed:', e);
+      }
+    }, REMOTE_DEBOUNCE_MS);
+  }
+
+  function accept(index) {
+    const s = suggestions[index];
+    if (!s || !context) return;
+    const value = inputEl.value;
+    const insert = `${context.marker}${s.value}`;
+    const after = value.slice(context.end);
+    const spacer = after.startsWith(' ') ? '' : ' ';
+    inputEl.value = value.slice(0, context.start) + insert + spacer + after;
+    const caret = context.start + insert.length + 1;
+    inputEl.setSelectionRange(caret, caret);
+    closeSuggestions();
+    context = null;
+    syncHighlight();
+  }
+
+  inputEl.addEventListener('input', () => {
+    syncHighlight();
+    updateSuggestions();
+  });
+
+  inputEl.addEventListener('scroll', () => {
+    highlightEl.scrollLeft = inputEl.scrollLeft;
+  });
+
+  // Caret moves without typing (clicks, arrow keys) change which token is being completed
+  inputEl.addEventListener('click', updateSuggestions);
+  inputEl.addEventListener('keyup', (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+      updateSuggestions();
+    }
+    highlightEl.scrollLeft = inputEl.scrollLeft;
+  });
+
+  inputEl.addEventListener('keydown', (e) => {
+    const open = !listEl.hidden && suggestions.length > 0;
+
+    if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+      renderSuggestions();
+      return;
+    }
+
+    if (open && (e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+      e.preventDefault();
+      accept(activeIndex);
+      return;
+    }
+
+    if (open && e.key === 'Escape') {
+      e.preventDefault();
+      closeSuggestions();
+      return;
+    }
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      closeSuggestions();
+      if (onSubmit) onSubmit();
+    }
+  });
+
+  inputEl.addEventListener('blur', () => {
+    closeSuggestions();
+  });
+
+  // mousedown (not click) so the choice lands before the input blurs
+  listEl.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('li[data-index]');
+    if (!item) return;
+    e.preventDefault();
+    accept(Number(item.dataset.index));
+  });
+
+  // Programmatic value changes (e.g. the Clear button) don't fire input events
+  const refresh = () => {
+    syncHighlight();
+    closeSuggestions();
+  };
+
+  syncHighlight();
+  return { refresh };
+}
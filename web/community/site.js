@@ -0,0 +1,23 @@
+/**
+ * Site configuration for community.loxation.com.
+ * Shared modules in /shared/ read every site-specific value from here.
+ */
+export const SITE = {
+  id: 'community',
+  brand: 'Your community',
+  tagline: 'nearby',
+  origin: 'https://community.loxation.com',
+  // Universal Link host for reply deep links (also the web fallback page)
+  replyHost: 'public.loxation.com',
+  appScheme: 'loxation',
+  iosAppId: '6743818003',
+  androidPackage: 'com.jabresearch.loxation',
+  // Initial k-ring radius for the "Radius" select (see computeH3Tokens)
+  defaultRadiusK: 10,
+  favoritesKey: 'community_favorites',
+  savedSearchesKey: 'community_saved_searches',
+  locationKey: 'community_location',
+  // Hashtag every feed and search query is scoped to on {category}.loxation.com, where the
+  // api-proxy worker injects <meta name="loxation-category">; null on community.loxation.com
+  category: globalThis.document?.querySelector('meta[name="loxation-category"]')?.content || null
+};
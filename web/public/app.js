@@ -1,6 +1,20 @@
-import { latLngToCell, gridDisk, cellToBoundary, cellToLatLng } from 'h3-js';
-import QRCode from 'qrcode';
-import { parseSearchQuery, hasSearchFilters } from './searchParser.js';
+import { latLngToCell, gridDisk, cellToLatLng, isValidCell, getResolution, getHexagonAreaAvg, UNITS } from 'h3-js';
+import { parseSearchQuery, hasSearchFilters, describeQuery, extractFieldFilters } from './searchParser.js';
+import { initSearchBox, indexPostsForSuggestions } from './searchBox.js';
+import { initSavedSearches } from './savedSearches.js';
+import {
+  registerServiceWorker,
+  cacheMediaForOffline,
+  saveFeedSnapshot,
+  loadFeedSnapshot,
+  loadLatestFeedSnapshot
+} from './offline.js';
+import { escapeText, fmtTime } from './shared/render.js';
+import { createPostRenderer } from './shared/postList.js';
+import { createFeedMap, countPostsByCell, postCellAt, areaToCells, cellsToArea, AREA_MAX_CELLS } from './shared/feedMap.js';
+import { getMutedUsernames, withoutMuted } from './shared/favoritesStore.js';
+import { loadLocationData, saveLocationData, rememberPlace, findRecentPlace } from './shared/locationStore.js';
+import { SITE } from './site.js';
 
 // Configure this to your Cloud Run URL, e.g. https://api-xxxxx-uc.a.run.app
 // If your Cloudflare Pages site proxies to the API, this can remain "".
@@ -10,930 +24,181 @@ const statusEl = document.getElementById('status');
 const locInfoEl = document.getElementById('locInfo');
 const listEl = document.getElementById('list');
 const btnLocate = document.getElementById('btnLocate');
+const btnFollow = document.getElementById('btnFollow');
 const btnGeocode = document.getElementById('btnGeocode');
 const btnSearch = document.getElementById('btnSearch');
 const btnClear = document.getElementById('btnClear');
+const btnSaveSearch = document.getElementById('btnSaveSearch');
 const searchEl = document.getElementById('search');
 const addressEl = document.getElementById('address');
+const recentPlacesEl = document.getElementById('recentPlaces');
 const kEl = document.getElementById('k');
+const radiusInfoEl = document.getElementById('radiusInfo');
 const limitEl = document.getElementById('limit');
-
-let lastGeo = null;
+const btnMap = document.getElementById('btnMap');
+const mapEl = document.getElementById('feedMap');
+const mapCanvasEl = document.getElementById('feedMapCanvas');
+const mapHintEl = document.getElementById('feedMapHint');
+const btnDrawArea = document.getElementById('btnDrawArea');
+const trendingEl = document.getElementById('trending');
+const trendingListEl = trendingEl.querySelector('.trending-list');
+
+let origin = null;          // { lat, lng, source, place, ring } the feed is centered on; see setLocation
 let lastH3 = null;
+let locationLabel = '';     // how the current location was set, for display
+// since:/until:/within: bounds from the search box, applied to the feed as well
+let activeTimeRange = null;
+
+// Infinite scroll state for the nearby feed (search results are a single page)
+let feedParams = null;      // params of the current feed query, without cursor
+let feedCursor = null;      // nextCursor from the last page, null when exhausted
+let feedCount = 0;          // posts shown so far
+let feedLoadingMore = false;
+let feedGeneration = 0;     // bumped on every new feed/search so stale pages are dropped
+let showingSearch = false;  // list holds search results rather than the nearby feed
+let showingOfflineFeed = false;  // list holds a stored feed because the live one failed to load
+
+// Live updates for the nearby feed
+let feedStream = null;          // EventSource on /api/feed/stream
+let pendingNewPosts = [];       // received live, shown when the banner is clicked
+const shownPostKeys = new Set();
+
+// Map view of the feed cells, shaded by the posts loaded so far
+let listedPosts = [];       // every post loaded into the list, newest first
+let cellFilter = null;      // cell picked on the map; the list shows only its posts
+let feedMap = null;         // created the first time the map is shown
+let mapCellsKey = '';       // resolution + cells currently drawn on the map
+let mapDrawing = false;     // sketching an area on the map
+
+// URL state
+const DEFAULT_LIMIT = limitEl.value;
+const MAX_URL_QUERY_LENGTH = 500;
+let historyMode = 'replace';    // the first view replaces the landing URL; later ones push
+
+// Follow mode
+const FOLLOW_REFRESH_DELAY_MS = 5_000;  // settle time after entering a new cell before reloading
+const FOLLOW_MAX_ACCURACY_M = 500;      // coarser fixes can't place us in a cell
+const FOLLOW_TRAIL_MAX = 50;
+let followWatchId = null;   // watchPosition id while following
+let followTrail = [];       // center cells entered while following, oldest first
+let followRefreshTimer = null;
+
+// "Trending near you" panel
+const TRENDS_REFRESH_MS = 5 * 60_000;
+let trendsKey = '';         // resolution + cells the panel was loaded for
+let trendsLoadedAt = 0;
 
 function setStatus(msg) {
   statusEl.textContent = msg;
 }
 
 function setLocInfo(lat, lng, h3Cell, source) {
+  locationLabel = source;
   if (locInfoEl) {
     locInfoEl.textContent = `📍 ${lat.toFixed(5)}, ${lng.toFixed(5)} | H3: ${h3Cell} | via ${source}`;
   }
 }
 
-function escapeText(s) {
-  return (s || '').replace(/[&<>"']/g, (c) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c]));
-}
-
-function fmtTime(iso) {
-  try {
-    return new Date(iso).toLocaleString();
-  } catch {
-    return iso;
-  }
-}
-
-// ====== PLATFORM DETECTION ======
-// On iOS, ONLY Safari supports Universal Links. ALL other iOS browsers need custom URL scheme.
-// Simple approach: if it's iOS and NOT Safari, use custom scheme fallback.
-//
-const ua = navigator.userAgent || '';
-const isIOS = /iPhone|iPad|iPod/i.test(ua);
-const isAndroid = /Android/i.test(ua);
-
-// Safari on iOS: contains "Safari" but NOT any third-party browser identifiers.
-// Known iOS browser UA markers:
-// - CriOS = Chrome, FxiOS = Firefox, OPiOS = Opera, EdgiOS = Edge, Brave = Brave
-// - DuckDuckGo, Focus (Firefox Focus), Coast, etc. also exist
-// All third-party browsers on iOS also have "Safari" in UA (WebKit requirement),
-// so we must exclude them explicitly.
-const isIOSSafari = isIOS && /Safari/i.test(ua) && !/CriOS|FxiOS|OPiOS|EdgiOS|Brave|DuckDuckGo|Focus/i.test(ua);
-
-// Any iOS browser that's NOT Safari needs custom scheme fallback
-const isIOSNotSafari = isIOS && !isIOSSafari;
-
-// Desktop detection: not iOS, not Android
-const isDesktop = !isIOS && !isAndroid;
-
-console.log('[Platform]', { isIOS, isAndroid, isIOSSafari, isIOSNotSafari, isDesktop, ua: ua.substring(0, 120) });
-
-// ====== REPLY URL GENERATORS ======
-
-// Custom URL scheme for app - works on iOS Chrome, and as fallback
-function replyUrlCustomScheme(username, messageId) {
-  const u = encodeURIComponent(username);
-  const m = encodeURIComponent(messageId);
-  return `loxation://reply?username=${u}&messageId=${m}`;
-}
-
-// HTTPS URL for web fallback page (also Universal Link host)
-function replyUrlHTTPS(username, messageId) {
-  const u = encodeURIComponent(username);
-  const m = encodeURIComponent(messageId);
-  return `https://public.loxation.com/reply?username=${u}&messageId=${m}`;
-}
-
-// Android intent:// URL with Play Store fallback
-function replyUrlAndroid(username, messageId) {
-  const u = encodeURIComponent(username);
-  const m = encodeURIComponent(messageId);
-  const fallback = encodeURIComponent('https://play.google.com/store/apps/details?id=com.jabresearch.loxation');
-  return `intent://reply?username=${u}&messageId=${m}#Intent;scheme=loxation;package=com.jabresearch.loxation;S.browser_fallback_url=${fallback};end`;
-}
-
-/**
- * Get the appropriate reply URL based on platform
- * - iOS Safari: HTTPS Universal Link (cross-domain triggers app)
- * - iOS Chrome: Custom scheme with fallback handling via onclick
- * - Android: Intent URL with Play Store fallback
- * - Desktop: HTTPS to web page
- */
-function getReplyUrl(username, messageId) {
-  if (isAndroid) {
-    return replyUrlAndroid(username, messageId);
-  }
-  // For iOS Chrome, we return HTTPS but handle click specially
-  // For iOS Safari, HTTPS Universal Link works
-  // For desktop, HTTPS to web page
-  return replyUrlHTTPS(username, messageId);
-}
-
-/**
- * Handle Reply button click - special handling for iOS non-Safari browsers
- * iOS Safari supports Universal Links, but all other iOS browsers (Chrome, Firefox, etc.)
- * need custom scheme with fallback to web page
- */
-function handleReplyClick(event, username, messageId) {
-  if (!isIOSNotSafari) {
-    // Let the default href work:
-    // - iOS Safari: Universal Link opens app
-    // - Android: intent:// opens app with Play Store fallback
-    // - Desktop: opens web page
-    return true;
-  }
-  
-  // iOS non-Safari browser: try custom scheme with fallback
-  event.preventDefault();
-  
-  const customUrl = replyUrlCustomScheme(username, messageId);
-  const fallbackUrl = replyUrlHTTPS(username, messageId);
-  
-  openAppWithFallback(customUrl, fallbackUrl);
-  return false;
-}
-
 /**
- * Attempt to open app via custom scheme with web fallback
- * Used for iOS Chrome where Universal Links don't work
+ * Center the feed on a point. Every way of picking a location goes through
+ * here, so the origin is always known and a radius change can recompute the
+ * ring around it.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} options
+ * @param {string} options.source - gps | follow | geocode | ip | map | area | url | saved | offline (or a stored one)
+ * @param {string} options.label - shown in the location line
+ * @param {Object} [options.h3] - cells to use instead of a computeH3Tokens ring at the
+ *   selected radius (IP metro ring, drawn area, stored or saved snapshot)
+ * @param {string|null} [options.place] - recent place name, for locations from the address box
  */
-function openAppWithFallback(customSchemeUrl, fallbackWebUrl) {
-  // Record when we started
-  const startTime = Date.now();
-  
-  // Flag to track if user interaction happened (page visibility changed)
-  let userLeftPage = false;
-  
-  // Listen for visibility change (indicates app might be opening)
-  const handleVisibilityChange = () => {
-    if (document.hidden) {
-      userLeftPage = true;
-    }
-  };
-  document.addEventListener('visibilitychange', handleVisibilityChange);
-  
-  // Attempt to open the custom scheme
-  window.location.href = customSchemeUrl;
-  
-  // After timeout, check if we should redirect to fallback
-  setTimeout(() => {
-    document.removeEventListener('visibilitychange', handleVisibilityChange);
-    
-    // Only redirect if:
-    // 1. User didn't leave the page (app didn't open)
-    // 2. Page is still visible
-    // 3. Enough time has passed (not instant failure)
-    const elapsed = Date.now() - startTime;
-    if (!userLeftPage && !document.hidden && elapsed >= 1400) {
-      // App probably not installed - redirect to web fallback
-      console.log('[openAppWithFallback] App did not open, redirecting to fallback');
-      window.location.href = fallbackWebUrl;
-    }
-  }, 1500);
+function setLocation(lat, lng, { source, label, h3 = null, place = null }) {
+  // ring: the cells are the radius ring at the selected k, not ones passed in
+  origin = { lat, lng, source, place, ring: !h3 };
+  lastH3 = h3 || computeH3Tokens(lat, lng, Number(kEl.value));
+  setLocInfo(lat, lng, lastH3.centerCell, label);
+  updateRadiusInfo();
+  rememberLocation();
 }
 
-// Make handleReplyClick available globally for onclick handlers
-window.handleReplyClick = handleReplyClick;
-
-// ====== QR CODE GENERATION ======
-
 /**
- * Generate QR code as data URL for desktop reply
- * @param {string} url - The URL to encode in the QR code
- * @returns {Promise<string|null>} Data URL of the QR code image, or null on error
+ * Show the size of the queried area next to the radius select, as the diameter
+ * of a circle with the cells' total area.
  */
-async function generateQRCodeDataUrl(url) {
-  try {
-    return await QRCode.toDataURL(url, {
-      width: 180,
-      margin: 2,
-      errorCorrectionLevel: 'M',
-      color: { dark: '#1a1a1a', light: '#fffdf7' }
-    });
-  } catch (err) {
-    console.error('[QRCode] Generation failed:', err);
-    return null;
-  }
+function updateRadiusInfo() {
+  const km2 = lastH3.cells.length * getHexagonAreaAvg(lastH3.resolution, UNITS.km2);
+  const km = 2 * Math.sqrt(km2 / Math.PI);
+  radiusInfoEl.textContent = `≈ ${km < 10 ? km.toFixed(1) : Math.round(km)} km across`;
 }
 
-/**
- * Decode base64url string to Uint8Array
- * @param {string} str - base64url encoded string
- * @returns {Uint8Array}
- */
-function base64urlToBytes(str) {
-  // Replace base64url chars with standard base64
-  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
-  // Add padding if needed
-  const padded = base64 + '==='.slice(0, (4 - base64.length % 4) % 4);
-  const binary = atob(padded);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i++) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-  return bytes;
+function postKey(p) {
+  return `${p.username || p.replyLinkHandle || ''}:${p.messageId}`;
 }
 
-/**
- * Convert UUID string to 16-byte Uint8Array
- * @param {string} uuid - UUID string (with or without dashes)
- * @returns {Uint8Array}
- */
-function uuidToBytes(uuid) {
-  const hex = uuid.replace(/-/g, '');
-  const bytes = new Uint8Array(16);
-  for (let i = 0; i < 16; i++) {
-    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
-  }
-  return bytes;
+function describeTimeRange(range) {
+  if (!range) return '';
+  const parts = [];
+  if (range.since) parts.push(`since ${fmtTime(range.since)}`);
+  if (range.until) parts.push(`until ${fmtTime(range.until)}`);
+  return parts.join(' ');
 }
 
-/**
- * Encode Uint8Array to base64url string
- * @param {Uint8Array} bytes
- * @returns {string}
- */
-function bytesToBase64url(bytes) {
-  let binary = '';
-  for (let i = 0; i < bytes.length; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  const base64 = btoa(binary);
-  // Convert to base64url: replace + with -, / with _, remove padding
-  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-}
+const postRenderer = createPostRenderer(SITE);
 
 /**
- * Generate identity link QR code URL from entropy and handle
- * Format: loxation://m/#eu/{base64url(entropy + handle)}
- * @param {string} entropy - base64url-encoded 32-byte entropy
- * @param {string} handle - UUID string (16 bytes)
- * @returns {string} The identity link URL
+ * Drop posts by users on the mute list (managed on the favorites page).
+ * Read on every call so mutes made in another tab apply to the next render.
  */
-function getIdentityLinkQRUrl(entropy, handle) {
-  // Decode entropy from base64url to bytes (32 bytes)
-  const entropyBytes = base64urlToBytes(entropy);
-  // Convert handle UUID to bytes (16 bytes)
-  const handleBytes = uuidToBytes(handle);
-
-  // Concatenate: 32 bytes entropy + 16 bytes handle = 48 bytes
-  const combined = new Uint8Array(48);
-  combined.set(entropyBytes, 0);
-  combined.set(handleBytes, 32);
-
-  // Encode as base64url
-  const encoded = bytesToBase64url(combined);
-
-  return `loxation://m/#eu/${encoded}`;
+function hideMuted(posts) {
+  return withoutMuted(posts || [], getMutedUsernames(SITE.favoritesKey));
 }
 
 /**
- * Render media element for a post
- * @param {Object} media - Media info from API {type, thumbnail, medium, large, public, stream, duration}
- * @returns {string} HTML string for the media element
+ * Render posts into the list.
+ * @param {Array} posts
+ * @param {Object} [options]
+ * @param {boolean} [options.append] - add below the existing posts (next feed page) instead of replacing them
+ * @param {boolean} [options.prepend] - add above the existing posts (live updates)
  */
-function renderMedia(media) {
-  if (!media) return '';
-  
-  if (media.type === 'image') {
-    const thumbUrl = media.medium || media.thumbnail || media.public;
-    const fullUrl = media.large || media.public;
-    if (!thumbUrl) return '';
-    
-    return `
-      <div class="post-media">
-        <img 
-          src="${escapeText(thumbUrl)}" 
-          data-full="${escapeText(fullUrl || thumbUrl)}"
-          alt="Post image"
-          loading="lazy"
-          onclick="window.openLightbox(this)"
-        />
-      </div>
-    `;
-  }
-  
-  if (media.type === 'video') {
-    const posterUrl = media.thumbnail || '';
-    const streamUrl = media.stream;
-    if (!streamUrl) return '';
-    
-    // Generate unique ID for this video element
-    const videoId = 'video-' + Math.random().toString(36).slice(2, 9);
-    
-    // iOS/Safari have native HLS - use <source> with type hint
-    // Other browsers use HLS.js initialized on play event
-    const isSafari = /Safari/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent);
-    const hasNativeHLS = isIOS || isSafari;
-    
-    if (hasNativeHLS) {
-      // Use <source> element with type for iOS/Safari native HLS
-      // muted for autoplay; user can tap unmute button to enable sound
-      return `
-        <div class="post-media video-container">
-          <video
-            id="${videoId}"
-            src="${escapeText(streamUrl)}"
-            poster="${escapeText(posterUrl)}"
-            controls
-            playsinline
-            muted
-            loop
-            preload="metadata"
-            webkit-playsinline="true"
-          >
-            <source src="${escapeText(streamUrl)}" type="application/vnd.apple.mpegurl">
-            Your browser does not support video playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    } else {
-      // Use data-stream for HLS.js (Chrome, Firefox, etc.)
-      // muted for autoplay; user can tap unmute button to enable sound
-      return `
-        <div class="post-media video-container">
-          <video
-            id="${videoId}"
-            poster="${escapeText(posterUrl)}"
-            controls
-            playsinline
-            muted
-            loop
-            preload="none"
-            data-stream="${escapeText(streamUrl)}"
-          >
-            Your browser does not support video playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    }
-  }
-  
-  if (media.type === 'live') {
-    console.log('[renderMedia] Live type detected, media object:', JSON.stringify(media));
-    const streamUrl = media.stream;
-    const title = media.title || 'Live Stream';
-    const status = media.status || 'created';
-    
-    // Generate unique ID for this video element
-    const videoId = 'live-' + Math.random().toString(36).slice(2, 9);
-    
-    // Status badge based on stream status
-    let statusBadge = '';
-    if (status === 'live') {
-      statusBadge = '<span class="live-badge">🔴 LIVE</span>';
-    } else if (status === 'ended') {
-      statusBadge = '<span class="live-badge ended">📹 Recorded</span>';
-    } else if (!streamUrl) {
-      // No stream URL yet - broadcast hasn't started
-      statusBadge = '<span class="live-badge waiting">Starting soon...</span>';
-    }
-    
-    // If no stream URL, show waiting message
-    if (!streamUrl) {
-      console.log('[renderMedia] Live stream has no stream URL yet (status:', status, ')');
-      return `
-        <div class="post-media video-container live-container">
-          ${statusBadge}
-          <div class="live-waiting">Broadcast starting soon...</div>
-        </div>
-      `;
-    }
-    
-    console.log('[renderMedia] Rendering live video with streamUrl:', streamUrl.substring(0, 50) + '...');
-    
-    // Use same rendering logic as video type
-    const isSafari = /Safari/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent);
-    const hasNativeHLS = isIOS || isSafari;
-    
-    if (hasNativeHLS) {
-      return `
-        <div class="post-media video-container live-container">
-          ${statusBadge}
-          <video
-            id="${videoId}"
-            src="${escapeText(streamUrl)}"
-            controls
-            playsinline
-            muted
-            preload="metadata"
-            webkit-playsinline="true"
-            data-live="true"
-          >
-            <source src="${escapeText(streamUrl)}" type="application/vnd.apple.mpegurl">
-            Your browser does not support live playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    } else {
-      return `
-        <div class="post-media video-container live-container">
-          ${statusBadge}
-          <video
-            id="${videoId}"
-            controls
-            playsinline
-            muted
-            preload="none"
-            data-stream="${escapeText(streamUrl)}"
-            data-live="true"
-          >
-            Your browser does not support live playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    }
+function renderPosts(posts, { append = false, prepend = false } = {}) {
+  posts = hideMuted(posts);
+  if (!append && !prepend) {
+    shownPostKeys.clear();
+    listedPosts = [];
+    cellFilter = null;
   }
-  
-  return '';
+  for (const p of posts) shownPostKeys.add(postKey(p));
+  if (posts.length) indexPostsForSuggestions(posts);
+  cacheMediaForOffline(posts);
+  listedPosts = prepend ? [...posts, ...listedPosts] : [...listedPosts, ...posts];
+  postRenderer.renderPosts(listEl, posts.filter(inCellFilter), { append, prepend });
+  updateFeedMap();
 }
 
-/**
- * Initialize HLS for a video element
- * Uses the stream URL from the data-stream attribute (set by renderMedia)
- * @param {HTMLVideoElement} videoEl - The video element to initialize
- */
-function initVideoPlayer(videoEl) {
-  // Only initialize once
-  if (videoEl._hlsInitialized) {
-    console.log('[initVideoPlayer] Already initialized, skipping');
-    return;
-  }
-  videoEl._hlsInitialized = true;
-  
-  const isLive = videoEl.dataset.live === 'true';
-  const streamUrl = videoEl.dataset.stream;
-  
-  if (!streamUrl) {
-    console.warn('[initVideoPlayer] No stream URL found');
-    return;
-  }
-  
-  console.log('[initVideoPlayer] Initializing video:', streamUrl.substring(0, 50) + '...');
-  console.log('[initVideoPlayer] canPlayType HLS:', videoEl.canPlayType('application/vnd.apple.mpegurl'));
-  console.log('[initVideoPlayer] Hls available:', typeof Hls !== 'undefined');
-  console.log('[initVideoPlayer] Hls.isSupported:', typeof Hls !== 'undefined' && Hls.isSupported());
-  
-  if (videoEl.canPlayType('application/vnd.apple.mpegurl')) {
-    // Native HLS support (Safari, iOS)
-    console.log('[initVideoPlayer] Using native HLS');
-    videoEl.src = streamUrl;
-    videoEl.play().catch((err) => console.log('[initVideoPlayer] Native play error:', err.message));
-  } else if (typeof Hls !== 'undefined' && Hls.isSupported()) {
-    // Use HLS.js for other browsers (Chrome, Firefox, Edge)
-    console.log('[initVideoPlayer] Using HLS.js, isLive:', isLive);
-    const hls = new Hls({
-      debug: false,
-      enableWorker: true,
-      lowLatencyMode: isLive,           // Enable low-latency for live streams
-      backBufferLength: isLive ? 30 : 90, // Less buffer for live
-      liveDurationInfinity: isLive,     // Infinite duration for live
-      liveBackBufferLength: isLive ? 0 : null, // No back buffer for live
-    });
-    
-    // Store reference for cleanup
-    videoEl._hls = hls;
-    
-    hls.loadSource(streamUrl);
-    hls.attachMedia(videoEl);
-    
-    // Auto-play when manifest is ready
-    hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
-      console.log('[HLS] Manifest parsed, levels:', data.levels?.length);
-      videoEl.play().catch(err => console.log('[HLS] Play failed:', err.message));
-    });
-    
-    hls.on(Hls.Events.MEDIA_ATTACHED, () => {
-      console.log('[HLS] Media attached');
-    });
-    
-    hls.on(Hls.Events.ERROR, (event, data) => {
-      console.error('[HLS] Error:', data.type, data.details, data.fatal ? '(FATAL)' : '');
-      if (data.fatal) {
-        switch (data.type) {
-          case Hls.ErrorTypes.NETWORK_ERROR:
-            console.log('[HLS] Trying to recover from network error...');
-            hls.startLoad();
-            break;
-          case Hls.ErrorTypes.MEDIA_ERROR:
-            console.log('[HLS] Trying to recover from media error...');
-            hls.recoverMediaError();
-            break;
-          default:
-            console.error('[HLS] Fatal error, cannot recover');
-            hls.destroy();
-            break;
-        }
-      }
-    });
-  } else {
-    // Fallback - try direct source (may not work for HLS streams)
-    console.warn('[initVideoPlayer] No HLS support, trying direct playback');
-    videoEl.src = streamUrl;
-    videoEl.play().catch((err) => console.log('[initVideoPlayer] Direct play error:', err.message));
-  }
+function inCellFilter(post) {
+  return !cellFilter || postCellAt(post, lastH3?.resolution) === cellFilter;
 }
 
 /**
- * Lightbox functions
+ * Cells to send for the current location. A drawn area goes compacted
+ * (coarser parents where possible); the API expands it to lastH3.resolution.
  */
-function openLightbox(imgEl) {
-  const lightbox = document.getElementById('lightbox');
-  const lightboxImg = document.getElementById('lightbox-img');
-  const lightboxVideo = document.getElementById('lightbox-video');
-  
-  if (!lightbox || !lightboxImg || !lightboxVideo) return;
-  
-  lightboxImg.src = imgEl.dataset.full || imgEl.src;
-  lightboxImg.classList.remove('hidden');
-  lightboxVideo.classList.remove('visible');
-  lightboxVideo.pause();
-  lightboxVideo.src = '';
-  
-  lightbox.classList.remove('hidden');
-  
-  // Prevent body scroll
-  document.body.style.overflow = 'hidden';
-}
-
-function closeLightbox() {
-  const lightbox = document.getElementById('lightbox');
-  const lightboxImg = document.getElementById('lightbox-img');
-  const lightboxVideo = document.getElementById('lightbox-video');
-  
-  if (!lightbox) return;
-  
-  lightbox.classList.add('hidden');
-  if (lightboxImg) {
-    lightboxImg.src = '';
-    lightboxImg.classList.remove('hidden');
-  }
-  if (lightboxVideo) {
-    lightboxVideo.pause();
-    lightboxVideo.src = '';
-    lightboxVideo.classList.remove('visible');
-  }
-  
-  // Restore body scroll
-  document.body.style.overflow = '';
+function queryCells(h3 = lastH3) {
+  return h3.compacted || h3.cells;
 }
 
-// Make openLightbox available globally for onclick handler
-window.openLightbox = openLightbox;
-
-// Initialize lightbox event listeners
-document.addEventListener('DOMContentLoaded', () => {
-  const lightbox = document.getElementById('lightbox');
-  if (lightbox) {
-    const closeBtn = lightbox.querySelector('.lightbox-close');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', closeLightbox);
-    }
-    lightbox.addEventListener('click', (e) => {
-      if (e.target === lightbox) closeLightbox();
-    });
-  }
-});
-
-// Close lightbox on Escape key
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') closeLightbox();
-});
-
-// ====== QR CODE MODAL ======
-
-const qrModal = document.getElementById('qr-modal');
-const qrModalImg = document.getElementById('qr-modal-img');
-const qrModalTarget = qrModal?.querySelector('.qr-modal-target');
-
-/**
- * Show QR code modal for replying to a post
- * @param {string} username - The post author's username
- * @param {string} messageId - The message ID
- */
 /**
- * Show QR code modal for replying to a post
- * Supports both username-based and identity link posts
- * @param {string|null} username - The post author's username (null for anonymous)
- * @param {string} messageId - The message ID
- * @param {string|null} replyLinkHandle - Identity link handle (for anonymous posts)
- * @param {string|null} replyLinkEntropy - Identity link entropy (for anonymous posts)
- * @param {string|null} displayName - Display name for anonymous posts
+ * The parts of lastH3 worth storing with saved searches and offline feeds.
  */
-async function showQRModal(url, targetText) {
-  if (!qrModal || !qrModalImg) {
-    console.error('[QRModal] Modal elements not found');
-    return;
-  }
-
-  if (!url) {
-    console.error('[QRModal] No URL provided');
-    return;
-  }
-
-  const dataUrl = await generateQRCodeDataUrl(url);
-
-  if (!dataUrl) {
-    console.error('[QRModal] Failed to generate QR code');
-    return;
-  }
-
-  if (qrModalTarget) {
-    qrModalTarget.textContent = targetText;
-  }
-  qrModalImg.src = dataUrl;
-  qrModal.classList.remove('hidden');
-}
-
-function hideQRModal() {
-  if (qrModal) {
-    qrModal.classList.add('hidden');
-    if (qrModalImg) qrModalImg.src = '';
-  }
-}
-
-// Initialize QR modal event listeners
-document.addEventListener('DOMContentLoaded', () => {
-  if (qrModal) {
-    const closeBtn = qrModal.querySelector('.qr-modal-close');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', hideQRModal);
-    }
-    qrModal.addEventListener('click', (e) => {
-      if (e.target === qrModal) hideQRModal();
-    });
-  }
-});
-
-// Close QR modal on Escape key
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') hideQRModal();
-});
-
-/**
- * Initialize and render a map showing H3 cell and accuracy circle
- * @param {HTMLElement} container - The map container element
- * @param {string} h3Cell - H3 cell index (resolution 7)
- * @param {number|undefined} accuracyM - Accuracy in meters
- * @returns {Object} Leaflet map instance
- */
-function initPostMap(container, h3Cell, accuracyM) {
-  // Get cell center for map centering
-  const [lat, lng] = cellToLatLng(h3Cell);
-  
-  // Get hexagon boundary vertices
-  // cellToBoundary returns [[lat, lng], ...] - array of vertex coordinates
-  const boundary = cellToBoundary(h3Cell);
-  
-  // Create map centered on cell
-  const map = L.map(container).setView([lat, lng], 13);
-  
-  // Add OpenStreetMap tiles
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    maxZoom: 19,
-    attribution: '© <a href="https://openstreetmap.org/copyright">OSM</a>'
-  }).addTo(map);
-  
-  // Draw H3 hexagon
-  const hexagonStyle = {
-    color: '#007aff',
-    weight: 2,
-    fillColor: '#007aff',
-    fillOpacity: 0.15
+function locationSnapshot() {
+  return lastH3 && {
+    cells: lastH3.cells,
+    resolution: lastH3.resolution,
+    centerCell: lastH3.centerCell,
+    compacted: lastH3.compacted,
+    area: lastH3.area
   };
-  const hexagon = L.polygon(boundary, hexagonStyle).addTo(map);
-  
-  // Draw accuracy circle if available
-  if (accuracyM && accuracyM > 0) {
-    const circleStyle = {
-      color: '#ff6b6b',
-      weight: 2,
-      fillColor: '#ff6b6b',
-      fillOpacity: 0.1,
-      dashArray: '5, 5'
-    };
-    L.circle([lat, lng], {
-      radius: accuracyM,
-      ...circleStyle
-    }).addTo(map);
-  }
-  
-  // Fit bounds to show hexagon (and circle if present)
-  const bounds = hexagon.getBounds();
-  if (accuracyM && accuracyM > 0) {
-    // Extend bounds to include accuracy circle
-    const circleBounds = L.latLng(lat, lng).toBounds(accuracyM * 2);
-    bounds.extend(circleBounds);
-  }
-  map.fitBounds(bounds, { padding: [20, 20] });
-  
-  return map;
-}
-
-function renderPosts(posts) {
-  listEl.innerHTML = '';
-  if (!posts || posts.length === 0) {
-    listEl.innerHTML = '<div class="post">No posts found.</div>';
-    return;
-  }
-
-  // Debug: log posts with media
-  const postsWithMedia = posts.filter(p => p.media);
-  console.log(`[renderPosts] Total posts: ${posts.length}, posts with media: ${postsWithMedia.length}`);
-  if (postsWithMedia.length > 0) {
-    console.log('[renderPosts] Posts with media:', postsWithMedia.map(p => ({
-      username: p.username,
-      messageId: p.messageId,
-      contentType: p.contentType,
-      mediaType: p.media?.type,
-      mediaId: p.media?.mediaId,
-      media: p.media
-    })));
-  } else {
-    console.log('[renderPosts] No posts have media data');
-  }
-
-  for (const p of posts) {
-    const username = p.username || null;
-    const messageId = p.messageId;
-    const replyLinkHandle = p.replyLinkHandle || null;
-    const replyLinkEntropy = p.replyLinkEntropy || null;
-    const displayName = p.displayName || null;
-    const hasIdentityLink = !!(replyLinkHandle && replyLinkEntropy);
-
-    // Display name: username if available, otherwise displayName or "Anonymous"
-    const authorDisplay = username ? `@${username}` : (displayName || 'Anonymous');
-
-    // Compute reply deeplink URL - use username if available, otherwise identity link
-    let replyDeeplinkUrl = null;
-    if (username) {
-      replyDeeplinkUrl = getReplyUrl(username, messageId);
-    } else if (hasIdentityLink) {
-      replyDeeplinkUrl = getIdentityLinkQRUrl(replyLinkEntropy, replyLinkHandle);
-    }
-
-    // Can this post be replied to?
-    const canReply = !!(replyDeeplinkUrl);
-
-    const full = p.content || '';
-    const snippet = full.length > 240 ? full.slice(0, 240) + '…' : full;
-    const hasMore = full.length > snippet.length;
-    const hasMedia = p.media && (p.media.type === 'image' || p.media.type === 'video' || p.media.type === 'live');
-    const hasLocation = p.geolocatorH3;
-
-    // Build QR button data attributes - store the computed URL directly
-    const qrDataAttrs = canReply
-      ? `data-url="${escapeText(replyDeeplinkUrl)}" data-target="${escapeText(username ? `@${username}` : (displayName || 'Anonymous'))}"`
-      : '';
-
-    const el = document.createElement('div');
-    el.className = 'post';
-    el.innerHTML = `
-      <div class="meta">
-        <div>${escapeText(authorDisplay)}</div>
-        <div>${escapeText(fmtTime(p.time))}</div>
-        <div class="mono">id: ${escapeText(messageId)}</div>
-      </div>
-      ${renderMedia(p.media)}
-      <div class="content" data-full="${escapeText(full)}" data-snippet="${escapeText(snippet)}">${escapeText(snippet)}</div>
-      <div class="actions">
-        ${canReply ? (isDesktop ? `<button class="btn btn-qr" ${qrDataAttrs}>Scan QR to reply in-app</button>` : `<a class="btn reply-btn" href="${replyDeeplinkUrl}">Reply (in app)</a>`) : ''}
-        ${hasMore && !hasMedia ? '<button class="btn toggle">Show full</button>' : ''}
-        ${hasLocation ? `<button class="btn btn-map" data-h3="${escapeText(p.geolocatorH3)}" data-accuracy="${p.accuracyM || ''}">Show on map</button>` : ''}
-      </div>
-      ${hasLocation ? '<div class="post-map-container"><div class="post-map"></div></div>' : ''}
-    `;
-    
-    // Toggle button for text content
-    const toggle = el.querySelector('button.toggle');
-    if (toggle) {
-      toggle.addEventListener('click', () => {
-        const contentEl = el.querySelector('.content');
-        const isFull = toggle.dataset.mode === 'full';
-        if (isFull) {
-          contentEl.textContent = contentEl.dataset.snippet;
-          toggle.textContent = 'Show full';
-          toggle.dataset.mode = 'snippet';
-        } else {
-          contentEl.textContent = contentEl.dataset.full;
-          toggle.textContent = 'Show less';
-          toggle.dataset.mode = 'full';
-        }
-      });
-    }
-    
-    // Map toggle button
-    const mapBtn = el.querySelector('.btn-map');
-    if (mapBtn) {
-      mapBtn.addEventListener('click', () => {
-        const container = el.querySelector('.post-map-container');
-        const mapDiv = el.querySelector('.post-map');
-        const isExpanded = container.classList.contains('expanded');
-
-        if (isExpanded) {
-          container.classList.remove('expanded');
-          mapBtn.textContent = 'Show on map';
-        } else {
-          container.classList.add('expanded');
-          mapBtn.textContent = 'Hide map';
-
-          // Lazy init map on first expand
-          if (!mapDiv.dataset.initialized) {
-            const h3Cell = mapBtn.dataset.h3;
-            const accuracy = mapBtn.dataset.accuracy ? parseFloat(mapBtn.dataset.accuracy) : undefined;
-
-            // Small delay to let CSS transition start and container have dimensions
-            setTimeout(() => {
-              initPostMap(mapDiv, h3Cell, accuracy);
-              mapDiv.dataset.initialized = 'true';
-            }, 50);
-          }
-        }
-      });
-    }
-
-    // QR code button for desktop reply
-    const qrBtn = el.querySelector('.btn-qr');
-    if (qrBtn) {
-      qrBtn.addEventListener('click', async () => {
-        const url = qrBtn.dataset.url;
-        const target = qrBtn.dataset.target;
-        if (url) {
-          await showQRModal(url, target);
-        }
-      });
-    }
-
-    listEl.appendChild(el);
-  }
-  
-  // Setup unmute buttons
-  document.querySelectorAll('.unmute-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const video = btn.parentElement.querySelector('video');
-      if (video) {
-        video.muted = !video.muted;
-        btn.textContent = video.muted ? '🔇' : '🔊';
-        btn.setAttribute('aria-label', video.muted ? 'Unmute' : 'Mute');
-      }
-    });
-  });
-  
-  // Setup IntersectionObserver for autoplay when videos scroll into view
-  setupVideoAutoplay();
-}
-
-// Global user sound preference (persists for session)
-let userWantsSound = false;
-
-/**
- * Setup IntersectionObserver for video autoplay on scroll
- * Videos autoplay muted when 50% visible, pause when out of view
- */
-function setupVideoAutoplay() {
-  const videos = document.querySelectorAll('.post-media video');
-  console.log('[setupVideoAutoplay] Found videos:', videos.length);
-  if (videos.length === 0) return;
-  
-  videos.forEach((v, i) => {
-    console.log(`[setupVideoAutoplay] Video ${i}: id=${v.id}, src=${v.src || 'none'}, data-stream=${v.dataset.stream?.substring(0, 50) || 'none'}`);
-  });
-  
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      const video = entry.target;
-      const container = video.closest('.video-container');
-      const unmuteBtn = container?.querySelector('.unmute-btn');
-      
-      console.log(`[IntersectionObserver] Video ${video.id}: isIntersecting=${entry.isIntersecting}, ratio=${entry.intersectionRatio.toFixed(2)}`);
-      
-      if (entry.isIntersecting && entry.intersectionRatio >= 0.5) {
-        console.log(`[IntersectionObserver] Video ${video.id} is visible, data-stream=${!!video.dataset.stream}, data-media-id=${!!video.dataset.mediaId}, initialized=${!!video._hlsInitialized}, src=${!!video.src}`);
-        
-        // Video is visible - initialize HLS if needed and play
-        // Check for regular video (data-stream) or live video (data-media-id)
-        const needsInit = (video.dataset.stream || video.dataset.mediaId) && !video._hlsInitialized;
-        if (needsInit) {
-          // Chrome/Firefox: HLS.js needed - it will call play() when ready
-          console.log(`[IntersectionObserver] Calling initVideoPlayer for ${video.id}`);
-          initVideoPlayer(video);
-        } else if (video.src) {
-          // Safari/iOS: native HLS - can play directly
-          console.log(`[IntersectionObserver] Playing native video ${video.id}`);
-          video.play().catch((err) => console.log('[Video] Native play failed:', err.message));
-        }
-        
-        // Apply user's sound preference
-        if (userWantsSound) {
-          video.muted = false;
-          if (unmuteBtn) {
-            unmuteBtn.textContent = '🔊';
-            unmuteBtn.setAttribute('aria-label', 'Mute');
-          }
-        }
-      } else {
-        // Video is out of view - pause to save resources
-        video.pause();
-      }
-    });
-  }, {
-    threshold: 0.5 // Trigger when 50% of video is visible
-  });
-  
-  videos.forEach(video => {
-    observer.observe(video);
-    
-    // Track when user manually unmutes
-    video.addEventListener('volumechange', () => {
-      if (!video.muted) {
-        userWantsSound = true;
-      }
-    });
-  });
 }
 
 async function apiGet(path, params) {
@@ -1031,167 +296,756 @@ async function getIPGeolocation() {
   }
 }
 
+// IP locations get a metro-wide ring (~60km via H3 res6 k=10) for coarse IP accuracy.
+// H3 Resolution 6: edge ~3.23km, so k=10 gives ~60km diameter coverage
+// Formula: diameter ≈ 2 * k * edge_length = 2 * 10 * 3.23 ≈ 65km
+// k=10 at res6 creates 331 cells
+const IP_RESOLUTION = 6;
+const IP_RING_K = 10;
+
+/** The IP location ring around a res6 center cell */
+function ipRing(centerCell) {
+  return { cells: Array.from(gridDisk(centerCell, IP_RING_K)), resolution: IP_RESOLUTION, centerCell, r7: [], r8: [] };
+}
+
 /**
- * Initialize with IP-based location on page load.
- * Uses metro-wide radius (~60km via H3 res6 k=10) for coarse IP accuracy.
- *
- * H3 Resolution 6: edge ~3.23km, so k=10 gives ~60km diameter coverage
- * Formula: diameter ≈ 2 * k * edge_length = 2 * 10 * 3.23 ≈ 65km
+ * Initialize with IP-based location on page load, using the metro-wide ipRing.
  */
 async function initWithIPLocation() {
   setStatus('Detecting your location...');
   
   const geo = await getIPGeolocation();
   if (!geo) {
+    // Offline (or no IP location): fall back to wherever the feed was last loaded
+    const snapshot = await loadLatestFeedSnapshot();
+    if (snapshot) {
+      const [lat, lng] = cellToLatLng(snapshot.h3.centerCell);
+      setLocation(lat, lng, { source: 'offline', label: snapshot.label, h3: snapshot.h3 });
+      await loadFeed();
+      return;
+    }
     setStatus('Could not detect location. Enter a city/address or use GPS.');
     return;
   }
   
-  // Use H3 resolution 6 with k=10 for ~60km metro coverage (appropriate for IP accuracy)
-  // k=10 at res6 creates 331 cells covering ~65km diameter
-  const resolution = 6;
-  const k = 10;
-  
-  const centerCell = latLngToCell(geo.lat, geo.lng, resolution);
-  const cells = Array.from(gridDisk(centerCell, k));
-  
-  lastH3 = {
-    cells,
-    resolution,
-    centerCell,
-    r7: [],
-    r8: []
-  };
-  
   const cityDisplay = geo.city || 'your area';
-  setLocInfo(geo.lat, geo.lng, centerCell, `IP (${cityDisplay})`);
+  setLocation(geo.lat, geo.lng, {
+    source: 'ip',
+    label: `IP (${cityDisplay})`,
+    h3: ipRing(latLngToCell(geo.lat, geo.lng, IP_RESOLUTION))
+  });
   
   await loadFeed();
 }
 
+// ====== REMEMBERED LOCATION ======
+// The last location the user set (IP guesses aren't kept), the radius and
+// recently geocoded places survive reloads; see shared/locationStore.js.
+
+// Origins worth restoring next visit; IP guesses, links and saved searches aren't
+const REMEMBERED_SOURCES = new Set(['gps', 'follow', 'geocode', 'map', 'area', 'stored']);
+
+/**
+ * Store the current location so the next visit starts there.
+ */
+function rememberLocation() {
+  if (!origin || !REMEMBERED_SOURCES.has(origin.source)) return;
+  const data = loadLocationData(SITE.locationKey);
+  data.current = {
+    h3: locationSnapshot(),
+    k: lastH3.area ? null : Number(kEl.value),
+    label: locationLabel,
+    source: origin.source,
+    lat: origin.lat,
+    lng: origin.lng,
+    place: origin.place
+  };
+  saveLocationData(SITE.locationKey, data);
+}
+
+/**
+ * Put a geocoded place at the top of the address box's list.
+ * @param {Object} place - RecentPlace
+ */
+function rememberRecentPlace(place) {
+  const data = loadLocationData(SITE.locationKey);
+  data.recent = rememberPlace(data.recent, place);
+  renderRecentPlaces(data.recent);
+  saveLocationData(SITE.locationKey, data);
+}
+
+function rememberRadius(k) {
+  const data = loadLocationData(SITE.locationKey);
+  data.k = k;
+  saveLocationData(SITE.locationKey, data);
+}
+
+function renderRecentPlaces(recent) {
+  recentPlacesEl.innerHTML = recent
+    .map(p => `<option value="${escapeText(p.name)}">${escapeText(p.displayName)}</option>`)
+    .join('');
+}
+
+/**
+ * Put back the recent places and, unless the URL already set them, the stored
+ * radius and location.
+ * @param {Object} [options]
+ * @param {boolean} [options.radius] - false to keep the radius the URL set
+ * @param {boolean} [options.location] - false to keep the location the URL set
+ * @returns {boolean} whether there was a location to restore
+ */
+function restoreLocation({ radius = true, location = true } = {}) {
+  const { current, k, recent } = loadLocationData(SITE.locationKey);
+  renderRecentPlaces(recent);
+  if (radius && k !== null && [...kEl.options].some(o => o.value === String(k))) kEl.value = String(k);
+  if (!location || !current) return false;
+
+  if (current.place) addressEl.value = current.place;
+  setLocation(current.lat, current.lng, {
+    source: current.source,
+    label: current.label,
+    h3: current.h3,
+    place: current.place
+  });
+  return true;
+}
+
+// ====== URL STATE ======
+// ?at=<center cell>&k=<radius>&limit=<n>&q=<search> describes the current view,
+// so feeds and searches can be bookmarked and shared. Locations that aren't a
+// radius ring say so: an IP location is ?at=<res6 cell>&src=ip (its metro ring)
+// and a drawn area ?at=<center cell>&area=<compacted cells>.
+
+/**
+ * Read a view from a query string; invalid values come back null (or '' for q).
+ * @param {string} search - window.location.search
+ * @returns {{ at: string|null, k: string|null, ip: boolean, area: Object|null, limit: string|null, q: string }}
+ *   area is a cellsToArea result at the resolution of `at`
+ */
+function parseViewParams(search) {
+  const params = new URLSearchParams(search);
+  const at = params.get('at');
+  const k = params.get('k');
+  const limit = params.get('limit');
+  const validAt = at && isValidCell(at) ? at : null;
+  const area = validAt && params.get('area')
+    ? cellsToArea(params.get('area').split(','), getResolution(validAt))
+    : null;
+  return {
+    at: validAt,
+    k: k !== null && /^(?:[0-9]|1[0-5])$/.test(k) ? k : null,
+    ip: !!validAt && params.get('src') === 'ip' && getResolution(validAt) === IP_RESOLUTION,
+    area,
+    limit: [...limitEl.options].some(o => o.value === limit) ? limit : null,
+    q: (params.get('q') || '').trim().slice(0, MAX_URL_QUERY_LENGTH)
+  };
+}
+
+/** Query string for what the list shows now */
+function viewSearch() {
+  const params = new URLSearchParams();
+  if (lastH3) {
+    params.set('at', lastH3.centerCell);
+    if (lastH3.compacted) params.set('area', lastH3.compacted.join(','));
+    else if (origin?.source === 'ip' && !origin.ring) params.set('src', 'ip');
+    else params.set('k', kEl.value);
+  }
+  if (limitEl.value !== DEFAULT_LIMIT) params.set('limit', limitEl.value);
+  // A time range on its own loads the feed, but still came from the search box
+  const q = showingSearch || activeTimeRange ? (searchEl.value || '').trim() : '';
+  if (q) params.set('q', q);
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Reflect the current view in the URL. Each new view is a history entry,
+ * except while following (one per cell would bury the back button).
+ */
+function updateUrl() {
+  const search = viewSearch();
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (historyMode === 'replace' || followWatchId !== null) history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+
+/**
+ * Put a URL view's radius, limit, location and query into the controls.
+ * Without `at` the current location stays.
+ */
+function applyViewParams({ at, k, ip, area, limit, q }) {
+  if (k !== null) {
+    // Links may carry a radius the select doesn't list
+    if (![...kEl.options].some(o => o.value === k)) kEl.add(new Option(`k=${k}`, k));
+    kEl.value = k;
+  }
+  if (limit !== null) limitEl.value = limit;
+  if (at) {
+    stopFollow();
+    const [lat, lng] = cellToLatLng(at);
+    if (area) {
+      setLocation(lat, lng, {
+        source: 'url',
+        label: `drawn area (${area.cells.length} cells, link)`,
+        h3: { ...area, centerCell: at, r7: [], r8: [] }
+      });
+    } else if (ip) {
+      setLocation(lat, lng, { source: 'ip', label: 'IP area (link)', h3: ipRing(at) });
+    } else {
+      setLocation(lat, lng, { source: 'url', label: 'link' });
+    }
+  }
+  searchEl.value = q;
+  searchBox.refresh();
+}
+
+/** Run the URL's search, or load the feed when it has none */
+async function showViewQuery(q) {
+  if (q) {
+    await runSearch();
+  } else {
+    activeTimeRange = null;
+    await loadFeed();
+  }
+}
+
+window.addEventListener('popstate', async () => {
+  historyMode = 'replace';
+  try {
+    applyViewParams(parseViewParams(window.location.search));
+    await showViewQuery(searchEl.value);
+  } catch (e) {
+    setStatus(String(e));
+  } finally {
+    historyMode = 'push';
+  }
+});
+
+function feedResolutionLabel() {
+  const resLabels = { 6: 'metro', 7: 'district', 8: 'neighborhood', 9: 'block' };
+  return `${resLabels[lastH3.resolution] || 'res' + lastH3.resolution} (res${lastH3.resolution})`;
+}
+
+function setFeedStatus() {
+  const rangeDesc = activeTimeRange ? `, ${describeTimeRange(activeTimeRange)}` : '';
+  const more = feedCursor ? ', scroll for more' : '';
+  const inCell = cellFilter ? `, ${listedPosts.filter(inCellFilter).length} in the selected cell` : '';
+  const scope = SITE.category ? ` #${SITE.category}` : '';
+  setStatus(`Loaded ${feedCount}${scope} posts (${lastH3.cells.length} cells, ${feedResolutionLabel()}${rangeDesc}${more})${inCell}`);
+}
+
 async function loadFeed() {
+  const generation = ++feedGeneration;
+  showingSearch = false;
+  showingOfflineFeed = false;
+  feedParams = null;
+  feedCursor = null;
+  stopFeedStream();
+  feedCount = 0;
   if (!lastH3) {
     setStatus('Set a location to load nearby posts.');
     return;
   }
   setStatus('Loading…');
+  updateUrl();
   const limit = Number(limitEl.value);
   
   // Use new multi-resolution API
   const params = {
-    h3: lastH3.cells.join(','),
+    h3: queryCells().join(','),
     resolution: lastH3.resolution,
-    limit
+    limit,
+    since: activeTimeRange?.since,
+    until: activeTimeRange?.until,
+    hashtag: SITE.category || undefined
   };
   
   try {
     const data = await apiGet('/api/feed', params);
+    if (generation !== feedGeneration) return;
     renderPosts(data.posts);
-    const resLabels = { 6: 'metro', 7: 'district', 8: 'neighborhood', 9: 'block' };
-    const resLabel = `${resLabels[lastH3.resolution] || 'res' + lastH3.resolution} (res${lastH3.resolution})`;
-    setStatus(`Loaded ${data.posts.length} posts (${lastH3.cells.length} cells, ${resLabel})`);
+    feedParams = params;
+    feedCursor = data.nextCursor || null;
+    feedCount = data.posts.length;
+    setFeedStatus();
+    continueFeedIfVisible();
+    startFeedStream(data.posts[0]?.time);
+    loadTrends();
+    if (!activeTimeRange) {
+      saveFeedSnapshot(lastH3.centerCell, { h3: locationSnapshot(), label: locationLabel, posts: data.posts });
+    }
   } catch (e) {
-    setStatus(`Error: ${e.message}`);
+    if (generation !== feedGeneration) return;
+    const snapshot = activeTimeRange ? null : await loadFeedSnapshot(lastH3.centerCell);
+    if (generation !== feedGeneration) return;
+    if (snapshot) {
+      showOfflineFeed(snapshot, e);
+    } else {
+      setStatus(`Error: ${e.message}`);
+    }
   }
 }
 
-async function runSearch() {
-  const q = (searchEl.value || '').trim();
-  if (q.length < 2) {
-    setStatus('Search needs at least 2 characters.');
-    return;
+// ====== CATEGORY HOSTS ======
+// On {category}.loxation.com (SITE.category set) every query is limited to that hashtag:
+// the feed and live stream through their hashtag param, searches through withCategory.
+
+/**
+ * Add the site's category to a POST /api/search body
+ */
+function withCategory(searchRequest) {
+  if (!SITE.category) return searchRequest;
+  const hashtags = searchRequest.hashtags || [];
+  return {
+    ...searchRequest,
+    hashtags: hashtags.includes(SITE.category) ? hashtags : [...hashtags, SITE.category]
+  };
+}
+
+// ====== TRENDING ======
+
+/**
+ * Hashtag page link scoped to the current location (same h3/resolution params as /api/feed)
+ */
+function tagPageUrl(tag) {
+  const params = new URLSearchParams({ h3: queryCells().join(','), resolution: String(lastH3.resolution) });
+  return `/t/${encodeURIComponent(tag)}?${params}`;
+}
+
+/**
+ * Refresh the trending panel for the current location; reused for a few minutes per location.
+ */
+async function loadTrends() {
+  if (!lastH3) return;
+  const key = `${lastH3.resolution}:${queryCells().join(',')}`;
+  if (key === trendsKey && Date.now() - trendsLoadedAt < TRENDS_REFRESH_MS) return;
+  trendsKey = key;
+  trendsLoadedAt = Date.now();
+
+  try {
+    const data = await apiGet('/api/trends', { h3: queryCells().join(','), resolution: lastH3.resolution, limit: 10 });
+    if (key !== trendsKey) return;
+    renderTrends(data.trends || []);
+  } catch (e) {
+    console.warn('[trends] failed to load:', e);
+    if (key === trendsKey) trendsKey = '';
   }
+}
 
-  // Parse the search query
-  const parsed = parseSearchQuery(q);
+function renderTrends(trends) {
+  trendingEl.hidden = trends.length === 0;
+  trendingListEl.innerHTML = trends.map(t => {
+    const rising = t.previous === 0 ? 'new' : t.count > t.previous ? '▲' : '';
+    return `
+      <li>
+        <a class="trend-tag" href="${escapeText(tagPageUrl(t.value))}">#${escapeText(t.value)}</a>
+        <span class="small">${t.count} post${t.count === 1 ? '' : 's'}</span>
+        ${rising ? `<span class="trend-rising" title="vs. the day before">${rising}</span>` : ''}
+      </li>
+    `;
+  }).join('');
+}
 
-  // Check if we have any searchable filters
-  if (!hasSearchFilters(parsed.entities)) {
-    setStatus('Search needs at least 2 characters of text or a valid filter.');
+function fmtSavedAt(iso) {
+  const d = new Date(iso);
+  const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return d.toDateString() === new Date().toDateString() ? time : `${d.toLocaleDateString()} ${time}`;
+}
+
+/**
+ * Show the stored copy of this location's feed after loading it failed.
+ */
+function showOfflineFeed(snapshot, error) {
+  renderPosts(snapshot.posts);
+  showingOfflineFeed = true;
+  const reason = navigator.onLine ? `Couldn't reach the server (${error.message})` : 'Offline';
+  setStatus(`${reason}, showing posts from ${fmtSavedAt(snapshot.savedAt)}`);
+}
+
+// Swap the stored feed for a live one as soon as the connection is back
+window.addEventListener('online', () => {
+  if (showingOfflineFeed) loadFeed();
+});
+
+/**
+ * Fetch the next feed page and append it. No-op while a page is in flight or when exhausted.
+ */
+async function loadMoreFeed() {
+  if (!feedCursor || !feedParams || feedLoadingMore) return;
+  const generation = feedGeneration;
+  const cursor = feedCursor;
+  feedLoadingMore = true;
+  setStatus(`Loaded ${feedCount} posts, loading more…`);
+
+  let progressed = false;
+  try {
+    const data = await apiGet('/api/feed', { ...feedParams, cursor });
+    if (generation !== feedGeneration) return;
+    renderPosts(data.posts, { append: true });
+    feedCursor = data.nextCursor || null;
+    feedCount += data.posts.length;
+    progressed = feedCursor !== cursor;
+    setFeedStatus();
+  } catch (e) {
+    if (generation === feedGeneration) setStatus(`Error: ${e.message}`);
+  } finally {
+    feedLoadingMore = false;
+  }
+
+  if (progressed) continueFeedIfVisible();
+}
+
+/**
+ * A short page can leave the sentinel on screen, which won't re-trigger the observer.
+ */
+function continueFeedIfVisible() {
+  if (feedCursor && isNearViewport(feedMoreEl)) {
+    loadMoreFeed();
+  }
+}
+
+// ====== INFINITE SCROLL ======
+// Sentinel below the list; reaching it loads the next feed page
+const feedMoreEl = document.createElement('div');
+feedMoreEl.className = 'feed-more';
+listEl.after(feedMoreEl);
+
+const FEED_PREFETCH_PX = 600;
+
+function isNearViewport(el) {
+  return el.getBoundingClientRect().top < window.innerHeight + FEED_PREFETCH_PX;
+}
+
+const feedMoreObserver = new IntersectionObserver((entries) => {
+  if (entries.some(entry => entry.isIntersecting)) {
+    loadMoreFeed();
+  }
+}, {
+  rootMargin: `0px 0px ${FEED_PREFETCH_PX}px 0px`
+});
+feedMoreObserver.observe(feedMoreEl);
+
+// ====== LIVE UPDATES ======
+// New nearby posts arrive over Server-Sent Events and wait behind a banner,
+// so the list doesn't shift while someone is reading it.
+const newPostsBtn = document.createElement('button');
+newPostsBtn.className = 'new-posts';
+newPostsBtn.hidden = true;
+listEl.before(newPostsBtn);
+
+newPostsBtn.addEventListener('click', () => {
+  // Stream sends oldest first; the list is newest first
+  const posts = pendingNewPosts.reverse();
+  pendingNewPosts = [];
+  newPostsBtn.hidden = true;
+  renderPosts(posts, { prepend: true });
+  feedCount += posts.length;
+  if (lastH3) setFeedStatus();
+  listEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+});
+
+function updateNewPostsBanner() {
+  const n = pendingNewPosts.length;
+  newPostsBtn.hidden = n === 0;
+  newPostsBtn.textContent = `${n} new post${n === 1 ? '' : 's'}`;
+}
+
+function stopFeedStream() {
+  if (feedStream) {
+    feedStream.close();
+    feedStream = null;
+  }
+  pendingNewPosts = [];
+  updateNewPostsBanner();
+}
+
+/**
+ * Watch the current feed cells for posts newer than `newestTime`.
+ * Skipped when the feed has an until: bound, since nothing new can match it.
+ */
+function startFeedStream(newestTime) {
+  stopFeedStream();
+  if (!lastH3 || activeTimeRange?.until || typeof EventSource === 'undefined') return;
+
+  const since = [newestTime, activeTimeRange?.since].filter(Boolean).sort().pop();
+  const url = new URL(API_BASE + '/api/feed/stream', API_BASE ? undefined : window.location.origin);
+  url.searchParams.set('h3', queryCells().join(','));
+  url.searchParams.set('resolution', String(lastH3.resolution));
+  if (since) url.searchParams.set('since', since);
+  if (SITE.category) url.searchParams.set('hashtag', SITE.category);
+
+  const stream = new EventSource(url.toString());
+  stream.addEventListener('post', (e) => {
+    let post;
+    try {
+      post = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    if (hideMuted([post]).length === 0) return;
+    const key = postKey(post);
+    if (shownPostKeys.has(key) || pendingNewPosts.some(p => postKey(p) === key)) return;
+    pendingNewPosts.push(post);
+    updateNewPostsBanner();
+  });
+  // On a dropped connection EventSource reconnects on its own (resuming via Last-Event-ID)
+  feedStream = stream;
+}
+
+// ====== MAP VIEW ======
+// Every feed cell as a hexagon, shaded by how many loaded posts fall in it.
+// Clicking a hexagon filters the list to it; dragging the map moves the query there.
+
+function updateFeedMap({ fit = true } = {}) {
+  if (!feedMap || mapEl.hidden || !lastH3) return;
+  const key = `${lastH3.resolution}:${lastH3.cells.join(',')}`;
+  if (key !== mapCellsKey) {
+    feedMap.setCells(lastH3.cells, { fit });
+    feedMap.setArea(lastH3.area || null);
+    mapCellsKey = key;
+  }
+  feedMap.setCounts(countPostsByCell(listedPosts, lastH3.resolution));
+  feedMap.setSelected(cellFilter);
+  feedMap.setTrail(followTrail);
+}
+
+/**
+ * Show only the loaded posts in one cell (null shows them all).
+ */
+function setCellFilter(cell) {
+  cellFilter = cell;
+  const shown = listedPosts.filter(inCellFilter);
+  postRenderer.renderPosts(listEl, shown, {
+    emptyHtml: '<div class="post empty">No loaded posts in this cell yet.</div>'
+  });
+  feedMap?.setSelected(cellFilter);
+
+  if (feedParams) {
+    setFeedStatus();
+  } else if (cellFilter) {
+    setStatus(`Showing ${shown.length} of ${listedPosts.length} posts in the selected cell`);
+  } else {
+    setStatus(`Showing all ${listedPosts.length} posts`);
+  }
+  // A sparse cell may need more feed pages before it fills the screen
+  continueFeedIfVisible();
+}
+
+/**
+ * Re-run whatever fills the list (search results or the nearby feed) after the location changed.
+ */
+async function reloadList() {
+  try {
+    if (showingSearch) await runSearch();
+    else await loadFeed();
+  } catch (e) {
+    setStatus(String(e));
+  }
+}
+
+async function recenterFromMap(lat, lng) {
+  // Follow mode owns the location; the next fix would undo the drag anyway
+  if (followWatchId !== null) return;
+  setLocation(lat, lng, { source: 'map', label: 'map' });
+  updateFeedMap({ fit: false });
+  await reloadList();
+}
+
+/**
+ * Query a polygon sketched on the map instead of a radius ring.
+ */
+async function queryDrawnArea(latlngs) {
+  const area = areaToCells(latlngs);
+  if (!area) {
+    setStatus(`That area is too large to search; draw a smaller one (up to ${AREA_MAX_CELLS} metro cells).`);
     return;
   }
 
-  setStatus('Parsing search…');
-  const limit = Number(limitEl.value);
+  const [lat, lng] = area.center;
+  setLocation(lat, lng, {
+    source: 'area',
+    label: `drawn area (${area.cells.length} cells)`,
+    h3: {
+      cells: area.cells,
+      resolution: area.resolution,
+      centerCell: latLngToCell(lat, lng, area.resolution),
+      compacted: area.compacted,
+      area: latlngs,
+      r7: [],
+      r8: []
+    }
+  });
+  updateFeedMap({ fit: false });
+  await reloadList();
+}
 
-  // Build the structured search request
+const MAP_HINT = mapHintEl.textContent;
+
+btnDrawArea.addEventListener('click', () => {
+  if (mapDrawing) feedMap.stopDrawing();
+  else feedMap.startDrawing();
+});
+
+btnMap.addEventListener('click', () => {
+  mapEl.hidden = !mapEl.hidden;
+  btnMap.setAttribute('aria-pressed', String(!mapEl.hidden));
+
+  if (mapEl.hidden) {
+    feedMap?.stopDrawing();
+    if (cellFilter) setCellFilter(null);
+    return;
+  }
+  if (!feedMap) {
+    feedMap = createFeedMap(mapCanvasEl, {
+      // Clicking the selected hexagon again clears the filter
+      onCellClick: (cell) => setCellFilter(cell === cellFilter ? null : cell),
+      onRecenter: recenterFromMap,
+      onAreaDrawn: queryDrawnArea,
+      onDrawingChange: (active) => {
+        mapDrawing = active;
+        btnDrawArea.textContent = active ? 'Cancel drawing' : 'Draw area';
+        mapHintEl.textContent = active
+          ? 'Click to add corners; click the first corner or double-click to finish. Esc cancels.'
+          : MAP_HINT;
+      }
+    });
+  } else {
+    feedMap.invalidateSize();
+  }
+  updateFeedMap();
+});
+
+/**
+ * Build the POST /api/search body for a parsed query.
+ * A 📍 location in the query is geocoded; otherwise the search runs in `h3` (a lastH3-shaped context).
+ */
+async function buildSearchRequest(parsed, { limit, h3 }) {
   const searchRequest = {
     limit,
     maxScan: 500
   };
 
-  // Add hashtags if present
-  if (parsed.entities.hashtags.length > 0) {
-    searchRequest.hashtags = parsed.entities.hashtags;
-  }
-
-  // Add mentions if present
-  if (parsed.entities.mentions.length > 0) {
-    searchRequest.mentions = parsed.entities.mentions;
+  // Top-level phrases and field prefixes (user:, name:, media:, has:) go in their own
+  // request fields; the rest of the boolean query tree (OR groups, exclusions) is sent as-is
+  const { filters: fieldFilters, query } = extractFieldFilters(parsed.ast);
+  Object.assign(searchRequest, fieldFilters);
+  if (query) {
+    searchRequest.query = query;
   }
 
-  // Add text if present
-  if (parsed.entities.text) {
-    searchRequest.text = parsed.entities.text;
+  if (parsed.entities.timeRange) {
+    searchRequest.timeRange = parsed.entities.timeRange;
   }
 
-  // Handle location from query (📍) or use current location context
+  // Handle location from query (📍) or use the location context
   if (parsed.entities.locations.length > 0) {
     const locationName = parsed.entities.locations[0].name;
-    setStatus(`Geocoding "${locationName}"…`);
-
+    let geo;
     try {
-      const geo = await geocodeAddress(locationName);
-      const resolution = 7;
-      const centerCell = latLngToCell(geo.latitude, geo.longitude, resolution);
-      const cells = Array.from(gridDisk(centerCell, 2));
-
-      searchRequest.location = {
-        name: locationName,
-        h3Cells: cells,
-        resolution
-      };
-    } catch (err) {
-      setStatus(`Could not find location: ${locationName}`);
-      return;
+      geo = await geocodeAddress(locationName);
+    } catch {
+      throw new Error(`Could not find location: ${locationName}`);
     }
-  } else if (lastH3) {
-    // Use current location context if no explicit location
+    const resolution = 7;
+    const centerCell = latLngToCell(geo.latitude, geo.longitude, resolution);
+    searchRequest.location = {
+      name: locationName,
+      h3Cells: Array.from(gridDisk(centerCell, 2)),
+      resolution
+    };
+  } else if (h3) {
     searchRequest.location = {
-      name: 'current',
-      h3Cells: lastH3.cells,
-      resolution: lastH3.resolution
+      name: h3.area ? 'drawn area' : 'current',
+      h3Cells: queryCells(h3),
+      resolution: h3.resolution
     };
   }
 
-  setStatus('Searching…');
+  return withCategory(searchRequest);
+}
+
+async function postSearch(searchRequest) {
+  const response = await fetch(`${API_BASE}/api/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(searchRequest)
+  });
+
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || `HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.posts;
+}
+
+/**
+ * Run the query in the search box.
+ * @returns {Promise<Array|null>} the search results, or null if no search results were shown
+ */
+async function runSearch() {
+  const q = (searchEl.value || '').trim();
+  if (q.length < 2) {
+    setStatus('Search needs at least 2 characters.');
+    return null;
+  }
+
+  // Parse the search query
+  const parsed = parseSearchQuery(q);
+  activeTimeRange = parsed.entities.timeRange;
+
+  // A time range on its own just narrows the nearby feed
+  if (activeTimeRange && !hasSearchFilters(parsed.entities)) {
+    await loadFeed();
+    return null;
+  }
+
+  // Check if we have any searchable filters
+  if (!hasSearchFilters(parsed.entities)) {
+    setStatus('Search needs at least 2 characters of text or a valid filter.');
+    return null;
+  }
 
+  setStatus(parsed.entities.locations.length
+    ? `Geocoding "${parsed.entities.locations[0].name}"…`
+    : 'Parsing search…');
+  const limit = Number(limitEl.value);
+  const generation = ++feedGeneration;
+  showingSearch = true;
+  updateUrl();
+  feedParams = null;
+  feedCursor = null;
+  stopFeedStream();
+
+  let searchRequest;
   try {
-    const response = await fetch(`${API_BASE}/api/search`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(searchRequest)
-    });
+    searchRequest = await buildSearchRequest(parsed, { limit, h3: lastH3 });
+  } catch (e) {
+    setStatus(e.message);
+    return null;
+  }
 
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      throw new Error(err.error?.message || `HTTP ${response.status}`);
-    }
+  setStatus('Searching…');
 
-    const data = await response.json();
-    renderPosts(data.posts);
+  try {
+    const posts = await postSearch(searchRequest);
+    if (generation !== feedGeneration) return null;
+    renderPosts(posts);
 
     // Build status message showing what filters were applied
     const filters = [];
-    if (searchRequest.hashtags?.length) filters.push(`#${searchRequest.hashtags.join(' #')}`);
-    if (searchRequest.mentions?.length) filters.push(`@${searchRequest.mentions.join(' @')}`);
+    if (parsed.ast) filters.push(describeQuery(parsed.ast));
     if (parsed.entities.locations.length) filters.push(`📍${parsed.entities.locations[0].name}`);
-    if (searchRequest.text) filters.push(`"${searchRequest.text}"`);
+    if (activeTimeRange) filters.push(describeTimeRange(activeTimeRange));
 
     const filterDesc = filters.length ? ` (${filters.join(', ')})` : '';
-    setStatus(`Found ${data.posts.length} posts${filterDesc}`);
+    setStatus(`Found ${posts.length} posts${filterDesc}`);
+    return posts;
   } catch (e) {
     setStatus(`Error: ${e.message}`);
+    return null;
   }
 }
 
@@ -1200,7 +1054,7 @@ btnLocate.addEventListener('click', async () => {
   setStatus('Requesting location…');
   
   try {
-    lastGeo = await new Promise((resolve, reject) => {
+    const pos = await new Promise((resolve, reject) => {
       navigator.geolocation.getCurrentPosition(
         (pos) => resolve(pos),
         (err) => reject(err),
@@ -1208,20 +1062,111 @@ btnLocate.addEventListener('click', async () => {
       );
     });
 
-    const { latitude, longitude, accuracy } = lastGeo.coords;
-    const k = Number(kEl.value);
-    lastH3 = computeH3Tokens(latitude, longitude, k);
+    const { latitude, longitude, accuracy } = pos.coords;
+    setLocation(latitude, longitude, { source: 'gps', label: `GPS ±${Math.round(accuracy)}m` });
     
     console.log(`Location: ${latitude.toFixed(5)}, ${longitude.toFixed(5)} (±${accuracy}m)`);
     console.log(`Your H3 r7 center: ${lastH3.centerCell}`);
     
-    setLocInfo(latitude, longitude, lastH3.centerCell, `GPS ±${Math.round(accuracy)}m`);
     await loadFeed();
   } catch (e) {
     setStatus(`Location error: ${e.message}`);
   }
 });
 
+// ====== FOLLOW MODE ======
+// watchPosition keeps the origin current; the query only moves (and the list only
+// reloads) when a fix lands in a different center cell at the chosen radius.
+
+/** Manual location controls are off while following */
+function setManualLocationEnabled(enabled) {
+  for (const el of [addressEl, btnGeocode, btnLocate, btnDrawArea]) el.disabled = !enabled;
+}
+
+function onFollowPosition(pos) {
+  const { latitude, longitude, accuracy } = pos.coords;
+  if (accuracy > FOLLOW_MAX_ACCURACY_M) return;
+
+  const first = followTrail.length === 0;
+  const next = computeH3Tokens(latitude, longitude, Number(kEl.value));
+  if (!first && next.centerCell === lastH3.centerCell) {
+    // Same cell: only move the origin a radius change would recompute from
+    origin = { ...origin, lat: latitude, lng: longitude };
+    return;
+  }
+
+  setLocation(latitude, longitude, {
+    source: 'follow',
+    label: `following GPS ±${Math.round(accuracy)}m`,
+    h3: next
+  });
+  if (followTrail[followTrail.length - 1] !== lastH3.centerCell) {
+    followTrail = [...followTrail, lastH3.centerCell].slice(-FOLLOW_TRAIL_MAX);
+  }
+  updateFeedMap();
+
+  // Crossing back and forth over a cell edge shouldn't reload on every fix
+  clearTimeout(followRefreshTimer);
+  if (first) {
+    reloadList();
+  } else {
+    followRefreshTimer = setTimeout(reloadList, FOLLOW_REFRESH_DELAY_MS);
+  }
+}
+
+function onFollowError(err) {
+  if (err.code === err.PERMISSION_DENIED) {
+    stopFollow();
+    setStatus('Follow mode needs location permission.');
+    return;
+  }
+  // Timeouts and lost signal: keep watching, the next fix picks up again
+  setStatus(`Location error: ${err.message} (still following)`);
+}
+
+function startFollow() {
+  if (!navigator.geolocation) {
+    setStatus('This browser has no geolocation.');
+    return;
+  }
+  feedMap?.stopDrawing();
+  followTrail = [];
+  setManualLocationEnabled(false);
+  btnFollow.setAttribute('aria-pressed', 'true');
+  btnFollow.textContent = 'Stop following';
+  setStatus('Waiting for your location…');
+  followWatchId = navigator.geolocation.watchPosition(onFollowPosition, onFollowError, {
+    enableHighAccuracy: true,
+    timeout: 30_000,
+    maximumAge: 10_000
+  });
+}
+
+/**
+ * Leave follow mode. The query stays on the last cell reached, and the
+ * address, GPS and map controls take over again.
+ */
+function stopFollow() {
+  if (followWatchId === null) return;
+  navigator.geolocation.clearWatch(followWatchId);
+  followWatchId = null;
+  clearTimeout(followRefreshTimer);
+  followRefreshTimer = null;
+  followTrail = [];
+  feedMap?.setTrail([]);
+  setManualLocationEnabled(true);
+  btnFollow.setAttribute('aria-pressed', 'false');
+  btnFollow.textContent = 'Follow me';
+  if (origin?.source === 'follow') {
+    setLocation(origin.lat, origin.lng, { source: 'gps', label: 'GPS (stopped following)', h3: lastH3 });
+  }
+}
+
+btnFollow.addEventListener('click', () => {
+  if (followWatchId === null) startFollow();
+  else stopFollow();
+});
+
 // Use address/city geocoding
 btnGeocode.addEventListener('click', async () => {
   const address = (addressEl.value || '').trim();
@@ -1232,15 +1177,18 @@ btnGeocode.addEventListener('click', async () => {
   
   setStatus('Geocoding address…');
   try {
-    const geo = await geocodeAddress(address);
-    const k = Number(kEl.value);
-    lastH3 = computeH3Tokens(geo.latitude, geo.longitude, k);
+    // Recent places are already geocoded
+    const recent = findRecentPlace(loadLocationData(SITE.locationKey).recent, address);
+    const geo = recent
+      ? { latitude: recent.lat, longitude: recent.lng, displayName: recent.displayName }
+      : await geocodeAddress(address);
+    const shortName = recent ? recent.name : geo.displayName.split(',').slice(0, 2).join(',');
+    setLocation(geo.latitude, geo.longitude, { source: 'geocode', label: shortName, place: shortName });
+    rememberRecentPlace({ name: shortName, displayName: geo.displayName, lat: geo.latitude, lng: geo.longitude });
     
     console.log(`Geocoded: ${geo.latitude.toFixed(5)}, ${geo.longitude.toFixed(5)}`);
     console.log(`H3 r7 center: ${lastH3.centerCell}`);
     
-    const shortName = geo.displayName.split(',').slice(0, 2).join(',');
-    setLocInfo(geo.latitude, geo.longitude, lastH3.centerCell, shortName);
     await loadFeed();
   } catch (e) {
     setStatus(`Geocoding error: ${e.message}`);
@@ -1255,6 +1203,12 @@ addressEl.addEventListener('keydown', (e) => {
   }
 });
 
+// Picking a recent place from the list sets it right away (typing the same name doesn't)
+addressEl.addEventListener('input', (e) => {
+  if (e.inputType && e.inputType !== 'insertReplacementText') return;
+  if (findRecentPlace(loadLocationData(SITE.locationKey).recent, addressEl.value)) btnGeocode.click();
+});
+
 btnSearch.addEventListener('click', async () => {
   try {
     await runSearch();
@@ -1263,28 +1217,123 @@ btnSearch.addEventListener('click', async () => {
   }
 });
 
+const searchBox = initSearchBox(searchEl, {
+  fetchSuggestions: async (type, prefix) => {
+    const params = { type, prefix };
+    if (lastH3) {
+      params.h3 = lastH3.cells.slice(0, 50).join(',');
+      params.resolution = lastH3.resolution;
+    }
+    const data = await apiGet('/api/suggest', params);
+    return data.suggestions;
+  },
+  onSubmit: () => btnSearch.click()
+});
+
 btnClear.addEventListener('click', async () => {
   searchEl.value = '';
+  searchBox.refresh();
+  activeTimeRange = null;
   await loadFeed();
 });
 
 kEl.addEventListener('change', async () => {
-  if (!lastGeo && !lastH3) return;
-  
-  const k = Number(kEl.value);
-  
-  // If we have GPS coords, recompute from those
-  if (lastGeo) {
-    const { latitude, longitude } = lastGeo.coords;
-    lastH3 = computeH3Tokens(latitude, longitude, k);
-  } else if (lastH3 && lastH3.centerCell) {
-    // Otherwise we need to get lat/lng from somewhere
-    // For now, just reload since we stored the center cell
-    // Note: h3-js can convert cell back to lat/lng if needed
+  rememberRadius(Number(kEl.value));
+  if (!origin) return;
+
+  // Recompute the ring around the origin, whatever set it. A drawn area (drawn,
+  // saved or linked) has no radius, so it becomes a ring around its center.
+  const { lat, lng, source, place } = origin;
+  if (lastH3.compacted) setLocation(lat, lng, { source: 'map', label: 'map' });
+  else setLocation(lat, lng, { source, label: locationLabel, place });
+  updateFeedMap();
+  await reloadList();
+});
+
+// ====== SAVED SEARCHES ======
+// Queries saved with their location; re-run in the background for an unread badge
+
+const savedSearches = initSavedSearches(document.getElementById('savedSearches'), {
+  storageKey: SITE.savedSearchesKey,
+  fetchMatches: async (saved) => {
+    const request = await buildSearchRequest(parseSearchQuery(saved.query), { limit: 25, h3: saved.location });
+    return hideMuted(await postSearch(request));
+  },
+  onOpen: (saved) => openSavedSearch(saved)
+});
+
+/**
+ * Restore a saved search's query and location, run it, and mark its results seen.
+ */
+async function openSavedSearch(saved) {
+  searchEl.value = saved.query;
+  searchBox.refresh();
+  if (saved.location) {
+    stopFollow();
+    const [lat, lng] = cellToLatLng(saved.location.centerCell);
+    setLocation(lat, lng, { source: 'saved', label: saved.locationLabel, h3: saved.location });
   }
-  
-  await loadFeed();
+  const posts = await runSearch();
+  if (posts) savedSearches.markSeen(saved.id, posts);
+}
+
+btnSaveSearch.addEventListener('click', async () => {
+  const q = (searchEl.value || '').trim();
+  if (!hasSearchFilters(parseSearchQuery(q).entities)) {
+    setStatus('Type a search (text, #hashtag, @user…) to save it.');
+    return;
+  }
+  // Run it first, so what's on screen is what counts as already seen
+  const posts = await runSearch();
+  if (!posts) return;
+
+  const location = locationSnapshot();
+  if (savedSearches.save(q, location, location ? locationLabel : '', posts)) {
+    setStatus(`Saved "${q}". It will show a badge when new posts match.`);
+  } else {
+    setStatus('You have too many saved searches; remove one first.');
+  }
+});
+
+// Notification clicks (see sw.js) in an already open tab
+navigator.serviceWorker?.addEventListener('message', (e) => {
+  if (e.data?.type !== 'open-saved-search') return;
+  const saved = savedSearches.get(new URL(e.data.url).searchParams.get('saved'));
+  if (saved) openSavedSearch(saved);
 });
 
-// Auto-load posts using IP-based geolocation on page load
-initWithIPLocation();
+kEl.value = String(SITE.defaultRadiusK);
+
+registerServiceWorker();
+
+/**
+ * First view: a notification link (?saved=<id>) opens that search. Otherwise the
+ * URL's view runs at its `at` cell, the remembered location, or (auto-detected)
+ * IP-based geolocation, in that order. The URL is applied first, so a linked
+ * location is the only one set and the feed loads once.
+ */
+async function initView() {
+  const startParams = new URLSearchParams(window.location.search);
+  const savedAtStart = savedSearches.get(startParams.get('saved'));
+  const view = parseViewParams(window.location.search);
+  applyViewParams(view);
+  // A linked location comes with its own radius
+  const restoredLocation = restoreLocation({ radius: !view.at && view.k === null, location: !view.at });
+  if (savedAtStart) {
+    await openSavedSearch(savedAtStart);
+    return;
+  }
+
+  if (!view.at && !restoredLocation) {
+    await initWithIPLocation();
+    if (!view.q) return;
+  }
+  await showViewQuery(view.q);
+}
+
+initView()
+  .catch((e) => setStatus(String(e)))
+  .finally(() => {
+    historyMode = 'push';
+    savedSearches.checkAll();
+  });
@@ -1,76 +1,120 @@
 /**
  * Favorites page JavaScript
- * Manages favorite users in localStorage and displays their posts
+ * Manages favorite users in localStorage and displays their posts.
+ * Favorites can carry a private note and belong to named groups; the mute list
+ * kept alongside them hides users' posts in the feed and search (see shared/favoritesStore.js).
+ * Lists move between devices as a JSON file or a /favorites#u=alice,bob link (also as a QR code).
+ * "All favorites" merges everyone's posts into one timeline (POST /api/users/posts),
+ * with a colour chip per user that also toggles them in and out of it.
  */
 import QRCode from 'qrcode';
+import { escapeText } from './shared/render.js';
+import { createPostRenderer } from './shared/postList.js';
+import {
+  USERNAME_RE,
+  loadFavoritesData,
+  saveFavoritesData,
+  canSaveFavorites,
+  FAVORITES_READ_ONLY_MESSAGE,
+  migrateFavorites,
+  mergeFavoritesData,
+  normalizeUsername,
+  normalizeGroupName
+} from './shared/favoritesStore.js';
+import { SITE } from './site.js';
+import { registerServiceWorker, cacheMediaForOffline } from './offline.js';
 
 // Constants
 const API_BASE = '';
-const FAVORITES_KEY = '2chanc3s_favorites';
+const FAVORITES_KEY = SITE.favoritesKey;
+// Posts per page of the "All favorites" timeline
+const TIMELINE_PAGE_SIZE = 50;
 
 // DOM Elements
 const listEl = document.getElementById('list');
 const favoritesListEl = document.getElementById('favoritesList');
 const newFavoriteEl = document.getElementById('newFavorite');
 const btnAddFavorite = document.getElementById('btnAddFavorite');
-
-// ====== PLATFORM DETECTION ======
-// On iOS, ONLY Safari supports Universal Links. ALL other iOS browsers need custom URL scheme.
-const ua = navigator.userAgent || '';
-const isIOS = /iPhone|iPad|iPod/i.test(ua);
-const isAndroid = /Android/i.test(ua);
-
-// Safari on iOS: contains "Safari" but NOT any third-party browser identifiers.
-const isIOSSafari = isIOS && /Safari/i.test(ua) && !/CriOS|FxiOS|OPiOS|EdgiOS|Brave|DuckDuckGo|Focus/i.test(ua);
-
-// Any iOS browser that's NOT Safari needs custom scheme fallback
-const isIOSNotSafari = isIOS && !isIOSSafari;
-
-// Desktop: anything that's not iOS or Android
-const isDesktop = !isIOS && !isAndroid;
-
-console.log('[Platform]', { isIOS, isAndroid, isIOSSafari, isIOSNotSafari, isDesktop });
+const favoritesStatusEl = document.getElementById('favoritesStatus');
+const btnShareFavorites = document.getElementById('btnShareFavorites');
+const btnExportFavorites = document.getElementById('btnExportFavorites');
+const btnImportFavorites = document.getElementById('btnImportFavorites');
+const importFileEl = document.getElementById('importFile');
+const shareBoxEl = document.getElementById('favoritesShare');
+const shareUrlEl = document.getElementById('shareUrl');
+const btnCopyShareUrl = document.getElementById('btnCopyShareUrl');
+const shareQrEl = document.getElementById('shareQr');
+const timelineChipsEl = document.getElementById('timelineChips');
+const btnLoadOlder = document.getElementById('btnLoadOlder');
+const groupBarEl = document.getElementById('favoriteGroups');
+const btnNewGroup = document.getElementById('btnNewGroup');
+const newMutedEl = document.getElementById('newMuted');
+const btnMute = document.getElementById('btnMute');
+const mutedListEl = document.getElementById('mutedList');
+
+// Group shown in the list and the timeline (null: everyone)
+let activeGroup = null;
+
+// "All favorites" timeline state
+let timelineActive = false;
+let timelineHidden = new Set();   // usernames toggled off with their chip
+let timelinePage = null;          // { usernames, cursor } to request the next (older) page with
+let timelineGeneration = 0;       // bumped on every reload so stale pages are dropped
 
 // ============================================================
 // localStorage Functions
 // ============================================================
 
 /**
- * Load favorites from localStorage
+ * Apply a change to the stored favorites document and save it
+ * @param {(data: import('./shared/favoritesStore.js').FavoritesData) => *} change
+ * @returns {*} Whatever change returns, or null (with a status message) if
+ *   storage holds favorites this version can't read
+ */
+function updateFavorites(change) {
+  if (!canSaveFavorites(FAVORITES_KEY)) {
+    setFavoritesStatus(FAVORITES_READ_ONLY_MESSAGE);
+    return null;
+  }
+  const data = loadFavoritesData(FAVORITES_KEY);
+  const result = change(data);
+  saveFavoritesData(FAVORITES_KEY, data);
+  return result;
+}
+
+/**
+ * Load favorite usernames from localStorage
  * @returns {string[]} Array of usernames
  */
 function getFavorites() {
-  try {
-    const stored = localStorage.getItem(FAVORITES_KEY);
-    return stored ? JSON.parse(stored) : [];
-  } catch {
-    return [];
-  }
+  return loadFavoritesData(FAVORITES_KEY).favorites.map(f => f.username);
 }
 
 /**
- * Save favorites to localStorage
- * @param {string[]} favorites - Array of usernames
+ * Favorite usernames in the active group (all of them when no group is picked)
+ * @returns {string[]}
  */
-function saveFavorites(favorites) {
-  localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+function getGroupFavorites() {
+  const { favorites } = loadFavoritesData(FAVORITES_KEY);
+  return favorites
+    .filter(f => !activeGroup || f.groups.includes(activeGroup))
+    .map(f => f.username);
 }
 
 /**
- * Add a username to favorites
+ * Add a username to favorites (and to the active group)
  * @param {string} username - Username to add
  * @returns {boolean} True if added, false if already exists
  */
 function addFavorite(username) {
-  const normalized = username.replace(/^@/, '').trim().toLowerCase();
+  const normalized = normalizeUsername(username);
   if (!normalized) return false;
-  
-  const favorites = getFavorites();
-  if (favorites.includes(normalized)) return false;
-  
-  favorites.push(normalized);
-  saveFavorites(favorites);
-  return true;
+
+  return updateFavorites(data => {
+    if (data.favorites.some(f => f.username === normalized)) return false;
+    data.favorites.push({ username: normalized, note: '', groups: activeGroup ? [activeGroup] : [] });
+    return true;
+  });
 }
 
 /**
@@ -78,409 +122,165 @@ function addFavorite(username) {
  * @param {string} username - Username to remove
  */
 function removeFavorite(username) {
-  const favorites = getFavorites();
-  const filtered = favorites.filter(u => u !== username);
-  saveFavorites(filtered);
-}
-
-// ============================================================
-// Utility Functions
-// ============================================================
-
-function escapeText(s) {
-  return (s || '').replace(/[&<>"']/g, (c) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c]));
-}
-
-function fmtTime(iso) {
-  try {
-    return new Date(iso).toLocaleString();
-  } catch {
-    return iso;
-  }
-}
-
-// ====== REPLY URL GENERATORS ======
-
-// Custom URL scheme for app - works on iOS non-Safari, and as fallback
-function replyUrlCustomScheme(username, messageId) {
-  const u = encodeURIComponent(username);
-  const m = encodeURIComponent(messageId);
-  return `loxation://reply?username=${u}&messageId=${m}`;
+  updateFavorites(data => {
+    data.favorites = data.favorites.filter(f => f.username !== username);
+  });
 }
 
-// HTTPS URL for web fallback page (also Universal Link host)
-function replyUrlHTTPS(username, messageId) {
-  const u = encodeURIComponent(username);
-  const m = encodeURIComponent(messageId);
-  return `https://public.loxation.com/reply?username=${u}&messageId=${m}`;
+/**
+ * Add usernames to favorites, skipping invalid ones and ones already there
+ * @param {unknown[]} usernames
+ * @returns {number|null} How many were added, null if favorites can't be saved
+ */
+function mergeFavorites(usernames) {
+  const valid = usernames
+    .filter(u => typeof u === 'string' && USERNAME_RE.test(normalizeUsername(u)));
+  return updateFavorites(data => mergeFavoritesData(data, migrateFavorites(valid)));
 }
 
-// Android intent:// URL with Play Store fallback
-function replyUrlAndroid(username, messageId) {
-  const u = encodeURIComponent(username);
-  const m = encodeURIComponent(messageId);
-  const fallback = encodeURIComponent('https://play.google.com/store/apps/details?id=com.jabresearch.loxation');
-  return `intent://reply?username=${u}&messageId=${m}#Intent;scheme=loxation;package=com.jabresearch.loxation;S.browser_fallback_url=${fallback};end`;
+/**
+ * @param {string} username
+ * @param {string} note
+ */
+function setFavoriteNote(username, note) {
+  updateFavorites(data => {
+    const entry = data.favorites.find(f => f.username === username);
+    if (entry) entry.note = note.trim();
+  });
 }
 
 /**
- * Get the appropriate reply URL based on platform
+ * Put a favorite in or take them out of a group
+ * @param {string} username
+ * @param {string} group
+ * @param {boolean} member
  */
-function getReplyUrl(username, messageId) {
-  if (isAndroid) {
-    return replyUrlAndroid(username, messageId);
-  }
-  return replyUrlHTTPS(username, messageId);
+function setFavoriteGroup(username, group, member) {
+  updateFavorites(data => {
+    const entry = data.favorites.find(f => f.username === username);
+    if (!entry) return;
+    entry.groups = entry.groups.filter(g => g !== group);
+    if (member) entry.groups.push(group);
+  });
 }
 
 /**
- * Handle Reply button click - special handling for iOS non-Safari browsers
+ * @param {string} name
+ * @returns {string|null} The normalized name, or null if empty or taken
  */
-function handleReplyClick(event, username, messageId) {
-  if (!isIOSNotSafari) {
-    return true; // Let default href work
-  }
-  
-  event.preventDefault();
-  const customUrl = replyUrlCustomScheme(username, messageId);
-  const fallbackUrl = replyUrlHTTPS(username, messageId);
-  openAppWithFallback(customUrl, fallbackUrl);
-  return false;
+function addGroup(name) {
+  const normalized = normalizeGroupName(name);
+  if (!normalized) return null;
+  return updateFavorites(data => {
+    if (data.groups.includes(normalized)) return null;
+    data.groups.push(normalized);
+    return normalized;
+  });
 }
 
 /**
- * Attempt to open app via custom scheme with web fallback
+ * Delete a group; its members stay in favorites
+ * @param {string} name
  */
-function openAppWithFallback(customSchemeUrl, fallbackWebUrl) {
-  const startTime = Date.now();
-  let userLeftPage = false;
-  
-  const handleVisibilityChange = () => {
-    if (document.hidden) userLeftPage = true;
-  };
-  document.addEventListener('visibilitychange', handleVisibilityChange);
-  
-  window.location.href = customSchemeUrl;
-  
-  setTimeout(() => {
-    document.removeEventListener('visibilitychange', handleVisibilityChange);
-    const elapsed = Date.now() - startTime;
-    if (!userLeftPage && !document.hidden && elapsed >= 1400) {
-      console.log('[openAppWithFallback] App did not open, redirecting to fallback');
-      window.location.href = fallbackWebUrl;
+function removeGroup(name) {
+  updateFavorites(data => {
+    data.groups = data.groups.filter(g => g !== name);
+    for (const entry of data.favorites) {
+      entry.groups = entry.groups.filter(g => g !== name);
     }
-  }, 1500);
+  });
 }
 
-// Make handleReplyClick available globally
-window.handleReplyClick = handleReplyClick;
-
-// ====== QR CODE MODAL (Desktop only) ======
-const qrModal = document.getElementById('qr-modal');
-const qrModalImg = document.getElementById('qr-modal-img');
-const qrModalTarget = qrModal?.querySelector('.qr-modal-target');
-
 /**
- * Generate QR code data URL
+ * @param {string} username
+ * @returns {boolean} True if added, false if invalid or already muted
  */
-async function generateQRCodeDataUrl(url) {
-  try {
-    return await QRCode.toDataURL(url, {
-      width: 180,
-      margin: 1,
-      errorCorrectionLevel: 'M',
-      color: { dark: '#1a1a1a', light: '#fffdf7' }
-    });
-  } catch (err) {
-    console.error('[QR] Error generating QR code:', err);
-    return null;
-  }
+function muteUser(username) {
+  const normalized = normalizeUsername(username);
+  if (!USERNAME_RE.test(normalized)) return false;
+  return updateFavorites(data => {
+    if (data.muted.includes(normalized)) return false;
+    data.muted.push(normalized);
+    return true;
+  });
 }
 
 /**
- * Show QR modal with reply link
+ * @param {string} username
  */
-async function showQRModal(url, targetDisplay) {
-  if (!qrModal || !qrModalImg) return;
-  const dataUrl = await generateQRCodeDataUrl(url);
-  if (!dataUrl) return;
-  qrModalImg.src = dataUrl;
-  if (qrModalTarget) {
-    qrModalTarget.textContent = targetDisplay || '';
-  }
-  qrModal.classList.remove('hidden');
-}
-
-// Close QR modal on click outside or close button
-if (qrModal) {
-  qrModal.addEventListener('click', (e) => {
-    if (e.target === qrModal) {
-      qrModal.classList.add('hidden');
-    }
+function unmuteUser(username) {
+  updateFavorites(data => {
+    data.muted = data.muted.filter(u => u !== username);
   });
-  const closeBtn = qrModal.querySelector('.qr-modal-close');
-  if (closeBtn) {
-    closeBtn.addEventListener('click', () => qrModal.classList.add('hidden'));
-  }
 }
 
 // ============================================================
-// Media Rendering
+// Sync Functions (export/import, share links)
 // ============================================================
 
 /**
- * Render media element for a post
- * @param {Object} media - Media info from API
- * @returns {string} HTML string for the media element
+ * Shareable link that adds the current favorites on another device
+ * @returns {string}
  */
-function renderMedia(media) {
-  if (!media) return '';
-  
-  if (media.type === 'image') {
-    const thumbUrl = media.medium || media.thumbnail || media.public;
-    const fullUrl = media.large || media.public;
-    if (!thumbUrl) return '';
-    
-    return `
-      <div class="post-media">
-        <img 
-          src="${escapeText(thumbUrl)}" 
-          data-full="${escapeText(fullUrl || thumbUrl)}"
-          alt="Post image"
-          loading="lazy"
-          onclick="window.openLightbox(this)"
-        />
-      </div>
-    `;
-  }
-  
-  if (media.type === 'video') {
-    const posterUrl = media.thumbnail || '';
-    const streamUrl = media.stream;
-    if (!streamUrl) return '';
-    
-    const videoId = 'video-' + Math.random().toString(36).slice(2, 9);
-    const isSafari = /Safari/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent);
-    const hasNativeHLS = isIOS || isSafari;
-    
-    if (hasNativeHLS) {
-      return `
-        <div class="post-media video-container">
-          <video
-            id="${videoId}"
-            src="${escapeText(streamUrl)}"
-            poster="${escapeText(posterUrl)}"
-            controls
-            playsinline
-            muted
-            loop
-            preload="metadata"
-            webkit-playsinline="true"
-          >
-            <source src="${escapeText(streamUrl)}" type="application/vnd.apple.mpegurl">
-            Your browser does not support video playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    } else {
-      return `
-        <div class="post-media video-container">
-          <video
-            id="${videoId}"
-            poster="${escapeText(posterUrl)}"
-            controls
-            playsinline
-            muted
-            loop
-            preload="none"
-            data-stream="${escapeText(streamUrl)}"
-          >
-            Your browser does not support video playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    }
-  }
-  
-  if (media.type === 'live') {
-    const streamUrl = media.stream;
-    const title = media.title || 'Live Stream';
-    const status = media.status || 'created';
-    
-    // If no stream URL yet, show a placeholder
-    if (!streamUrl) {
-      return `
-        <div class="post-media video-container live-container">
-          <span class="live-badge waiting">Starting soon...</span>
-          <div class="live-placeholder">
-            <p>${escapeText(title)}</p>
-          </div>
-        </div>
-      `;
-    }
-    
-    // Generate unique ID for this video element
-    const videoId = 'live-' + Math.random().toString(36).slice(2, 9);
-    
-    // Status badge based on live status
-    let badgeClass = 'live-badge';
-    let badgeText = '🔴 LIVE';
-    if (status === 'ended') {
-      badgeClass = 'live-badge ended';
-      badgeText = '📹 Recorded';
-    } else if (status === 'created') {
-      badgeClass = 'live-badge waiting';
-      badgeText = 'Starting...';
-    }
-    
-    const isSafari = /Safari/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent);
-    const hasNativeHLS = isIOS || isSafari;
-    
-    // Render same as video but with live badge
-    if (hasNativeHLS) {
-      return `
-        <div class="post-media video-container live-container">
-          <span class="${badgeClass}">${badgeText}</span>
-          <video
-            id="${videoId}"
-            src="${escapeText(streamUrl)}"
-            controls
-            playsinline
-            muted
-            preload="metadata"
-            webkit-playsinline="true"
-            data-live="true"
-          >
-            <source src="${escapeText(streamUrl)}" type="application/vnd.apple.mpegurl">
-            Your browser does not support live playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    } else {
-      return `
-        <div class="post-media video-container live-container">
-          <span class="${badgeClass}">${badgeText}</span>
-          <video
-            id="${videoId}"
-            controls
-            playsinline
-            muted
-            preload="none"
-            data-stream="${escapeText(streamUrl)}"
-            data-live="true"
-          >
-            Your browser does not support live playback.
-          </video>
-          <button class="unmute-btn" aria-label="Unmute">🔇</button>
-        </div>
-      `;
-    }
-  }
-  
-  return '';
+function getShareUrl() {
+  return `${SITE.origin}/favorites#u=${getFavorites().map(encodeURIComponent).join(',')}`;
 }
 
 /**
- * Initialize HLS for a video element
- * Uses the stream URL from the data-stream attribute (set by renderMedia)
- * @param {HTMLVideoElement} videoEl - The video element to initialize
+ * Usernames from a #u=alice,bob fragment
+ * @param {string} hash - location.hash
+ * @returns {string[]}
  */
-function initVideoPlayer(videoEl) {
-  if (videoEl._hlsInitialized) return;
-  videoEl._hlsInitialized = true;
-  
-  const isLive = videoEl.dataset.live === 'true';
-  const streamUrl = videoEl.dataset.stream;
-  
-  if (!streamUrl) return;
-  
-  if (videoEl.canPlayType('application/vnd.apple.mpegurl')) {
-    videoEl.src = streamUrl;
-    videoEl.play().catch(() => {});
-  } else if (typeof Hls !== 'undefined' && Hls.isSupported()) {
-    const hls = new Hls({
-      debug: false,
-      enableWorker: true,
-      lowLatencyMode: isLive
-    });
-    
-    videoEl._hls = hls;
-    hls.loadSource(streamUrl);
-    hls.attachMedia(videoEl);
-    
-    hls.on(Hls.Events.MANIFEST_PARSED, () => {
-      videoEl.play().catch(() => {});
-    });
-    
-    hls.on(Hls.Events.ERROR, (event, data) => {
-      if (data.fatal) {
-        switch (data.type) {
-          case Hls.ErrorTypes.NETWORK_ERROR:
-            hls.startLoad();
-            break;
-          case Hls.ErrorTypes.MEDIA_ERROR:
-            hls.recoverMediaError();
-            break;
-          default:
-            hls.destroy();
-            break;
-        }
-      }
-    });
-  } else {
-    videoEl.src = streamUrl;
-    videoEl.play().catch(() => {});
-  }
+function parseShareHash(hash) {
+  const match = /^#u=(.*)$/.exec(hash || '');
+  if (!match) return [];
+  return match[1].split(',').map(u => {
+    try {
+      return decodeURIComponent(u);
+    } catch {
+      return '';
+    }
+  }).filter(Boolean);
 }
 
-// ============================================================
-// Lightbox Functions
-// ============================================================
-
-function openLightbox(imgEl) {
-  const lightbox = document.getElementById('lightbox');
-  const lightboxImg = document.getElementById('lightbox-img');
-  const lightboxVideo = document.getElementById('lightbox-video');
-  
-  if (!lightbox || !lightboxImg || !lightboxVideo) return;
-  
-  lightboxImg.src = imgEl.dataset.full || imgEl.src;
-  lightboxImg.classList.remove('hidden');
-  lightboxVideo.classList.remove('visible');
-  lightboxVideo.pause();
-  lightboxVideo.src = '';
-  
-  lightbox.classList.remove('hidden');
-  document.body.style.overflow = 'hidden';
+/**
+ * Download favorites (with notes, groups and the mute list) as a JSON file
+ */
+function exportFavorites() {
+  const data = {
+    ...loadFavoritesData(FAVORITES_KEY),
+    site: SITE.id,
+    exportedAt: new Date().toISOString()
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${SITE.id}-favorites.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
-function closeLightbox() {
-  const lightbox = document.getElementById('lightbox');
-  const lightboxImg = document.getElementById('lightbox-img');
-  const lightboxVideo = document.getElementById('lightbox-video');
-  
-  if (!lightbox) return;
-  
-  lightbox.classList.add('hidden');
-  if (lightboxImg) {
-    lightboxImg.src = '';
-    lightboxImg.classList.remove('hidden');
-  }
-  if (lightboxVideo) {
-    lightboxVideo.pause();
-    lightboxVideo.src = '';
-    lightboxVideo.classList.remove('visible');
+/**
+ * Merge favorites from an exported JSON file: the current format, a version 1
+ * export ({ favorites: [usernames] }) or a plain array of usernames
+ * @param {File} file
+ * @returns {Promise<number>} How many were added
+ */
+async function importFavorites(file) {
+  const data = JSON.parse(await file.text());
+  if (!Array.isArray(data) && !Array.isArray(data?.favorites)) {
+    throw new Error('No favorites list in this file');
   }
-  
-  document.body.style.overflow = '';
+  const incoming = migrateFavorites(data?.version === 1 ? data.favorites : data);
+  if (!incoming) throw new Error('Unsupported favorites file format');
+  const added = updateFavorites(current => mergeFavoritesData(current, incoming));
+  if (added === null) throw new Error('Your saved favorites could not be updated');
+  return added;
 }
 
-// Make openLightbox available globally
-window.openLightbox = openLightbox;
-
 // ============================================================
 // API Functions
 // ============================================================
@@ -504,151 +304,193 @@ async function fetchUserPosts(username) {
   }
 }
 
+/**
+ * Fetch one page of posts from several users, merged newest first
+ * @param {string[]} usernames
+ * @param {string|null} cursor - nextCursor of the previous page, sent with the same usernames
+ * @returns {Promise<{posts: Array, nextCursor: string|null}>}
+ */
+async function fetchTimeline(usernames, cursor) {
+  const response = await fetch(`${API_BASE}/api/users/posts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ usernames, limit: TIMELINE_PAGE_SIZE, cursor: cursor || undefined })
+  });
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  const data = await response.json();
+  return { posts: data.posts || [], nextCursor: data.nextCursor || null };
+}
+
 // ============================================================
 // Rendering Functions
 // ============================================================
 
 /**
- * Render the favorites list
+ * Render the group chips: everyone, then each group
+ */
+function renderGroups() {
+  const { groups } = loadFavoritesData(FAVORITES_KEY);
+  if (activeGroup && !groups.includes(activeGroup)) activeGroup = null;
+
+  groupBarEl.innerHTML = `
+    <button class="group-chip${activeGroup ? '' : ' active'}" data-action="group" data-group="">Everyone</button>
+  ` + groups.map(name => `
+    <span class="group-chip${name === activeGroup ? ' active' : ''}">
+      <button class="group-name" data-action="group" data-group="${escapeText(name)}">${escapeText(name)}</button>
+      <button class="group-remove" data-action="remove-group" data-group="${escapeText(name)}"
+              title="Delete group (its members stay in favorites)" aria-label="Delete group">×</button>
+    </span>
+  `).join('');
+}
+
+/**
+ * Render the favorites list (the active group only)
  */
 function renderFavorites() {
-  const favorites = getFavorites();
-  
+  const { favorites, groups } = loadFavoritesData(FAVORITES_KEY);
+  renderGroups();
+  const shown = favorites.filter(f => !activeGroup || f.groups.includes(activeGroup));
+
   if (favorites.length === 0) {
     favoritesListEl.innerHTML = '<div class="empty-state">No favorites yet. Add a username above.</div>';
     return;
   }
-  
-  favoritesListEl.innerHTML = favorites.map(username => `
+  if (shown.length === 0) {
+    favoritesListEl.innerHTML = `<div class="empty-state">Nobody in ${escapeText(activeGroup)} yet. Add a username above, or tick the group on a favorite.</div>`;
+    return;
+  }
+
+  const allLabel = activeGroup ? `All of ${escapeText(activeGroup)}` : 'All favorites';
+  favoritesListEl.innerHTML = `
+    <div class="favorite-item favorite-all${timelineActive ? ' selected' : ''}">
+      <button class="favorite-name" data-action="all">${allLabel}</button>
+    </div>
+  ` + shown.map(({ username, note, groups: memberOf }) => `
     <div class="favorite-item" data-username="${escapeText(username)}">
       <button class="favorite-name" data-action="select" data-username="${escapeText(username)}">
-        @${escapeText(username)}
+        <span class="user-dot" style="background:${userColor(username)}"></span>@${escapeText(username)}
       </button>
+      ${groups.length > 0 ? `
+        <details class="favorite-groups-menu">
+          <summary>Groups</summary>
+          ${groups.map(name => `
+            <label>
+              <input type="checkbox" data-action="toggle-group" data-username="${escapeText(username)}"
+                     data-group="${escapeText(name)}"${memberOf.includes(name) ? ' checked' : ''} />
+              ${escapeText(name)}
+            </label>
+          `).join('')}
+        </details>
+      ` : ''}
       <button class="favorite-remove" data-action="remove" data-username="${escapeText(username)}" title="Remove">×</button>
+      <input class="favorite-note" type="text" maxlength="500" placeholder="Private note"
+             data-username="${escapeText(username)}" value="${escapeText(note)}" aria-label="Private note for @${escapeText(username)}" />
     </div>
   `).join('');
 }
 
+/**
+ * Render the mute list
+ */
+function renderMuted() {
+  const { muted } = loadFavoritesData(FAVORITES_KEY);
+  if (muted.length === 0) {
+    mutedListEl.innerHTML = '<div class="empty-state">Nobody is muted.</div>';
+    return;
+  }
+  mutedListEl.innerHTML = muted.map(username => `
+    <div class="favorite-item" data-username="${escapeText(username)}">
+      <span class="favorite-name">@${escapeText(username)}</span>
+      <button class="favorite-remove" data-action="unmute" data-username="${escapeText(username)}" title="Unmute">×</button>
+    </div>
+  `).join('');
+}
+
+// Favorites has no map (and loads no Leaflet)
+const postRenderer = createPostRenderer(SITE, { showMap: false });
+
 /**
  * Render posts for a selected user
  * @param {Array} posts - Array of post objects
  * @param {string} username - Username being displayed
  */
 function renderPosts(posts, username) {
-  if (!posts || posts.length === 0) {
-    listEl.innerHTML = `<div class="empty-state">No posts found for @${escapeText(username)}</div>`;
-    return;
+  cacheMediaForOffline(posts);
+  postRenderer.renderPosts(listEl, posts, {
+    emptyHtml: `<div class="empty-state">No posts found for @${escapeText(username)}</div>`
+  });
+}
+
+/**
+ * Stable colour for a username, so a user keeps their chip colour across visits
+ * @param {string} username
+ * @returns {string} CSS colour
+ */
+function userColor(username) {
+  let hash = 0;
+  for (const ch of username) {
+    hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
   }
+  return `hsl(${hash % 360}, 65%, 42%)`;
+}
 
-  listEl.innerHTML = '';
-  
-  for (const p of posts) {
-    const pUsername = p.username;
-    const messageId = p.messageId;
-    const full = p.content || '';
-    const snippet = full.length > 240 ? full.slice(0, 240) + '…' : full;
-    const hasMore = full.length > snippet.length;
-    const hasMedia = p.media && (p.media.type === 'image' || p.media.type === 'video' || p.media.type === 'live');
-
-    const el = document.createElement('div');
-    el.className = 'post';
-    el.innerHTML = `
-      <div class="meta">
-        <div>@${escapeText(pUsername)}</div>
-        <div>${escapeText(fmtTime(p.time))}</div>
-        <div class="mono">id: ${escapeText(messageId)}</div>
-      </div>
-      ${renderMedia(p.media)}
-      <div class="content" data-full="${escapeText(full)}" data-snippet="${escapeText(snippet)}">${escapeText(snippet)}</div>
-      <div class="actions">
-        ${isDesktop
-          ? `<button class="btn btn-qr" data-url="${replyUrlCustomScheme(pUsername, messageId)}" data-target="@${escapeText(pUsername)}">Scan QR to reply in-app</button>`
-          : `<a class="btn reply-btn" href="${getReplyUrl(pUsername, messageId)}"
-               data-username="${escapeText(pUsername)}"
-               data-messageid="${escapeText(messageId)}"
-               onclick="return window.handleReplyClick(event, this.dataset.username, this.dataset.messageid)">Reply (in app)</a>`}
-        ${hasMore && !hasMedia ? '<button class="btn toggle">Show full</button>' : ''}
-      </div>
+/**
+ * Render the per-user chips above the timeline; pressed chips are included
+ */
+function renderTimelineChips() {
+  const favorites = getGroupFavorites();
+  timelineChipsEl.hidden = !timelineActive || favorites.length === 0;
+  timelineChipsEl.innerHTML = favorites.map(username => {
+    const on = !timelineHidden.has(username);
+    return `
+      <button class="user-chip${on ? '' : ' off'}" data-username="${escapeText(username)}"
+              aria-pressed="${on ? 'true' : 'false'}" style="--user-color:${userColor(username)}"
+              title="${on ? 'Hide' : 'Show'} @${escapeText(username)} in the timeline">@${escapeText(username)}</button>
     `;
+  }).join('');
+}
 
-    // QR button for desktop
-    const qrBtn = el.querySelector('.btn-qr');
-    if (qrBtn) {
-      qrBtn.addEventListener('click', async () => {
-        const url = qrBtn.dataset.url;
-        const target = qrBtn.dataset.target;
-        if (url) {
-          await showQRModal(url, target);
-        }
-      });
-    }
-
-    // Toggle button for text content
-    const toggle = el.querySelector('button.toggle');
-    if (toggle) {
-      toggle.addEventListener('click', () => {
-        const contentEl = el.querySelector('.content');
-        const isFull = toggle.dataset.mode === 'full';
-        if (isFull) {
-          contentEl.textContent = contentEl.dataset.snippet;
-          toggle.textContent = 'Show full';
-          toggle.dataset.mode = 'snippet';
-        } else {
-          contentEl.textContent = contentEl.dataset.full;
-          toggle.textContent = 'Show less';
-          toggle.dataset.mode = 'full';
-        }
-      });
-    }
-    
-    listEl.appendChild(el);
-  }
-  
-  // Setup unmute buttons for videos
-  document.querySelectorAll('.unmute-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const video = btn.parentElement.querySelector('video');
-      if (video) {
-        video.muted = !video.muted;
-        btn.textContent = video.muted ? '🔇' : '🔊';
-        btn.setAttribute('aria-label', video.muted ? 'Unmute' : 'Mute');
-      }
-    });
+/**
+ * Render a page of the merged timeline, tagging each post with its author's chip
+ * @param {Array} posts
+ * @param {boolean} append - add below the posts already shown
+ */
+function renderTimelinePosts(posts, append) {
+  cacheMediaForOffline(posts);
+  const added = postRenderer.renderPosts(listEl, posts, {
+    append,
+    emptyHtml: '<div class="empty-state">No posts from your favorites yet</div>'
+  });
+  added.forEach((el, i) => {
+    const username = posts[i].username;
+    if (!username) return;
+    const chip = document.createElement('span');
+    chip.className = 'user-chip post-user-chip';
+    chip.style.setProperty('--user-color', userColor(username));
+    chip.textContent = `@${username}`;
+    el.prepend(chip);
   });
-  
-  // Setup video autoplay
-  setupVideoAutoplay();
+}
+
+function setFavoritesStatus(msg) {
+  favoritesStatusEl.textContent = msg;
 }
 
 /**
- * Setup IntersectionObserver for video autoplay on scroll
+ * Fill the share box with the current link and its QR code
  */
-function setupVideoAutoplay() {
-  const videos = document.querySelectorAll('.post-media video');
-  if (videos.length === 0) return;
-  
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      const video = entry.target;
-      
-      if (entry.isIntersecting && entry.intersectionRatio >= 0.5) {
-        // Check for regular video (data-stream) or live video (data-media-id)
-        const needsInit = (video.dataset.stream || video.dataset.mediaId) && !video._hlsInitialized;
-        if (needsInit) {
-          initVideoPlayer(video);
-        } else if (video.paused && video.src) {
-          video.play().catch(() => {});
-        }
-      } else {
-        if (!video.paused) {
-          video.pause();
-        }
-      }
-    });
-  }, { threshold: [0, 0.5, 1] });
-  
-  videos.forEach(video => observer.observe(video));
+async function renderShareBox() {
+  const url = getShareUrl();
+  shareUrlEl.value = url;
+  try {
+    shareQrEl.src = await QRCode.toDataURL(url, { width: 200, margin: 2 });
+  } catch (err) {
+    // Very long lists can exceed QR capacity; the link still works
+    console.error('[renderShareBox] QR error:', err);
+    shareQrEl.removeAttribute('src');
+  }
 }
 
 // ============================================================
@@ -660,8 +502,13 @@ function setupVideoAutoplay() {
  * @param {string} username - Username to select
  */
 async function selectFavorite(username) {
+  timelineActive = false;
+  timelineGeneration++;
+  renderTimelineChips();
+  btnLoadOlder.hidden = true;
+
   // Update UI to show selected state
-  document.querySelectorAll('.favorite-item').forEach(el => {
+  favoritesListEl.querySelectorAll('.favorite-item').forEach(el => {
     el.classList.toggle('selected', el.dataset.username === username);
   });
   
@@ -673,6 +520,64 @@ async function selectFavorite(username) {
   renderPosts(posts, username);
 }
 
+/**
+ * Show the merged timeline of every favorite in the active group whose chip is on
+ */
+async function showTimeline() {
+  timelineActive = true;
+  timelinePage = null;
+  const generation = ++timelineGeneration;
+  favoritesListEl.querySelectorAll('.favorite-item').forEach(el => {
+    el.classList.toggle('selected', el.classList.contains('favorite-all'));
+  });
+  renderTimelineChips();
+  btnLoadOlder.hidden = true;
+
+  const usernames = getGroupFavorites().filter(u => !timelineHidden.has(u));
+  if (usernames.length === 0) {
+    listEl.innerHTML = getGroupFavorites().length === 0
+      ? '<div class="empty-state">Add favorites above to see their posts here</div>'
+      : '<div class="empty-state">Every favorite is hidden. Turn a chip back on to see their posts.</div>';
+    return;
+  }
+
+  listEl.innerHTML = '<div class="status">Loading posts from your favorites...</div>';
+  try {
+    const { posts, nextCursor } = await fetchTimeline(usernames, null);
+    if (generation !== timelineGeneration) return;
+    renderTimelinePosts(posts, false);
+    timelinePage = nextCursor ? { usernames, cursor: nextCursor } : null;
+    btnLoadOlder.hidden = !timelinePage;
+  } catch (err) {
+    if (generation !== timelineGeneration) return;
+    console.error('[showTimeline] Error:', err);
+    listEl.innerHTML = '<div class="empty-state">Could not load posts. Try again later.</div>';
+  }
+}
+
+/**
+ * Append the next (older) page of the timeline
+ */
+async function loadOlderTimeline() {
+  if (!timelineActive || !timelinePage) return;
+  const generation = timelineGeneration;
+  // The cursor only applies to the usernames it was issued for
+  const { usernames, cursor } = timelinePage;
+  btnLoadOlder.disabled = true;
+  try {
+    const { posts, nextCursor } = await fetchTimeline(usernames, cursor);
+    if (generation !== timelineGeneration) return;
+    renderTimelinePosts(posts, true);
+    timelinePage = nextCursor ? { usernames, cursor: nextCursor } : null;
+    btnLoadOlder.hidden = !timelinePage;
+  } catch (err) {
+    console.error('[loadOlderTimeline] Error:', err);
+    setFavoritesStatus('Could not load older posts.');
+  } finally {
+    btnLoadOlder.disabled = false;
+  }
+}
+
 /**
  * Handle adding a new favorite
  */
@@ -685,6 +590,7 @@ function handleAddFavorite() {
   if (addFavorite(username)) {
     newFavoriteEl.value = '';
     renderFavorites();
+    if (!shareBoxEl.hidden) renderShareBox();
     // Auto-select the newly added favorite
     selectFavorite(username.replace(/^@/, '').toLowerCase());
   } else {
@@ -693,6 +599,21 @@ function handleAddFavorite() {
   }
 }
 
+/**
+ * Merge favorites from a #u= link, then drop the fragment so a reload doesn't re-add removed ones
+ */
+function handleShareHash() {
+  const usernames = parseShareHash(window.location.hash);
+  if (usernames.length === 0) return;
+  const added = mergeFavorites(usernames);
+  // Keep the link in the address bar when nothing could be saved
+  if (added === null) return;
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  setFavoritesStatus(added > 0
+    ? `Added ${added} favorite${added === 1 ? '' : 's'} from the shared link.`
+    : 'Everyone in the shared link is already in your favorites.');
+}
+
 /**
  * Handle removing a favorite
  * @param {string} username - Username to remove
@@ -700,7 +621,14 @@ function handleAddFavorite() {
 function handleRemoveFavorite(username) {
   removeFavorite(username);
   renderFavorites();
+  if (!shareBoxEl.hidden) renderShareBox();
   
+  timelineHidden.delete(username);
+  if (timelineActive) {
+    showTimeline();
+    return;
+  }
+
   // Clear posts if the removed user was selected
   const selectedItem = document.querySelector('.favorite-item.selected');
   if (!selectedItem || selectedItem.dataset.username === username) {
@@ -713,8 +641,22 @@ function handleRemoveFavorite(username) {
 // ============================================================
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Render initial favorites list
+  registerServiceWorker();
+
+  // Merge a shared list before the first render
+  handleShareHash();
+  window.addEventListener('hashchange', () => {
+    handleShareHash();
+    renderFavorites();
+    if (timelineActive) showTimeline();
+  });
+
+  // Render initial favorites list, opening on the merged timeline
+  if (getFavorites().length > 0) timelineActive = true;
   renderFavorites();
+  renderMuted();
+  if (timelineActive) showTimeline();
+  if (!canSaveFavorites(FAVORITES_KEY)) setFavoritesStatus(FAVORITES_READ_ONLY_MESSAGE);
   
   // Add favorite button click
   btnAddFavorite.addEventListener('click', handleAddFavorite);
@@ -726,33 +668,145 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  // Share link + QR code
+  btnShareFavorites.addEventListener('click', () => {
+    shareBoxEl.hidden = !shareBoxEl.hidden;
+    if (!shareBoxEl.hidden) renderShareBox();
+  });
+
+  btnCopyShareUrl.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrlEl.value);
+      setFavoritesStatus('Link copied.');
+    } catch {
+      shareUrlEl.select();
+      setFavoritesStatus('Press Ctrl+C / Cmd+C to copy the link.');
+    }
+  });
+
+  // JSON export/import
+  btnExportFavorites.addEventListener('click', exportFavorites);
+  btnImportFavorites.addEventListener('click', () => importFileEl.click());
+  importFileEl.addEventListener('change', async () => {
+    const file = importFileEl.files?.[0];
+    importFileEl.value = '';
+    if (!file) return;
+    try {
+      const added = await importFavorites(file);
+      renderFavorites();
+      renderMuted();
+      if (timelineActive) showTimeline();
+      if (!shareBoxEl.hidden) renderShareBox();
+      setFavoritesStatus(`Imported ${added} new favorite${added === 1 ? '' : 's'}.`);
+    } catch (err) {
+      setFavoritesStatus(`Import failed: ${err.message}`);
+    }
+  });
+
+  // Timeline chips: toggle a user in or out, then reload the merged timeline
+  timelineChipsEl.addEventListener('click', (e) => {
+    const chip = e.target.closest('.user-chip');
+    if (!chip) return;
+    const username = chip.dataset.username;
+    if (timelineHidden.has(username)) timelineHidden.delete(username);
+    else timelineHidden.add(username);
+    showTimeline();
+  });
+
+  btnLoadOlder.addEventListener('click', loadOlderTimeline);
+
   // Favorites list click delegation
   favoritesListEl.addEventListener('click', (e) => {
-    const target = e.target;
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
     const action = target.dataset.action;
     const username = target.dataset.username;
     
-    if (action === 'select' && username) {
+    if (action === 'all') {
+      showTimeline();
+    } else if (action === 'select' && username) {
       selectFavorite(username);
     } else if (action === 'remove' && username) {
       handleRemoveFavorite(username);
     }
   });
-  
-  // Lightbox close button
-  const lightbox = document.getElementById('lightbox');
-  if (lightbox) {
-    const closeBtn = lightbox.querySelector('.lightbox-close');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', closeLightbox);
+
+  // Notes save when the field loses focus; group ticks save right away
+  favoritesListEl.addEventListener('change', (e) => {
+    const target = e.target;
+    const username = target.dataset.username;
+    if (!username) return;
+
+    if (target.classList.contains('favorite-note')) {
+      setFavoriteNote(username, target.value);
+    } else if (target.dataset.action === 'toggle-group') {
+      const group = target.dataset.group;
+      setFavoriteGroup(username, group, target.checked);
+      // Leaving the group on screen drops them from the list
+      if (group === activeGroup) {
+        renderFavorites();
+        if (timelineActive) showTimeline();
+      }
+    }
+  });
+
+  // Groups: pick one to narrow the list and the timeline
+  groupBarEl.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+    const group = target.dataset.group || null;
+
+    if (target.dataset.action === 'remove-group') {
+      if (!confirm(`Delete the group "${group}"? Its members stay in your favorites.`)) return;
+      removeGroup(group);
+      if (activeGroup === group) activeGroup = null;
+    } else {
+      activeGroup = group;
+    }
+    timelineHidden.clear();
+    renderFavorites();
+    if (timelineActive) showTimeline();
+  });
+
+  btnNewGroup.addEventListener('click', () => {
+    const name = prompt('Name of the new group (e.g. coworkers)');
+    if (name === null) return;
+    const added = addGroup(name);
+    if (!added) {
+      if (canSaveFavorites(FAVORITES_KEY)) setFavoritesStatus('That group name is empty or already taken.');
+      return;
+    }
+    activeGroup = added;
+    timelineHidden.clear();
+    renderFavorites();
+    if (timelineActive) showTimeline();
+    setFavoritesStatus(`Created ${added}. Tick it under "Groups" on a favorite, or add a username while it is selected.`);
+  });
+
+  // Mute list: hides these users' posts in the feed and search results
+  function handleMute() {
+    const username = newMutedEl.value.trim();
+    if (!username) return;
+    if (muteUser(username)) {
+      newMutedEl.value = '';
+      renderMuted();
+    } else if (canSaveFavorites(FAVORITES_KEY)) {
+      setFavoritesStatus('Enter a valid username that is not muted yet.');
     }
-    lightbox.addEventListener('click', (e) => {
-      if (e.target === lightbox) closeLightbox();
-    });
   }
-});
 
-// Close lightbox on Escape key
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') closeLightbox();
+  btnMute.addEventListener('click', handleMute);
+  newMutedEl.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleMute();
+    }
+  });
+
+  mutedListEl.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action="unmute"]');
+    if (target) {
+      unmuteUser(target.dataset.username);
+      renderMuted();
+    }
+  });
 });
@@ -0,0 +1,127 @@
+/**
+ * Offline Support
+ *
+ * - registers the service worker (sw.js), which caches the app shell, the CDN
+ *   modules and the post images handed to it here
+ * - keeps the last feed page per H3 center cell in IndexedDB, so the feed can
+ *   still be shown (stale) when the network is gone
+ */
+import { listImageUrls } from './shared/render.js';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+const DB_NAME = 'offline';
+const DB_VERSION = 1;
+const FEED_STORE = 'feeds';
+// Feed snapshots kept; the oldest are dropped first
+const MAX_FEED_SNAPSHOTS = 20;
+
+let dbPromise = null;
+
+/**
+ * Register the site service worker.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  } catch (e) {
+    console.warn('[offline] service worker registration failed:', e);
+    return null;
+  }
+}
+
+/**
+ * Ask the service worker to keep the list images of these posts for offline use.
+ * @param {Array} posts
+ */
+export function cacheMediaForOffline(posts) {
+  const controller = navigator.serviceWorker?.controller;
+  if (!controller) return;
+  const urls = (posts || []).flatMap(p => listImageUrls(p.media));
+  if (urls.length > 0) controller.postMessage({ type: 'cache-media', urls });
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(FEED_STORE, { keyPath: 'key' });
+        store.createIndex('savedAt', 'savedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Private browsing and blocked storage: don't keep retrying a failed open
+    dbPromise.catch(() => {});
+  }
+  return dbPromise;
+}
+
+/**
+ * Store a feed page for an H3 center cell, replacing the previous one.
+ * @param {string} key - H3 center cell of the feed location
+ * @param {{ h3: Object, label: string, posts: Array }} snapshot
+ */
+export async function saveFeedSnapshot(key, snapshot) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(FEED_STORE, 'readwrite');
+    const store = tx.objectStore(FEED_STORE);
+    store.put({ ...snapshot, key, savedAt: new Date().toISOString() });
+
+    const count = await promisify(store.count());
+    if (count > MAX_FEED_SNAPSHOTS) {
+      // Index order is oldest first
+      let excess = count - MAX_FEED_SNAPSHOTS;
+      const cursorRequest = store.index('savedAt').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    }
+  } catch (e) {
+    console.warn('[offline] could not store feed:', e);
+  }
+}
+
+/**
+ * @param {string} key - H3 center cell
+ * @returns {Promise<{ key: string, h3: Object, label: string, posts: Array, savedAt: string }|null>}
+ */
+export async function loadFeedSnapshot(key) {
+  try {
+    const db = await openDb();
+    const record = await promisify(db.transaction(FEED_STORE).objectStore(FEED_STORE).get(key));
+    return record || null;
+  } catch (e) {
+    console.warn('[offline] could not read feed:', e);
+    return null;
+  }
+}
+
+/**
+ * The most recently stored feed, whatever its location.
+ */
+export async function loadLatestFeedSnapshot() {
+  try {
+    const db = await openDb();
+    const index = db.transaction(FEED_STORE).objectStore(FEED_STORE).index('savedAt');
+    const cursor = await promisify(index.openCursor(null, 'prev'));
+    return cursor ? cursor.value : null;
+  } catch (e) {
+    console.warn('[offline] could not read feed:', e);
+    return null;
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Post permalink page JavaScript (/p/<author>/<messageId>)
+ * The Cloudflare worker renders the page with the post already in it; this
+ * re-renders that post from the embedded JSON so the reply, QR, lightbox, map
+ * and video handlers are wired up like on the feed.
+ * Share link tags (utm_*, see shareUrl) are dropped from the address bar.
+ */
+import { parseShareAttribution } from './shared/render.js';
+import { createPostRenderer } from './shared/postList.js';
+import { SITE } from './site.js';
+import { registerServiceWorker, cacheMediaForOffline } from './offline.js';
+
+/**
+ * Drop a share link's tags from the address bar, so they aren't passed along
+ * when the page is shared again. The request that loaded the page already
+ * carried them to whatever counts visits.
+ */
+function clearShareTags() {
+  if (!parseShareAttribution(window.location.search)) return;
+  history.replaceState(null, '', window.location.pathname + window.location.hash);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  registerServiceWorker();
+  clearShareTags();
+
+  const dataEl = document.getElementById('post-data');
+  const listEl = document.getElementById('list');
+  if (!dataEl || !listEl) return;
+
+  let post;
+  try {
+    post = JSON.parse(dataEl.textContent);
+  } catch (err) {
+    // Keep the server-rendered markup
+    console.error('[permalink] Bad post data:', err);
+    return;
+  }
+
+  cacheMediaForOffline([post]);
+  createPostRenderer(SITE).renderPosts(listEl, [post]);
+});
@@ -0,0 +1,184 @@
+/**
+ * Profile page JavaScript (/u/<username>)
+ * Shows a user's posts, posts mentioning them, their most used hashtags and
+ * the res7 areas they post in, from GET /api/users/:username.
+ */
+import { escapeText } from './shared/render.js';
+import { createPostRenderer } from './shared/postList.js';
+import { createFeedMap } from './shared/feedMap.js';
+import {
+  USERNAME_RE,
+  loadFavoritesData,
+  saveFavoritesData,
+  FAVORITES_READ_ONLY_MESSAGE,
+  getMutedUsernames,
+  normalizeUsername,
+  withoutMuted
+} from './shared/favoritesStore.js';
+import { SITE } from './site.js';
+import { registerServiceWorker, cacheMediaForOffline } from './offline.js';
+
+// Constants
+const API_BASE = '';
+const FAVORITES_KEY = SITE.favoritesKey;
+
+// DOM Elements
+const nameEl = document.getElementById('profileName');
+const statusEl = document.getElementById('profileStatus');
+const hashtagsEl = document.getElementById('profileHashtags');
+const areasEl = document.getElementById('profileAreas');
+const mapEl = document.getElementById('profileMap');
+const listEl = document.getElementById('list');
+const tabPosts = document.getElementById('tabPosts');
+const tabMentions = document.getElementById('tabMentions');
+const btnFavorite = document.getElementById('btnProfileFavorite');
+const btnMute = document.getElementById('btnProfileMute');
+
+const postRenderer = createPostRenderer(SITE);
+
+let summary = null;     // UserSummary from the API
+let activeTab = 'posts';
+
+/**
+ * Username from /u/<username> (Pages rewrites it to this page), or ?u= when opened directly
+ * @returns {string}
+ */
+function getProfileUsername() {
+  const match = /^\/u\/([^/]+)\/?$/.exec(window.location.pathname);
+  let raw = match ? match[1] : new URLSearchParams(window.location.search).get('u') || '';
+  try {
+    raw = decodeURIComponent(raw);
+  } catch {
+    return '';
+  }
+  return normalizeUsername(raw);
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<Object>} UserSummary
+ */
+async function fetchProfile(username) {
+  const response = await fetch(`${API_BASE}/api/users/${encodeURIComponent(username)}`);
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || `HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+// ============================================================
+// Rendering Functions
+// ============================================================
+
+function renderHashtags(hashtags) {
+  hashtagsEl.innerHTML = hashtags.map(({ value, count }) => `
+    <a class="profile-tag" href="/t/${encodeURIComponent(value)}" title="${count} post${count === 1 ? '' : 's'}">#${escapeText(value)} <span class="small">${count}</span></a>
+  `).join('');
+}
+
+function renderAreas(areas) {
+  areasEl.hidden = areas.length === 0;
+  if (areas.length === 0) return;
+  // The map needs a visible container to size itself
+  const map = createFeedMap(mapEl);
+  map.setCells(areas.map(a => a.cell));
+  map.setCounts(new Map(areas.map(a => [a.cell, a.count])));
+}
+
+function renderTab() {
+  tabPosts.setAttribute('aria-selected', String(activeTab === 'posts'));
+  tabMentions.setAttribute('aria-selected', String(activeTab === 'mentions'));
+  if (!summary) return;
+
+  const username = summary.username;
+  const posts = activeTab === 'posts'
+    ? summary.posts
+    : withoutMuted(summary.mentions, getMutedUsernames(FAVORITES_KEY));
+  cacheMediaForOffline(posts);
+  postRenderer.renderPosts(listEl, posts, {
+    emptyHtml: activeTab === 'posts'
+      ? `<div class="empty-state">No posts by @${escapeText(username)}</div>`
+      : `<div class="empty-state">Nobody has mentioned @${escapeText(username)} yet</div>`
+  });
+}
+
+/**
+ * Label the favorite / mute buttons from the stored favorites document
+ */
+function renderActions(username) {
+  const data = loadFavoritesData(FAVORITES_KEY);
+  const isFavorite = data.favorites.some(f => f.username === username);
+  const isMuted = data.muted.includes(username);
+  btnFavorite.hidden = false;
+  btnMute.hidden = false;
+  btnFavorite.textContent = isFavorite ? 'Remove from Favorites' : 'Add to Favorites';
+  btnMute.textContent = isMuted ? 'Unmute' : 'Mute';
+}
+
+function toggleFavorite(username) {
+  const data = loadFavoritesData(FAVORITES_KEY);
+  if (data.favorites.some(f => f.username === username)) {
+    data.favorites = data.favorites.filter(f => f.username !== username);
+  } else {
+    data.favorites.push({ username, note: '', groups: [] });
+  }
+  if (!saveFavoritesData(FAVORITES_KEY, data)) statusEl.textContent = FAVORITES_READ_ONLY_MESSAGE;
+  renderActions(username);
+}
+
+function toggleMute(username) {
+  const data = loadFavoritesData(FAVORITES_KEY);
+  data.muted = data.muted.includes(username)
+    ? data.muted.filter(u => u !== username)
+    : [...data.muted, username];
+  if (!saveFavoritesData(FAVORITES_KEY, data)) statusEl.textContent = FAVORITES_READ_ONLY_MESSAGE;
+  renderActions(username);
+}
+
+// ============================================================
+// Initialization
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  registerServiceWorker();
+
+  const username = getProfileUsername();
+  if (!USERNAME_RE.test(username)) {
+    nameEl.textContent = 'Profile';
+    statusEl.textContent = 'No such user. Profile links look like /u/username.';
+    return;
+  }
+
+  nameEl.textContent = `@${username}`;
+  document.title = `@${username} — ${SITE.brand}`;
+  renderActions(username);
+
+  btnFavorite.addEventListener('click', () => toggleFavorite(username));
+  btnMute.addEventListener('click', () => toggleMute(username));
+  tabPosts.addEventListener('click', () => {
+    activeTab = 'posts';
+    renderTab();
+  });
+  tabMentions.addEventListener('click', () => {
+    activeTab = 'mentions';
+    renderTab();
+  });
+
+  try {
+    summary = await fetchProfile(username);
+  } catch (err) {
+    console.error('[profile] Error:', err);
+    statusEl.textContent = `Could not load @${username}: ${err.message}`;
+    return;
+  }
+
+  const n = summary.scanned;
+  statusEl.textContent = n === 0
+    ? 'No posts yet.'
+    : `Top hashtags and areas from the last ${n} post${n === 1 ? '' : 's'}.`;
+  tabMentions.textContent = `Mentions (${summary.mentions.length})`;
+  renderHashtags(summary.hashtags);
+  renderAreas(summary.areas);
+  renderTab();
+});
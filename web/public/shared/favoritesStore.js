@@ -0,0 +1,225 @@
+/**
+ * Favorites storage: favorite users with private notes and named groups, plus
+ * the mute list that hides users' posts from the feed and search results.
+ * Kept in localStorage under SITE.favoritesKey as one versioned document.
+ *
+ * Canonical source lives in web/shared/ (synced into each site's /shared/).
+ * No DOM access, so node tests can import it directly.
+ */
+
+export const FAVORITES_SCHEMA_VERSION = 2;
+
+// Usernames accepted from share links and the mute box (stored lists aren't re-checked)
+export const USERNAME_RE = /^[a-z0-9_.-]{1,64}$/;
+
+// Shown by the pages instead of saving over stored favorites they can't read
+export const FAVORITES_READ_ONLY_MESSAGE =
+  'Your saved favorites are in a format this page does not recognize (perhaps saved by a newer version of the site), ' +
+  'so they are kept as they are and changes are not saved.';
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_GROUP_NAME_LENGTH = 40;
+
+/**
+ * @typedef {Object} FavoriteEntry
+ * @property {string} username - lowercase, no leading @
+ * @property {string} note - private, never leaves the browser except in a JSON export
+ * @property {string[]} groups - names of the groups the user is in
+ */
+
+/**
+ * @typedef {Object} FavoritesData
+ * @property {number} version - FAVORITES_SCHEMA_VERSION
+ * @property {FavoriteEntry[]} favorites - in the order they were added
+ * @property {string[]} groups - group names, in display order
+ * @property {string[]} muted - usernames whose posts are hidden
+ */
+
+/**
+ * @param {string} username
+ * @returns {string}
+ */
+export function normalizeUsername(username) {
+  return username.replace(/^@/, '').trim().toLowerCase();
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeGroupName(name) {
+  return name.replace(/\s+/g, ' ').trim().slice(0, MAX_GROUP_NAME_LENGTH);
+}
+
+/** @returns {FavoritesData} */
+export function emptyFavorites() {
+  return { version: FAVORITES_SCHEMA_VERSION, favorites: [], groups: [], muted: [] };
+}
+
+/**
+ * Stored usernames, normalized and deduplicated. Names are checked against
+ * USERNAME_RE when typed or linked, not here: lists saved before that check
+ * existed keep every name in them.
+ */
+function usernameList(values) {
+  const result = [];
+  for (const raw of Array.isArray(values) ? values : []) {
+    if (typeof raw !== 'string') continue;
+    const username = normalizeUsername(raw);
+    if (username && !result.includes(username)) result.push(username);
+  }
+  return result;
+}
+
+function groupList(values) {
+  const result = [];
+  for (const raw of Array.isArray(values) ? values : []) {
+    if (typeof raw !== 'string') continue;
+    const name = normalizeGroupName(raw);
+    if (name && !result.includes(name)) result.push(name);
+  }
+  return result;
+}
+
+/**
+ * Bring stored favorites up to the current schema.
+ *
+ * - nothing stored (null): an empty list
+ * - v1: a plain array of lowercase usernames
+ * - v2: FavoritesData
+ *
+ * Anything else (another version, e.g. written by a newer release of the
+ * site, or an unknown shape) is not recognized: the caller gets null and must
+ * leave it as it is.
+ * @param {unknown} stored - parsed localStorage value
+ * @returns {FavoritesData|null}
+ */
+export function migrateFavorites(stored) {
+  if (stored === null || stored === undefined) return emptyFavorites();
+  if (Array.isArray(stored)) {
+    return {
+      ...emptyFavorites(),
+      favorites: usernameList(stored).map(username => ({ username, note: '', groups: [] }))
+    };
+  }
+  if (typeof stored !== 'object' || stored.version !== FAVORITES_SCHEMA_VERSION) {
+    return null;
+  }
+
+  const groups = groupList(stored.groups);
+  const favorites = [];
+  for (const entry of Array.isArray(stored.favorites) ? stored.favorites : []) {
+    const [username] = usernameList([entry?.username]);
+    if (!username || favorites.some(f => f.username === username)) continue;
+    favorites.push({
+      username,
+      note: typeof entry.note === 'string' ? entry.note.slice(0, MAX_NOTE_LENGTH) : '',
+      // Drop memberships of groups that no longer exist
+      groups: groupList(entry.groups).filter(g => groups.includes(g))
+    });
+  }
+  return { version: FAVORITES_SCHEMA_VERSION, favorites, groups, muted: usernameList(stored.muted) };
+}
+
+/**
+ * Merge another favorites document (an import, or a shared username list) into this one.
+ * Existing notes win over imported ones; groups and mutes are unioned.
+ * @param {FavoritesData} data
+ * @param {FavoritesData} incoming
+ * @returns {number} How many favorites were added
+ */
+export function mergeFavoritesData(data, incoming) {
+  let added = 0;
+  for (const name of incoming.groups) {
+    if (!data.groups.includes(name)) data.groups.push(name);
+  }
+  for (const entry of incoming.favorites) {
+    const existing = data.favorites.find(f => f.username === entry.username);
+    if (!existing) {
+      data.favorites.push({ ...entry, groups: [...entry.groups] });
+      added++;
+      continue;
+    }
+    if (!existing.note) existing.note = entry.note;
+    for (const name of entry.groups) {
+      if (!existing.groups.includes(name)) existing.groups.push(name);
+    }
+  }
+  for (const username of incoming.muted) {
+    if (!data.muted.includes(username)) data.muted.push(username);
+  }
+  return added;
+}
+
+/**
+ * The stored favorites document as parsed, and migrated; data is null when
+ * storage holds JSON that migrateFavorites doesn't recognize. A value that
+ * isn't JSON at all is corrupt rather than newer, and reads as nothing stored.
+ * @param {string} storageKey
+ * @returns {{ stored: unknown, data: FavoritesData|null }}
+ */
+function readFavorites(storageKey) {
+  let stored;
+  try {
+    const raw = localStorage.getItem(storageKey);
+    stored = raw ? JSON.parse(raw) : null;
+  } catch {
+    stored = null;
+  }
+  return { stored, data: migrateFavorites(stored) };
+}
+
+/**
+ * Whether saveFavoritesData may write: false while storage holds data this
+ * version can't read, which is kept rather than replaced.
+ * @param {string} storageKey
+ * @returns {boolean}
+ */
+export function canSaveFavorites(storageKey) {
+  return readFavorites(storageKey).data !== null;
+}
+
+/**
+ * Read favorites, migrating older formats. Migrated v1 data is written back.
+ * Unrecognized JSON reads as an empty list and is left untouched; corrupt
+ * (unparseable) data reads as an empty list and is replaced on the next save.
+ * @param {string} storageKey
+ * @returns {FavoritesData}
+ */
+export function loadFavoritesData(storageKey) {
+  const { stored, data } = readFavorites(storageKey);
+  if (!data) return emptyFavorites();
+  if (Array.isArray(stored)) saveFavoritesData(storageKey, data);
+  return data;
+}
+
+/**
+ * @param {string} storageKey
+ * @param {FavoritesData} data
+ * @returns {boolean} False, without writing, when storage holds unrecognized data (see canSaveFavorites)
+ */
+export function saveFavoritesData(storageKey, data) {
+  if (!canSaveFavorites(storageKey)) return false;
+  localStorage.setItem(storageKey, JSON.stringify(data));
+  return true;
+}
+
+/**
+ * Usernames on the mute list.
+ * @param {string} storageKey
+ * @returns {Set<string>}
+ */
+export function getMutedUsernames(storageKey) {
+  return new Set(loadFavoritesData(storageKey).muted);
+}
+
+/**
+ * Drop posts by muted users. Anonymous posts have no username and are never muted.
+ * @param {Array} posts
+ * @param {Set<string>} muted
+ * @returns {Array}
+ */
+export function withoutMuted(posts, muted) {
+  if (muted.size === 0) return posts;
+  return posts.filter(p => !p.username || !muted.has(p.username.toLowerCase()));
+}
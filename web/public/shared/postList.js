@@ -0,0 +1,699 @@
+/**
+ * Post list DOM layer shared by every site: renders post cards into a list
+ * and wires up reply links, QR codes, maps, lightbox and video playback.
+ *
+ * Canonical source lives in web/shared/ (synced into each site's /shared/).
+ * Pages using it need `qrcode` and `h3-js` in their import map, plus the
+ * HLS.js and (for maps) Leaflet scripts.
+ */
+import QRCode from 'qrcode';
+import { cellToBoundary, cellToLatLng } from 'h3-js';
+import {
+  detectPlatform,
+  renderPostHtml,
+  replyUrlCustomScheme,
+  replyUrlHTTPS,
+  shareUrl,
+  escapeText,
+  REPORT_REASONS,
+  buildReportRequest
+} from './render.js';
+
+// ====== APP OPEN FALLBACK ======
+
+/**
+ * Attempt to open app via custom scheme with web fallback
+ * Used for iOS Chrome where Universal Links don't work
+ */
+function openAppWithFallback(customSchemeUrl, fallbackWebUrl) {
+  // Record when we started
+  const startTime = Date.now();
+
+  // Flag to track if user interaction happened (page visibility changed)
+  let userLeftPage = false;
+
+  // Listen for visibility change (indicates app might be opening)
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      userLeftPage = true;
+    }
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  // Attempt to open the custom scheme
+  window.location.href = customSchemeUrl;
+
+  // After timeout, check if we should redirect to fallback
+  setTimeout(() => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+    // Only redirect if:
+    // 1. User didn't leave the page (app didn't open)
+    // 2. Page is still visible
+    // 3. Enough time has passed (not instant failure)
+    const elapsed = Date.now() - startTime;
+    if (!userLeftPage && !document.hidden && elapsed >= 1400) {
+      // App probably not installed - redirect to web fallback
+      console.log('[openAppWithFallback] App did not open, redirecting to fallback');
+      window.location.href = fallbackWebUrl;
+    }
+  }, 1500);
+}
+
+// ====== QR CODE MODAL ======
+
+/**
+ * Generate QR code as data URL for desktop reply
+ * @param {string} url - The URL to encode in the QR code
+ * @returns {Promise<string|null>} Data URL of the QR code image, or null on error
+ */
+async function generateQRCodeDataUrl(url) {
+  try {
+    return await QRCode.toDataURL(url, {
+      width: 180,
+      margin: 2,
+      errorCorrectionLevel: 'M',
+      color: { dark: '#1a1a1a', light: '#fffdf7' }
+    });
+  } catch (err) {
+    console.error('[QRCode] Generation failed:', err);
+    return null;
+  }
+}
+
+/**
+ * Set an element's text, or put back the text the page shipped with
+ */
+function setOrRestoreText(el, text) {
+  if (!el) return;
+  if (el.dataset.defaultText === undefined) el.dataset.defaultText = el.textContent;
+  el.textContent = text ?? el.dataset.defaultText;
+}
+
+/**
+ * Show the page's #qr-modal with a QR code for `url`
+ * @param {string} url - Reply link to encode
+ * @param {string} targetText - Who the reply goes to, shown under the code
+ * @param {Object} [options] - override the page's reply wording (e.g. for share links)
+ * @param {string} [options.title]
+ * @param {string} [options.hint]
+ */
+export async function showQRModal(url, targetText, { title, hint } = {}) {
+  const qrModal = document.getElementById('qr-modal');
+  const qrModalImg = document.getElementById('qr-modal-img');
+  const qrModalTarget = qrModal?.querySelector('.qr-modal-target');
+
+  if (!qrModal || !qrModalImg) {
+    console.error('[QRModal] Modal elements not found');
+    return;
+  }
+
+  if (!url) {
+    console.error('[QRModal] No URL provided');
+    return;
+  }
+
+  const dataUrl = await generateQRCodeDataUrl(url);
+
+  if (!dataUrl) {
+    console.error('[QRModal] Failed to generate QR code');
+    return;
+  }
+
+  if (qrModalTarget) {
+    qrModalTarget.textContent = targetText || '';
+  }
+  setOrRestoreText(qrModal.querySelector('h3'), title);
+  setOrRestoreText(qrModal.querySelector('.qr-modal-hint'), hint);
+  qrModalImg.src = dataUrl;
+  qrModal.classList.remove('hidden');
+}
+
+function hideQRModal() {
+  const qrModal = document.getElementById('qr-modal');
+  if (qrModal) {
+    qrModal.classList.add('hidden');
+    const qrModalImg = document.getElementById('qr-modal-img');
+    if (qrModalImg) qrModalImg.src = '';
+  }
+}
+
+// ====== LIGHTBOX ======
+
+function openLightbox(imgEl) {
+  const lightbox = document.getElementById('lightbox');
+  const lightboxImg = document.getElementById('lightbox-img');
+  const lightboxVideo = document.getElementById('lightbox-video');
+
+  if (!lightbox || !lightboxImg || !lightboxVideo) return;
+
+  lightboxImg.src = imgEl.dataset.full || imgEl.src;
+  lightboxImg.classList.remove('hidden');
+  lightboxVideo.classList.remove('visible');
+  lightboxVideo.pause();
+  lightboxVideo.src = '';
+
+  lightbox.classList.remove('hidden');
+
+  // Prevent body scroll
+  document.body.style.overflow = 'hidden';
+}
+
+function closeLightbox() {
+  const lightbox = document.getElementById('lightbox');
+  const lightboxImg = document.getElementById('lightbox-img');
+  const lightboxVideo = document.getElementById('lightbox-video');
+
+  if (!lightbox) return;
+
+  lightbox.classList.add('hidden');
+  if (lightboxImg) {
+    lightboxImg.src = '';
+    lightboxImg.classList.remove('hidden');
+  }
+  if (lightboxVideo) {
+    lightboxVideo.pause();
+    lightboxVideo.src = '';
+    lightboxVideo.classList.remove('visible');
+  }
+
+  // Restore body scroll
+  document.body.style.overflow = '';
+}
+
+let overlaysWired = false;
+
+/**
+ * Wire close handlers for the lightbox and QR modal once per page
+ */
+function wireOverlays() {
+  if (overlaysWired) return;
+  overlaysWired = true;
+
+  const onReady = (fn) => {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', fn);
+    else fn();
+  };
+
+  onReady(() => {
+    const lightbox = document.getElementById('lightbox');
+    if (lightbox) {
+      lightbox.querySelector('.lightbox-close')?.addEventListener('click', closeLightbox);
+      lightbox.addEventListener('click', (e) => {
+        if (e.target === lightbox) closeLightbox();
+      });
+    }
+
+    const qrModal = document.getElementById('qr-modal');
+    if (qrModal) {
+      qrModal.querySelector('.qr-modal-close')?.addEventListener('click', hideQRModal);
+      qrModal.addEventListener('click', (e) => {
+        if (e.target === qrModal) hideQRModal();
+      });
+    }
+  });
+
+  // Close overlays on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeLightbox();
+      hideQRModal();
+    }
+  });
+}
+
+// ====== REPORT DIALOG ======
+
+let reportDialog = null;
+
+/**
+ * The report <dialog>, created on first use so pages don't need its markup
+ */
+function getReportDialog() {
+  if (reportDialog) return reportDialog;
+  reportDialog = document.createElement('dialog');
+  reportDialog.className = 'report-dialog';
+  reportDialog.innerHTML = `
+    <form method="dialog">
+      <h3>Report this post</h3>
+      <p class="small">Reports are anonymous. Posts with several reports are hidden until a moderator reviews them.</p>
+      <fieldset class="report-reasons">
+        ${REPORT_REASONS.map(r => `
+          <label><input type="radio" name="reason" value="${escapeText(r.value)}" /> ${escapeText(r.label)}</label>
+        `).join('')}
+      </fieldset>
+      <textarea name="details" rows="3" maxlength="500" placeholder="Anything the moderator should know (optional)"></textarea>
+      <p class="report-status small" role="status"></p>
+      <div class="actions">
+        <button type="submit" class="btn btn-report-send">Send report</button>
+        <button type="button" class="btn btn-report-cancel">Cancel</button>
+      </div>
+    </form>
+  `;
+  reportDialog.querySelector('.btn-report-cancel').addEventListener('click', () => reportDialog.close());
+  document.body.appendChild(reportDialog);
+  return reportDialog;
+}
+
+/**
+ * @param {Object} request - from buildReportRequest()
+ */
+async function submitReport(request) {
+  const response = await fetch('/api/reports', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
+  });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || `HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Ask why a post is being reported and send it to POST /api/reports
+ * @param {Object} post - PublicPost
+ * @param {Function} onReported - called once the report is accepted
+ */
+function openReportDialog(post, onReported) {
+  const dialog = getReportDialog();
+  const form = dialog.querySelector('form');
+  const status = dialog.querySelector('.report-status');
+  const sendBtn = dialog.querySelector('.btn-report-send');
+  form.reset();
+  status.textContent = '';
+  sendBtn.disabled = false;
+
+  // Replaced on every open so the handler always reports the current post
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const request = buildReportRequest(post, form.elements.reason.value, form.elements.details.value);
+    if (!form.elements.reason.value || !request) {
+      status.textContent = 'Pick a reason first.';
+      return;
+    }
+    sendBtn.disabled = true;
+    status.textContent = 'Sending…';
+    try {
+      await submitReport(request);
+      status.textContent = 'Thanks. A moderator will take a look.';
+      onReported();
+      setTimeout(() => dialog.close(), 1200);
+    } catch (err) {
+      console.error('[Report] Failed:', err);
+      status.textContent = `Could not send the report: ${err.message}`;
+      sendBtn.disabled = false;
+    }
+  };
+
+  dialog.showModal();
+}
+
+// ====== MAP ======
+
+/**
+ * Initialize and render a map showing H3 cell and accuracy circle
+ * @param {HTMLElement} container - The map container element
+ * @param {string} h3Cell - H3 cell index (resolution 7)
+ * @param {number|undefined} accuracyM - Accuracy in meters
+ * @returns {Object} Leaflet map instance
+ */
+export function initPostMap(container, h3Cell, accuracyM) {
+  // Get cell center for map centering
+  const [lat, lng] = cellToLatLng(h3Cell);
+
+  // Get hexagon boundary vertices
+  // cellToBoundary returns [[lat, lng], ...] - array of vertex coordinates
+  const boundary = cellToBoundary(h3Cell);
+
+  // Create map centered on cell
+  const map = L.map(container).setView([lat, lng], 13);
+
+  // Add OpenStreetMap tiles
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    maxZoom: 19,
+    attribution: '© <a href="https://openstreetmap.org/copyright">OSM</a>'
+  }).addTo(map);
+
+  // Draw H3 hexagon
+  const hexagonStyle = {
+    color: '#007aff',
+    weight: 2,
+    fillColor: '#007aff',
+    fillOpacity: 0.15
+  };
+  const hexagon = L.polygon(boundary, hexagonStyle).addTo(map);
+
+  // Draw accuracy circle if available
+  if (accuracyM && accuracyM > 0) {
+    const circleStyle = {
+      color: '#ff6b6b',
+      weight: 2,
+      fillColor: '#ff6b6b',
+      fillOpacity: 0.1,
+      dashArray: '5, 5'
+    };
+    L.circle([lat, lng], {
+      radius: accuracyM,
+      ...circleStyle
+    }).addTo(map);
+  }
+
+  // Fit bounds to show hexagon (and circle if present)
+  const bounds = hexagon.getBounds();
+  if (accuracyM && accuracyM > 0) {
+    // Extend bounds to include accuracy circle
+    const circleBounds = L.latLng(lat, lng).toBounds(accuracyM * 2);
+    bounds.extend(circleBounds);
+  }
+  map.fitBounds(bounds, { padding: [20, 20] });
+
+  return map;
+}
+
+// ====== VIDEO ======
+
+/**
+ * Initialize HLS for a video element
+ * Uses the stream URL from the data-stream attribute (set by renderMedia)
+ * @param {HTMLVideoElement} videoEl - The video element to initialize
+ */
+function initVideoPlayer(videoEl) {
+  // Only initialize once
+  if (videoEl._hlsInitialized) return;
+  videoEl._hlsInitialized = true;
+
+  const isLive = videoEl.dataset.live === 'true';
+  const streamUrl = videoEl.dataset.stream;
+
+  if (!streamUrl) {
+    console.warn('[initVideoPlayer] No stream URL found');
+    return;
+  }
+
+  if (videoEl.canPlayType('application/vnd.apple.mpegurl')) {
+    // Native HLS support (Safari, iOS)
+    videoEl.src = streamUrl;
+    videoEl.play().catch((err) => console.log('[initVideoPlayer] Native play error:', err.message));
+  } else if (typeof Hls !== 'undefined' && Hls.isSupported()) {
+    // Use HLS.js for other browsers (Chrome, Firefox, Edge)
+    const hls = new Hls({
+      debug: false,
+      enableWorker: true,
+      lowLatencyMode: isLive,           // Enable low-latency for live streams
+      backBufferLength: isLive ? 30 : 90, // Less buffer for live
+      liveDurationInfinity: isLive,     // Infinite duration for live
+      liveBackBufferLength: isLive ? 0 : null, // No back buffer for live
+    });
+
+    // Store reference for cleanup
+    videoEl._hls = hls;
+
+    hls.loadSource(streamUrl);
+    hls.attachMedia(videoEl);
+
+    // Auto-play when manifest is ready
+    hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      videoEl.play().catch(err => console.log('[HLS] Play failed:', err.message));
+    });
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      console.error('[HLS] Error:', data.type, data.details, data.fatal ? '(FATAL)' : '');
+      if (data.fatal) {
+        switch (data.type) {
+          case Hls.ErrorTypes.NETWORK_ERROR:
+            hls.startLoad();
+            break;
+          case Hls.ErrorTypes.MEDIA_ERROR:
+            hls.recoverMediaError();
+            break;
+          default:
+            hls.destroy();
+            break;
+        }
+      }
+    });
+  } else {
+    // Fallback - try direct source (may not work for HLS streams)
+    console.warn('[initVideoPlayer] No HLS support, trying direct playback');
+    videoEl.src = streamUrl;
+    videoEl.play().catch((err) => console.log('[initVideoPlayer] Direct play error:', err.message));
+  }
+}
+
+// Global user sound preference (persists for session)
+let userWantsSound = false;
+
+let videoObserver = null;
+
+/**
+ * Videos autoplay muted when 50% visible and pause when out of view.
+ * One observer is shared by every rendered video.
+ */
+function observeVideo(video) {
+  if (!videoObserver) {
+    videoObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const video = entry.target;
+        const unmuteBtn = video.closest('.video-container')?.querySelector('.unmute-btn');
+
+        if (entry.isIntersecting && entry.intersectionRatio >= 0.5) {
+          // Video is visible - initialize HLS if needed and play
+          const needsInit = video.dataset.stream && !video._hlsInitialized;
+          if (needsInit) {
+            // Chrome/Firefox: HLS.js needed - it will call play() when ready
+            initVideoPlayer(video);
+          } else if (video.src) {
+            // Safari/iOS: native HLS - can play directly
+            video.play().catch((err) => console.log('[Video] Native play failed:', err.message));
+          }
+
+          // Apply user's sound preference
+          if (userWantsSound) {
+            video.muted = false;
+            if (unmuteBtn) {
+              unmuteBtn.textContent = '🔊';
+              unmuteBtn.setAttribute('aria-label', 'Mute');
+            }
+          }
+        } else {
+          // Video is out of view - pause to save resources
+          video.pause();
+        }
+      });
+    }, {
+      threshold: 0.5 // Trigger when 50% of video is visible
+    });
+  }
+
+  videoObserver.observe(video);
+
+  // Track when user manually unmutes
+  video.addEventListener('volumechange', () => {
+    if (!video.muted) {
+      userWantsSound = true;
+    }
+  });
+}
+
+// ====== POST LIST ======
+
+/**
+ * Create a post renderer bound to a site config.
+ * @param {Object} site - Site config from /site.js
+ * @param {Object} [options]
+ * @param {boolean} [options.showMap] - offer "Show on map" on located posts (needs Leaflet)
+ */
+export function createPostRenderer(site, { showMap = true } = {}) {
+  const platform = detectPlatform(navigator.userAgent || '');
+  console.log('[Platform]', { site: site.id, ...platform });
+
+  wireOverlays();
+
+  /**
+   * Handle Reply button click - special handling for iOS non-Safari browsers
+   * iOS Safari supports Universal Links, but all other iOS browsers (Chrome, Firefox, etc.)
+   * need custom scheme with fallback to web page
+   */
+  function handleReplyClick(event, username, messageId) {
+    if (!platform.isIOSNotSafari) {
+      // Let the default href work:
+      // - iOS Safari: Universal Link opens app
+      // - Android: intent:// opens app with Play Store fallback
+      return;
+    }
+    event.preventDefault();
+    openAppWithFallback(
+      replyUrlCustomScheme(site, username, messageId),
+      replyUrlHTTPS(site, username, messageId)
+    );
+  }
+
+  /**
+   * Share a post's permalink: the native share sheet on mobile, otherwise copy
+   * the link and show it as a QR code. Each route gets its own utm_medium.
+   */
+  async function sharePost(post) {
+    const text = post.content ? post.content.slice(0, 140) : '';
+    if (!platform.isDesktop && navigator.share) {
+      try {
+        await navigator.share({ title: site.brand, text, url: shareUrl(site, post, 'web_share') });
+        return;
+      } catch (err) {
+        // Dismissing the sheet is not an error; anything else falls back to copy + QR
+        if (err.name === 'AbortError') return;
+        console.warn('[Share] navigator.share failed:', err);
+      }
+    }
+
+    const link = shareUrl(site, post, 'copy');
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(link);
+      copied = true;
+    } catch (err) {
+      console.warn('[Share] Clipboard unavailable:', err);
+    }
+    await showQRModal(shareUrl(site, post, 'qr'), copied ? `Link copied: ${link}` : link, {
+      title: 'Share this post',
+      hint: 'Scan with a phone camera to open this post'
+    });
+  }
+
+  /**
+   * Build a post card element with its handlers attached.
+   */
+  function createPostElement(post) {
+    const el = document.createElement('div');
+    el.className = 'post';
+    el.innerHTML = renderPostHtml(post, { site, platform, showMap });
+
+    el.querySelector('.post-media img')?.addEventListener('click', (e) => openLightbox(e.currentTarget));
+
+    const revealBtn = el.querySelector('.sensitive-reveal');
+    revealBtn?.addEventListener('click', () => {
+      revealBtn.parentElement.classList.add('revealed');
+      revealBtn.remove();
+    });
+
+    const replyLink = el.querySelector('.reply-btn[data-username]');
+    if (replyLink) {
+      replyLink.addEventListener('click', (e) => {
+        handleReplyClick(e, replyLink.dataset.username, replyLink.dataset.messageid);
+      });
+    }
+
+    // QR code button for desktop reply
+    const qrBtn = el.querySelector('.btn-qr');
+    if (qrBtn) {
+      qrBtn.addEventListener('click', async () => {
+        if (qrBtn.dataset.url) {
+          await showQRModal(qrBtn.dataset.url, qrBtn.dataset.target);
+        }
+      });
+    }
+
+    el.querySelector('.btn-share')?.addEventListener('click', () => sharePost(post));
+
+    const reportBtn = el.querySelector('.btn-report');
+    reportBtn?.addEventListener('click', () => {
+      openReportDialog(post, () => {
+        reportBtn.textContent = 'Reported';
+        reportBtn.disabled = true;
+      });
+    });
+
+    // Toggle button for text content
+    const toggle = el.querySelector('button.toggle');
+    if (toggle) {
+      toggle.addEventListener('click', () => {
+        const contentEl = el.querySelector('.content');
+        const isFull = toggle.dataset.mode === 'full';
+        if (isFull) {
+          contentEl.textContent = contentEl.dataset.snippet;
+          toggle.textContent = 'Show full';
+          toggle.dataset.mode = 'snippet';
+        } else {
+          contentEl.textContent = contentEl.dataset.full;
+          toggle.textContent = 'Show less';
+          toggle.dataset.mode = 'full';
+        }
+      });
+    }
+
+    // Map toggle button
+    const mapBtn = el.querySelector('.btn-map');
+    if (mapBtn) {
+      mapBtn.addEventListener('click', () => {
+        const container = el.querySelector('.post-map-container');
+        const mapDiv = el.querySelector('.post-map');
+        const isExpanded = container.classList.contains('expanded');
+
+        if (isExpanded) {
+          container.classList.remove('expanded');
+          mapBtn.textContent = 'Show on map';
+        } else {
+          container.classList.add('expanded');
+          mapBtn.textContent = 'Hide map';
+
+          // Lazy init map on first expand
+          if (!mapDiv.dataset.initialized) {
+            const h3Cell = mapBtn.dataset.h3;
+            const accuracy = mapBtn.dataset.accuracy ? parseFloat(mapBtn.dataset.accuracy) : undefined;
+
+            // Small delay to let CSS transition start and container have dimensions
+            setTimeout(() => {
+              initPostMap(mapDiv, h3Cell, accuracy);
+              mapDiv.dataset.initialized = 'true';
+            }, 50);
+          }
+        }
+      });
+    }
+
+    // Unmute button for videos
+    const unmuteBtn = el.querySelector('.unmute-btn');
+    if (unmuteBtn) {
+      unmuteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const video = unmuteBtn.parentElement.querySelector('video');
+        if (video) {
+          video.muted = !video.muted;
+          unmuteBtn.textContent = video.muted ? '🔇' : '🔊';
+          unmuteBtn.setAttribute('aria-label', video.muted ? 'Unmute' : 'Mute');
+        }
+      });
+    }
+
+    el.querySelectorAll('.post-media video').forEach(observeVideo);
+
+    return el;
+  }
+
+  /**
+   * Render posts into a list element.
+   * @param {HTMLElement} listEl
+   * @param {Array} posts
+   * @param {Object} [options]
+   * @param {boolean} [options.append] - add below the existing posts instead of replacing them
+   * @param {boolean} [options.prepend] - add above the existing posts
+   * @param {string} [options.emptyHtml] - shown when a replacing render has no posts
+   * @returns {HTMLElement[]} the post elements added
+   */
+  function renderPosts(listEl, posts, { append = false, prepend = false, emptyHtml } = {}) {
+    const replace = !append && !prepend;
+    if (replace) listEl.innerHTML = '';
+    if (!posts || posts.length === 0) {
+      if (replace) listEl.innerHTML = emptyHtml || '<div class="post empty">No posts found.</div>';
+      return [];
+    }
+    listEl.querySelector('.empty')?.remove();
+
+    const added = posts.map(createPostElement);
+    if (prepend) listEl.prepend(...added);
+    else listEl.append(...added);
+    return added;
+  }
+
+  return { platform, renderPosts };
+}
@@ -0,0 +1,22 @@
+/**
+ * Site configuration for www.2chanc3s.com.
+ * Shared modules in /shared/ read every site-specific value from here.
+ */
+export const SITE = {
+  id: 'public',
+  brand: '2chanc3s',
+  tagline: 'second chances (nearby)',
+  origin: 'https://www.2chanc3s.com',
+  // Universal Link host for reply deep links (also the web fallback page)
+  replyHost: 'public.loxation.com',
+  appScheme: 'loxation',
+  iosAppId: '6743818003',
+  androidPackage: 'com.jabresearch.loxation',
+  // Initial k-ring radius for the "Radius" select (see computeH3Tokens)
+  defaultRadiusK: 10,
+  favoritesKey: '2chanc3s_favorites',
+  savedSearchesKey: '2chanc3s_saved_searches',
+  locationKey: '2chanc3s_location',
+  // Hashtag queries are scoped to (category hosts of the community site only)
+  category: null
+};
@@ -0,0 +1,170 @@
+/**
+ * Hashtag page JavaScript (/t/<hashtag>)
+ * Lists posts with a hashtag through POST /api/search, everywhere or within the
+ * area in the link (?h3=...&resolution=..., the same cells the feed queries).
+ */
+import { escapeText } from './shared/render.js';
+import { createPostRenderer } from './shared/postList.js';
+import { getMutedUsernames, withoutMuted } from './shared/favoritesStore.js';
+import { SITE } from './site.js';
+import { registerServiceWorker, cacheMediaForOffline } from './offline.js';
+
+// Constants
+const API_BASE = '';
+// Same rule as the server's hashtag extraction (stored lowercase)
+const HASHTAG_RE = /^[a-z0-9_]{1,50}$/;
+const PAGE_SIZE = 50;
+
+// DOM Elements
+const nameEl = document.getElementById('tagName');
+const statusEl = document.getElementById('tagStatus');
+const scopeEl = document.querySelector('.tag-scope');
+const scopeArea = document.getElementById('scopeArea');
+const scopeAll = document.getElementById('scopeAll');
+const listEl = document.getElementById('list');
+const btnLoadOlder = document.getElementById('btnLoadOlder');
+
+const postRenderer = createPostRenderer(SITE);
+
+let tag = '';
+let area = null;          // { h3Cells, resolution } from the link, or null
+let useArea = false;
+let oldest = null;        // time of the last post shown, the `until` of the next page
+let generation = 0;       // bumped on every reload so stale pages are dropped
+
+/**
+ * Hashtag from /t/<tag> (Pages rewrites it to this page), or ?tag= when opened directly
+ * @returns {string}
+ */
+function getPageTag() {
+  const match = /^\/t\/([^/]+)\/?$/.exec(window.location.pathname);
+  let raw = match ? match[1] : new URLSearchParams(window.location.search).get('tag') || '';
+  try {
+    raw = decodeURIComponent(raw);
+  } catch {
+    return '';
+  }
+  return raw.replace(/^#/, '').trim().toLowerCase();
+}
+
+/**
+ * Area the link was made in
+ * @returns {{ h3Cells: string[], resolution: number } | null}
+ */
+function getPageArea() {
+  const params = new URLSearchParams(window.location.search);
+  const h3Cells = (params.get('h3') || '').split(',').map(c => c.trim()).filter(Boolean);
+  if (h3Cells.length === 0) return null;
+  const resolution = Number(params.get('resolution')) || 7;
+  return { h3Cells, resolution };
+}
+
+/**
+ * @param {string|null} until - only posts older than this time
+ * @returns {Promise<Array>}
+ */
+async function fetchTagPosts(until) {
+  const request = { hashtags: [tag], limit: PAGE_SIZE };
+  if (useArea && area) request.location = { name: `#${tag}`, ...area };
+  if (until) request.timeRange = { until };
+
+  const response = await fetch(`${API_BASE}/api/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
+  });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || `HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  return data.posts || [];
+}
+
+function renderScope() {
+  scopeEl.hidden = !area;
+  scopeArea.setAttribute('aria-selected', String(useArea));
+  scopeAll.setAttribute('aria-selected', String(!useArea));
+}
+
+/**
+ * Render a page of posts; muted users are left out, but still move the page boundary
+ */
+function renderPage(posts, append) {
+  const shown = withoutMuted(posts, getMutedUsernames(SITE.favoritesKey));
+  cacheMediaForOffline(shown);
+  postRenderer.renderPosts(listEl, shown, {
+    append,
+    emptyHtml: `<div class="empty-state">No posts with #${escapeText(tag)}${useArea ? ' in this area' : ''} yet</div>`
+  });
+  if (posts.length > 0) oldest = posts[posts.length - 1].time;
+  btnLoadOlder.hidden = posts.length < PAGE_SIZE;
+}
+
+async function load() {
+  const current = ++generation;
+  oldest = null;
+  btnLoadOlder.hidden = true;
+  renderScope();
+  statusEl.textContent = 'Loading…';
+  listEl.innerHTML = '';
+  try {
+    const posts = await fetchTagPosts(null);
+    if (current !== generation) return;
+    renderPage(posts, false);
+    statusEl.textContent = useArea ? 'Newest posts in your area' : 'Newest posts everywhere';
+  } catch (err) {
+    if (current !== generation) return;
+    console.error('[tag] Error:', err);
+    statusEl.textContent = `Could not load #${tag}: ${err.message}`;
+  }
+}
+
+async function loadOlder() {
+  if (!oldest) return;
+  const current = generation;
+  btnLoadOlder.disabled = true;
+  try {
+    const posts = await fetchTagPosts(oldest);
+    if (current !== generation) return;
+    renderPage(posts, true);
+  } catch (err) {
+    console.error('[tag] Error:', err);
+    statusEl.textContent = `Could not load older posts: ${err.message}`;
+  } finally {
+    btnLoadOlder.disabled = false;
+  }
+}
+
+// ============================================================
+// Initialization
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  registerServiceWorker();
+
+  tag = getPageTag();
+  if (!HASHTAG_RE.test(tag)) {
+    statusEl.textContent = 'No such hashtag. Hashtag links look like /t/coffee.';
+    return;
+  }
+
+  nameEl.textContent = `#${tag}`;
+  document.title = `#${tag} — ${SITE.brand}`;
+  area = getPageArea();
+  useArea = !!area;
+
+  scopeArea.addEventListener('click', () => {
+    if (useArea) return;
+    useArea = true;
+    load();
+  });
+  scopeAll.addEventListener('click', () => {
+    if (!useArea) return;
+    useArea = false;
+    load();
+  });
+  btnLoadOlder.addEventListener('click', loadOlder);
+
+  load();
+});
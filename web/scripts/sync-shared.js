@@ -0,0 +1,82 @@
+/**
+ * Copy the shared code in web/shared/ into each site.
+ *
+ * Each site is deployed on its own (Cloudflare Pages serves one directory), so
+ * the shared code has to live inside every site:
+ * - web/shared/*.js      -> <site>/shared/ (modules imported as ./shared/...)
+ * - web/shared/root/*    -> <site>/ (page scripts, style.css and sw.js, served from the site root)
+ *
+ * Edit web/shared/ only, then run:
+ *
+ *   node scripts/sync-shared.js          # copy
+ *   node scripts/sync-shared.js --check  # exit 1 if any copy is stale
+ */
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, statSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const WEB_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SHARED_DIR = join(WEB_DIR, 'shared');
+export const SITES = ['public', 'community'];
+
+// Source directory -> directory inside each site
+const COPIES = [
+  { from: SHARED_DIR, to: 'shared' },
+  { from: join(SHARED_DIR, 'root'), to: '' }
+];
+
+/**
+ * Every shared file with its path inside a site.
+ * @returns {{ source: string, target: string }[]} target relative to the site directory
+ */
+function sharedFiles() {
+  const files = [];
+  for (const { from, to } of COPIES) {
+    for (const file of readdirSync(from)) {
+      if (statSync(join(from, file)).isFile()) files.push({ source: join(from, file), target: join(to, file) });
+    }
+  }
+  return files;
+}
+
+/**
+ * List site copies that differ from web/shared/.
+ * @returns {string[]} paths relative to web/
+ */
+export function findStaleCopies() {
+  const stale = [];
+  for (const { source, target } of sharedFiles()) {
+    const content = readFileSync(source, 'utf8');
+    for (const site of SITES) {
+      const path = join(WEB_DIR, site, target);
+      if (!existsSync(path) || readFileSync(path, 'utf8') !== content) {
+        stale.push(join(site, target));
+      }
+    }
+  }
+  return stale;
+}
+
+function sync() {
+  for (const site of SITES) {
+    for (const { source, target } of sharedFiles()) {
+      const path = join(WEB_DIR, site, target);
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, readFileSync(source));
+    }
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  if (process.argv.includes('--check')) {
+    const stale = findStaleCopies();
+    if (stale.length > 0) {
+      console.error(`Out of sync with web/shared/ (run node scripts/sync-shared.js):\n  ${stale.join('\n  ')}`);
+      process.exit(1);
+    }
+    console.log('Shared modules are in sync.');
+  } else {
+    sync();
+    console.log(`Synced web/shared/ into ${SITES.join(', ')}.`);
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Full-page map of the feed: every queried H3 cell drawn as a hexagon and
+ * shaded by how many loaded posts fall in it. Users can also sketch a polygon
+ * to query instead of a radius ring, and follow mode draws the cells walked through.
+ *
+ * Canonical source lives in web/shared/ (synced into each site's /shared/).
+ * Pages using it need `h3-js` in their import map and the Leaflet script.
+ */
+import {
+  cellToBoundary,
+  cellToLatLng,
+  cellToParent,
+  compactCells,
+  getResolution,
+  isValidCell,
+  latLngToCell,
+  polygonToCells,
+  uncompactCells
+} from 'h3-js';
+
+const EMPTY_STYLE = {
+  color: '#007aff',
+  weight: 1,
+  opacity: 0.5,
+  fillColor: '#007aff',
+  fillOpacity: 0.03
+};
+
+const HEAT_COLOR = '#ff3b30';
+const HEAT_MIN_OPACITY = 0.15;
+const HEAT_MAX_OPACITY = 0.65;
+
+const AREA_STYLE = {
+  color: '#0b5fff',
+  weight: 2,
+  dashArray: '6, 4',
+  fill: false,
+  interactive: false
+};
+
+const TRAIL_STYLE = {
+  color: '#34c759',
+  weight: 2,
+  opacity: 0.8,
+  fillColor: '#34c759',
+  fillOpacity: 0.12,
+  interactive: false
+};
+
+// A drawn area is covered at the finest resolution that stays within this many cells
+export const AREA_MAX_CELLS = 100;
+// Clicking this close (px) to the first corner closes the polygon
+const CLOSE_DISTANCE_PX = 12;
+
+/**
+ * The cell a post belongs to at a feed resolution.
+ * Feed posts carry feedCell; otherwise fall back to the post's res7 geolocator
+ * cell, which only has a well-defined cell at resolutions 7 and coarser.
+ * @param {Object} post - PublicPost
+ * @param {number} resolution
+ * @returns {string|null}
+ */
+export function postCellAt(post, resolution) {
+  if (post.feedCell) return post.feedCell;
+  const h3 = post.geolocatorH3;
+  if (!h3) return null;
+  try {
+    const res = getResolution(h3);
+    if (res === resolution) return h3;
+    return res > resolution ? cellToParent(h3, resolution) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Count posts per cell at a feed resolution.
+ * @param {Array} posts
+ * @param {number} resolution
+ * @returns {Map<string, number>}
+ */
+export function countPostsByCell(posts, resolution) {
+  const counts = new Map();
+  for (const post of posts || []) {
+    const cell = postCellAt(post, resolution);
+    if (cell) counts.set(cell, (counts.get(cell) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Cover a drawn polygon with H3 cells, trying resolutions 6..9 from coarse to
+ * fine and keeping the finest that fits in maxCells (coarse first, so a huge
+ * polygon never gets filled at res9). The compacted set is what gets sent to
+ * the API, which expands it again against geolocator.h3_resN.
+ *
+ * @param {Array<[number, number]>} latlngs - polygon corners as [lat, lng]
+ * @param {number} [maxCells]
+ * @returns {{ cells: string[], compacted: string[], resolution: number, center: [number, number] } | null}
+ *   null if the area needs more than maxCells even at res6
+ */
+export function areaToCells(latlngs, maxCells = AREA_MAX_CELLS) {
+  const center = [
+    latlngs.reduce((sum, p) => sum + p[0], 0) / latlngs.length,
+    latlngs.reduce((sum, p) => sum + p[1], 0) / latlngs.length
+  ];
+
+  let best = null;
+  for (let resolution = 6; resolution <= 9; resolution++) {
+    const cells = polygonToCells(latlngs, resolution);
+    if (cells.length > maxCells) {
+      if (resolution === 6) return null;
+      break;
+    }
+    if (cells.length > 0) best = { cells, resolution };
+  }
+
+  // Smaller than any res9 cell center: use the cell it sits in
+  if (!best) best = { cells: [latLngToCell(center[0], center[1], 9)], resolution: 9 };
+
+  return { ...best, compacted: compactCells(best.cells), center };
+}
+
+/**
+ * Rebuild a drawn area from its compacted cells (e.g. from a link), the
+ * inverse of areaToCells minus the polygon outline.
+ *
+ * @param {string[]} compacted
+ * @param {number} resolution - resolution the area was covered at (6..9)
+ * @param {number} [maxCells]
+ * @returns {{ cells: string[], compacted: string[], resolution: number } | null}
+ *   null if a cell is invalid or finer than resolution, or there are more than maxCells
+ */
+export function cellsToArea(compacted, resolution, maxCells = AREA_MAX_CELLS) {
+  if (compacted.length === 0 || compacted.length > maxCells || resolution < 6 || resolution > 9) return null;
+  if (!compacted.every(cell => isValidCell(cell) && getResolution(cell) <= resolution)) return null;
+  const cells = uncompactCells(compacted, resolution);
+  return cells.length <= maxCells ? { cells, compacted, resolution } : null;
+}
+
+/**
+ * Create the feed map in a (visible) container.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} options
+ * @param {(cell: string) => void} [options.onCellClick] - a hexagon was clicked
+ * @param {(lat: number, lng: number) => void} [options.onRecenter] - the user dragged the map
+ * @param {(latlngs: Array<[number, number]>) => void} [options.onAreaDrawn] - a polygon was finished
+ * @param {(active: boolean) => void} [options.onDrawingChange] - draw mode started or ended
+ */
+export function createFeedMap(container, { onCellClick, onRecenter, onAreaDrawn, onDrawingChange } = {}) {
+  const map = L.map(container);
+
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    maxZoom: 19,
+    attribution: '© <a href="https://openstreetmap.org/copyright">OSM</a>'
+  }).addTo(map);
+
+  const hexLayer = L.featureGroup().addTo(map);
+  const areaLayer = L.featureGroup().addTo(map);
+  const trailLayer = L.featureGroup().addTo(map);
+  let polygons = new Map();     // cell -> L.polygon
+  let counts = new Map();
+  let selected = null;
+  let drawing = null;           // { points, line, guide } while sketching an area
+
+  function styleFor(cell, max) {
+    const n = counts.get(cell) || 0;
+    const isSelected = cell === selected;
+    if (n === 0) {
+      return isSelected ? { ...EMPTY_STYLE, weight: 3, opacity: 1 } : EMPTY_STYLE;
+    }
+    const share = max > 1 ? (n - 1) / (max - 1) : 1;
+    return {
+      color: isSelected ? '#007aff' : HEAT_COLOR,
+      weight: isSelected ? 3 : 1,
+      opacity: isSelected ? 1 : 0.7,
+      fillColor: HEAT_COLOR,
+      fillOpacity: HEAT_MIN_OPACITY + share * (HEAT_MAX_OPACITY - HEAT_MIN_OPACITY)
+    };
+  }
+
+  function restyle() {
+    let max = 0;
+    for (const n of counts.values()) max = Math.max(max, n);
+    for (const [cell, polygon] of polygons) {
+      polygon.setStyle(styleFor(cell, max));
+      const n = counts.get(cell) || 0;
+      polygon.setTooltipContent(`${n} post${n === 1 ? '' : 's'}`);
+    }
+  }
+
+  // fitBounds/setView also fire move events; only a drag means "look here instead"
+  map.on('dragend', () => {
+    if (!onRecenter || drawing) return;
+    const center = map.getCenter();
+    onRecenter(center.lat, center.lng);
+  });
+
+  // ====== AREA DRAWING ======
+  // Click to add corners; click the first corner or double-click to finish, Escape cancels.
+
+  function stopDrawing() {
+    if (!drawing) return;
+    drawing.line.remove();
+    drawing.guide.remove();
+    drawing = null;
+    map.doubleClickZoom.enable();
+    container.classList.remove('drawing');
+    document.removeEventListener('keydown', onDrawKey);
+    onDrawingChange?.(false);
+  }
+
+  function finishDrawing() {
+    const points = drawing.points.map((p) => [p.lat, p.lng]);
+    stopDrawing();
+    if (points.length >= 3) onAreaDrawn?.(points);
+  }
+
+  function onDrawKey(e) {
+    if (e.key === 'Escape') stopDrawing();
+  }
+
+  map.on('click', (e) => {
+    if (!drawing) return;
+    const points = drawing.points;
+    const at = e.containerPoint;
+    if (points.length >= 3 && map.latLngToContainerPoint(points[0]).distanceTo(at) < CLOSE_DISTANCE_PX) {
+      finishDrawing();
+      return;
+    }
+    // The two clicks of a double-click land on the same spot; keep one corner
+    const last = points[points.length - 1];
+    if (last && map.latLngToContainerPoint(last).distanceTo(at) < 4) return;
+    points.push(e.latlng);
+    drawing.line.setLatLngs(points);
+  });
+
+  map.on('dblclick', () => {
+    if (drawing) finishDrawing();
+  });
+
+  map.on('mousemove', (e) => {
+    if (!drawing || drawing.points.length === 0) return;
+    drawing.guide.setLatLngs([drawing.points[drawing.points.length - 1], e.latlng]);
+  });
+
+  return {
+    /**
+     * Replace the drawn cells.
+     * @param {string[]} cells
+     * @param {Object} [options]
+     * @param {boolean} [options.fit=true] - zoom the map to the cells
+     */
+    setCells(cells, { fit = true } = {}) {
+      hexLayer.clearLayers();
+      polygons = new Map();
+      if (!cells.includes(selected)) selected = null;
+      for (const cell of cells) {
+        const polygon = L.polygon(cellToBoundary(cell), EMPTY_STYLE);
+        polygon.bindTooltip('', { sticky: true });
+        polygon.on('click', () => {
+          if (!drawing) onCellClick?.(cell);
+        });
+        polygon.addTo(hexLayer);
+        polygons.set(cell, polygon);
+      }
+      restyle();
+      if (fit && cells.length > 0) {
+        map.fitBounds(hexLayer.getBounds(), { padding: [16, 16] });
+      }
+    },
+
+    /** @param {Map<string, number>} cellCounts - from countPostsByCell */
+    setCounts(cellCounts) {
+      counts = cellCounts;
+      restyle();
+    },
+
+    /** Outline one cell (the active list filter), or none */
+    setSelected(cell) {
+      selected = cell;
+      restyle();
+    },
+
+    /** Outline the drawn area being queried, or clear it */
+    setArea(latlngs) {
+      areaLayer.clearLayers();
+      if (latlngs) L.polygon(latlngs, AREA_STYLE).addTo(areaLayer);
+    },
+
+    /**
+     * Draw the cells visited in follow mode, oldest first, joined by a path
+     * through their centers. An empty list clears the trail.
+     * @param {string[]} cells
+     */
+    setTrail(cells) {
+      trailLayer.clearLayers();
+      for (const cell of cells) L.polygon(cellToBoundary(cell), TRAIL_STYLE).addTo(trailLayer);
+      if (cells.length > 1) {
+        L.polyline(cells.map((cell) => cellToLatLng(cell)), { ...TRAIL_STYLE, dashArray: '2, 6' }).addTo(trailLayer);
+      }
+    },
+
+    /** Enter draw mode; the result arrives through onAreaDrawn */
+    startDrawing() {
+      if (drawing) return;
+      drawing = {
+        points: [],
+        line: L.polyline([], { ...AREA_STYLE, dashArray: null }).addTo(map),
+        guide: L.polyline([], AREA_STYLE).addTo(map)
+      };
+      map.doubleClickZoom.disable();
+      container.classList.add('drawing');
+      document.addEventListener('keydown', onDrawKey);
+      onDrawingChange?.(true);
+    },
+
+    stopDrawing,
+
+    /** Call after the container is shown again */
+    invalidateSize() {
+      map.invalidateSize();
+    }
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Location storage: the location the feed was last set to (GPS, address, map
+ * or follow mode), the radius picked, and recently geocoded places for the
+ * address box. Kept in localStorage under SITE.locationKey as one versioned
+ * document, so a reload restores it instead of falling back to IP location.
+ *
+ * Canonical source lives in web/shared/ (synced into each site's /shared/).
+ * No DOM access, so node tests can import it directly.
+ */
+
+export const LOCATION_SCHEMA_VERSION = 1;
+
+export const MAX_RECENT_PLACES = 8;
+
+/**
+ * @typedef {Object} StoredLocation
+ * @property {Object} h3 - lastH3 snapshot ({ cells, resolution, centerCell, compacted?, area? })
+ * @property {number|null} k - radius the cells were computed with (null for a drawn area)
+ * @property {string} label - how the location was set, as shown in the location line
+ * @property {string} source - origin kind in app.js (gps, geocode, map, area, follow)
+ * @property {string|null} place - recent place name, when it was set from the address box
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+/**
+ * @typedef {Object} RecentPlace
+ * @property {string} name - short name typed into / shown in the address box
+ * @property {string} displayName - full geocoder result
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+/**
+ * @typedef {Object} LocationData
+ * @property {number} version - LOCATION_SCHEMA_VERSION
+ * @property {StoredLocation|null} current
+ * @property {number|null} k - last radius picked in the "Radius" select
+ * @property {RecentPlace[]} recent - newest first
+ */
+
+/** @returns {LocationData} */
+export function emptyLocationData() {
+  return { version: LOCATION_SCHEMA_VERSION, current: null, k: null, recent: [] };
+}
+
+function isCoordinate(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+function isStringList(values) {
+  return Array.isArray(values) && values.length > 0 && values.every(v => typeof v === 'string');
+}
+
+function cleanSnapshot(h3) {
+  if (!h3 || typeof h3.centerCell !== 'string' || !Number.isInteger(h3.resolution) || !isStringList(h3.cells)) {
+    return null;
+  }
+  const snapshot = { cells: h3.cells, resolution: h3.resolution, centerCell: h3.centerCell };
+  if (isStringList(h3.compacted)) snapshot.compacted = h3.compacted;
+  if (Array.isArray(h3.area) && h3.area.every(p => Array.isArray(p) && isCoordinate(p[0], p[1]))) {
+    snapshot.area = h3.area;
+  }
+  return snapshot;
+}
+
+function cleanLocation(current) {
+  const h3 = cleanSnapshot(current?.h3);
+  if (!h3 || !isCoordinate(current.lat, current.lng)) return null;
+  return {
+    h3,
+    k: Number.isInteger(current.k) && current.k >= 0 ? current.k : null,
+    label: typeof current.label === 'string' ? current.label : '',
+    source: typeof current.source === 'string' ? current.source : 'stored',
+    place: typeof current.place === 'string' ? current.place : null,
+    lat: current.lat,
+    lng: current.lng
+  };
+}
+
+/**
+ * Normalize stored location data; anything unreadable is dropped.
+ * @param {unknown} stored - parsed localStorage value
+ * @returns {LocationData}
+ */
+export function migrateLocationData(stored) {
+  if (!stored || stored.version !== LOCATION_SCHEMA_VERSION) return emptyLocationData();
+  const data = emptyLocationData();
+  data.current = cleanLocation(stored.current);
+  if (Number.isInteger(stored.k) && stored.k >= 0) data.k = stored.k;
+  for (const place of Array.isArray(stored.recent) ? stored.recent : []) {
+    if (typeof place?.name !== 'string' || !place.name.trim() || !isCoordinate(place.lat, place.lng)) continue;
+    if (findRecentPlace(data.recent, place.name) || data.recent.length >= MAX_RECENT_PLACES) continue;
+    data.recent.push(placeEntry(place));
+  }
+  return data;
+}
+
+/**
+ * The recent place with this name (case and spacing don't matter).
+ * @param {RecentPlace[]} recent
+ * @param {string} name
+ * @returns {RecentPlace|null}
+ */
+export function findRecentPlace(recent, name) {
+  const key = name.replace(/\s+/g, ' ').trim().toLowerCase();
+  return recent.find(p => p.name.toLowerCase() === key) || null;
+}
+
+function placeEntry(place) {
+  const name = place.name.replace(/\s+/g, ' ').trim();
+  return {
+    name,
+    displayName: typeof place.displayName === 'string' ? place.displayName : name,
+    lat: place.lat,
+    lng: place.lng
+  };
+}
+
+/**
+ * Put a place at the front of the recent list, keeping MAX_RECENT_PLACES.
+ * @param {RecentPlace[]} recent
+ * @param {RecentPlace} place
+ * @returns {RecentPlace[]}
+ */
+export function rememberPlace(recent, place) {
+  const entry = placeEntry(place);
+  const rest = recent.filter(p => p.name.toLowerCase() !== entry.name.toLowerCase());
+  return [entry, ...rest].slice(0, MAX_RECENT_PLACES);
+}
+
+/**
+ * @param {string} storageKey
+ * @returns {LocationData}
+ */
+export function loadLocationData(storageKey) {
+  try {
+    const raw = localStorage.getItem(storageKey);
+    return migrateLocationData(raw ? JSON.parse(raw) : null);
+  } catch {
+    return emptyLocationData();
+  }
+}
+
+/**
+ * @param {string} storageKey
+ * @param {LocationData} data
+ */
+export function saveLocationData(storageKey, data) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(data));
+  } catch {
+    // Storage full or disabled: the location just won't survive a reload
+  }
+}
@@ -0,0 +1,521 @@
+/**
+ * Post rendering, reply links and media markup shared by every site.
+ *
+ * Canonical source lives in web/shared/; each site serves a synced copy from
+ * its own /shared/ directory (see web/scripts/sync-shared.js). Site-specific
+ * values (brand, reply host, app IDs) come from the site config in /site.js.
+ *
+ * This module is DOM-free so it can be exercised by the test harness in Node;
+ * event wiring lives in postList.js.
+ */
+
+// ====== PLATFORM DETECTION ======
+// On iOS, ONLY Safari supports Universal Links. ALL other iOS browsers need custom URL scheme.
+// Simple approach: if it's iOS and NOT Safari, use custom scheme fallback.
+
+/**
+ * Classify a user agent for reply-link and video handling.
+ * @param {string} ua - navigator.userAgent
+ */
+export function detectPlatform(ua) {
+  ua = ua || '';
+  const isIOS = /iPhone|iPad|iPod/i.test(ua);
+  const isAndroid = /Android/i.test(ua);
+
+  // Safari on iOS: contains "Safari" but NOT any third-party browser identifiers.
+  // Known iOS browser UA markers:
+  // - CriOS = Chrome, FxiOS = Firefox, OPiOS = Opera, EdgiOS = Edge, Brave = Brave
+  // - DuckDuckGo, Focus (Firefox Focus), Coast, etc. also exist
+  // All third-party browsers on iOS also have "Safari" in UA (WebKit requirement),
+  // so we must exclude them explicitly.
+  const isIOSSafari = isIOS && /Safari/i.test(ua) && !/CriOS|FxiOS|OPiOS|EdgiOS|Brave|DuckDuckGo|Focus/i.test(ua);
+
+  // Any iOS browser that's NOT Safari needs custom scheme fallback
+  const isIOSNotSafari = isIOS && !isIOSSafari;
+
+  // Desktop detection: not iOS, not Android
+  const isDesktop = !isIOS && !isAndroid;
+
+  // iOS and desktop Safari play HLS natively; everything else needs HLS.js
+  const isSafari = /Safari/.test(ua) && !/Chrome/.test(ua);
+  const hasNativeHLS = isIOS || isSafari;
+
+  return { isIOS, isAndroid, isIOSSafari, isIOSNotSafari, isDesktop, hasNativeHLS };
+}
+
+// ====== TEXT HELPERS ======
+
+export function escapeText(s) {
+  return (s || '').replace(/[&<>"']/g, (c) => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;'}[c]));
+}
+
+export function fmtTime(iso) {
+  try {
+    return new Date(iso).toLocaleString();
+  } catch {
+    return iso;
+  }
+}
+
+// ====== APP STORE LINKS ======
+
+export function appStoreUrl(site) {
+  return `https://apps.apple.com/app/id${site.iosAppId}`;
+}
+
+export function playStoreUrl(site) {
+  return `https://play.google.com/store/apps/details?id=${site.androidPackage}`;
+}
+
+// ====== REPLY URL GENERATORS ======
+
+// Custom URL scheme for app - works on iOS Chrome, and as fallback
+export function replyUrlCustomScheme(site, username, messageId) {
+  const u = encodeURIComponent(username);
+  const m = encodeURIComponent(messageId);
+  return `${site.appScheme}://reply?username=${u}&messageId=${m}`;
+}
+
+// HTTPS URL for web fallback page (also Universal Link host)
+export function replyUrlHTTPS(site, username, messageId) {
+  const u = encodeURIComponent(username);
+  const m = encodeURIComponent(messageId);
+  return `https://${site.replyHost}/reply?username=${u}&messageId=${m}`;
+}
+
+// Android intent:// URL with Play Store fallback
+export function replyUrlAndroid(site, username, messageId) {
+  const u = encodeURIComponent(username);
+  const m = encodeURIComponent(messageId);
+  const fallback = encodeURIComponent(playStoreUrl(site));
+  return `intent://reply?username=${u}&messageId=${m}#Intent;scheme=${site.appScheme};package=${site.androidPackage};S.browser_fallback_url=${fallback};end`;
+}
+
+/**
+ * Get the appropriate reply URL based on platform
+ * - iOS Safari: HTTPS Universal Link (cross-domain triggers app)
+ * - iOS Chrome: HTTPS here; the click is intercepted for the custom scheme (see postList.js)
+ * - Android: Intent URL with Play Store fallback
+ * - Desktop: HTTPS to web page
+ */
+export function getReplyUrl(site, platform, username, messageId) {
+  if (platform.isAndroid) {
+    return replyUrlAndroid(site, username, messageId);
+  }
+  return replyUrlHTTPS(site, username, messageId);
+}
+
+// ====== IDENTITY LINKS ======
+
+/**
+ * Decode base64url string to Uint8Array
+ * @param {string} str - base64url encoded string
+ * @returns {Uint8Array}
+ */
+function base64urlToBytes(str) {
+  // Replace base64url chars with standard base64
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  // Add padding if needed
+  const padded = base64 + '==='.slice(0, (4 - base64.length % 4) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Convert UUID string to 16-byte Uint8Array
+ * @param {string} uuid - UUID string (with or without dashes)
+ * @returns {Uint8Array}
+ */
+function uuidToBytes(uuid) {
+  const hex = uuid.replace(/-/g, '');
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Encode Uint8Array to base64url string
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  const base64 = btoa(binary);
+  // Convert to base64url: replace + with -, / with _, remove padding
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Generate identity link QR code URL from entropy and handle
+ * Format: loxation://m/#eu/{base64url(entropy + handle)}
+ * @param {Object} site - Site config
+ * @param {string} entropy - base64url-encoded 32-byte entropy
+ * @param {string} handle - UUID string (16 bytes)
+ * @returns {string} The identity link URL
+ */
+export function getIdentityLinkQRUrl(site, entropy, handle) {
+  // Decode entropy from base64url to bytes (32 bytes)
+  const entropyBytes = base64urlToBytes(entropy);
+  // Convert handle UUID to bytes (16 bytes)
+  const handleBytes = uuidToBytes(handle);
+
+  // Concatenate: 32 bytes entropy + 16 bytes handle = 48 bytes
+  const combined = new Uint8Array(48);
+  combined.set(entropyBytes, 0);
+  combined.set(handleBytes, 32);
+
+  // Encode as base64url
+  const encoded = bytesToBase64url(combined);
+
+  return `${site.appScheme}://m/#eu/${encoded}`;
+}
+
+/**
+ * Reply target for a post: a username reply link, or an identity link for anonymous posts.
+ * @returns {{ url: string|null, target: string }} url is null when the post can't be replied to
+ */
+export function getPostReply(site, platform, post) {
+  const username = post.username || null;
+  const hasIdentityLink = !!(post.replyLinkHandle && post.replyLinkEntropy);
+  const target = username ? `@${username}` : (post.displayName || 'Anonymous');
+
+  let url = null;
+  if (username) {
+    url = getReplyUrl(site, platform, username, post.messageId);
+  } else if (hasIdentityLink) {
+    url = getIdentityLinkQRUrl(site, post.replyLinkEntropy, post.replyLinkHandle);
+  }
+  return { url, target };
+}
+
+// ====== PERMALINKS ======
+
+/**
+ * How permalinks and reports name a post's author: the username, or
+ * ~<replyLinkHandle> for anonymous posts with an identity link.
+ * @returns {string|null} null when the post has neither
+ */
+export function postAuthorRef(post) {
+  if (post.username) return post.username;
+  if (post.replyLinkHandle && post.replyLinkEntropy) return `~${post.replyLinkHandle}`;
+  return null;
+}
+
+/**
+ * Site-relative permalink of a post: /p/<username>/<messageId>, or
+ * /p/~<replyLinkHandle>/<messageId> for anonymous posts with an identity link.
+ * The Cloudflare worker renders these pages server-side.
+ * @returns {string|null} null when the post has neither
+ */
+export function postPath(post) {
+  const author = postAuthorRef(post);
+  if (!author || !post.messageId) return null;
+  return `/p/${encodeURIComponent(author)}/${encodeURIComponent(post.messageId)}`;
+}
+
+// Share links carry utm_* tags so visits from shares can be told apart
+export const SHARE_CAMPAIGN = 'post_share';
+export const SHARE_MEDIUMS = ['web_share', 'copy', 'qr'];
+
+/**
+ * Absolute permalink for sharing a post, tagged with how it was shared.
+ * @param {Object} site - Site config
+ * @param {Object} post - PublicPost
+ * @param {string} medium - one of SHARE_MEDIUMS
+ * @returns {string|null} null when the post has no permalink
+ */
+export function shareUrl(site, post, medium) {
+  const path = postPath(post);
+  if (!path) return null;
+  const params = new URLSearchParams({ utm_source: site.id, utm_medium: medium, utm_campaign: SHARE_CAMPAIGN });
+  return `${site.origin}${path}?${params}`;
+}
+
+/**
+ * Read the share tags shareUrl() adds.
+ * @param {string} search - location.search of the landing page
+ * @returns {{ source: string, medium: string }|null} null for visits that didn't come from a share link
+ */
+export function parseShareAttribution(search) {
+  const params = new URLSearchParams(search);
+  if (params.get('utm_campaign') !== SHARE_CAMPAIGN) return null;
+  const medium = params.get('utm_medium');
+  return {
+    source: params.get('utm_source') || '',
+    medium: SHARE_MEDIUMS.includes(medium) ? medium : 'unknown'
+  };
+}
+
+// ====== REPORTS ======
+
+// Reasons accepted by POST /api/reports, in menu order
+export const REPORT_REASONS = [
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'personal_info', label: 'Shares someone\'s personal information' },
+  { value: 'sexual', label: 'Sexual content' },
+  { value: 'violence', label: 'Threats or violence' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'other', label: 'Something else' }
+];
+
+/**
+ * Body for POST /api/reports
+ * @param {Object} post - PublicPost
+ * @param {string} reason - a REPORT_REASONS value
+ * @param {string} [details]
+ * @returns {Object|null} null when the post can't be identified (no username or identity link)
+ */
+export function buildReportRequest(post, reason, details = '') {
+  const author = postAuthorRef(post);
+  if (!author || !post.messageId) return null;
+  const request = { author, messageId: post.messageId, reason };
+  if (details.trim()) request.details = details.trim();
+  return request;
+}
+
+// ====== MEDIA ======
+
+function videoId(prefix) {
+  return `${prefix}-` + Math.random().toString(36).slice(2, 9);
+}
+
+/**
+ * Render media element for a post
+ * @param {Object} media - Media info from API {type, thumbnail, medium, large, public, stream, duration, sensitive}
+ * @param {Object} platform - from detectPlatform()
+ * @returns {string} HTML string for the media element
+ */
+export function renderMedia(media, platform) {
+  if (!media) return '';
+  const html = renderMediaElement(media, platform);
+  if (!html || !media.sensitive) return html;
+
+  // Flagged by the API's content policy: blurred until the reader asks to see it
+  return `
+    <div class="media-sensitive">
+      ${html}
+      <button class="sensitive-reveal">Sensitive media. Show anyway</button>
+    </div>
+  `;
+}
+
+function renderMediaElement(media, platform) {
+
+  if (media.type === 'image') {
+    const thumbUrl = media.medium || media.thumbnail || media.public;
+    const fullUrl = media.large || media.public;
+    if (!thumbUrl) return '';
+
+    return `
+      <div class="post-media">
+        <img
+          src="${escapeText(thumbUrl)}"
+          data-full="${escapeText(fullUrl || thumbUrl)}"
+          alt="Post image"
+          loading="lazy"
+        />
+      </div>
+    `;
+  }
+
+  if (media.type === 'video') {
+    const posterUrl = media.thumbnail || '';
+    const streamUrl = media.stream;
+    if (!streamUrl) return '';
+
+    // iOS/Safari have native HLS - use <source> with type hint
+    // Other browsers use HLS.js initialized when the video scrolls into view
+    // muted for autoplay; user can tap unmute button to enable sound
+    if (platform.hasNativeHLS) {
+      return `
+        <div class="post-media video-container">
+          <video
+            id="${videoId('video')}"
+            src="${escapeText(streamUrl)}"
+            poster="${escapeText(posterUrl)}"
+            controls
+            playsinline
+            muted
+            loop
+            preload="metadata"
+            webkit-playsinline="true"
+          >
+            <source src="${escapeText(streamUrl)}" type="application/vnd.apple.mpegurl">
+            Your browser does not support video playback.
+          </video>
+          <button class="unmute-btn" aria-label="Unmute">🔇</button>
+        </div>
+      `;
+    }
+    return `
+      <div class="post-media video-container">
+        <video
+          id="${videoId('video')}"
+          poster="${escapeText(posterUrl)}"
+          controls
+          playsinline
+          muted
+          loop
+          preload="none"
+          data-stream="${escapeText(streamUrl)}"
+        >
+          Your browser does not support video playback.
+        </video>
+        <button class="unmute-btn" aria-label="Unmute">🔇</button>
+      </div>
+    `;
+  }
+
+  if (media.type === 'live') {
+    const streamUrl = media.stream;
+    const status = media.status || 'created';
+
+    // Status badge based on stream status
+    let statusBadge = '';
+    if (status === 'live') {
+      statusBadge = '<span class="live-badge">🔴 LIVE</span>';
+    } else if (status === 'ended') {
+      statusBadge = '<span class="live-badge ended">📹 Recorded</span>';
+    } else if (!streamUrl) {
+      // No stream URL yet - broadcast hasn't started
+      statusBadge = '<span class="live-badge waiting">Starting soon...</span>';
+    }
+
+    // If no stream URL, show waiting message
+    if (!streamUrl) {
+      return `
+        <div class="post-media video-container live-container">
+          ${statusBadge}
+          <div class="live-waiting">${escapeText(media.title || 'Broadcast starting soon...')}</div>
+        </div>
+      `;
+    }
+
+    if (platform.hasNativeHLS) {
+      return `
+        <div class="post-media video-container live-container">
+          ${statusBadge}
+          <video
+            id="${videoId('live')}"
+            src="${escapeText(streamUrl)}"
+            controls
+            playsinline
+            muted
+            preload="metadata"
+            webkit-playsinline="true"
+            data-live="true"
+          >
+            <source src="${escapeText(streamUrl)}" type="application/vnd.apple.mpegurl">
+            Your browser does not support live playback.
+          </video>
+          <button class="unmute-btn" aria-label="Unmute">🔇</button>
+        </div>
+      `;
+    }
+    return `
+      <div class="post-media video-container live-container">
+        ${statusBadge}
+        <video
+          id="${videoId('live')}"
+          controls
+          playsinline
+          muted
+          preload="none"
+          data-stream="${escapeText(streamUrl)}"
+          data-live="true"
+        >
+          Your browser does not support live playback.
+        </video>
+        <button class="unmute-btn" aria-label="Unmute">🔇</button>
+      </div>
+    `;
+  }
+
+  return '';
+}
+
+// ====== POSTS ======
+
+const SNIPPET_LENGTH = 240;
+
+/**
+ * Image variants a post card shows without any interaction: the list image
+ * (medium, falling back like renderMedia) and the thumbnail / video poster.
+ * These are what gets kept for offline use; full-size variants are not.
+ * @param {Object} media - Media info from API
+ * @returns {string[]}
+ */
+export function listImageUrls(media) {
+  if (!media) return [];
+  const urls = media.type === 'image'
+    ? [media.medium || media.thumbnail || media.public, media.thumbnail]
+    : [media.thumbnail];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+/**
+ * Render the inner HTML of a post card.
+ * @param {Object} post - PublicPost from the API
+ * @param {Object} options
+ * @param {Object} options.site - Site config
+ * @param {Object} options.platform - from detectPlatform()
+ * @param {boolean} [options.showMap] - include the "Show on map" toggle for located posts
+ * @returns {string}
+ */
+export function renderPostHtml(post, { site, platform, showMap = true }) {
+  const messageId = post.messageId;
+  const reply = getPostReply(site, platform, post);
+  const canReply = !!reply.url;
+
+  const full = post.content || '';
+  const snippet = full.length > SNIPPET_LENGTH ? full.slice(0, SNIPPET_LENGTH) + '…' : full;
+  const hasMore = full.length > snippet.length;
+  const hasMedia = post.media && (post.media.type === 'image' || post.media.type === 'video' || post.media.type === 'live');
+  const hasLocation = showMap && !!post.geolocatorH3;
+
+  let replyButton = '';
+  if (canReply && platform.isDesktop) {
+    // Desktop can't open the app; show a QR code to scan with the phone instead
+    replyButton = `<button class="btn btn-qr" data-url="${escapeText(reply.url)}" data-target="${escapeText(reply.target)}">Scan QR to reply in-app</button>`;
+  } else if (canReply) {
+    // data-username marks username replies, which need the iOS non-Safari click fallback
+    const replyData = post.username
+      ? ` data-username="${escapeText(post.username)}" data-messageid="${escapeText(messageId)}"`
+      : '';
+    replyButton = `<a class="btn reply-btn" href="${escapeText(reply.url)}"${replyData}>Reply (in app)</a>`;
+  }
+
+  const permalink = postPath(post);
+
+  // Authors link to their profile page; anonymous posts have none
+  const author = post.username
+    ? `<a class="post-author" href="/u/${encodeURIComponent(post.username)}">${escapeText(reply.target)}</a>`
+    : escapeText(reply.target);
+
+  return `
+    <div class="meta">
+      <div>${author}</div>
+      <div>${permalink ? `<a class="post-permalink" href="${escapeText(permalink)}">${escapeText(fmtTime(post.time))}</a>` : escapeText(fmtTime(post.time))}</div>
+      <div class="mono">id: ${escapeText(messageId)}</div>
+    </div>
+    ${renderMedia(post.media, platform)}
+    <div class="content" data-full="${escapeText(full)}" data-snippet="${escapeText(snippet)}">${escapeText(snippet)}</div>
+    <div class="actions">
+      ${replyButton}
+      ${hasMore && !hasMedia ? '<button class="btn toggle">Show full</button>' : ''}
+      ${hasLocation ? `<button class="btn btn-map" data-h3="${escapeText(post.geolocatorH3)}" data-accuracy="${post.accuracyM || ''}">Show on map</button>` : ''}
+      ${permalink ? '<button class="btn btn-share">Share</button>' : ''}
+      ${permalink ? '<button class="btn btn-report">Report</button>' : ''}
+    </div>
+    ${hasLocation ? '<div class="post-map-container"><div class="post-map"></div></div>' : ''}
+  `;
+}
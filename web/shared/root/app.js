@@ -0,0 +1,1339 @@
+import { latLngToCell, gridDisk, cellToLatLng, isValidCell, getResolution, getHexagonAreaAvg, UNITS } from 'h3-js';
+import { parseSearchQuery, hasSearchFilters, describeQuery, extractFieldFilters } from './searchParser.js';
+import { initSearchBox, indexPostsForSuggestions } from './searchBox.js';
+import { initSavedSearches } from './savedSearches.js';
+import {
+  registerServiceWorker,
+  cacheMediaForOffline,
+  saveFeedSnapshot,
+  loadFeedSnapshot,
+  loadLatestFeedSnapshot
+} from './offline.js';
+import { escapeText, fmtTime } from './shared/render.js';
+import { createPostRenderer } from './shared/postList.js';
+import { createFeedMap, countPostsByCell, postCellAt, areaToCells, cellsToArea, AREA_MAX_CELLS } from './shared/feedMap.js';
+import { getMutedUsernames, withoutMuted } from './shared/favoritesStore.js';
+import { loadLocationData, saveLocationData, rememberPlace, findRecentPlace } from './shared/locationStore.js';
+import { SITE } from './site.js';
+
+// Configure this to your Cloud Run URL, e.g. https://api-xxxxx-uc.a.run.app
+// If your Cloudflare Pages site proxies to the API, this can remain "".
+const API_BASE = '';
+
+const statusEl = document.getElementById('status');
+const locInfoEl = document.getElementById('locInfo');
+const listEl = document.getElementById('list');
+const btnLocate = document.getElementById('btnLocate');
+const btnFollow = document.getElementById('btnFollow');
+const btnGeocode = document.getElementById('btnGeocode');
+const btnSearch = document.getElementById('btnSearch');
+const btnClear = document.getElementById('btnClear');
+const btnSaveSearch = document.getElementById('btnSaveSearch');
+const searchEl = document.getElementById('search');
+const addressEl = document.getElementById('address');
+const recentPlacesEl = document.getElementById('recentPlaces');
+const kEl = document.getElementById('k');
+const radiusInfoEl = document.getElementById('radiusInfo');
+const limitEl = document.getElementById('limit');
+const btnMap = document.getElementById('btnMap');
+const mapEl = document.getElementById('feedMap');
+const mapCanvasEl = document.getElementById('feedMapCanvas');
+const mapHintEl = document.getElementById('feedMapHint');
+const btnDrawArea = document.getElementById('btnDrawArea');
+const trendingEl = document.getElementById('trending');
+const trendingListEl = trendingEl.querySelector('.trending-list');
+
+let origin = null;          // { lat, lng, source, place, ring } the feed is centered on; see setLocation
+let lastH3 = null;
+let locationLabel = '';     // how the current location was set, for display
+// since:/until:/within: bounds from the search box, applied to the feed as well
+let activeTimeRange = null;
+
+// Infinite scroll state for the nearby feed (search results are a single page)
+let feedParams = null;      // params of the current feed query, without cursor
+let feedCursor = null;      // nextCursor from the last page, null when exhausted
+let feedCount = 0;          // posts shown so far
+let feedLoadingMore = false;
+let feedGeneration = 0;     // bumped on every new feed/search so stale pages are dropped
+let showingSearch = false;  // list holds search results rather than the nearby feed
+let showingOfflineFeed = false;  // list holds a stored feed because the live one failed to load
+
+// Live updates for the nearby feed
+let feedStream = null;          // EventSource on /api/feed/stream
+let pendingNewPosts = [];       // received live, shown when the banner is clicked
+const shownPostKeys = new Set();
+
+// Map view of the feed cells, shaded by the posts loaded so far
+let listedPosts = [];       // every post loaded into the list, newest first
+let cellFilter = null;      // cell picked on the map; the list shows only its posts
+let feedMap = null;         // created the first time the map is shown
+let mapCellsKey = '';       // resolution + cells currently drawn on the map
+let mapDrawing = false;     // sketching an area on the map
+
+// URL state
+const DEFAULT_LIMIT = limitEl.value;
+const MAX_URL_QUERY_LENGTH = 500;
+let historyMode = 'replace';    // the first view replaces the landing URL; later ones push
+
+// Follow mode
+const FOLLOW_REFRESH_DELAY_MS = 5_000;  // settle time after entering a new cell before reloading
+const FOLLOW_MAX_ACCURACY_M = 500;      // coarser fixes can't place us in a cell
+const FOLLOW_TRAIL_MAX = 50;
+let followWatchId = null;   // watchPosition id while following
+let followTrail = [];       // center cells entered while following, oldest first
+let followRefreshTimer = null;
+
+// "Trending near you" panel
+const TRENDS_REFRESH_MS = 5 * 60_000;
+let trendsKey = '';         // resolution + cells the panel was loaded for
+let trendsLoadedAt = 0;
+
+function setStatus(msg) {
+  statusEl.textContent = msg;
+}
+
+function setLocInfo(lat, lng, h3Cell, source) {
+  locationLabel = source;
+  if (locInfoEl) {
+    locInfoEl.textContent = `📍 ${lat.toFixed(5)}, ${lng.toFixed(5)} | H3: ${h3Cell} | via ${source}`;
+  }
+}
+
+/**
+ * Center the feed on a point. Every way of picking a location goes through
+ * here, so the origin is always known and a radius change can recompute the
+ * ring around it.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} options
+ * @param {string} options.source - gps | follow | geocode | ip | map | area | url | saved | offline (or a stored one)
+ * @param {string} options.label - shown in the location line
+ * @param {Object} [options.h3] - cells to use instead of a computeH3Tokens ring at the
+ *   selected radius (IP metro ring, drawn area, stored or saved snapshot)
+ * @param {string|null} [options.place] - recent place name, for locations from the address box
+ */
+function setLocation(lat, lng, { source, label, h3 = null, place = null }) {
+  // ring: the cells are the radius ring at the selected k, not ones passed in
+  origin = { lat, lng, source, place, ring: !h3 };
+  lastH3 = h3 || computeH3Tokens(lat, lng, Number(kEl.value));
+  setLocInfo(lat, lng, lastH3.centerCell, label);
+  updateRadiusInfo();
+  rememberLocation();
+}
+
+/**
+ * Show the size of the queried area next to the radius select, as the diameter
+ * of a circle with the cells' total area.
+ */
+function updateRadiusInfo() {
+  const km2 = lastH3.cells.length * getHexagonAreaAvg(lastH3.resolution, UNITS.km2);
+  const km = 2 * Math.sqrt(km2 / Math.PI);
+  radiusInfoEl.textContent = `≈ ${km < 10 ? km.toFixed(1) : Math.round(km)} km across`;
+}
+
+function postKey(p) {
+  return `${p.username || p.replyLinkHandle || ''}:${p.messageId}`;
+}
+
+function describeTimeRange(range) {
+  if (!range) return '';
+  const parts = [];
+  if (range.since) parts.push(`since ${fmtTime(range.since)}`);
+  if (range.until) parts.push(`until ${fmtTime(range.until)}`);
+  return parts.join(' ');
+}
+
+const postRenderer = createPostRenderer(SITE);
+
+/**
+ * Drop posts by users on the mute list (managed on the favorites page).
+ * Read on every call so mutes made in another tab apply to the next render.
+ */
+function hideMuted(posts) {
+  return withoutMuted(posts || [], getMutedUsernames(SITE.favoritesKey));
+}
+
+/**
+ * Render posts into the list.
+ * @param {Array} posts
+ * @param {Object} [options]
+ * @param {boolean} [options.append] - add below the existing posts (next feed page) instead of replacing them
+ * @param {boolean} [options.prepend] - add above the existing posts (live updates)
+ */
+function renderPosts(posts, { append = false, prepend = false } = {}) {
+  posts = hideMuted(posts);
+  if (!append && !prepend) {
+    shownPostKeys.clear();
+    listedPosts = [];
+    cellFilter = null;
+  }
+  for (const p of posts) shownPostKeys.add(postKey(p));
+  if (posts.length) indexPostsForSuggestions(posts);
+  cacheMediaForOffline(posts);
+  listedPosts = prepend ? [...posts, ...listedPosts] : [...listedPosts, ...posts];
+  postRenderer.renderPosts(listEl, posts.filter(inCellFilter), { append, prepend });
+  updateFeedMap();
+}
+
+function inCellFilter(post) {
+  return !cellFilter || postCellAt(post, lastH3?.resolution) === cellFilter;
+}
+
+/**
+ * Cells to send for the current location. A drawn area goes compacted
+ * (coarser parents where possible); the API expands it to lastH3.resolution.
+ */
+function queryCells(h3 = lastH3) {
+  return h3.compacted || h3.cells;
+}
+
+/**
+ * The parts of lastH3 worth storing with saved searches and offline feeds.
+ */
+function locationSnapshot() {
+  return lastH3 && {
+    cells: lastH3.cells,
+    resolution: lastH3.resolution,
+    centerCell: lastH3.centerCell,
+    compacted: lastH3.compacted,
+    area: lastH3.area
+  };
+}
+
+async function apiGet(path, params) {
+  const url = new URL(API_BASE + path, API_BASE ? undefined : window.location.origin);
+  for (const [k, v] of Object.entries(params || {})) {
+    if (v === undefined || v === null || v === '') continue;
+    url.searchParams.set(k, String(v));
+  }
+  const resp = await fetch(url.toString(), { method: 'GET' });
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`${resp.status} ${text}`);
+  }
+  return await resp.json();
+}
+
+/**
+ * Compute H3 tokens for a given location using multi-resolution approach.
+ * Server stores h3_res6 (~36km²), h3_res7 (~5km²), h3_res8 (~0.74km²), h3_res9 (~0.11km²).
+ *
+ * Strategy (optimized for query efficiency and precision):
+ * - k=0: use resolution 9 for block-level precision (~330m cell edge)
+ * - k=1: use resolution 8 for neighborhood precision (~1.2km cell edge)
+ * - k=2-4: use resolution 7 for district-level precision (~3.2km cell edge)
+ * - k>=5: use resolution 6 for metro-level efficiency (~8.5km cell edge)
+ *
+ * Coverage examples:
+ * - res9 k=1: ~1km diameter (7 cells) - walking distance
+ * - res8 k=1: ~4km diameter (7 cells) - neighborhood
+ * - res7 k=2: ~20km diameter (19 cells) - district
+ * - res6 k=2: ~50km diameter (19 cells) - metro
+ */
+function computeH3Tokens(lat, lng, k) {
+  // Choose resolution and effective k based on search radius
+  // For larger areas, use coarser resolution with smaller k-ring
+  let resolution, effectiveK;
+
+  if (k >= 5) {
+    // Metro scale: use res 6 (~36 km² per cell, edge ~8.5km)
+    resolution = 6;
+    effectiveK = Math.min(Math.ceil(k / 5), 3); // Cap at k=3 for res6
+  } else if (k >= 2) {
+    // District scale: use res 7 (~5 km² per cell, edge ~3.2km)
+    resolution = 7;
+    effectiveK = k;
+  } else if (k === 1) {
+    // Neighborhood scale: use res 8 (~0.74 km² per cell, edge ~1.2km)
+    resolution = 8;
+    effectiveK = 1;
+  } else {
+    // Block scale (k=0): use res 9 (~0.11 km² per cell, edge ~330m)
+    // Still use k=1 to get adjacent cells for better coverage
+    resolution = 9;
+    effectiveK = 1;
+  }
+
+  const centerCell = latLngToCell(lat, lng, resolution);
+  const cells = Array.from(gridDisk(centerCell, effectiveK));
+
+  return {
+    cells,
+    resolution,
+    centerCell,
+    // Legacy fields for backward compatibility
+    r7: resolution === 7 ? cells : [],
+    r8: []
+  };
+}
+
+/**
+ * Geocode an address using our API proxy (which calls Nominatim server-side to avoid CORS)
+ */
+async function geocodeAddress(address) {
+  const data = await apiGet('/api/geocode', { q: address });
+  return {
+    latitude: data.lat,
+    longitude: data.lon,
+    displayName: data.displayName
+  };
+}
+
+/**
+ * Get IP-based geolocation from Cloudflare (edge-only, instant response)
+ * Returns: { lat, lng, city, country, source } or null if unavailable
+ */
+async function getIPGeolocation() {
+  try {
+    const resp = await fetch('/api/geoip');
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    if (data.lat == null || data.lng == null) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+// IP locations get a metro-wide ring (~60km via H3 res6 k=10) for coarse IP accuracy.
+// H3 Resolution 6: edge ~3.23km, so k=10 gives ~60km diameter coverage
+// Formula: diameter ≈ 2 * k * edge_length = 2 * 10 * 3.23 ≈ 65km
+// k=10 at res6 creates 331 cells
+const IP_RESOLUTION = 6;
+const IP_RING_K = 10;
+
+/** The IP location ring around a res6 center cell */
+function ipRing(centerCell) {
+  return { cells: Array.from(gridDisk(centerCell, IP_RING_K)), resolution: IP_RESOLUTION, centerCell, r7: [], r8: [] };
+}
+
+/**
+ * Initialize with IP-based location on page load, using the metro-wide ipRing.
+ */
+async function initWithIPLocation() {
+  setStatus('Detecting your location...');
+  
+  const geo = await getIPGeolocation();
+  if (!geo) {
+    // Offline (or no IP location): fall back to wherever the feed was last loaded
+    const snapshot = await loadLatestFeedSnapshot();
+    if (snapshot) {
+      const [lat, lng] = cellToLatLng(snapshot.h3.centerCell);
+      setLocation(lat, lng, { source: 'offline', label: snapshot.label, h3: snapshot.h3 });
+      await loadFeed();
+      return;
+    }
+    setStatus('Could not detect location. Enter a city/address or use GPS.');
+    return;
+  }
+  
+  const cityDisplay = geo.city || 'your area';
+  setLocation(geo.lat, geo.lng, {
+    source: 'ip',
+    label: `IP (${cityDisplay})`,
+    h3: ipRing(latLngToCell(geo.lat, geo.lng, IP_RESOLUTION))
+  });
+  
+  await loadFeed();
+}
+
+// ====== REMEMBERED LOCATION ======
+// The last location the user set (IP guesses aren't kept), the radius and
+// recently geocoded places survive reloads; see shared/locationStore.js.
+
+// Origins worth restoring next visit; IP guesses, links and saved searches aren't
+const REMEMBERED_SOURCES = new Set(['gps', 'follow', 'geocode', 'map', 'area', 'stored']);
+
+/**
+ * Store the current location so the next visit starts there.
+ */
+function rememberLocation() {
+  if (!origin || !REMEMBERED_SOURCES.has(origin.source)) return;
+  const data = loadLocationData(SITE.locationKey);
+  data.current = {
+    h3: locationSnapshot(),
+    k: lastH3.area ? null : Number(kEl.value),
+    label: locationLabel,
+    source: origin.source,
+    lat: origin.lat,
+    lng: origin.lng,
+    place: origin.place
+  };
+  saveLocationData(SITE.locationKey, data);
+}
+
+/**
+ * Put a geocoded place at the top of the address box's list.
+ * @param {Object} place - RecentPlace
+ */
+function rememberRecentPlace(place) {
+  const data = loadLocationData(SITE.locationKey);
+  data.recent = rememberPlace(data.recent, place);
+  renderRecentPlaces(data.recent);
+  saveLocationData(SITE.locationKey, data);
+}
+
+function rememberRadius(k) {
+  const data = loadLocationData(SITE.locationKey);
+  data.k = k;
+  saveLocationData(SITE.locationKey, data);
+}
+
+function renderRecentPlaces(recent) {
+  recentPlacesEl.innerHTML = recent
+    .map(p => `<option value="${escapeText(p.name)}">${escapeText(p.displayName)}</option>`)
+    .join('');
+}
+
+/**
+ * Put back the recent places and, unless the URL already set them, the stored
+ * radius and location.
+ * @param {Object} [options]
+ * @param {boolean} [options.radius] - false to keep the radius the URL set
+ * @param {boolean} [options.location] - false to keep the location the URL set
+ * @returns {boolean} whether there was a location to restore
+ */
+function restoreLocation({ radius = true, location = true } = {}) {
+  const { current, k, recent } = loadLocationData(SITE.locationKey);
+  renderRecentPlaces(recent);
+  if (radius && k !== null && [...kEl.options].some(o => o.value === String(k))) kEl.value = String(k);
+  if (!location || !current) return false;
+
+  if (current.place) addressEl.value = current.place;
+  setLocation(current.lat, current.lng, {
+    source: current.source,
+    label: current.label,
+    h3: current.h3,
+    place: current.place
+  });
+  return true;
+}
+
+// ====== URL STATE ======
+// ?at=<center cell>&k=<radius>&limit=<n>&q=<search> describes the current view,
+// so feeds and searches can be bookmarked and shared. Locations that aren't a
+// radius ring say so: an IP location is ?at=<res6 cell>&src=ip (its metro ring)
+// and a drawn area ?at=<center cell>&area=<compacted cells>.
+
+/**
+ * Read a view from a query string; invalid values come back null (or '' for q).
+ * @param {string} search - window.location.search
+ * @returns {{ at: string|null, k: string|null, ip: boolean, area: Object|null, limit: string|null, q: string }}
+ *   area is a cellsToArea result at the resolution of `at`
+ */
+function parseViewParams(search) {
+  const params = new URLSearchParams(search);
+  const at = params.get('at');
+  const k = params.get('k');
+  const limit = params.get('limit');
+  const validAt = at && isValidCell(at) ? at : null;
+  const area = validAt && params.get('area')
+    ? cellsToArea(params.get('area').split(','), getResolution(validAt))
+    : null;
+  return {
+    at: validAt,
+    k: k !== null && /^(?:[0-9]|1[0-5])$/.test(k) ? k : null,
+    ip: !!validAt && params.get('src') === 'ip' && getResolution(validAt) === IP_RESOLUTION,
+    area,
+    limit: [...limitEl.options].some(o => o.value === limit) ? limit : null,
+    q: (params.get('q') || '').trim().slice(0, MAX_URL_QUERY_LENGTH)
+  };
+}
+
+/** Query string for what the list shows now */
+function viewSearch() {
+  const params = new URLSearchParams();
+  if (lastH3) {
+    params.set('at', lastH3.centerCell);
+    if (lastH3.compacted) params.set('area', lastH3.compacted.join(','));
+    else if (origin?.source === 'ip' && !origin.ring) params.set('src', 'ip');
+    else params.set('k', kEl.value);
+  }
+  if (limitEl.value !== DEFAULT_LIMIT) params.set('limit', limitEl.value);
+  // A time range on its own loads the feed, but still came from the search box
+  const q = showingSearch || activeTimeRange ? (searchEl.value || '').trim() : '';
+  if (q) params.set('q', q);
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Reflect the current view in the URL. Each new view is a history entry,
+ * except while following (one per cell would bury the back button).
+ */
+function updateUrl() {
+  const search = viewSearch();
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (historyMode === 'replace' || followWatchId !== null) history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+
+/**
+ * Put a URL view's radius, limit, location and query into the controls.
+ * Without `at` the current location stays.
+ */
+function applyViewParams({ at, k, ip, area, limit, q }) {
+  if (k !== null) {
+    // Links may carry a radius the select doesn't list
+    if (![...kEl.options].some(o => o.value === k)) kEl.add(new Option(`k=${k}`, k));
+    kEl.value = k;
+  }
+  if (limit !== null) limitEl.value = limit;
+  if (at) {
+    stopFollow();
+    const [lat, lng] = cellToLatLng(at);
+    if (area) {
+      setLocation(lat, lng, {
+        source: 'url',
+        label: `drawn area (${area.cells.length} cells, link)`,
+        h3: { ...area, centerCell: at, r7: [], r8: [] }
+      });
+    } else if (ip) {
+      setLocation(lat, lng, { source: 'ip', label: 'IP area (link)', h3: ipRing(at) });
+    } else {
+      setLocation(lat, lng, { source: 'url', label: 'link' });
+    }
+  }
+  searchEl.value = q;
+  searchBox.refresh();
+}
+
+/** Run the URL's search, or load the feed when it has none */
+async function showViewQuery(q) {
+  if (q) {
+    await runSearch();
+  } else {
+    activeTimeRange = null;
+    await loadFeed();
+  }
+}
+
+window.addEventListener('popstate', async () => {
+  historyMode = 'replace';
+  try {
+    applyViewParams(parseViewParams(window.location.search));
+    await showViewQuery(searchEl.value);
+  } catch (e) {
+    setStatus(String(e));
+  } finally {
+    historyMode = 'push';
+  }
+});
+
+function feedResolutionLabel() {
+  const resLabels = { 6: 'metro', 7: 'district', 8: 'neighborhood', 9: 'block' };
+  return `${resLabels[lastH3.resolution] || 'res' + lastH3.resolution} (res${lastH3.resolution})`;
+}
+
+function setFeedStatus() {
+  const rangeDesc = activeTimeRange ? `, ${describeTimeRange(activeTimeRange)}` : '';
+  const more = feedCursor ? ', scroll for more' : '';
+  const inCell = cellFilter ? `, ${listedPosts.filter(inCellFilter).length} in the selected cell` : '';
+  const scope = SITE.category ? ` #${SITE.category}` : '';
+  setStatus(`Loaded ${feedCount}${scope} posts (${lastH3.cells.length} cells, ${feedResolutionLabel()}${rangeDesc}${more})${inCell}`);
+}
+
+async function loadFeed() {
+  const generation = ++feedGeneration;
+  showingSearch = false;
+  showingOfflineFeed = false;
+  feedParams = null;
+  feedCursor = null;
+  stopFeedStream();
+  feedCount = 0;
+  if (!lastH3) {
+    setStatus('Set a location to load nearby posts.');
+    return;
+  }
+  setStatus('Loading…');
+  updateUrl();
+  const limit = Number(limitEl.value);
+  
+  // Use new multi-resolution API
+  const params = {
+    h3: queryCells().join(','),
+    resolution: lastH3.resolution,
+    limit,
+    since: activeTimeRange?.since,
+    until: activeTimeRange?.until,
+    hashtag: SITE.category || undefined
+  };
+  
+  try {
+    const data = await apiGet('/api/feed', params);
+    if (generation !== feedGeneration) return;
+    renderPosts(data.posts);
+    feedParams = params;
+    feedCursor = data.nextCursor || null;
+    feedCount = data.posts.length;
+    setFeedStatus();
+    continueFeedIfVisible();
+    startFeedStream(data.posts[0]?.time);
+    loadTrends();
+    if (!activeTimeRange) {
+      saveFeedSnapshot(lastH3.centerCell, { h3: locationSnapshot(), label: locationLabel, posts: data.posts });
+    }
+  } catch (e) {
+    if (generation !== feedGeneration) return;
+    const snapshot = activeTimeRange ? null : await loadFeedSnapshot(lastH3.centerCell);
+    if (generation !== feedGeneration) return;
+    if (snapshot) {
+      showOfflineFeed(snapshot, e);
+    } else {
+      setStatus(`Error: ${e.message}`);
+    }
+  }
+}
+
+// ====== CATEGORY HOSTS ======
+// On {category}.loxation.com (SITE.category set) every query is limited to that hashtag:
+// the feed and live stream through their hashtag param, searches through withCategory.
+
+/**
+ * Add the site's category to a POST /api/search body
+ */
+function withCategory(searchRequest) {
+  if (!SITE.category) return searchRequest;
+  const hashtags = searchRequest.hashtags || [];
+  return {
+    ...searchRequest,
+    hashtags: hashtags.includes(SITE.category) ? hashtags : [...hashtags, SITE.category]
+  };
+}
+
+// ====== TRENDING ======
+
+/**
+ * Hashtag page link scoped to the current location (same h3/resolution params as /api/feed)
+ */
+function tagPageUrl(tag) {
+  const params = new URLSearchParams({ h3: queryCells().join(','), resolution: String(lastH3.resolution) });
+  return `/t/${encodeURIComponent(tag)}?${params}`;
+}
+
+/**
+ * Refresh the trending panel for the current location; reused for a few minutes per location.
+ */
+async function loadTrends() {
+  if (!lastH3) return;
+  const key = `${lastH3.resolution}:${queryCells().join(',')}`;
+  if (key === trendsKey && Date.now() - trendsLoadedAt < TRENDS_REFRESH_MS) return;
+  trendsKey = key;
+  trendsLoadedAt = Date.now();
+
+  try {
+    const data = await apiGet('/api/trends', { h3: queryCells().join(','), resolution: lastH3.resolution, limit: 10 });
+    if (key !== trendsKey) return;
+    renderTrends(data.trends || []);
+  } catch (e) {
+    console.warn('[trends] failed to load:', e);
+    if (key === trendsKey) trendsKey = '';
+  }
+}
+
+function renderTrends(trends) {
+  trendingEl.hidden = trends.length === 0;
+  trendingListEl.innerHTML = trends.map(t => {
+    const rising = t.previous === 0 ? 'new' : t.count > t.previous ? '▲' : '';
+    return `
+      <li>
+        <a class="trend-tag" href="${escapeText(tagPageUrl(t.value))}">#${escapeText(t.value)}</a>
+        <span class="small">${t.count} post${t.count === 1 ? '' : 's'}</span>
+        ${rising ? `<span class="trend-rising" title="vs. the day before">${rising}</span>` : ''}
+      </li>
+    `;
+  }).join('');
+}
+
+function fmtSavedAt(iso) {
+  const d = new Date(iso);
+  const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return d.toDateString() === new Date().toDateString() ? time : `${d.toLocaleDateString()} ${time}`;
+}
+
+/**
+ * Show the stored copy of this location's feed after loading it failed.
+ */
+function showOfflineFeed(snapshot, error) {
+  renderPosts(snapshot.posts);
+  showingOfflineFeed = true;
+  const reason = navigator.onLine ? `Couldn't reach the server (${error.message})` : 'Offline';
+  setStatus(`${reason}, showing posts from ${fmtSavedAt(snapshot.savedAt)}`);
+}
+
+// Swap the stored feed for a live one as soon as the connection is back
+window.addEventListener('online', () => {
+  if (showingOfflineFeed) loadFeed();
+});
+
+/**
+ * Fetch the next feed page and append it. No-op while a page is in flight or when exhausted.
+ */
+async function loadMoreFeed() {
+  if (!feedCursor || !feedParams || feedLoadingMore) return;
+  const generation = feedGeneration;
+  const cursor = feedCursor;
+  feedLoadingMore = true;
+  setStatus(`Loaded ${feedCount} posts, loading more…`);
+
+  let progressed = false;
+  try {
+    const data = await apiGet('/api/feed', { ...feedParams, cursor });
+    if (generation !== feedGeneration) return;
+    renderPosts(data.posts, { append: true });
+    feedCursor = data.nextCursor || null;
+    feedCount += data.posts.length;
+    progressed = feedCursor !== cursor;
+    setFeedStatus();
+  } catch (e) {
+    if (generation === feedGeneration) setStatus(`Error: ${e.message}`);
+  } finally {
+    feedLoadingMore = false;
+  }
+
+  if (progressed) continueFeedIfVisible();
+}
+
+/**
+ * A short page can leave the sentinel on screen, which won't re-trigger the observer.
+ */
+function continueFeedIfVisible() {
+  if (feedCursor && isNearViewport(feedMoreEl)) {
+    loadMoreFeed();
+  }
+}
+
+// ====== INFINITE SCROLL ======
+// Sentinel below the list; reaching it loads the next feed page
+const feedMoreEl = document.createElement('div');
+feedMoreEl.className = 'feed-more';
+listEl.after(feedMoreEl);
+
+const FEED_PREFETCH_PX = 600;
+
+function isNearViewport(el) {
+  return el.getBoundingClientRect().top < window.innerHeight + FEED_PREFETCH_PX;
+}
+
+const feedMoreObserver = new IntersectionObserver((entries) => {
+  if (entries.some(entry => entry.isIntersecting)) {
+    loadMoreFeed();
+  }
+}, {
+  rootMargin: `0px 0px ${FEED_PREFETCH_PX}px 0px`
+});
+feedMoreObserver.observe(feedMoreEl);
+
+// ====== LIVE UPDATES ======
+// New nearby posts arrive over Server-Sent Events and wait behind a banner,
+// so the list doesn't shift while someone is reading it.
+const newPostsBtn = document.createElement('button');
+newPostsBtn.className = 'new-posts';
+newPostsBtn.hidden = true;
+listEl.before(newPostsBtn);
+
+newPostsBtn.addEventListener('click', () => {
+  // Stream sends oldest first; the list is newest first
+  const posts = pendingNewPosts.reverse();
+  pendingNewPosts = [];
+  newPostsBtn.hidden = true;
+  renderPosts(posts, { prepend: true });
+  feedCount += posts.length;
+  if (lastH3) setFeedStatus();
+  listEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+});
+
+function updateNewPostsBanner() {
+  const n = pendingNewPosts.length;
+  newPostsBtn.hidden = n === 0;
+  newPostsBtn.textContent = `${n} new post${n === 1 ? '' : 's'}`;
+}
+
+function stopFeedStream() {
+  if (feedStream) {
+    feedStream.close();
+    feedStream = null;
+  }
+  pendingNewPosts = [];
+  updateNewPostsBanner();
+}
+
+/**
+ * Watch the current feed cells for posts newer than `newestTime`.
+ * Skipped when the feed has an until: bound, since nothing new can match it.
+ */
+function startFeedStream(newestTime) {
+  stopFeedStream();
+  if (!lastH3 || activeTimeRange?.until || typeof EventSource === 'undefined') return;
+
+  const since = [newestTime, activeTimeRange?.since].filter(Boolean).sort().pop();
+  const url = new URL(API_BASE + '/api/feed/stream', API_BASE ? undefined : window.location.origin);
+  url.searchParams.set('h3', queryCells().join(','));
+  url.searchParams.set('resolution', String(lastH3.resolution));
+  if (since) url.searchParams.set('since', since);
+  if (SITE.category) url.searchParams.set('hashtag', SITE.category);
+
+  const stream = new EventSource(url.toString());
+  stream.addEventListener('post', (e) => {
+    let post;
+    try {
+      post = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    if (hideMuted([post]).length === 0) return;
+    const key = postKey(post);
+    if (shownPostKeys.has(key) || pendingNewPosts.some(p => postKey(p) === key)) return;
+    pendingNewPosts.push(post);
+    updateNewPostsBanner();
+  });
+  // On a dropped connection EventSource reconnects on its own (resuming via Last-Event-ID)
+  feedStream = stream;
+}
+
+// ====== MAP VIEW ======
+// Every feed cell as a hexagon, shaded by how many loaded posts fall in it.
+// Clicking a hexagon filters the list to it; dragging the map moves the query there.
+
+function updateFeedMap({ fit = true } = {}) {
+  if (!feedMap || mapEl.hidden || !lastH3) return;
+  const key = `${lastH3.resolution}:${lastH3.cells.join(',')}`;
+  if (key !== mapCellsKey) {
+    feedMap.setCells(lastH3.cells, { fit });
+    feedMap.setArea(lastH3.area || null);
+    mapCellsKey = key;
+  }
+  feedMap.setCounts(countPostsByCell(listedPosts, lastH3.resolution));
+  feedMap.setSelected(cellFilter);
+  feedMap.setTrail(followTrail);
+}
+
+/**
+ * Show only the loaded posts in one cell (null shows them all).
+ */
+function setCellFilter(cell) {
+  cellFilter = cell;
+  const shown = listedPosts.filter(inCellFilter);
+  postRenderer.renderPosts(listEl, shown, {
+    emptyHtml: '<div class="post empty">No loaded posts in this cell yet.</div>'
+  });
+  feedMap?.setSelected(cellFilter);
+
+  if (feedParams) {
+    setFeedStatus();
+  } else if (cellFilter) {
+    setStatus(`Showing ${shown.length} of ${listedPosts.length} posts in the selected cell`);
+  } else {
+    setStatus(`Showing all ${listedPosts.length} posts`);
+  }
+  // A sparse cell may need more feed pages before it fills the screen
+  continueFeedIfVisible();
+}
+
+/**
+ * Re-run whatever fills the list (search results or the nearby feed) after the location changed.
+ */
+async function reloadList() {
+  try {
+    if (showingSearch) await runSearch();
+    else await loadFeed();
+  } catch (e) {
+    setStatus(String(e));
+  }
+}
+
+async function recenterFromMap(lat, lng) {
+  // Follow mode owns the location; the next fix would undo the drag anyway
+  if (followWatchId !== null) return;
+  setLocation(lat, lng, { source: 'map', label: 'map' });
+  updateFeedMap({ fit: false });
+  await reloadList();
+}
+
+/**
+ * Query a polygon sketched on the map instead of a radius ring.
+ */
+async function queryDrawnArea(latlngs) {
+  const area = areaToCells(latlngs);
+  if (!area) {
+    setStatus(`That area is too large to search; draw a smaller one (up to ${AREA_MAX_CELLS} metro cells).`);
+    return;
+  }
+
+  const [lat, lng] = area.center;
+  setLocation(lat, lng, {
+    source: 'area',
+    label: `drawn area (${area.cells.length} cells)`,
+    h3: {
+      cells: area.cells,
+      resolution: area.resolution,
+      centerCell: latLngToCell(lat, lng, area.resolution),
+      compacted: area.compacted,
+      area: latlngs,
+      r7: [],
+      r8: []
+    }
+  });
+  updateFeedMap({ fit: false });
+  await reloadList();
+}
+
+const MAP_HINT = mapHintEl.textContent;
+
+btnDrawArea.addEventListener('click', () => {
+  if (mapDrawing) feedMap.stopDrawing();
+  else feedMap.startDrawing();
+});
+
+btnMap.addEventListener('click', () => {
+  mapEl.hidden = !mapEl.hidden;
+  btnMap.setAttribute('aria-pressed', String(!mapEl.hidden));
+
+  if (mapEl.hidden) {
+    feedMap?.stopDrawing();
+    if (cellFilter) setCellFilter(null);
+    return;
+  }
+  if (!feedMap) {
+    feedMap = createFeedMap(mapCanvasEl, {
+      // Clicking the selected hexagon again clears the filter
+      onCellClick: (cell) => setCellFilter(cell === cellFilter ? null : cell),
+      onRecenter: recenterFromMap,
+      onAreaDrawn: queryDrawnArea,
+      onDrawingChange: (active) => {
+        mapDrawing = active;
+        btnDrawArea.textContent = active ? 'Cancel drawing' : 'Draw area';
+        mapHintEl.textContent = active
+          ? 'Click to add corners; click the first corner or double-click to finish. Esc cancels.'
+          : MAP_HINT;
+      }
+    });
+  } else {
+    feedMap.invalidateSize();
+  }
+  updateFeedMap();
+});
+
+/**
+ * Build the POST /api/search body for a parsed query.
+ * A 📍 location in the query is geocoded; otherwise the search runs in `h3` (a lastH3-shaped context).
+ */
+async function buildSearchRequest(parsed, { limit, h3 }) {
+  const searchRequest = {
+    limit,
+    maxScan: 500
+  };
+
+  // Top-level phrases and field prefixes (user:, name:, media:, has:) go in their own
+  // request fields; the rest of the boolean query tree (OR groups, exclusions) is sent as-is
+  const { filters: fieldFilters, query } = extractFieldFilters(parsed.ast);
+  Object.assign(searchRequest, fieldFilters);
+  if (query) {
+    searchRequest.query = query;
+  }
+
+  if (parsed.entities.timeRange) {
+    searchRequest.timeRange = parsed.entities.timeRange;
+  }
+
+  // Handle location from query (📍) or use the location context
+  if (parsed.entities.locations.length > 0) {
+    const locationName = parsed.entities.locations[0].name;
+    let geo;
+    try {
+      geo = await geocodeAddress(locationName);
+    } catch {
+      throw new Error(`Could not find location: ${locationName}`);
+    }
+    const resolution = 7;
+    const centerCell = latLngToCell(geo.latitude, geo.longitude, resolution);
+    searchRequest.location = {
+      name: locationName,
+      h3Cells: Array.from(gridDisk(centerCell, 2)),
+      resolution
+    };
+  } else if (h3) {
+    searchRequest.location = {
+      name: h3.area ? 'drawn area' : 'current',
+      h3Cells: queryCells(h3),
+      resolution: h3.resolution
+    };
+  }
+
+  return withCategory(searchRequest);
+}
+
+async function postSearch(searchRequest) {
+  const response = await fetch(`${API_BASE}/api/search`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(searchRequest)
+  });
+
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || `HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.posts;
+}
+
+/**
+ * Run the query in the search box.
+ * @returns {Promise<Array|null>} the search results, or null if no search results were shown
+ */
+async function runSearch() {
+  const q = (searchEl.value || '').trim();
+  if (q.length < 2) {
+    setStatus('Search needs at least 2 characters.');
+    return null;
+  }
+
+  // Parse the search query
+  const parsed = parseSearchQuery(q);
+  activeTimeRange = parsed.entities.timeRange;
+
+  // A time range on its own just narrows the nearby feed
+  if (activeTimeRange && !hasSearchFilters(parsed.entities)) {
+    await loadFeed();
+    return null;
+  }
+
+  // Check if we have any searchable filters
+  if (!hasSearchFilters(parsed.entities)) {
+    setStatus('Search needs at least 2 characters of text or a valid filter.');
+    return null;
+  }
+
+  setStatus(parsed.entities.locations.length
+    ? `Geocoding "${parsed.entities.locations[0].name}"…`
+    : 'Parsing search…');
+  const limit = Number(limitEl.value);
+  const generation = ++feedGeneration;
+  showingSearch = true;
+  updateUrl();
+  feedParams = null;
+  feedCursor = null;
+  stopFeedStream();
+
+  let searchRequest;
+  try {
+    searchRequest = await buildSearchRequest(parsed, { limit, h3: lastH3 });
+  } catch (e) {
+    setStatus(e.message);
+    return null;
+  }
+
+  setStatus('Searching…');
+
+  try {
+    const posts = await postSearch(searchRequest);
+    if (generation !== feedGeneration) return null;
+    renderPosts(posts);
+
+    // Build status message showing what filters were applied
+    const filters = [];
+    if (parsed.ast) filters.push(describeQuery(parsed.ast));
+    if (parsed.entities.locations.length) filters.push(`📍${parsed.entities.locations[0].name}`);
+    if (activeTimeRange) filters.push(describeTimeRange(activeTimeRange));
+
+    const filterDesc = filters.length ? ` (${filters.join(', ')})` : '';
+    setStatus(`Found ${posts.length} posts${filterDesc}`);
+    return posts;
+  } catch (e) {
+    setStatus(`Error: ${e.message}`);
+    return null;
+  }
+}
+
+// Use GPS/browser geolocation
+btnLocate.addEventListener('click', async () => {
+  setStatus('Requesting location…');
+  
+  try {
+    const pos = await new Promise((resolve, reject) => {
+      navigator.geolocation.getCurrentPosition(
+        (pos) => resolve(pos),
+        (err) => reject(err),
+        { enableHighAccuracy: false, timeout: 10_000, maximumAge: 60_000 }
+      );
+    });
+
+    const { latitude, longitude, accuracy } = pos.coords;
+    setLocation(latitude, longitude, { source: 'gps', label: `GPS ±${Math.round(accuracy)}m` });
+    
+    console.log(`Location: ${latitude.toFixed(5)}, ${longitude.toFixed(5)} (±${accuracy}m)`);
+    console.log(`Your H3 r7 center: ${lastH3.centerCell}`);
+    
+    await loadFeed();
+  } catch (e) {
+    setStatus(`Location error: ${e.message}`);
+  }
+});
+
+// ====== FOLLOW MODE ======
+// watchPosition keeps the origin current; the query only moves (and the list only
+// reloads) when a fix lands in a different center cell at the chosen radius.
+
+/** Manual location controls are off while following */
+function setManualLocationEnabled(enabled) {
+  for (const el of [addressEl, btnGeocode, btnLocate, btnDrawArea]) el.disabled = !enabled;
+}
+
+function onFollowPosition(pos) {
+  const { latitude, longitude, accuracy } = pos.coords;
+  if (accuracy > FOLLOW_MAX_ACCURACY_M) return;
+
+  const first = followTrail.length === 0;
+  const next = computeH3Tokens(latitude, longitude, Number(kEl.value));
+  if (!first && next.centerCell === lastH3.centerCell) {
+    // Same cell: only move the origin a radius change would recompute from
+    origin = { ...origin, lat: latitude, lng: longitude };
+    return;
+  }
+
+  setLocation(latitude, longitude, {
+    source: 'follow',
+    label: `following GPS ±${Math.round(accuracy)}m`,
+    h3: next
+  });
+  if (followTrail[followTrail.length - 1] !== lastH3.centerCell) {
+    followTrail = [...followTrail, lastH3.centerCell].slice(-FOLLOW_TRAIL_MAX);
+  }
+  updateFeedMap();
+
+  // Crossing back and forth over a cell edge shouldn't reload on every fix
+  clearTimeout(followRefreshTimer);
+  if (first) {
+    reloadList();
+  } else {
+    followRefreshTimer = setTimeout(reloadList, FOLLOW_REFRESH_DELAY_MS);
+  }
+}
+
+function onFollowError(err) {
+  if (err.code === err.PERMISSION_DENIED) {
+    stopFollow();
+    setStatus('Follow mode needs location permission.');
+    return;
+  }
+  // Timeouts and lost signal: keep watching, the next fix picks up again
+  setStatus(`Location error: ${err.message} (still following)`);
+}
+
+function startFollow() {
+  if (!navigator.geolocation) {
+    setStatus('This browser has no geolocation.');
+    return;
+  }
+  feedMap?.stopDrawing();
+  followTrail = [];
+  setManualLocationEnabled(false);
+  btnFollow.setAttribute('aria-pressed', 'true');
+  btnFollow.textContent = 'Stop following';
+  setStatus('Waiting for your location…');
+  followWatchId = navigator.geolocation.watchPosition(onFollowPosition, onFollowError, {
+    enableHighAccuracy: true,
+    timeout: 30_000,
+    maximumAge: 10_000
+  });
+}
+
+/**
+ * Leave follow mode. The query stays on the last cell reached, and the
+ * address, GPS and map controls take over again.
+ */
+function stopFollow() {
+  if (followWatchId === null) return;
+  navigator.geolocation.clearWatch(followWatchId);
+  followWatchId = null;
+  clearTimeout(followRefreshTimer);
+  followRefreshTimer = null;
+  followTrail = [];
+  feedMap?.setTrail([]);
+  setManualLocationEnabled(true);
+  btnFollow.setAttribute('aria-pressed', 'false');
+  btnFollow.textContent = 'Follow me';
+  if (origin?.source === 'follow') {
+    setLocation(origin.lat, origin.lng, { source: 'gps', label: 'GPS (stopped following)', h3: lastH3 });
+  }
+}
+
+btnFollow.addEventListener('click', () => {
+  if (followWatchId === null) startFollow();
+  else stopFollow();
+});
+
+// Use address/city geocoding
+btnGeocode.addEventListener('click', async () => {
+  const address = (addressEl.value || '').trim();
+  if (!address) {
+    setStatus('Please enter an address or city');
+    return;
+  }
+  
+  setStatus('Geocoding address…');
+  try {
+    // Recent places are already geocoded
+    const recent = findRecentPlace(loadLocationData(SITE.locationKey).recent, address);
+    const geo = recent
+      ? { latitude: recent.lat, longitude: recent.lng, displayName: recent.displayName }
+      : await geocodeAddress(address);
+    const shortName = recent ? recent.name : geo.displayName.split(',').slice(0, 2).join(',');
+    setLocation(geo.latitude, geo.longitude, { source: 'geocode', label: shortName, place: shortName });
+    rememberRecentPlace({ name: shortName, displayName: geo.displayName, lat: geo.latitude, lng: geo.longitude });
+    
+    console.log(`Geocoded: ${geo.latitude.toFixed(5)}, ${geo.longitude.toFixed(5)}`);
+    console.log(`H3 r7 center: ${lastH3.centerCell}`);
+    
+    await loadFeed();
+  } catch (e) {
+    setStatus(`Geocoding error: ${e.message}`);
+  }
+});
+
+// Allow Enter key to trigger geocoding
+addressEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    btnGeocode.click();
+  }
+});
+
+// Picking a recent place from the list sets it right away (typing the same name doesn't)
+addressEl.addEventListener('input', (e) => {
+  if (e.inputType && e.inputType !== 'insertReplacementText') return;
+  if (findRecentPlace(loadLocationData(SITE.locationKey).recent, addressEl.value)) btnGeocode.click();
+});
+
+btnSearch.addEventListener('click', async () => {
+  try {
+    await runSearch();
+  } catch (e) {
+    setStatus(String(e));
+  }
+});
+
+const searchBox = initSearchBox(searchEl, {
+  fetchSuggestions: async (type, prefix) => {
+    const params = { type, prefix };
+    if (lastH3) {
+      params.h3 = lastH3.cells.slice(0, 50).join(',');
+      params.resolution = lastH3.resolution;
+    }
+    const data = await apiGet('/api/suggest', params);
+    return data.suggestions;
+  },
+  onSubmit: () => btnSearch.click()
+});
+
+btnClear.addEventListener('click', async () => {
+  searchEl.value = '';
+  searchBox.refresh();
+  activeTimeRange = null;
+  await loadFeed();
+});
+
+kEl.addEventListener('change', async () => {
+  rememberRadius(Number(kEl.value));
+  if (!origin) return;
+
+  // Recompute the ring around the origin, whatever set it. A drawn area (drawn,
+  // saved or linked) has no radius, so it becomes a ring around its center.
+  const { lat, lng, source, place } = origin;
+  if (lastH3.compacted) setLocation(lat, lng, { source: 'map', label: 'map' });
+  else setLocation(lat, lng, { source, label: locationLabel, place });
+  updateFeedMap();
+  await reloadList();
+});
+
+// ====== SAVED SEARCHES ======
+// Queries saved with their location; re-run in the background for an unread badge
+
+const savedSearches = initSavedSearches(document.getElementById('savedSearches'), {
+  storageKey: SITE.savedSearchesKey,
+  fetchMatches: async (saved) => {
+    const request = await buildSearchRequest(parseSearchQuery(saved.query), { limit: 25, h3: saved.location });
+    return hideMuted(await postSearch(request));
+  },
+  onOpen: (saved) => openSavedSearch(saved)
+});
+
+/**
+ * Restore a saved search's query and location, run it, and mark its results seen.
+ */
+async function openSavedSearch(saved) {
+  searchEl.value = saved.query;
+  searchBox.refresh();
+  if (saved.location) {
+    stopFollow();
+    const [lat, lng] = cellToLatLng(saved.location.centerCell);
+    setLocation(lat, lng, { source: 'saved', label: saved.locationLabel, h3: saved.location });
+  }
+  const posts = await runSearch();
+  if (posts) savedSearches.markSeen(saved.id, posts);
+}
+
+btnSaveSearch.addEventListener('click', async () => {
+  const q = (searchEl.value || '').trim();
+  if (!hasSearchFilters(parseSearchQuery(q).entities)) {
+    setStatus('Type a search (text, #hashtag, @user…) to save it.');
+    return;
+  }
+  // Run it first, so what's on screen is what counts as already seen
+  const posts = await runSearch();
+  if (!posts) return;
+
+  const location = locationSnapshot();
+  if (savedSearches.save(q, location, location ? locationLabel : '', posts)) {
+    setStatus(`Saved "${q}". It will show a badge when new posts match.`);
+  } else {
+    setStatus('You have too many saved searches; remove one first.');
+  }
+});
+
+// Notification clicks (see sw.js) in an already open tab
+navigator.serviceWorker?.addEventListener('message', (e) => {
+  if (e.data?.type !== 'open-saved-search') return;
+  const saved = savedSearches.get(new URL(e.data.url).searchParams.get('saved'));
+  if (saved) openSavedSearch(saved);
+});
+
+kEl.value = String(SITE.defaultRadiusK);
+
+registerServiceWorker();
+
+/**
+ * First view: a notification link (?saved=<id>) opens that search. Otherwise the
+ * URL's view runs at its `at` cell, the remembered location, or (auto-detected)
+ * IP-based geolocation, in that order. The URL is applied first, so a linked
+ * location is the only one set and the feed loads once.
+ */
+async function initView() {
+  const startParams = new URLSearchParams(window.location.search);
+  const savedAtStart = savedSearches.get(startParams.get('saved'));
+  const view = parseViewParams(window.location.search);
+  applyViewParams(view);
+  // A linked location comes with its own radius
+  const restoredLocation = restoreLocation({ radius: !view.at && view.k === null, location: !view.at });
+  if (savedAtStart) {
+    await openSavedSearch(savedAtStart);
+    return;
+  }
+
+  if (!view.at && !restoredLocation) {
+    await initWithIPLocation();
+    if (!view.q) return;
+  }
+  await showViewQuery(view.q);
+}
+
+initView()
+  .catch((e) => setStatus(String(e)))
+  .finally(() => {
+    historyMode = 'push';
+    savedSearches.checkAll();
+  });
@@ -0,0 +1,123 @@
+/**
+ * Moderation page JavaScript (/moderate.html)
+ * Lists posts with open reports from GET /api/reports and resolves them with
+ * POST /api/reports/:postId/resolve. Both need the MODERATOR_TOKEN the API
+ * was deployed with; it is kept in sessionStorage for this tab only.
+ */
+import { escapeText, postPath, REPORT_REASONS } from './shared/render.js';
+
+// Constants
+const API_BASE = '';
+const TOKEN_KEY = 'moderatorToken';
+
+// DOM Elements
+const tokenForm = document.getElementById('tokenForm');
+const tokenInput = document.getElementById('moderatorToken');
+const statusEl = document.getElementById('queueStatus');
+const queueEl = document.getElementById('queue');
+
+const REASON_LABELS = new Map(REPORT_REASONS.map(r => [r.value, r.label]));
+
+/**
+ * Call a moderator endpoint
+ * @param {string} path
+ * @param {Object} [body] - POSTed as JSON when given
+ */
+async function moderatorFetch(path, body) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      Authorization: `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ''}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error?.message || `HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+// ============================================================
+// Rendering Functions
+// ============================================================
+
+function renderReported(item) {
+  const { post } = item;
+  const author = post
+    ? (post.username ? `@${post.username}` : (post.displayName || 'Anonymous'))
+    : 'Unknown post';
+  const path = post ? postPath(post) : null;
+  const thumbnail = post?.media?.thumbnail || post?.media?.medium;
+  const reasons = Object.entries(item.reasons)
+    .map(([reason, count]) => `${escapeText(REASON_LABELS.get(reason) || reason)} × ${count}`)
+    .join(', ');
+
+  return `
+    <div class="post moderation-item" data-post-id="${escapeText(item.postId)}">
+      <div class="meta">
+        <div>${escapeText(author)}</div>
+        <div>${post ? escapeText(new Date(post.time).toLocaleString()) : ''}</div>
+        <div>${item.hidden ? 'Hidden' : 'Visible'} · ${item.reportCount} report${item.reportCount === 1 ? '' : 's'}</div>
+      </div>
+      ${thumbnail ? `<img class="moderation-thumb" src="${escapeText(thumbnail)}" alt="" loading="lazy" />` : ''}
+      <div class="content">${post ? escapeText(post.content) : ''}</div>
+      <div class="small">Reasons: ${reasons}</div>
+      ${item.details.length > 0 ? `<ul class="small moderation-details">${item.details.map(d => `<li>${escapeText(d)}</li>`).join('')}</ul>` : ''}
+      <div class="actions">
+        <button class="btn" data-action="approve">Approve (keep visible)</button>
+        <button class="btn" data-action="remove">Remove</button>
+        ${path ? `<a class="btn" href="${escapeText(path)}" target="_blank" rel="noopener">Open post</a>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+async function loadQueue() {
+  statusEl.textContent = 'Loading…';
+  queueEl.innerHTML = '';
+  try {
+    const { posts } = await moderatorFetch('/api/reports');
+    statusEl.textContent = posts.length === 0
+      ? 'No open reports.'
+      : `${posts.length} post${posts.length === 1 ? '' : 's'} with open reports, most recently reported first.`;
+    queueEl.innerHTML = posts.map(renderReported).join('');
+  } catch (err) {
+    console.error('[moderate] Error:', err);
+    statusEl.textContent = `Could not load the queue: ${err.message}`;
+  }
+}
+
+async function resolve(itemEl, action) {
+  const buttons = itemEl.querySelectorAll('button');
+  buttons.forEach(b => { b.disabled = true; });
+  try {
+    await moderatorFetch(`/api/reports/${encodeURIComponent(itemEl.dataset.postId)}/resolve`, { action });
+    itemEl.remove();
+    if (!queueEl.querySelector('.moderation-item')) statusEl.textContent = 'No open reports.';
+  } catch (err) {
+    console.error('[moderate] Error:', err);
+    statusEl.textContent = `Could not ${action} the post: ${err.message}`;
+    buttons.forEach(b => { b.disabled = false; });
+  }
+}
+
+// ============================================================
+// Initialization
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  tokenForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+    loadQueue();
+  });
+
+  queueEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button) resolve(button.closest('.moderation-item'), button.dataset.action);
+  });
+
+  if (sessionStorage.getItem(TOKEN_KEY)) loadQueue();
+});
@@ -0,0 +1,748 @@
+/**
+ * Search Query Parser
+ *
+ * Parses search input into structured tokens for querying posts.
+ *
+ * Supported tokens:
+ * - #hashtag  → lowercase, deduplicated
+ * - @mention  → case-sensitive, deduplicated
+ * - 📍location → quoted or unquoted place names
+ * - "phrase"   → exact phrase match
+ * - field:value → user:name, name:"display name", media:image|video|live, has:location
+ * - time range → since:2026-10-16, until:friday, within:3d (resolved in local time)
+ * - plain text → remaining words, each matched anywhere in the post
+ *
+ * Operators:
+ * - adjacent terms are ANDed
+ * - OR (uppercase, standalone word) between terms or groups
+ * - -term / -(group) excludes matches
+ * - ( ... ) groups terms, e.g. (#coffee OR #tea) -@bot
+ */
+const LOCATION_MARKER = '📍';
+
+const MEDIA_TYPES = ['image', 'video', 'live'];
+
+// Shorter text and phrases are left out of the query (the API skips them too)
+const MIN_TEXT_LENGTH = 2;
+
+// Fields that constrain the time range rather than match post content
+const TIME_FIELDS = ['since', 'until', 'within'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DURATION_UNITS_MS = {
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 604_800_000
+};
+
+/**
+ * Resolve a since:/until:/within: value to a point in time.
+ *
+ * Accepted values:
+ * - durations: 30m, 12h, 3d, 2w (that long before now)
+ * - dates: 2026-10-16, 2026-10-16T20:00 (local time)
+ * - today, yesterday, weekday names (most recent such day, today included)
+ *
+ * Whole days resolve to their start, except for until: which resolves to the
+ * end of the day so the day itself is included.
+ *
+ * @param {'since'|'until'|'within'} field
+ * @param {string} value - Lowercase value
+ * @param {Date} now
+ * @returns {Date|null} null if the value is not understood
+ */
+function resolveTimeBound(field, value, now) {
+  const duration = value.match(/^(\d{1,4})([mhdw])$/);
+  if (duration) {
+    return new Date(now.getTime() - Number(duration[1]) * DURATION_UNITS_MS[duration[2]]);
+  }
+  if (field === 'within') return null;
+
+  let day = null;
+  const dateMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:t(\d{2}):(\d{2}))?$/);
+  if (dateMatch) {
+    const [, y, mo, d, h, mi] = dateMatch.map(Number);
+    // Date rolls impossible dates over (2026-02-30 is March 2); only accept ones that come back unchanged
+    day = new Date(y, mo - 1, d);
+    if (day.getFullYear() !== y || day.getMonth() !== mo - 1 || day.getDate() !== d) return null;
+    if (dateMatch[4] !== undefined) {
+      if (h > 23 || mi > 59) return null;
+      return new Date(y, mo - 1, d, h, mi);
+    }
+  } else if (value === 'today' || value === 'yesterday') {
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (value === 'yesterday' ? 1 : 0));
+  } else {
+    const weekday = WEEKDAYS.findIndex(w => w === value || w.slice(0, 3) === value);
+    if (weekday === -1) return null;
+    const back = (now.getDay() - weekday + 7) % 7;
+    day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - back);
+  }
+
+  if (Number.isNaN(day.getTime())) return null;
+  if (field === 'until') {
+    day.setDate(day.getDate() + 1);
+  }
+  return day;
+}
+
+/**
+ * Read a double-quoted string starting at `pos` (which must point at the opening quote).
+ * Supports \" and \\ escapes; an unterminated quote runs to the end of input.
+ *
+ * @param {string} input
+ * @param {number} pos
+ * @returns {{ value: string, end: number }}
+ */
+function readQuoted(input, pos) {
+  pos++; // skip opening quote
+  let value = '';
+  while (pos < input.length) {
+    if (input[pos] === '\\' && (input[pos + 1] === '"' || input[pos + 1] === '\\')) {
+      value += input[pos + 1];
+      pos += 2;
+    } else if (input[pos] === '"') {
+      pos++; // skip closing quote
+      break;
+    } else {
+      value += input[pos];
+      pos++;
+    }
+  }
+  return { value, end: pos };
+}
+
+/**
+ * Normalize and validate a field:value pair.
+ * Returns null for unknown fields or invalid values so the input is treated as text.
+ *
+ * @param {string} field - Lowercase field name
+ * @param {string} value - Raw value
+ * @returns {string|null} Normalized value
+ */
+function normalizeFieldValue(field, value) {
+  switch (field) {
+    case 'user': {
+      const username = value.replace(/^@/, '');
+      // Same form as USERNAME_RE in shared/favoritesStore.js and the API
+      return /^[a-zA-Z0-9_.-]{1,64}$/.test(username) ? username.toLowerCase() : null;
+    }
+    case 'name': {
+      const name = value.replace(/\s+/g, ' ').trim();
+      return name && name.length <= 50 ? name : null;
+    }
+    case 'media': {
+      const types = [...new Set(value.toLowerCase().split('|'))];
+      return types.every(t => MEDIA_TYPES.includes(t)) ? types.join('|') : null;
+    }
+    case 'has':
+      return value.toLowerCase() === 'location' ? 'location' : null;
+    case 'since':
+    case 'until':
+    case 'within': {
+      const normalized = value.toLowerCase();
+      return resolveTimeBound(field, normalized, new Date()) ? normalized : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse location name after 📍 marker
+ * Handles quoted ("place name") and unquoted (place name) forms
+ *
+ * Delimiters for unquoted: newline, double space, punctuation, token starts (@#📍), URL starts
+ *
+ * @param {string} input - String starting with 📍
+ * @returns {{ name: string, quoted: boolean, consumed: number }}
+ */
+function parseLocation(input) {
+  const markerLen = LOCATION_MARKER.length;
+  let pos = markerLen;
+
+  // Skip leading whitespace (single spaces only, double space is delimiter)
+  while (pos < input.length && input[pos] === ' ' && input[pos + 1] !== ' ') {
+    pos++;
+  }
+
+  // Check for quoted form
+  if (input[pos] === '"') {
+    pos++; // skip opening quote
+    let name = '';
+    while (pos < input.length) {
+      if (input[pos] === '\\' && input[pos + 1] === '"') {
+        // Escaped quote
+        name += '"';
+        pos += 2;
+      } else if (input[pos] === '\\' && input[pos + 1] === '\\') {
+        // Escaped backslash
+        name += '\\';
+        pos += 2;
+      } else if (input[pos] === '"') {
+        pos++; // skip closing quote
+        break;
+      } else {
+        name += input[pos];
+        pos++;
+      }
+    }
+    return { name: name.trim(), quoted: true, consumed: pos };
+  }
+
+  // Unquoted form - read until delimiter
+  let name = '';
+
+  while (pos < input.length) {
+    const char = input[pos];
+    const remaining = input.slice(pos);
+
+    // Check for delimiters
+    if (
+      char === '\n' ||
+      remaining.startsWith('  ') ||  // double space
+      /^[.,;:!?)\]}]/.test(char) ||
+      char === '@' ||
+      char === '#' ||
+      remaining.startsWith(LOCATION_MARKER) ||
+      /^https?:\/\//.test(remaining)
+    ) {
+      break;
+    }
+
+    name += char;
+    pos++;
+  }
+
+  return { name: name.trim(), quoted: false, consumed: pos };
+}
+
+/**
+ * Combine child nodes under an AND/OR node.
+ * Nested nodes of the same type are flattened, empty children dropped,
+ * and single-child groups collapsed to the child itself.
+ *
+ * @param {'and'|'or'} type
+ * @param {(QueryNode|null)[]} children
+ * @returns {QueryNode|null}
+ */
+function combineNodes(type, children) {
+  const flat = [];
+  for (const child of children) {
+    if (!child) continue;
+    if (child.type === type) {
+      flat.push(...child.children);
+    } else {
+      flat.push(child);
+    }
+  }
+  if (flat.length === 0) return null;
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+}
+
+/**
+ * Build a query AST from parsed tokens.
+ *
+ * Grammar (OR binds looser than the implicit AND):
+ *   query   = orExpr
+ *   orExpr  = andExpr { "OR" andExpr }
+ *   andExpr = unary { unary }
+ *   unary   = "-" unary | primary
+ *   primary = "(" orExpr ")" | hashtag | mention | phrase | field | text
+ *
+ * Parsing is forgiving: unbalanced parentheses and dangling operators are
+ * skipped, as are location and time-range tokens (which set search context,
+ * not filters) together with any negation in front of them.
+ *
+ * @param {Token[]} tokens
+ * @returns {QueryNode|null}
+ */
+function buildQueryAst(tokens) {
+  const isContext = (t) => t.type === 'location' || (t.type === 'field' && TIME_FIELDS.includes(t.field));
+  const items = tokens.filter((t, idx) =>
+    !isContext(t) && !(t.type === 'not' && tokens[idx + 1] && isContext(tokens[idx + 1]))
+  );
+  let i = 0;
+
+  const isStop = (tok) => tok.type === 'or' || tok.type === 'rparen';
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (i < items.length && items[i].type === 'or') {
+      i++;
+      children.push(parseAnd());
+    }
+    return combineNodes('or', children);
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (i < items.length && !isStop(items[i])) {
+      children.push(parseUnary());
+    }
+    return combineNodes('and', children);
+  }
+
+  function parseUnary() {
+    const tok = items[i];
+
+    if (tok.type === 'not') {
+      i++;
+      if (i >= items.length || isStop(items[i])) return null;
+      const child = parseUnary();
+      if (!child) return null;
+      // Double negation cancels out
+      return child.type === 'not' ? child.child : { type: 'not', child };
+    }
+
+    if (tok.type === 'lparen') {
+      i++;
+      const inner = parseOr();
+      if (i < items.length && items[i].type === 'rparen') i++;
+      return inner;
+    }
+
+    i++;
+    if (tok.type === 'hashtag' || tok.type === 'mention') {
+      return { type: tok.type, value: tok.value };
+    }
+    if (tok.type === 'phrase') {
+      return tok.value.trim().length >= MIN_TEXT_LENGTH ? { type: 'phrase', value: tok.value } : null;
+    }
+    if (tok.type === 'field') {
+      // media:image|video expands to an OR of single media types
+      const values = tok.field === 'media' ? tok.value.split('|') : [tok.value];
+      return combineNodes('or', values.map(value => ({ type: 'field', field: tok.field, value })));
+    }
+    if (tok.type === 'text') {
+      // A single character ("#coffee a" while typing) is too short to search for
+      const value = tok.value.replace(/\s+/g, ' ').trim();
+      return value.length >= MIN_TEXT_LENGTH ? { type: 'text', value } : null;
+    }
+    return null;
+  }
+
+  const parts = [];
+  while (i < items.length) {
+    parts.push(parseOr());
+    // Skip an unmatched closing parenthesis and keep going
+    if (i < items.length && items[i].type === 'rparen') i++;
+  }
+  return combineNodes('and', parts);
+}
+
+/**
+ * Parse search query into structured tokens, entities and a query AST
+ *
+ * @param {string} input - Raw search string
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for relative time filters (default: now)
+ * @returns {ParsedQuery}
+ *
+ * @typedef {Object} ParsedQuery
+ * @property {string} raw - Original input
+ * @property {Token[]} tokens - Parsed tokens in order
+ * @property {QueryEntities} entities - Deduplicated entities for querying
+ * @property {QueryNode|null} ast - Boolean query tree (null when there are no filter terms)
+ *
+ * @typedef {Object} Token
+ * @property {'hashtag'|'mention'|'location'|'phrase'|'field'|'text'|'or'|'not'|'lparen'|'rparen'} type
+ * @property {string} value - The extracted value
+ * @property {string} [field] - For field tokens: 'user' | 'name' | 'media' | 'has' | 'since' | 'until' | 'within'
+ * @property {number} start - Start position in input
+ * @property {number} end - End position in input
+ * @property {boolean} [quoted] - For location tokens, whether it was quoted
+ *
+ * @typedef {Object} QueryEntities
+ * @property {string[]} hashtags - Lowercase, deduplicated (includes excluded ones; see ast)
+ * @property {string[]} mentions - Case-sensitive, deduplicated (includes excluded ones; see ast)
+ * @property {LocationRef[]} locations - Location references
+ * @property {string[]} phrases - Quoted exact phrases, deduplicated
+ * @property {FieldRef[]} fields - field:value filters in input order (excluding time fields)
+ * @property {TimeRange|null} timeRange - Resolved since:/until:/within: bounds
+ * @property {string|null} text - Combined plain text for substring search
+ *
+ * @typedef {Object} TimeRange
+ * @property {string} [since] - ISO timestamp, inclusive
+ * @property {string} [until] - ISO timestamp, exclusive
+ *
+ * @typedef {Object} FieldRef
+ * @property {'user'|'name'|'media'|'has'} field
+ * @property {string} value - Normalized value (media types joined with "|")
+ *
+ * @typedef {Object} LocationRef
+ * @property {string} name - Location name
+ * @property {boolean} quoted - Whether it was quoted
+ *
+ * @typedef {Object} QueryNode
+ * @property {'and'|'or'|'not'|'hashtag'|'mention'|'phrase'|'field'|'text'} type
+ * @property {QueryNode[]} [children] - For 'and' / 'or'
+ * @property {QueryNode} [child] - For 'not'
+ * @property {string} [field] - For 'field': 'user' | 'name' | 'media' | 'has'
+ * @property {string} [value] - For leaf nodes
+ */
+export function parseSearchQuery(input, options = {}) {
+  const now = options.now || new Date();
+
+  if (!input || typeof input !== 'string') {
+    return {
+      raw: '',
+      tokens: [],
+      entities: {
+        hashtags: [],
+        mentions: [],
+        locations: [],
+        phrases: [],
+        fields: [],
+        timeRange: null,
+        text: null
+      },
+      ast: null
+    };
+  }
+
+  const tokens = [];
+  const hashtagSet = new Set();
+  const mentionSet = new Set();
+  const locations = [];
+  const phraseSet = new Set();
+  const fields = [];
+  let since = null;
+  let until = null;
+  const textFragments = [];
+
+  let pos = 0;
+  let textBuffer = '';
+
+  function flushText() {
+    const trimmed = textBuffer.trim();
+    if (trimmed) {
+      tokens.push({
+        type: 'text',
+        value: textBuffer,
+        start: pos - textBuffer.length,
+        end: pos
+      });
+      textFragments.push(trimmed);
+    }
+    textBuffer = '';
+  }
+
+  // Position right after a "-" negation, which also counts as the start of a word
+  let afterNegation = -1;
+
+  // Operators only count at the start of a word, so "drive-thru" and "ORder" stay text
+  function atWordBoundary() {
+    return pos === 0 || pos === afterNegation || /[\s()]/.test(input[pos - 1]);
+  }
+
+  // Try to read a field:value term at the current position
+  function matchField() {
+    const match = input.slice(pos).match(/^([a-zA-Z]+):(?=\S)/);
+    if (!match) return null;
+    const field = match[1].toLowerCase();
+    const valueStart = pos + match[0].length;
+    let raw, end;
+    if (input[valueStart] === '"') {
+      ({ value: raw, end } = readQuoted(input, valueStart));
+    } else {
+      raw = input.slice(valueStart).match(/^[^\s()"]*/)[0];
+      end = valueStart + raw.length;
+    }
+    const value = normalizeFieldValue(field, raw);
+    return value === null ? null : { field, value, end };
+  }
+
+  while (pos < input.length) {
+    const char = input[pos];
+    const remaining = input.slice(pos);
+
+    // Check for grouping parentheses
+    if (char === '(' || char === ')') {
+      flushText();
+      tokens.push({
+        type: char === '(' ? 'lparen' : 'rparen',
+        value: char,
+        start: pos,
+        end: pos + 1
+      });
+      pos++;
+      continue;
+    }
+
+    // Check for OR operator (uppercase, standalone word)
+    if (char === 'O' && atWordBoundary() && /^OR(?=[\s()]|$)/.test(remaining)) {
+      flushText();
+      tokens.push({
+        type: 'or',
+        value: 'OR',
+        start: pos,
+        end: pos + 2
+      });
+      pos += 2;
+      continue;
+    }
+
+    // A "-" with nothing after it is a dangling operator; skip it rather than search for "-"
+    if (char === '-' && atWordBoundary() && /^-(?=[\s)]|$)/.test(remaining)) {
+      flushText();
+      pos++;
+      continue;
+    }
+
+    // Check for negation: "-" directly attached to a term or group
+    if (char === '-' && atWordBoundary() && /^-[^\s)-]/.test(remaining)) {
+      flushText();
+      tokens.push({
+        type: 'not',
+        value: '-',
+        start: pos,
+        end: pos + 1
+      });
+      pos++;
+      afterNegation = pos;
+
+      // A negated plain word excludes just that word, not the rest of the text run
+      const next = input[pos];
+      if (
+        next !== '#' && next !== '@' && next !== '(' && next !== '"' &&
+        !input.startsWith(LOCATION_MARKER, pos) &&
+        !matchField()
+      ) {
+        const word = input.slice(pos).match(/^[^\s()]+/)[0];
+        tokens.push({
+          type: 'text',
+          value: word,
+          start: pos,
+          end: pos + word.length
+        });
+        textFragments.push(word);
+        pos += word.length;
+      }
+      continue;
+    }
+
+    // Check for quoted exact phrase
+    if (char === '"' && atWordBoundary()) {
+      flushText();
+      const { value, end } = readQuoted(input, pos);
+      const phrase = value.replace(/\s+/g, ' ').trim();
+      if (phrase) {
+        tokens.push({
+          type: 'phrase',
+          value: phrase,
+          start: pos,
+          end
+        });
+        phraseSet.add(phrase);
+      }
+      pos = end;
+      continue;
+    }
+
+    // Check for field:value prefix
+    if (/[a-zA-Z]/.test(char) && atWordBoundary()) {
+      const fieldMatch = matchField();
+      if (fieldMatch) {
+        flushText();
+        tokens.push({
+          type: 'field',
+          field: fieldMatch.field,
+          value: fieldMatch.value,
+          start: pos,
+          end: fieldMatch.end
+        });
+        if (TIME_FIELDS.includes(fieldMatch.field)) {
+          // Multiple bounds narrow the range: latest since, earliest until
+          const at = resolveTimeBound(fieldMatch.field, fieldMatch.value, now);
+          if (fieldMatch.field === 'until') {
+            if (!until || at < until) until = at;
+          } else if (!since || at > since) {
+            since = at;
+          }
+        } else {
+          fields.push({ field: fieldMatch.field, value: fieldMatch.value });
+        }
+        pos = fieldMatch.end;
+        continue;
+      }
+    }
+
+    // Check for hashtag
+    if (char === '#') {
+      const match = remaining.match(/^#([a-zA-Z0-9_]{1,50})/);
+      if (match) {
+        flushText();
+        const value = match[1].toLowerCase(); // Hashtags are lowercase
+        tokens.push({
+          type: 'hashtag',
+          value: value,
+          start: pos,
+          end: pos + match[0].length
+        });
+        hashtagSet.add(value);
+        pos += match[0].length;
+        continue;
+      }
+    }
+
+    // Check for mention
+    if (char === '@') {
+      const match = remaining.match(/^@([a-zA-Z0-9_]{1,30})/);
+      if (match) {
+        flushText();
+        const value = match[1]; // Mentions preserve case
+        tokens.push({
+          type: 'mention',
+          value: value,
+          start: pos,
+          end: pos + match[0].length
+        });
+        mentionSet.add(value);
+        pos += match[0].length;
+        continue;
+      }
+    }
+
+    // Check for location marker (📍 is a multi-byte character)
+    if (remaining.startsWith(LOCATION_MARKER)) {
+      flushText();
+      const locationResult = parseLocation(remaining);
+      if (locationResult.name) {
+        tokens.push({
+          type: 'location',
+          value: locationResult.name,
+          quoted: locationResult.quoted,
+          start: pos,
+          end: pos + locationResult.consumed
+        });
+        locations.push({
+          name: locationResult.name,
+          quoted: locationResult.quoted
+        });
+      }
+      pos += locationResult.consumed;
+      continue;
+    }
+
+    // Accumulate text
+    textBuffer += char;
+    pos++;
+  }
+
+  // Flush any remaining text
+  flushText();
+
+  // Combine text fragments
+  const combinedText = textFragments.join(' ').replace(/\s+/g, ' ').trim();
+
+  return {
+    raw: input,
+    tokens,
+    entities: {
+      hashtags: Array.from(hashtagSet),
+      mentions: Array.from(mentionSet),
+      locations,
+      phrases: Array.from(phraseSet),
+      fields,
+      timeRange: since || until
+        ? {
+            ...(since && { since: since.toISOString() }),
+            ...(until && { until: until.toISOString() })
+          }
+        : null,
+      text: combinedText || null
+    },
+    ast: buildQueryAst(tokens)
+  };
+}
+
+/**
+ * Check if the parsed query has any searchable filters
+ * (a time range alone does not count; it narrows the nearby feed instead)
+ *
+ * @param {QueryEntities} entities
+ * @returns {boolean}
+ */
+export function hasSearchFilters(entities) {
+  return (
+    entities.hashtags.length > 0 ||
+    entities.mentions.length > 0 ||
+    entities.locations.length > 0 ||
+    entities.phrases.length > 0 ||
+    entities.fields.length > 0 ||
+    (entities.text && entities.text.length >= 2)
+  );
+}
+
+/**
+ * Render a query AST back to search syntax, e.g. for status messages.
+ *
+ * @param {QueryNode|null} node
+ * @returns {string}
+ */
+export function describeQuery(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'hashtag':
+      return `#${node.value}`;
+    case 'mention':
+      return `@${node.value}`;
+    case 'phrase':
+      return `"${node.value}"`;
+    case 'field':
+      return /\s/.test(node.value) ? `${node.field}:"${node.value}"` : `${node.field}:${node.value}`;
+    case 'text':
+      return node.value;
+    case 'not': {
+      const inner = describeQuery(node.child);
+      return node.child.type === 'and' || node.child.type === 'or' ? `-(${inner})` : `-${inner}`;
+    }
+    case 'and':
+      return node.children
+        .map(c => (c.type === 'or' ? `(${describeQuery(c)})` : describeQuery(c)))
+        .join(' ');
+    case 'or':
+      return node.children.map(describeQuery).join(' OR ');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Hoist top-level field and phrase filters out of a query AST into the flat
+ * SearchRequest fields (phrases, user, name, mediaTypes, hasLocation).
+ * Anything nested under OR / negation stays in the returned query.
+ *
+ * @param {QueryNode|null} ast
+ * @returns {{ filters: Object, query: QueryNode|null }}
+ */
+export function extractFieldFilters(ast) {
+  const filters = {};
+  const rest = [];
+  const conjuncts = !ast ? [] : ast.type === 'and' ? ast.children : [ast];
+
+  const isMediaTerm = (n) => n.type === 'field' && n.field === 'media';
+
+  for (const node of conjuncts) {
+    if (node.type === 'phrase') {
+      (filters.phrases ||= []).push(node.value);
+    } else if (node.type === 'field' && node.field === 'user' && !filters.user) {
+      filters.user = node.value;
+    } else if (node.type === 'field' && node.field === 'name' && !filters.name) {
+      filters.name = node.value;
+    } else if (node.type === 'field' && node.field === 'has' && node.value === 'location') {
+      filters.hasLocation = true;
+    } else if (isMediaTerm(node) && !filters.mediaTypes) {
+      filters.mediaTypes = [node.value];
+    } else if (node.type === 'or' && node.children.every(isMediaTerm) && !filters.mediaTypes) {
+      filters.mediaTypes = node.children.map(c => c.value);
+    } else {
+      rest.push(node);
+    }
+  }
+
+  return { filters, query: combineNodes('and', rest) };
+}
@@ -0,0 +1,176 @@
+/**
+ * Service worker
+ *
+ * - app shell (SHELL_URLS): network first with the cached copy as the offline fallback
+ * - other same-origin pages (/p/, /u/, /t/ ...): the same, in a cache of the
+ *   PAGES_MAX_ENTRIES most recent
+ * - CDN modules and scripts (h3-js, qrcode, Leaflet, HLS.js): versioned URLs, cache first
+ * - post images: list variants sent by offline.js (cache-media messages), cache first
+ * - saved-search notifications raised by savedSearches.js: clicking one opens the search
+ *
+ * API responses are not cached here; the page keeps its own feed copies in IndexedDB.
+ */
+
+const SHELL_CACHE = 'shell-v7';
+const PAGES_CACHE = 'pages-v1';
+const CDN_CACHE = 'cdn-v1';
+const MEDIA_CACHE = 'media-v1';
+const CACHES = [SHELL_CACHE, PAGES_CACHE, CDN_CACHE, MEDIA_CACHE];
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/favorites.html',
+  '/style.css',
+  '/app.js',
+  '/favorites.js',
+  '/profile.html',
+  '/profile.js',
+  '/tag.html',
+  '/tag.js',
+  '/permalink.js',
+  '/site.js',
+  '/searchParser.js',
+  '/searchBox.js',
+  '/savedSearches.js',
+  '/offline.js',
+  '/shared/render.js',
+  '/shared/postList.js',
+  '/shared/feedMap.js',
+  '/shared/favoritesStore.js',
+  '/shared/locationStore.js',
+  '/favicon.svg',
+  '/manifest.webmanifest'
+];
+
+const CDN_HOSTS = ['esm.sh', 'unpkg.com', 'cdn.jsdelivr.net'];
+
+// Images kept for offline use; the oldest are dropped first
+const MEDIA_MAX_ENTRIES = 300;
+// Pages outside the shell kept for offline use, most recently fetched first
+const PAGES_MAX_ENTRIES = 50;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    // One missing file shouldn't stop the rest from being cached
+    await Promise.all(SHELL_URLS.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (!CACHES.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Drop the oldest entries (cache keys are in insertion order) beyond maxEntries
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+    await cache.delete(key);
+  }
+}
+
+/**
+ * Fetch, keeping one copy per path: ?at=...&q=... and other query strings
+ * share it, so views don't pile up in the cache.
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ * @param {number} [maxEntries] - trim the cache to this many entries after each update
+ */
+async function networkFirst(event, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const key = new URL(event.request.url).pathname;
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const copy = response.clone();
+      // Re-adding moves the page to the newest end
+      event.waitUntil((async () => {
+        await cache.delete(key);
+        await cache.put(key, copy);
+        if (maxEntries) await trimCache(cache, maxEntries);
+      })());
+    }
+    return response;
+  } catch (e) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+async function cachedOrNetwork(request) {
+  const cached = await caches.match(request, { cacheName: MEDIA_CACHE });
+  return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    if (SHELL_URLS.includes(url.pathname)) event.respondWith(networkFirst(event, SHELL_CACHE));
+    else event.respondWith(networkFirst(event, PAGES_CACHE, PAGES_MAX_ENTRIES));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, CDN_CACHE));
+  } else if (request.destination === 'image') {
+    event.respondWith(cachedOrNetwork(request));
+  }
+});
+
+async function cacheMedia(urls) {
+  const cache = await caches.open(MEDIA_CACHE);
+  for (const url of urls) {
+    if (await cache.match(url)) continue;
+    try {
+      const response = await fetch(url, { mode: 'cors' });
+      if (response.ok) await cache.put(url, response);
+    } catch {
+      // Hosts without CORS are skipped: opaque responses cost far more storage quota
+    }
+  }
+
+  await trimCache(cache, MEDIA_MAX_ENTRIES);
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'cache-media' && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheMedia(event.data.urls));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    // Reuse an open tab of the site rather than stacking new ones
+    const existing = windows.find(w => new URL(w.url).origin === self.location.origin);
+    if (existing) {
+      await existing.focus();
+      existing.postMessage({ type: 'open-saved-search', url });
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,128 @@
+/**
+ * Favorites storage schema: migration, merging and the mute filter.
+ * Run from web/: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  FAVORITES_SCHEMA_VERSION,
+  emptyFavorites,
+  migrateFavorites,
+  mergeFavoritesData,
+  loadFavoritesData,
+  saveFavoritesData,
+  canSaveFavorites,
+  withoutMuted
+} from '../shared/favoritesStore.js';
+
+// Just enough localStorage for the load/save functions
+function memoryStorage(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+}
+
+test('migrates the v1 plain array of usernames, keeping ones the input check would reject', () => {
+  const data = migrateFavorites(['alice', '@Bob', 'alice', 'not valid!', '', 42]);
+  assert.equal(data.version, FAVORITES_SCHEMA_VERSION);
+  assert.deepEqual(data.favorites, [
+    { username: 'alice', note: '', groups: [] },
+    { username: 'bob', note: '', groups: [] },
+    { username: 'not valid!', note: '', groups: [] }
+  ]);
+  assert.deepEqual(data.groups, []);
+  assert.deepEqual(data.muted, []);
+});
+
+test('nothing stored is an empty list; unknown values are not recognized', () => {
+  assert.deepEqual(migrateFavorites(null), emptyFavorites());
+  for (const stored of ['alice', 42, { version: 99, favorites: [] }, { favorites: ['alice'] }]) {
+    assert.equal(migrateFavorites(stored), null, JSON.stringify(stored));
+  }
+});
+
+test('unrecognized stored data is left untouched and never overwritten', () => {
+  const future = JSON.stringify({ version: 3, people: [{ id: 'alice' }] });
+  globalThis.localStorage = memoryStorage({ favorites: future });
+  const data = loadFavoritesData('favorites');
+  assert.deepEqual(data, emptyFavorites());
+  assert.equal(canSaveFavorites('favorites'), false);
+  data.favorites.push({ username: 'bob', note: '', groups: [] });
+  assert.equal(saveFavoritesData('favorites', data), false);
+  assert.equal(localStorage.getItem('favorites'), future);
+});
+
+test('corrupt stored data reads as empty and can be replaced', () => {
+  globalThis.localStorage = memoryStorage({ favorites: '{not json' });
+  const data = loadFavoritesData('favorites');
+  assert.deepEqual(data, emptyFavorites());
+  assert.equal(canSaveFavorites('favorites'), true);
+  data.favorites.push({ username: 'bob', note: '', groups: [] });
+  assert.equal(saveFavoritesData('favorites', data), true);
+  assert.deepEqual(JSON.parse(localStorage.getItem('favorites')), data);
+});
+
+test('v1 data is written back migrated', () => {
+  globalThis.localStorage = memoryStorage({ favorites: JSON.stringify(['alice', 'old.name!']) });
+  const data = loadFavoritesData('favorites');
+  assert.deepEqual(JSON.parse(localStorage.getItem('favorites')), data);
+  assert.deepEqual(data.favorites.map(f => f.username), ['alice', 'old.name!']);
+  assert.equal(saveFavoritesData('favorites', emptyFavorites()), true);
+});
+
+test('cleans up a v2 document', () => {
+  const data = migrateFavorites({
+    version: 2,
+    favorites: [
+      { username: 'Alice', note: 'red jacket', groups: ['coworkers', 'gone'] },
+      { username: 'alice', note: 'duplicate' },
+      { username: 'bob' }
+    ],
+    groups: ['coworkers', '  regulars   at the bar ', 'coworkers'],
+    muted: ['@Spammer', 'spammer', '']
+  });
+  assert.deepEqual(data.favorites, [
+    { username: 'alice', note: 'red jacket', groups: ['coworkers'] },
+    { username: 'bob', note: '', groups: [] }
+  ]);
+  assert.deepEqual(data.groups, ['coworkers', 'regulars at the bar']);
+  assert.deepEqual(data.muted, ['spammer']);
+});
+
+test('merging keeps existing notes and unions groups and mutes', () => {
+  const data = migrateFavorites({
+    version: 2,
+    favorites: [{ username: 'alice', note: 'mine', groups: [] }],
+    groups: ['bar'],
+    muted: ['bot']
+  });
+  const added = mergeFavoritesData(data, migrateFavorites({
+    version: 2,
+    favorites: [
+      { username: 'alice', note: 'theirs', groups: ['work'] },
+      { username: 'carol', note: 'new', groups: ['bar'] }
+    ],
+    groups: ['work', 'bar'],
+    muted: ['bot', 'troll']
+  }));
+  assert.equal(added, 1);
+  assert.deepEqual(data.favorites, [
+    { username: 'alice', note: 'mine', groups: ['work'] },
+    { username: 'carol', note: 'new', groups: ['bar'] }
+  ]);
+  assert.deepEqual(data.groups, ['bar', 'work']);
+  assert.deepEqual(data.muted, ['bot', 'troll']);
+});
+
+test('withoutMuted hides muted authors but never anonymous posts', () => {
+  const posts = [
+    { username: 'alice', messageId: '1' },
+    { username: 'Troll', messageId: '2' },
+    { username: null, replyLinkHandle: 'h', messageId: '3' }
+  ];
+  assert.deepEqual(withoutMuted(posts, new Set(['troll'])).map(p => p.messageId), ['1', '3']);
+  assert.equal(withoutMuted(posts, new Set()), posts);
+});
@@ -0,0 +1,55 @@
+/**
+ * Stored location schema: validation and the recent places list.
+ * Run from web/: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  LOCATION_SCHEMA_VERSION,
+  MAX_RECENT_PLACES,
+  emptyLocationData,
+  migrateLocationData,
+  findRecentPlace,
+  rememberPlace
+} from '../shared/locationStore.js';
+
+const h3 = { cells: ['872830828ffffff', '87283082effffff'], resolution: 7, centerCell: '872830828ffffff' };
+
+test('unreadable or unknown stored values become empty data', () => {
+  for (const stored of [null, 'Cincinnati', [], { version: 99, current: { h3, lat: 39.1, lng: -84.5 } }]) {
+    assert.deepEqual(migrateLocationData(stored), emptyLocationData());
+  }
+});
+
+test('keeps a valid location and drops broken parts', () => {
+  const data = migrateLocationData({
+    version: LOCATION_SCHEMA_VERSION,
+    current: { h3: { ...h3, area: 'nope' }, k: 2, label: 'GPS ±20m', lat: 39.1, lng: -84.5, extra: true },
+    k: 2,
+    recent: [{ name: 'Cincinnati, Ohio', lat: 39.1, lng: -84.5 }, { name: '', lat: 1, lng: 1 }, { name: 'Nowhere', lat: 200, lng: 0 }]
+  });
+  assert.deepEqual(data.current, { h3, k: 2, label: 'GPS ±20m', source: 'stored', place: null, lat: 39.1, lng: -84.5 });
+  assert.equal(data.k, 2);
+  assert.deepEqual(data.recent.map(p => p.name), ['Cincinnati, Ohio']);
+  assert.equal(data.recent[0].displayName, 'Cincinnati, Ohio');
+
+  const noCells = migrateLocationData({ version: LOCATION_SCHEMA_VERSION, current: { h3: { ...h3, cells: [] }, lat: 1, lng: 1 } });
+  assert.equal(noCells.current, null);
+});
+
+test('recent places are unique by name, newest first and capped', () => {
+  let recent = [];
+  for (let i = 0; i < MAX_RECENT_PLACES + 3; i++) {
+    recent = rememberPlace(recent, { name: `Place ${i}`, displayName: `Place ${i}, Ohio`, lat: 39, lng: -84 });
+  }
+  assert.equal(recent.length, MAX_RECENT_PLACES);
+  assert.equal(recent[0].name, `Place ${MAX_RECENT_PLACES + 2}`);
+
+  recent = rememberPlace(recent, { name: '  place   5 ', displayName: 'Place 5, Ohio', lat: 40, lng: -84 });
+  assert.equal(recent.length, MAX_RECENT_PLACES);
+  assert.equal(recent[0].name, 'place 5');
+  assert.equal(recent.filter(p => p.name.toLowerCase() === 'place 5').length, 1);
+  assert.equal(findRecentPlace(recent, 'PLACE 5').lat, 40);
+  assert.equal(findRecentPlace(recent, 'Place 0'), null);
+});
@@ -0,0 +1,213 @@
+/**
+ * Renders fixture posts through every site configuration.
+ * Run from web/: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  detectPlatform,
+  renderPostHtml,
+  getPostReply,
+  renderMedia,
+  listImageUrls,
+  postPath,
+  shareUrl,
+  parseShareAttribution,
+  buildReportRequest,
+  REPORT_REASONS
+} from '../shared/render.js';
+import { findStaleCopies } from '../scripts/sync-shared.js';
+import { SITE as PUBLIC_SITE } from '../public/site.js';
+import { SITE as COMMUNITY_SITE } from '../community/site.js';
+
+const posts = JSON.parse(readFileSync(new URL('./fixtures/posts.json', import.meta.url), 'utf8'));
+const [usernamePost, identityPost, unrepliablePost, videoPost, livePost] = posts;
+
+const SITES = [PUBLIC_SITE, COMMUNITY_SITE];
+
+const UA = {
+  desktop: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0 Safari/537.36',
+  iosSafari: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  iosChrome: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/129.0 Mobile/15E148 Safari/604.1',
+  android: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0 Mobile Safari/537.36'
+};
+
+// Video element ids are random; blank them so renders can be compared
+function stableHtml(html) {
+  return html.replace(/id="(video|live)-[a-z0-9]+"/g, 'id="$1-x"');
+}
+
+test('site configs define every value the shared modules read', () => {
+  for (const site of SITES) {
+    for (const key of ['id', 'brand', 'tagline', 'origin', 'replyHost', 'appScheme', 'iosAppId', 'androidPackage', 'defaultRadiusK', 'favoritesKey', 'savedSearchesKey', 'locationKey', 'category']) {
+      assert.ok(site[key] !== undefined && site[key] !== '', `${site.id}: missing ${key}`);
+    }
+  }
+  assert.notEqual(PUBLIC_SITE.favoritesKey, COMMUNITY_SITE.favoritesKey, 'sites must not share favorites storage');
+  assert.notEqual(PUBLIC_SITE.savedSearchesKey, COMMUNITY_SITE.savedSearchesKey, 'sites must not share saved searches');
+  assert.notEqual(PUBLIC_SITE.locationKey, COMMUNITY_SITE.locationKey, 'sites must not share a stored location');
+});
+
+test('detectPlatform classifies reply-relevant browsers', () => {
+  assert.equal(detectPlatform(UA.desktop).isDesktop, true);
+  assert.equal(detectPlatform(UA.iosSafari).isIOSSafari, true);
+  assert.equal(detectPlatform(UA.iosChrome).isIOSNotSafari, true);
+  assert.equal(detectPlatform(UA.android).isAndroid, true);
+  assert.equal(detectPlatform(UA.android).hasNativeHLS, false);
+  assert.equal(detectPlatform(UA.iosChrome).hasNativeHLS, true);
+});
+
+for (const site of SITES) {
+  test(`${site.id}: username posts reply through the site's reply host`, () => {
+    const desktop = renderPostHtml(usernamePost, { site, platform: detectPlatform(UA.desktop) });
+    assert.match(desktop, /class="btn btn-qr"/);
+    assert.ok(desktop.includes('<a class="post-author" href="/u/alice">@alice</a>'));
+    assert.ok(desktop.includes(`data-url="https://${site.replyHost}/reply?username=alice&amp;messageId=msg-1"`));
+
+    const ios = renderPostHtml(usernamePost, { site, platform: detectPlatform(UA.iosChrome) });
+    assert.match(ios, /class="btn reply-btn"/);
+    assert.match(ios, /data-username="alice" data-messageid="msg-1"/);
+
+    const android = renderPostHtml(usernamePost, { site, platform: detectPlatform(UA.android) });
+    assert.ok(android.includes(`package=${site.androidPackage}`));
+    assert.ok(android.includes(encodeURIComponent(`https://play.google.com/store/apps/details?id=${site.androidPackage}`)));
+  });
+
+  test(`${site.id}: anonymous posts reply through an identity link`, () => {
+    const reply = getPostReply(site, detectPlatform(UA.iosSafari), identityPost);
+    assert.equal(reply.target, 'Red Jacket');
+    assert.ok(reply.url.startsWith(`${site.appScheme}://m/#eu/`));
+
+    // 32 bytes entropy + 16 bytes handle
+    const encoded = reply.url.split('#eu/')[1];
+    const bytes = Buffer.from(encoded, 'base64url');
+    assert.equal(bytes.length, 48);
+    assert.equal(bytes.subarray(32).toString('hex'), identityPost.replyLinkHandle.replace(/-/g, ''));
+
+    // Identity links open the app directly, so no username click fallback
+    const html = renderPostHtml(identityPost, { site, platform: detectPlatform(UA.iosChrome) });
+    assert.match(html, /class="btn reply-btn"/);
+    assert.doesNotMatch(html, /data-username=/);
+    assert.doesNotMatch(html, /post-author/);
+  });
+
+  test(`${site.id}: posts without a username or identity link have no reply button`, () => {
+    const html = renderPostHtml(unrepliablePost, { site, platform: detectPlatform(UA.desktop) });
+    assert.doesNotMatch(html, /reply-btn|btn-qr/);
+    assert.match(html, /<div>Anonymous<\/div>/);
+  });
+
+  test(`${site.id}: content is escaped and the map toggle follows showMap`, () => {
+    const platform = detectPlatform(UA.desktop);
+    const html = renderPostHtml(usernamePost, { site, platform });
+    assert.ok(html.includes('&lt;b&gt;wave&lt;/b&gt; &amp; smile'));
+    assert.doesNotMatch(html, /<b>wave/);
+    assert.match(html, /class="btn btn-map" data-h3="872830828ffffff" data-accuracy="120"/);
+
+    const noMap = renderPostHtml(usernamePost, { site, platform, showMap: false });
+    assert.doesNotMatch(noMap, /btn-map|post-map/);
+  });
+}
+
+test('permalinks use the username, or the identity link handle for anonymous posts', () => {
+  assert.equal(postPath(usernamePost), '/p/alice/msg-1');
+  assert.equal(postPath(identityPost), `/p/~${identityPost.replyLinkHandle}/${identityPost.messageId}`);
+  assert.equal(postPath(unrepliablePost), null);
+
+  const html = renderPostHtml(usernamePost, { site: PUBLIC_SITE, platform: detectPlatform(UA.desktop) });
+  assert.match(html, /<a class="post-permalink" href="\/p\/alice\/msg-1">/);
+});
+
+test('share links are absolute permalinks tagged with the site and share route', () => {
+  const url = new URL(shareUrl(COMMUNITY_SITE, usernamePost, 'qr'));
+  assert.equal(url.origin, COMMUNITY_SITE.origin);
+  assert.equal(url.pathname, '/p/alice/msg-1');
+  assert.deepEqual(parseShareAttribution(url.search), { source: 'community', medium: 'qr' });
+
+  assert.equal(shareUrl(PUBLIC_SITE, unrepliablePost, 'copy'), null);
+  assert.equal(parseShareAttribution('?utm_source=newsletter&utm_medium=email'), null);
+  assert.equal(parseShareAttribution('?utm_campaign=post_share&utm_medium=fax').medium, 'unknown');
+
+  const platform = detectPlatform(UA.android);
+  assert.match(renderPostHtml(usernamePost, { site: PUBLIC_SITE, platform }), /<button class="btn btn-share">Share<\/button>/);
+  assert.doesNotMatch(renderPostHtml(unrepliablePost, { site: PUBLIC_SITE, platform }), /btn-share/);
+});
+
+test('reports name the post the way permalinks do', () => {
+  assert.deepEqual(buildReportRequest(usernamePost, 'spam', '  '), { author: 'alice', messageId: 'msg-1', reason: 'spam' });
+  assert.deepEqual(buildReportRequest(identityPost, 'other', ' left my number '), {
+    author: `~${identityPost.replyLinkHandle}`,
+    messageId: identityPost.messageId,
+    reason: 'other',
+    details: 'left my number'
+  });
+  assert.equal(buildReportRequest(unrepliablePost, 'spam'), null);
+  assert.deepEqual(REPORT_REASONS.map(r => r.value).sort(), ['harassment', 'other', 'personal_info', 'sexual', 'spam', 'violence']);
+
+  const platform = detectPlatform(UA.desktop);
+  assert.match(renderPostHtml(identityPost, { site: PUBLIC_SITE, platform }), /<button class="btn btn-report">Report<\/button>/);
+  assert.doesNotMatch(renderPostHtml(unrepliablePost, { site: PUBLIC_SITE, platform }), /btn-report/);
+});
+
+test('both sites render identical post markup (they share reply host and app)', () => {
+  assert.equal(PUBLIC_SITE.replyHost, COMMUNITY_SITE.replyHost);
+  assert.equal(PUBLIC_SITE.androidPackage, COMMUNITY_SITE.androidPackage);
+  for (const ua of Object.values(UA)) {
+    for (const post of posts) {
+      const a = stableHtml(renderPostHtml(post, { site: PUBLIC_SITE, platform: detectPlatform(ua) }));
+      const b = stableHtml(renderPostHtml(post, { site: COMMUNITY_SITE, platform: detectPlatform(ua) }));
+      assert.equal(a, b, `${post.messageId} differs between sites on ${ua.slice(0, 40)}`);
+    }
+  }
+});
+
+test('renderMedia picks native HLS or HLS.js markup per platform', () => {
+  const native = renderMedia(videoPost.media, detectPlatform(UA.iosSafari));
+  assert.match(native, /<source src="https:\/\/cdn\.example\.com\/video\.m3u8"/);
+
+  const hlsjs = renderMedia(videoPost.media, detectPlatform(UA.android));
+  assert.match(hlsjs, /data-stream="https:\/\/cdn\.example\.com\/video\.m3u8"/);
+  assert.doesNotMatch(hlsjs, /<source/);
+
+  // Live stream without a URL yet shows a placeholder, not a player
+  const waiting = renderMedia(livePost.media, detectPlatform(UA.desktop));
+  assert.match(waiting, /Starting soon/);
+  assert.match(waiting, /Park concert/);
+  assert.doesNotMatch(waiting, /<video/);
+});
+
+test('sensitive media is wrapped for click-to-reveal', () => {
+  const platform = detectPlatform(UA.desktop);
+  const image = { type: 'image', thumbnail: 'https://cdn.example.com/t.jpg', large: 'https://cdn.example.com/l.jpg' };
+  const plain = renderMedia(image, platform);
+  const flagged = renderMedia({ ...image, sensitive: true }, platform);
+  assert.doesNotMatch(plain, /media-sensitive/);
+  assert.match(flagged, /<div class="media-sensitive">/);
+  assert.match(flagged, /<button class="sensitive-reveal">/);
+  assert.ok(flagged.includes(plain.trim()));
+  assert.equal(renderMedia({ type: 'image', sensitive: true }, platform), '');
+});
+
+test('listImageUrls keeps the variants a card shows, not full size', () => {
+  assert.deepEqual(listImageUrls(videoPost.media), ['https://cdn.example.com/thumb.jpg']);
+  assert.deepEqual(listImageUrls(livePost.media), []);
+  assert.deepEqual(listImageUrls(undefined), []);
+
+  const image = {
+    type: 'image',
+    thumbnail: 'https://cdn.example.com/t.jpg',
+    medium: 'https://cdn.example.com/m.jpg',
+    large: 'https://cdn.example.com/l.jpg'
+  };
+  assert.deepEqual(listImageUrls(image), ['https://cdn.example.com/m.jpg', 'https://cdn.example.com/t.jpg']);
+  // The same URL the card renders, even when only `public` exists
+  const html = renderMedia({ type: 'image', public: 'https://cdn.example.com/p.jpg' }, detectPlatform(UA.desktop));
+  assert.match(html, /src="https:\/\/cdn\.example\.com\/p\.jpg"/);
+  assert.deepEqual(listImageUrls({ type: 'image', public: 'https://cdn.example.com/p.jpg' }), ['https://cdn.example.com/p.jpg']);
+});
+
+test('site copies of web/shared/ are in sync', () => {
+  assert.deepEqual(findStaleCopies(), []);
+});
@@ -0,0 +1,86 @@
+/**
+ * Search box parsing: tokens, the boolean query AST and its edge cases.
+ * Run from web/: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSearchQuery, describeQuery, extractFieldFilters } from '../shared/root/searchParser.js';
+
+const ast = (input) => parseSearchQuery(input).ast;
+
+test('collects entities', () => {
+  const { entities } = parseSearchQuery('#Coffee @Alice "flat white" user:bob media:image|video downtown');
+  assert.deepEqual(entities.hashtags, ['coffee']);
+  assert.deepEqual(entities.mentions, ['Alice']);
+  assert.deepEqual(entities.phrases, ['flat white']);
+  assert.deepEqual(entities.fields, [{ field: 'user', value: 'bob' }, { field: 'media', value: 'image|video' }]);
+  assert.equal(entities.text, 'downtown');
+  assert.deepEqual(ast('user:Jane.Doe-2'), { type: 'field', field: 'user', value: 'jane.doe-2' });
+});
+
+test('OR binds looser than AND, groups and negation nest', () => {
+  assert.equal(describeQuery(ast('#a #b OR #c')), '#a #b OR #c');
+  assert.deepEqual(ast('(#coffee OR #tea) -@bot'), {
+    type: 'and',
+    children: [
+      { type: 'or', children: [{ type: 'hashtag', value: 'coffee' }, { type: 'hashtag', value: 'tea' }] },
+      { type: 'not', child: { type: 'mention', value: 'bot' } }
+    ]
+  });
+  assert.deepEqual(ast('-(-#a)'), { type: 'hashtag', value: 'a' });
+});
+
+test('operators inside words stay text', () => {
+  assert.deepEqual(ast('drive-thru ORder'), { type: 'text', value: 'drive-thru ORder' });
+  assert.deepEqual(ast('or nor'), { type: 'text', value: 'or nor' });
+});
+
+test('dangling operators, parentheses and one-character words are skipped', () => {
+  const cases = [
+    ['tea OR', { type: 'text', value: 'tea' }],
+    ['OR #x', { type: 'hashtag', value: 'x' }],
+    ['#x OR OR #y', { type: 'or', children: [{ type: 'hashtag', value: 'x' }, { type: 'hashtag', value: 'y' }] }],
+    ['#coffee -', { type: 'hashtag', value: 'coffee' }],
+    ['-', null],
+    ['(#a OR', { type: 'hashtag', value: 'a' }],
+    ['#a OR #b)', { type: 'or', children: [{ type: 'hashtag', value: 'a' }, { type: 'hashtag', value: 'b' }] }],
+    ['()', null],
+    ['-📍Cincinnati #a', { type: 'hashtag', value: 'a' }],
+    ['#coffee a', { type: 'hashtag', value: 'coffee' }],
+    ['#coffee -a "b"', { type: 'hashtag', value: 'coffee' }],
+    ['a', null]
+  ];
+  for (const [input, expected] of cases) {
+    assert.deepEqual(ast(input), expected, input);
+  }
+});
+
+test('time fields set the range, not the query', () => {
+  const now = new Date(2026, 9, 16, 12, 0);
+  const parsed = parseSearchQuery('#a since:2026-10-10 until:2026-10-12', { now });
+  assert.deepEqual(parsed.ast, { type: 'hashtag', value: 'a' });
+  assert.equal(parsed.entities.timeRange.since, new Date(2026, 9, 10).toISOString());
+  assert.equal(parsed.entities.timeRange.until, new Date(2026, 9, 13).toISOString());
+});
+
+test('impossible dates and times are not time fields', () => {
+  const now = new Date(2026, 9, 16, 12, 0);
+  for (const value of ['2026-02-30', '2026-02-29', '2026-13-01', '2026-00-10', '2026-04-31', '2026-10-16t24:00', '2026-10-16t20:60']) {
+    const parsed = parseSearchQuery(`since:${value}`, { now });
+    assert.equal(parsed.entities.timeRange, null, value);
+    assert.equal(parsed.entities.fields.length, 0, value);
+  }
+  const leap = parseSearchQuery('since:2028-02-29t23:59', { now });
+  assert.equal(leap.entities.timeRange.since, new Date(2028, 1, 29, 23, 59).toISOString());
+});
+
+test('top-level fields and phrases move to flat filters', () => {
+  const { filters, query } = extractFieldFilters(ast('"flat white" user:bob media:image|video #a OR #b'));
+  assert.deepEqual(filters, {});
+  assert.equal(describeQuery(query), '"flat white" user:bob (media:image OR media:video) #a OR #b');
+
+  const flat = extractFieldFilters(ast('"flat white" user:bob media:image|video (#a OR #b)'));
+  assert.deepEqual(flat.filters, { phrases: ['flat white'], user: 'bob', mediaTypes: ['image', 'video'] });
+  assert.equal(describeQuery(flat.query), '#a OR #b');
+});